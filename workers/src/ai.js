@@ -2,6 +2,8 @@
 
 import { canSubrequest, trackSubrequest } from "./context.js";
 import { htmlToText, fetchUrl, verifyUrl, withTimeout } from "./utils.js";
+import { comparePlanPrices } from "./pricing.js";
+import { renderWords } from "./diff.js";
 
 // ─── Workers AI (free, no subrequest cost) — used for daily scan analysis ───
 export async function callWorkersAI(env, prompt, { maxTokens = 500 } = {}) {
@@ -127,6 +129,11 @@ export async function analyzePageChange(ctx, env, competitorName, pageLabel, pag
     };
   }
 
+  const changes = diff.changes || [];
+  const edits = changes.filter((c) => c.type === "modified").slice(0, 5)
+    .map((c) => "- " + renderWords(c.words, { del: (t) => `[-${t}-]`, add: (t) => `{+${t}+}` }).slice(0, 300));
+  const moved = changes.filter((c) => c.type === "moved").slice(0, 3).map((c) => "- " + c.text.slice(0, 200));
+
   const prompt = `You are a competitive intelligence analyst. A competitor's web page has changed.
 
 Competitor: ${competitorName}
@@ -137,7 +144,16 @@ ${diff.beforeExcerpt || "(none)"}
 
 ADDED content:
 ${diff.afterExcerpt || "(none)"}
-
+${diff.structure?.length ? `
+STRUCTURE changes (headings, bullet lists, tables, buttons):
+${diff.structure.map((s) => "- " + s).join("\n")}
+` : ""}${edits.length ? `
+EDITED sentences ([-removed words-] {+added words+}):
+${edits.join("\n")}
+` : ""}${moved.length ? `
+MOVED (same text, new position on the page):
+${moved.join("\n")}
+` : ""}
 Respond with ONLY valid JSON:
 {"summary":"One specific sentence about what changed (reference actual content)","analysis":"2-3 sentences: competitive implications — what this signals about their strategy, how it affects the market","priority":"high or medium or low","recommendation":"One specific, actionable sentence"}
 
@@ -168,18 +184,21 @@ CAREERS/HIRING PAGES: When job listings are removed, it almost always means the
   return null;
 }
 
-export async function classifyAnnouncement(ctx, env, competitorName, postTitle, matchedCategory) {
-  const fallback = { category: matchedCategory, priority: "medium", summary: postTitle };
+// `post` (optional) adds the feed's categories and summary to the prompt; `body` (optional,
+// the post's full text) is summarised and mined for entities, returned as `entities`
+export async function classifyAnnouncement(ctx, env, competitorName, postTitle, matchedCategory, post, body) {
+  const lead = body && body.match(/^.{20,240}?[.!?](?=\s|$)/);
+  const fallback = { category: matchedCategory, priority: "medium", summary: lead ? lead[0] : postTitle };
   const prompt = `Classify this blog post from competitor "${competitorName}".
 Title: "${postTitle}"
-Detected category: ${matchedCategory}
+${post?.categories?.length ? `Tags: ${post.categories.slice(0, 8).join(", ")}\n` : ""}${post?.summary && !body ? `Summary: ${post.summary.slice(0, 400)}\n` : ""}${body ? `Post:\n"""\n${body.slice(0, 2000)}\n"""\n` : ""}Detected category: ${matchedCategory}
 Respond with ONLY valid JSON:
-{"category":"funding or partnership or acquisition or event or hiring or product or other","priority":"high or medium or low","summary":"One sentence explanation"}
-Return ONLY the JSON object.`;
+{"category":"funding or partnership or acquisition or leadership or events or hiring or product or other","priority":"high or medium or low","summary":"One sentence on what was announced","entities":{"fundingAmount":"e.g. $20M","fundingRound":"e.g. Series B","investors":["names"],"partners":["names"],"acquiredCompany":"name","acquirer":"name","leadership":[{"name":"person","role":"e.g. CFO","change":"appointed or departed"}],"eventDate":"YYYY-MM-DD"}}
+Leave out any entity the post doesn't state. Return ONLY the JSON object.`;
 
   if (env.ANTHROPIC_API_KEY) {
     try {
-      const result = await callClaude(ctx, env, prompt, { maxTokens: 200 });
+      const result = await callClaude(ctx, env, prompt, { maxTokens: 400 });
       if (result) return result;
     } catch (error) {
       console.log(`  Claude classify error: ${error.message}`);
@@ -187,7 +206,7 @@ Return ONLY the JSON object.`;
   }
   if (env.AI) {
     try {
-      const result = await callWorkersAI(env, prompt, { maxTokens: 200 });
+      const result = await callWorkersAI(env, prompt, { maxTokens: 400 });
       if (result) return result;
     } catch (error) {
       console.log(`  Workers AI classify error: ${error.message}`);
@@ -1083,7 +1102,7 @@ export function formatWeeklySuggestions(suggestions, productMeta, tier) {
 
 // ─── PRICING COMPARISON ─────────────────────────────────────────────────────
 
-export function comparePricing(oldPricing, newPricing) {
+export function comparePricing(oldPricing, newPricing, fxRates) {
   if (!oldPricing || !newPricing || !oldPricing.plans || !newPricing.plans) return null;
   const changes = [];
   const oldPlans = new Map(oldPricing.plans.filter(p => p.name).map((p) => [p.name.toLowerCase(), p]));
@@ -1091,7 +1110,14 @@ export function comparePricing(oldPricing, newPricing) {
   for (const [name, oldPlan] of oldPlans) {
     const newPlan = newPlans.get(name);
     if (!newPlan) changes.push(`Removed: *${oldPlan.name}* (was ${oldPlan.price})`);
-    else if (oldPlan.price !== newPlan.price) changes.push(`*${oldPlan.name}*: ${oldPlan.price} \u2192 ${newPlan.price}`);
+    else if (oldPlan.price !== newPlan.price) {
+      // Normalized comparison: monthly/annual toggles and localized currencies aren't price changes
+      const verdict = comparePlanPrices(oldPlan, newPlan, fxRates);
+      if (verdict.changed) {
+        const pct = verdict.pct ? ` (${verdict.pct > 0 ? "+" : ""}${verdict.pct}%)` : "";
+        changes.push(`*${oldPlan.name}*: ${oldPlan.price} \u2192 ${newPlan.price}${pct}`);
+      }
+    }
   }
   for (const [name, newPlan] of newPlans) {
     if (!oldPlans.has(name)) changes.push(`New plan: *${newPlan.name}* at ${newPlan.price}`);
@@ -1099,6 +1125,27 @@ export function comparePricing(oldPricing, newPricing) {
   return changes.length > 0 ? changes : null;
 }
 
+// Claude-written positioning notes for the own-vs-competitor pricing matrix.
+// Returns { summary, bands: { <bandId>: "note" } } or null without an API key.
+export async function generatePositioningNotes(ctx, env, productMeta, matrix) {
+  if (!env.ANTHROPIC_API_KEY || !matrix?.rows?.length) return null;
+  const productName = productMeta?.product_name || productMeta?.name || "our product";
+  const fmt = (r) => `- [${r.band}] ${r.company}: ${r.plan} — ${r.price || "n/a"}${r.monthlyUsd != null ? ` (~$${r.monthlyUsd}/mo USD)` : ""}${r.perSeat ? " per seat" : ""}${r.features.length ? "; " + r.features.join(", ") : ""}`;
+  const prompt = `You are a pricing strategist. Compare ${productName} ("Us") against competitors, band by band.
+
+Product: ${productName}${productMeta?.category ? ` (${productMeta.category})` : ""}
+
+Plans by price band:
+${matrix.rows.slice(0, 60).map(fmt).join("\n")}
+
+Respond with ONLY valid JSON:
+{"summary":"2 sentences on where Us sits overall (premium, at market, undercutting) and the biggest gap","bands":{"<band id>":"1-2 sentences: how Us compares on price and features in this band, and one concrete positioning move"}}
+Only include bands that have plans. Reference actual plan names and prices.`;
+  const result = await callClaude(ctx, env, prompt, { maxTokens: 800 });
+  if (!result || typeof result.summary !== "string") return null;
+  return { summary: result.summary, bands: result.bands && typeof result.bands === "object" ? result.bands : {} };
+}
+
 // ─── ANNOUNCEMENT DETECTION ─────────────────────────────────────────────────
 
 export function detectAnnouncement(title, keywords) {
@@ -0,0 +1,202 @@
+// Announcements — reads a new blog post's full text and pulls out the facts an
+// announcement carries: funding amount and round, investors, partners, acquisitions,
+// leadership changes and event dates. Posts with vague titles ("A big week for us") are caught by what they say.
+
+import { htmlToText, fetchUrl, findDate } from "./utils.js";
+
+export const MAX_BODY_FETCHES = 5; // post pages fetched per scan; later posts use the feed text only
+const MIN_FEED_CONTENT = 500;      // feed content at least this long is the full post, no fetch needed
+const MAX_BODY = 6000;
+const MAX_NAMES = 6;
+const MAX_VALUE = 100;
+
+// ─── POST BODY ───────────────────────────────────────────────────────────────
+
+// The post's main text: its largest <article>, else <main>, else the whole page
+export function mainText(html) {
+  const clean = (html || "")
+    .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+  const article = [...clean.matchAll(/<article\b[\s\S]*?<\/article>/gi)].map((m) => m[0]).sort((a, b) => b.length - a.length)[0];
+  const main = clean.match(/<main\b[\s\S]*?<\/main>/i);
+  return htmlToText(article || (main && main[0]) || clean).slice(0, MAX_BODY);
+}
+
+// Plain-text body of a post: the feed's full content when it has it, else the post page.
+// `budget.remaining` counts down the page fetches left this scan. Empty string when neither
+// is available.
+export async function readPostBody(ctx, env, post, browserDomains, budget) {
+  if (post.content && post.content.length >= MIN_FEED_CONTENT) return post.content.slice(0, MAX_BODY);
+  if (!post.link || budget.remaining <= 0) return post.content || "";
+  budget.remaining--;
+  const html = await fetchUrl(ctx, post.link, env, browserDomains);
+  if (!html) return post.content || "";
+  const text = mainText(html);
+  return text.length > (post.content || "").length ? text : post.content;
+}
+
+// ─── ENTITIES ────────────────────────────────────────────────────────────────
+
+const FUNDING_CONTEXT = /\b(rais|fund|round|series|seed|invest|financing|capital)/i;
+const AMOUNT_RE = /([$€£])\s?(\d{1,4}(?:[.,]\d{1,2})?)\s?(billion|million|bn|mm|m|b)\b/i;
+const ROUND_RE = /\b(pre-seed|seed|series [a-h])(?:\s+(?:round|funding|financing|extension))?\b/i;
+const EVENT_CONTEXT = /\b(webinar|conference|summit|event|keynote|workshop|meetup|join us|register|livestream)\b/i;
+
+const INVESTOR_PHRASES = [/\bled by\s+/i, /\bparticipation (?:from|of|by)\s+/i, /\bbacked by\s+/i, /\binvestors? (?:including|such as)\s+/i];
+const PARTNER_PHRASES = [/\bpartner(?:ship|ed|s|ing)? with\s+/i, /\bteam(?:ing|ed|s)? up with\s+/i, /\bintegrat(?:ion|es|ed) with\s+/i, /\bjoin(?:ing|ed|s)? forces with\s+/i];
+const ACQUIRED_PHRASES = [/\b(?:acquires|acquired|acquiring|acquisition of)\s+/i];
+const ACQUIRER_PHRASES = [/\b(?:acquired|bought) by\s+/i];
+
+// Executive titles as written in posts ("Chief Revenue Officer", "VP of Sales", "CFO")
+const ROLE = "((?:co-?)?founder|chief [a-z]+ (?:[a-z]+ )?officer|ceo|cto|cfo|coo|cmo|cro|cpo|ciso|president|chair(?:man|woman|person)?|general counsel|(?:senior |executive )?vice president(?: of [a-z]+)?|s?vp(?: of [a-z]+)?|head of [a-z]+|director of [a-z]+)";
+const PERSON = "([A-Za-z][\\w'’.-]*(?:\\s+[A-Za-z][\\w'’.-]*){1,5}?)";
+const APPOSITIVE = "(?:,[^,]{1,60},)?"; // "Bob Smith, our co-founder, is stepping down"
+const POSSESSIVE = "(?:(?:its|our|the|their) )?(?:new |first |next )?";
+const LEADERSHIP_PATTERNS = [
+  [new RegExp(`\\b(?:appoint(?:s|ed)?|name[sd]?|hire[sd]?|welcome[sd]?|promote[sd]?)\\s+${PERSON},?\\s+(?:as|to)\\s+${POSSESSIVE}${ROLE}\\b`, "i"), "appointed"],
+  [new RegExp(`${PERSON}${APPOSITIVE},?\\s+(?:has\\s+|will\\s+)?(?:join(?:s|ed)?|is joining)\\s+(?:[\\w.&-]+\\s+){0,3}?as\\s+${POSSESSIVE}${ROLE}\\b`, "i"), "appointed"],
+  [new RegExp(`${PERSON}${APPOSITIVE},?\\s+(?:is\\s+|will\\s+be\\s+|has\\s+)?(?:step(?:s|ped|ping)?\\s+down|leav(?:es|ing)|left|retir(?:es|ing|ed))\\s+as\\s+${POSSESSIVE}${ROLE}\\b`, "i"), "departed"],
+];
+const ACRONYMS = /\b(?:ceo|cto|cfo|coo|cmo|cro|cpo|ciso|s?vp)\b/gi;
+
+// Patterns are case-insensitive for the role, so the name is trimmed to its trailing capitalised words
+function personName(match) {
+  const words = match.split(/\s+/);
+  let i = words.length;
+  while (i > 0 && /^[A-Z]/.test(words[i - 1])) i--;
+  const name = words.slice(i);
+  return name.length >= 2 && !NOT_NAMES.test(name[0]) ? name.join(" ") : null;
+}
+
+// [{ name, role, change: "appointed" | "departed" }]
+function leadershipChanges(sentences) {
+  const changes = [];
+  for (const s of sentences) {
+    for (const [re, change] of LEADERSHIP_PATTERNS) {
+      const m = s.match(re);
+      const name = m && personName(m[1]);
+      if (!name || changes.some((c) => c.name === name)) continue;
+      changes.push({ name: name.slice(0, MAX_VALUE), role: m[2].replace(ACRONYMS, (r) => r.toUpperCase()), change });
+    }
+  }
+  return changes.slice(0, MAX_NAMES);
+}
+
+// A list clause ends at sentence punctuation or a word that starts the next clause
+const CLAUSE_END = /[.;:!?()"“”]|\s(?:with|to|in|for|at|as|alongside|which|who|that|bringing|this|on|from|of the)\s/;
+const NAME_RE = /^(?:[A-Z0-9][\w.&'’-]*)(?:\s+(?:[A-Z0-9][\w.&'’-]*|&|of|de|la|von|van))*/;
+const NOT_NAMES = /^(?:We|Our|Today|The|This|It|They|Us|I|A|An)$/;
+
+function sentencesOf(text) {
+  return text.split(/(?<=[.!?])\s+(?=[A-Z0-9"“$€£])/);
+}
+
+// Proper names listed after `phrase` in `sentence`: "Accel, Index Ventures and existing investors" → ["Accel", "Index Ventures"]
+function namesAfter(sentence, phrase) {
+  const m = sentence.match(phrase);
+  if (!m) return [];
+  let clause = sentence.slice(m.index + m[0].length);
+  const end = clause.match(CLAUSE_END);
+  if (end) clause = clause.slice(0, end.index);
+  return clause.split(/,\s*(?:and\s+)?|\s+and\s+/)
+    .map((part) => part.trim().replace(/^(?:existing investors|investors|the)\s+/i, "").match(NAME_RE)?.[0].replace(/\s+(?:&|of|de|la|von|van)$/, ""))
+    .filter((name) => name && name.length > 1 && !NOT_NAMES.test(name))
+    .map((name) => name.slice(0, MAX_VALUE));
+}
+
+function collectNames(sentences, phrases) {
+  const names = [];
+  for (const s of sentences) {
+    for (const phrase of phrases) {
+      for (const name of namesAfter(s, phrase)) {
+        if (!names.some((n) => n.toLowerCase() === name.toLowerCase())) names.push(name);
+      }
+    }
+  }
+  return names.slice(0, MAX_NAMES);
+}
+
+function normalizeAmount(m) {
+  const unit = m[3].toLowerCase();
+  return `${m[1]}${m[2].replace(",", ".")}${unit.startsWith("b") ? "B" : "M"}`;
+}
+
+function normalizeRound(round) {
+  const r = round.toLowerCase();
+  return r.startsWith("series") ? "Series " + r.slice(-1).toUpperCase() : r[0].toUpperCase() + r.slice(1);
+}
+
+// { fundingAmount, fundingRound, investors, partners, acquiredCompany, acquirer, leadership, eventDate },
+// only the keys that were found. Regex-based, so it errs towards missing rather than inventing.
+export function extractEntities(text) {
+  const sentences = sentencesOf(text || "");
+  const entities = {};
+
+  for (const s of sentences) {
+    if (!FUNDING_CONTEXT.test(s)) continue;
+    const amount = s.match(AMOUNT_RE);
+    const round = s.match(ROUND_RE);
+    if (amount && !entities.fundingAmount) entities.fundingAmount = normalizeAmount(amount);
+    if (round && !entities.fundingRound) entities.fundingRound = normalizeRound(round[1]);
+  }
+  const investors = collectNames(sentences.filter((s) => FUNDING_CONTEXT.test(s)), INVESTOR_PHRASES);
+  if (investors.length) entities.investors = investors;
+
+  const partners = collectNames(sentences, PARTNER_PHRASES);
+  if (partners.length) entities.partners = partners;
+
+  const acquirer = collectNames(sentences, ACQUIRER_PHRASES)[0];
+  if (acquirer) entities.acquirer = acquirer;
+  else {
+    const acquired = collectNames(sentences, ACQUIRED_PHRASES)[0];
+    if (acquired) entities.acquiredCompany = acquired;
+  }
+
+  const leadership = leadershipChanges(sentences);
+  if (leadership.length) entities.leadership = leadership;
+
+  for (const s of sentences) {
+    const date = EVENT_CONTEXT.test(s) && findDate(s);
+    if (date) {
+      entities.eventDate = date[0];
+      break;
+    }
+  }
+  return entities;
+}
+
+// The announcement category the entities point to, or null
+export function entityCategory(entities) {
+  if (entities.fundingAmount || entities.fundingRound) return "funding";
+  if (entities.acquiredCompany || entities.acquirer) return "acquisition";
+  if (entities.partners) return "partnership";
+  if (entities.leadership) return "leadership";
+  if (entities.eventDate) return "events";
+  return null;
+}
+
+// Entities from the text, topped up with what the LLM found. The LLM's values fill gaps
+// only, and are checked for shape since they end up in alerts and webhooks.
+export function mergeEntities(found, llm) {
+  const merged = { ...found };
+  if (!llm || typeof llm !== "object") return merged;
+  for (const key of ["fundingAmount", "fundingRound", "acquiredCompany", "acquirer", "eventDate"]) {
+    const v = llm[key];
+    if (merged[key] || typeof v !== "string" || !v.trim() || /^(null|none|n\/a|unknown)$/i.test(v.trim())) continue;
+    if (key === "eventDate" && !/^\d{4}-\d{2}-\d{2}$/.test(v.trim())) continue;
+    merged[key] = v.trim().slice(0, MAX_VALUE);
+  }
+  for (const key of ["investors", "partners"]) {
+    if (merged[key] || !Array.isArray(llm[key])) continue;
+    const names = llm[key].filter((n) => typeof n === "string" && n.trim()).map((n) => n.trim().slice(0, MAX_VALUE)).slice(0, MAX_NAMES);
+    if (names.length) merged[key] = names;
+  }
+  if (!merged.leadership && Array.isArray(llm.leadership)) {
+    const people = llm.leadership
+      .filter((l) => l && typeof l.name === "string" && l.name.trim() && typeof l.role === "string" && l.role.trim())
+      .map((l) => ({ name: l.name.trim().slice(0, MAX_VALUE), role: l.role.trim().slice(0, MAX_VALUE), change: l.change === "departed" ? "departed" : "appointed" }))
+      .slice(0, MAX_NAMES);
+    if (people.length) merged.leadership = people;
+  }
+  return merged;
+}
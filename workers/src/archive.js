@@ -0,0 +1,133 @@
+// Archive — content-addressed page snapshots with tier-based retention, for time-travel diffs.
+
+import { diffSequences, splitChunks } from "./diff.js";
+
+function prefix(userId) {
+  return userId ? "user_state:" + userId + ":" : "";
+}
+
+function indexKey(userId, compName, pageId) {
+  return prefix(userId) + "archive:index:" + compName + ":" + pageId;
+}
+
+function blobKey(userId, hash) {
+  return prefix(userId) + "archive:blob:" + hash;
+}
+
+function outlineKey(userId, hash) {
+  return prefix(userId) + "archive:outline:" + hash;
+}
+
+async function sha256(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ─── WRITE ───────────────────────────────────────────────────────────────────
+
+export async function loadArchiveIndex(env, userId, compName, pageId) {
+  try {
+    const raw = await env.STATE.get(indexKey(userId, compName, pageId));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadArchiveIndex] Failed to parse index for ${compName}/${pageId}: ${e.message}`);
+  }
+  return [];
+}
+
+// Stores `text` as the page's newest snapshot. Identical content shares one blob.
+// The newest blob and outline are stored without a TTL, however long the page stays the
+// same; a snapshot only starts expiring (historyDays after its date) once a newer one
+// replaces it. `previous` ({ text, date, outline }) seeds an empty index with the
+// pre-archive baseline. The page outline (outline.js) is stored next to the text under the
+// same hash; the scanner diffs structure against it, so unchanged text with a new outline
+// still updates it. Returns false when the text matches the newest snapshot.
+export async function archiveSnapshot(env, userId, compName, pageId, text, historyDays, previous, outline) {
+  if (!text) return false;
+  const hash = await sha256(text);
+  const days = historyDays || 90;
+  // KV options for a snapshot dated `date`: none for the newest, else expire `days` after it
+  const expiry = (date) => {
+    if (!date || days >= 99999) return undefined;
+    const left = Math.floor((new Date(date).getTime() + days * 86400000 - Date.now()) / 1000);
+    return { expirationTtl: Math.max(left, 60) };
+  };
+  const putBlob = (h, t, date) => env.STATE.put(blobKey(userId, h), t, expiry(date));
+  const putOutline = (h, o, date) => o ? env.STATE.put(outlineKey(userId, h), JSON.stringify(o), expiry(date)) : null;
+
+  const index = await loadArchiveIndex(env, userId, compName, pageId);
+  const newest = index[index.length - 1];
+  if (newest && newest.hash === hash) {
+    // Re-put without a TTL: baselines archived before the newest was kept indefinitely had one
+    await putBlob(hash, text);
+    await putOutline(hash, outline);
+    return false;
+  }
+
+  if (newest) {
+    // The old newest snapshot starts expiring now that it's history
+    const oldText = await env.STATE.get(blobKey(userId, newest.hash));
+    if (oldText !== null) await putBlob(newest.hash, oldText, newest.date);
+    const oldOutline = await env.STATE.get(outlineKey(userId, newest.hash));
+    if (oldOutline !== null) await env.STATE.put(outlineKey(userId, newest.hash), oldOutline, expiry(newest.date));
+  } else if (previous?.text && previous.text !== text) {
+    const prevHash = await sha256(previous.text);
+    const prevDate = previous.date || new Date().toISOString();
+    await putBlob(prevHash, previous.text, prevDate);
+    await putOutline(prevHash, previous.outline, prevDate);
+    index.push({ date: prevDate, hash: prevHash, size: previous.text.length });
+  }
+  await putBlob(hash, text);
+  await putOutline(hash, outline);
+
+  const cutoff = Date.now() - days * 86400000;
+  index.push({ date: new Date().toISOString(), hash, size: text.length });
+  // Always keep the latest entry so the current baseline stays reachable
+  const pruned = index.filter((e, i) => i === index.length - 1 || new Date(e.date).getTime() > cutoff);
+  await env.STATE.put(indexKey(userId, compName, pageId), JSON.stringify(pruned));
+  return true;
+}
+
+// ─── READ ────────────────────────────────────────────────────────────────────
+
+export async function loadSnapshot(env, userId, compName, pageId, hash) {
+  if (!hash || !/^[0-9a-f]{64}$/.test(hash)) return null;
+  const index = await loadArchiveIndex(env, userId, compName, pageId);
+  const entry = index.find((e) => e.hash === hash);
+  if (!entry) return null;
+  const text = await env.STATE.get(blobKey(userId, hash));
+  if (text === null) return null;
+  let outline = null;
+  try {
+    outline = JSON.parse((await env.STATE.get(outlineKey(userId, hash))) || "null");
+  } catch (e) {
+    console.log(`[loadSnapshot] Failed to parse outline ${hash}: ${e.message}`);
+  }
+  return { date: entry.date, hash, text, outline };
+}
+
+// Outline of the page's newest snapshot — the baseline for the next structure diff
+export async function loadLatestOutline(env, userId, compName, pageId) {
+  const index = await loadArchiveIndex(env, userId, compName, pageId);
+  if (index.length === 0) return null;
+  try {
+    return JSON.parse((await env.STATE.get(outlineKey(userId, index[index.length - 1].hash))) || "null");
+  } catch (e) {
+    console.log(`[loadLatestOutline] Failed to parse outline for ${compName}/${pageId}: ${e.message}`);
+    return null;
+  }
+}
+
+// ─── DIFF ────────────────────────────────────────────────────────────────────
+
+// Ordered chunk diff → [{ op: "eq" | "del" | "add", text }], adjacent ops merged.
+// Chunked and aligned the same way as computeTextDiff.
+export function diffSnapshots(oldText, newText) {
+  const ops = [];
+  for (const { op, item } of diffSequences(splitChunks(oldText), splitChunks(newText))) {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += " " + item;
+    else ops.push({ op, text: item });
+  }
+  return ops;
+}
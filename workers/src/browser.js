@@ -1,10 +1,12 @@
 // Browser Rendering — Puppeteer-based fallback for bot-blocked sites.
 
 import puppeteer from "@cloudflare/puppeteer";
-import { canSubrequest, trackSubrequest } from "./context.js";
+import { trackSubrequest, SUBREQUEST_LIMIT, SLACK_RESERVED } from "./context.js";
 import { isUrlSafe } from "./utils.js";
 
 const BROWSER_SUBREQUEST_COST = 5;
+const BROWSER_BUDGET = SUBREQUEST_LIMIT - SLACK_RESERVED; // a session must fit under this, like canSubrequest
+const BROWSER_USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
 
 const CHALLENGE_PATTERNS = [
   "cf-browser-verification",
@@ -25,10 +27,13 @@ export function isChallengeResponse(status, html) {
 
 const MIN_CONTENT_LENGTH = 1000;
 
-export async function fetchWithBrowser(ctx, env, url) {
+// One Browser Rendering session: load `url` and return { html, shot, diff } as asked —
+// `html` waits for JS-rendered text, `screenshot` captures a fixed viewport and
+// pixel-diffs it against `previousShot`. Null when skipped (no binding, SSRF, budget) or on error.
+export async function renderInBrowser(ctx, env, url, { html = false, screenshot = false, previousShot = null } = {}) {
   if (!env.BROWSER) return null;
   if (!isUrlSafe(url)) { console.log(`  Browser blocked (SSRF): ${url}`); return null; }
-  if (ctx.subrequestCount + BROWSER_SUBREQUEST_COST > 995) {
+  if (ctx.subrequestCount + BROWSER_SUBREQUEST_COST > BROWSER_BUDGET) {
     console.log(`  Browser skipped (subrequest budget: ${ctx.subrequestCount})`);
     return null;
   }
@@ -36,30 +41,32 @@ export async function fetchWithBrowser(ctx, env, url) {
   try {
     browser = await puppeteer.launch(env.BROWSER);
     const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36"
-    );
+    await page.setUserAgent(BROWSER_USER_AGENT);
+    if (screenshot) await page.setViewport(SCREENSHOT_VIEWPORT);
     // Use networkidle2 (allows 2 inflight requests) — better for JS-heavy SPAs
     await page.goto(url, { waitUntil: "networkidle2", timeout: 20000 });
-    // Wait for JS frameworks to render meaningful content
-    try {
-      await page.waitForFunction(
-        () => document.body && document.body.innerText.length > 200,
-        { timeout: 5000 }
-      );
-    } catch {} // Expected: some pages may never reach 200 chars of text
-    const content = await page.content();
-    const finalUrl = page.url();
+    const result = { html: null, shot: null, diff: null };
+    if (html) {
+      // Wait for JS frameworks to render meaningful content
+      try {
+        await page.waitForFunction(
+          () => document.body && document.body.innerText.length > 200,
+          { timeout: 5000 }
+        );
+      } catch {} // Expected: some pages may never reach 200 chars of text
+      result.html = await page.content();
+      if (page.url() !== url) console.log(`  Browser followed redirect: ${page.url()}`);
+    }
+    if (screenshot) {
+      // Fixed-size viewport capture (not fullPage) keeps KV values small and comparable run to run
+      result.shot = await page.screenshot({ type: "jpeg", quality: 60, encoding: "base64" });
+    }
     for (let i = 0; i < BROWSER_SUBREQUEST_COST; i++) trackSubrequest(ctx);
-    if (content.length < MIN_CONTENT_LENGTH) {
-      console.log(`  Browser rendered ${url} but content too small (${content.length} chars) — treating as blocked`);
-      console.log(`  Browser final URL: ${finalUrl}`);
-      console.log(`  Browser content preview: ${content.slice(0, 300).replace(/\n/g, " ")}`);
-      return null;
+    if (screenshot && previousShot) {
+      await page.goto("about:blank");
+      result.diff = await page.evaluate(pixelDiffInPage, previousShot, result.shot, DIFF_CELL_SIZE, DIFF_PIXEL_TOLERANCE);
     }
-    console.log(`  Browser rendered ${url} (${content.length} chars)`);
-    if (finalUrl !== url) console.log(`  Browser followed redirect: ${finalUrl}`);
-    return content;
+    return result;
   } catch (e) {
     console.log(`  Browser error ${url}: ${e.message}`);
     for (let i = 0; i < 2; i++) trackSubrequest(ctx);
@@ -69,6 +76,22 @@ export async function fetchWithBrowser(ctx, env, url) {
   }
 }
 
+// `capture` (optional, a visual page's { previousShot }) takes the screenshot in the same
+// session; its shot and diff are filled in when the rendered content is used.
+export async function fetchWithBrowser(ctx, env, url, capture = null) {
+  const rendered = await renderInBrowser(ctx, env, url, { html: true, screenshot: !!capture, previousShot: capture?.previousShot });
+  if (!rendered) return null;
+  const content = rendered.html;
+  if (content.length < MIN_CONTENT_LENGTH) {
+    console.log(`  Browser rendered ${url} but content too small (${content.length} chars) — treating as blocked`);
+    console.log(`  Browser content preview: ${content.slice(0, 300).replace(/\n/g, " ")}`);
+    return null;
+  }
+  console.log(`  Browser rendered ${url} (${content.length} chars)`);
+  if (capture) Object.assign(capture, { shot: rendered.shot, diff: rendered.diff });
+  return content;
+}
+
 export async function loadBrowserDomains(env) {
   try {
     const raw = await env.STATE.get("browser_domains");
@@ -81,3 +104,79 @@ export async function addBrowserDomain(env, domain, existingSet) {
   existingSet.add(domain);
   await env.STATE.put("browser_domains", JSON.stringify([...existingSet]), { expirationTtl: 604800 });
 }
+
+// ─── VISUAL CAPTURE ──────────────────────────────────────────────────────────
+
+const SCREENSHOT_VIEWPORT = { width: 1280, height: 2000 };
+const DIFF_CELL_SIZE = 16;
+const DIFF_PIXEL_TOLERANCE = 40; // per-channel delta below this is JPEG noise, not a change
+
+// Runs inside the headless browser: decodes both JPEGs onto canvases, compares
+// them cell by cell and returns the changed bounding box plus highlighted crops.
+async function pixelDiffInPage(beforeB64, afterB64, cellSize, tolerance) {
+  const load = (b64) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("image decode failed"));
+    img.src = "data:image/jpeg;base64," + b64;
+  });
+  const [a, b] = await Promise.all([load(beforeB64), load(afterB64)]);
+  const w = Math.min(a.width, b.width), h = Math.min(a.height, b.height);
+  const pixels = (img) => {
+    const c = document.createElement("canvas");
+    c.width = w; c.height = h;
+    const g = c.getContext("2d");
+    g.drawImage(img, 0, 0);
+    return g.getImageData(0, 0, w, h).data;
+  };
+  const pa = pixels(a), pb = pixels(b);
+  const cols = Math.ceil(w / cellSize), rows = Math.ceil(h / cellSize);
+  let changedCells = 0, minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      let changed = 0, total = 0;
+      for (let y = cy * cellSize; y < Math.min((cy + 1) * cellSize, h); y += 2) {
+        for (let x = cx * cellSize; x < Math.min((cx + 1) * cellSize, w); x += 2) {
+          const i = (y * w + x) * 4;
+          total++;
+          if (Math.abs(pa[i] - pb[i]) > tolerance || Math.abs(pa[i + 1] - pb[i + 1]) > tolerance || Math.abs(pa[i + 2] - pb[i + 2]) > tolerance) changed++;
+        }
+      }
+      if (total > 0 && changed / total > 0.1) {
+        changedCells++;
+        minX = Math.min(minX, cx); minY = Math.min(minY, cy);
+        maxX = Math.max(maxX, cx); maxY = Math.max(maxY, cy);
+      }
+    }
+  }
+  const ratio = changedCells / (cols * rows);
+  if (changedCells === 0) return { ratio: 0, region: null, before: null, after: null, sizeChanged: a.height !== b.height };
+  const pad = cellSize * 2;
+  const region = {
+    x: Math.max(0, minX * cellSize - pad),
+    y: Math.max(0, minY * cellSize - pad),
+  };
+  region.width = Math.min(w, (maxX + 1) * cellSize + pad) - region.x;
+  region.height = Math.min(h, (maxY + 1) * cellSize + pad) - region.y;
+  // Cap crop height so a page-wide change still yields a readable image
+  const cropH = Math.min(region.height, 900);
+  const crop = (img, highlight) => {
+    const c = document.createElement("canvas");
+    c.width = region.width; c.height = cropH;
+    const g = c.getContext("2d");
+    g.drawImage(img, region.x, region.y, region.width, cropH, 0, 0, region.width, cropH);
+    g.strokeStyle = highlight;
+    g.lineWidth = 4;
+    g.strokeRect(2, 2, region.width - 4, cropH - 4);
+    return c.toDataURL("image/jpeg", 0.7).split(",")[1];
+  };
+  return { ratio, region, before: crop(a, "#c23030"), after: crop(b, "#3d6b35"), sizeChanged: a.height !== b.height };
+}
+
+export async function captureScreenshot(ctx, env, url, previousShot) {
+  const rendered = await renderInBrowser(ctx, env, url, { screenshot: true, previousShot });
+  if (!rendered) return null;
+  const { shot, diff } = rendered;
+  console.log(`  Screenshot captured ${url}${diff ? ` (${(diff.ratio * 100).toFixed(1)}% changed)` : ""}`);
+  return { shot, diff };
+}
@@ -0,0 +1,159 @@
+// Changelog — parses release entries (date, version, title, body) out of changelog and
+// release-notes pages so each new entry alerts on its own, and tracks each page's
+// releases for the dashboard's cadence summary.
+//
+// Layouts tried in order: known hosted providers (by their entry container), <article>
+// per entry, then headings that carry a date or version number.
+
+import { htmlToText, findDate } from "./utils.js";
+
+const MAX_ENTRIES = 50;
+const MAX_SEEN = 200;
+const MAX_RELEASES = 50;
+const MAX_BLOCK = 20000;
+export const MAX_ENTRY_ALERTS = 5; // more new entries than this in one scan are indexed without alerts
+
+// Hosted changelog tools, recognised by their markup (they're often served on a custom domain)
+const PROVIDERS = [
+  { name: "headway", signature: /headwayapp\.co/i, container: "changelogItem" },
+  { name: "beamer", signature: /getbeamer\.com/i, container: "featurePost" },
+  { name: "canny", signature: /canny\.io/i, container: "changelogEntry" },
+];
+
+// "v2.4", "Version 2.4", "Release 3" — or any bare three-part number
+const VERSION_RE = /\b(?:v|version\s+|release\s+)(\d+(?:\.\d+){0,3}(?:-[0-9a-z.]+)?)\b|\b(\d+\.\d+\.\d+(?:-[0-9a-z.]+)?)\b/i;
+
+// ─── PARSING ─────────────────────────────────────────────────────────────────
+
+function findVersion(text) {
+  const m = text.match(VERSION_RE);
+  return m ? [m[1] || m[2], m[0]] : null;
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null; // Expected: malformed href
+  }
+}
+
+// Everything from each match of `openRe` up to the next one
+function splitAt(html, openRe) {
+  const starts = [];
+  let m;
+  while ((m = openRe.exec(html)) !== null) starts.push(m.index);
+  return starts.map((s, i) => html.slice(s, Math.min(starts[i + 1] ?? html.length, s + MAX_BLOCK)));
+}
+
+function parseBlock(block, baseUrl) {
+  const heading = block.match(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i);
+  const headingText = heading ? htmlToText(heading[1]) : "";
+  const text = htmlToText(block);
+  const time = block.match(/<time[^>]*datetime=["']([^"']+)["'][^>]*>([\s\S]*?)<\/time>/i);
+  const date = (time && findDate(time[1].slice(0, 10))) || findDate(headingText) || findDate(text.slice(0, 300));
+  const version = findVersion(headingText) || findVersion(text.slice(0, 200));
+
+  // A heading that's only a date or version number isn't a title — use the first sentence after it
+  let title = headingText;
+  for (const found of [date, version]) if (found) title = title.replace(found[1], "");
+  title = title.replace(/^[\s\-–—:|·•]+|[\s\-–—:|·•]+$/g, "");
+  let body = headingText && text.startsWith(headingText) ? text.slice(headingText.length).trim() : text;
+  for (const shown of [time && htmlToText(time[2]), date && date[1]]) {
+    if (shown && body.startsWith(shown)) body = body.slice(shown.length).trim();
+  }
+  if (title.length < 3) title = (body.match(/^.{3,120}?(?:[.!?](?=\s)|$)/) || [body.slice(0, 120)])[0];
+  if (!title) return null;
+
+  const id = block.match(/^<[a-z0-9]+[^>]*\sid=["']([^"']+)["']/i);
+  const link = (heading && heading[0].match(/href=["']([^"'#][^"']*)["']/i)) || block.match(/<a[^>]*href=["']([^"'#][^"']*)["']/i);
+  return {
+    date: date ? date[0] : null,
+    version: version ? version[0] : null,
+    title: title.slice(0, 200),
+    body: body.slice(0, 500),
+    url: id ? resolveUrl("#" + id[1], baseUrl) : link ? resolveUrl(link[1], baseUrl) : null,
+  };
+}
+
+function entriesFrom(blocks, baseUrl, { requireMarker = false } = {}) {
+  const entries = [];
+  const ids = new Set();
+  for (const block of blocks) {
+    const e = parseBlock(block, baseUrl);
+    if (!e || (requireMarker && !e.date && !e.version)) continue;
+    e.id = e.version ? "v:" + e.version.toLowerCase() : (e.date || "") + ":" + e.title.toLowerCase().slice(0, 80);
+    if (ids.has(e.id)) continue;
+    ids.add(e.id);
+    entries.push(e);
+  }
+  return entries.slice(0, MAX_ENTRIES);
+}
+
+// Entries in page order: [{ id, date, version, title, body, url }]. Empty when the layout
+// isn't recognised, in which case the page is diffed like any other.
+export function parseChangelog(html, baseUrl) {
+  const clean = (html || "")
+    .replace(/<(script|style|noscript|svg)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+
+  for (const p of PROVIDERS) {
+    if (!p.signature.test(html)) continue;
+    const re = new RegExp(`<(?:div|section|li|article)\\b[^>]*class=["'][^"']*\\b${p.container}\\b`, "gi");
+    const entries = entriesFrom(splitAt(clean, re), baseUrl);
+    if (entries.length > 0) return entries;
+  }
+
+  const articles = [...clean.matchAll(/<article\b[\s\S]*?<\/article>/gi)].map((m) => m[0]);
+  if (articles.length >= 2) {
+    const entries = entriesFrom(articles, baseUrl);
+    if (entries.some((e) => e.date || e.version)) return entries;
+  }
+
+  // Headings at the level where most headings carry a date or version; each entry runs
+  // to the next heading at that level
+  const byLevel = {};
+  for (const m of clean.matchAll(/<h([1-4])[^>]*>([\s\S]*?)<\/h\1>/gi)) {
+    const after = htmlToText(clean.slice(m.index + m[0].length, m.index + m[0].length + 600)).slice(0, 120);
+    const marked = findDate(htmlToText(m[2]) + " " + after) || findVersion(htmlToText(m[2]));
+    (byLevel[m[1]] ||= []).push({ at: m.index, marked });
+  }
+  const best = Object.values(byLevel).sort((a, b) => b.filter((h) => h.marked).length - a.filter((h) => h.marked).length)[0];
+  if (!best || best.filter((h) => h.marked).length < 2) return [];
+  const blocks = best.map((h, i) => h.marked && clean.slice(h.at, Math.min(best[i + 1]?.at ?? clean.length, h.at + MAX_BLOCK)));
+  return entriesFrom(blocks.filter(Boolean), baseUrl, { requireMarker: true });
+}
+
+// ─── TRACKING ────────────────────────────────────────────────────────────────
+
+// Remembers the page's entries and returns the ones not seen before — none the first time
+// a page is parsed. Undated new entries are dated to when they were first seen.
+export function trackEntries(ps, entries, today = new Date().toISOString().slice(0, 10)) {
+  const known = ps.entryIds ? new Set(ps.entryIds) : null;
+  const fresh = known ? entries.filter((e) => !known.has(e.id)) : [];
+  ps.entryIds = [...new Set([...entries.map((e) => e.id), ...(ps.entryIds || [])])].slice(0, MAX_SEEN);
+
+  const releases = new Map((ps.releases || []).map((r) => [r.id, r]));
+  for (const e of entries) {
+    if (releases.has(e.id)) continue;
+    releases.set(e.id, { id: e.id, date: e.date || (known ? today : null), version: e.version, title: e.title });
+  }
+  ps.releases = [...releases.values()]
+    .sort((a, b) => (b.date || "").localeCompare(a.date || ""))
+    .slice(0, MAX_RELEASES);
+  return fresh;
+}
+
+// Dashboard summary of a competitor's releases across its changelog pages
+export function releaseCadence(releases, now = Date.now()) {
+  const dated = releases.filter((r) => r.date && !isNaN(Date.parse(r.date)))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  if (dated.length === 0) return null;
+  const times = dated.map((r) => Date.parse(r.date));
+  const gaps = times.slice(0, 11).slice(1).map((t, i) => (times[i] - t) / 86400000).sort((a, b) => a - b);
+  return {
+    latest: { date: dated[0].date, version: dated[0].version, title: dated[0].title },
+    last90Days: times.filter((t) => now - t <= 90 * 86400000).length,
+    medianDaysBetween: gaps.length ? Math.round(gaps[Math.floor(gaps.length / 2)] * 10) / 10 : null,
+  };
+}
@@ -0,0 +1,162 @@
+// Channels — pluggable alert delivery. Each channel renders the shared digest natively
+// (Slack Block Kit, Teams Adaptive Card) and posts it to the user's incoming webhook.
+
+import { trackSubrequest } from "./context.js";
+import { formatDigestHeader, formatDigestBlocks, isValidSlackWebhook, sendSlack } from "./slack.js";
+
+const TEAMS_CARD_LIMIT = 24000;    // Teams rejects cards over ~28KB
+
+// ─── DIGEST ──────────────────────────────────────────────────────────────────
+
+// Channel-neutral digest of one scan: alerts grouped by priority plus a header.
+// `interactive` adds triage buttons where the channel supports them (Slack app installed).
+export function buildDigest(alerts, { skipped = 0, interactive = false } = {}) {
+  return {
+    header: formatDigestHeader(alerts),
+    interactive,
+    date: new Date().toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }),
+    total: alerts.length,
+    skipped,
+    high: alerts.filter((a) => a.priority === "high"),
+    medium: alerts.filter((a) => a.priority === "medium"),
+    low: alerts.filter((a) => a.priority === "low"),
+  };
+}
+
+// ─── SLACK ───────────────────────────────────────────────────────────────────
+
+// Digest as Block Kit (see formatDigestBlocks). `text` is the notification/fallback line.
+export function renderSlackBlocks(digest) {
+  return { text: digest.header, blocks: formatDigestBlocks(digest) };
+}
+
+// ─── MICROSOFT TEAMS ─────────────────────────────────────────────────────────
+
+export function isValidTeamsWebhook(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    if (u.protocol !== "https:" || u.username || u.password) return false;
+    const h = u.hostname;
+    // Classic connectors (*.webhook.office.com) and Workflows / Power Automate webhooks
+    return h === "outlook.office.com" ||
+      /^[a-z0-9-]+\.webhook\.office\.com$/.test(h) ||
+      /^[a-z0-9-]+(\.[a-z0-9-]+)*\.logic\.azure\.com$/.test(h) ||
+      /^[a-z0-9-]+(\.[a-z0-9-]+)*\.api\.powerplatform\.com$/.test(h);
+  } catch {
+    return false;
+  }
+}
+
+// Slack mrkdwn → the Markdown subset Adaptive Card TextBlocks render
+export function slackToMarkdown(text) {
+  return String(text || "")
+    .replace(/<([^|>\s]+)\|([^>]+)>/g, "[$2]($1)")
+    .replace(/<(https?:[^>\s]+)>/g, "$1")
+    .replace(/(^|[\s(])\*([^*\n]+)\*(?=[\s).,:;!?]|$)/gm, "$1**$2**")
+    .replace(/\n/g, "\n\n");
+}
+
+const TEAMS_SECTIONS = [
+  { key: "high", title: "\u{1F534} High priority", style: "attention" },
+  { key: "medium", title: "\u{1F7E1} Medium priority", style: "warning" },
+  { key: "low", title: "\u{1F535} Low priority", style: "default" },
+];
+
+export function renderTeamsCard(digest) {
+  const body = [
+    { type: "TextBlock", text: `ScopeHound Daily Report — ${digest.date}`, size: "Large", weight: "Bolder", wrap: true },
+    { type: "TextBlock", text: slackToMarkdown(digest.header.split("\n").pop()) + (digest.skipped > 0 ? ` _(${digest.skipped} lower-priority filtered)_` : ""), isSubtle: true, wrap: true, spacing: "None" },
+  ];
+  let size = 0;
+  let truncated = false;
+  for (const section of TEAMS_SECTIONS) {
+    const items = [];
+    for (const a of digest[section.key]) {
+      const text = slackToMarkdown(a.text);
+      if (size + text.length > TEAMS_CARD_LIMIT) { truncated = true; break; }
+      size += text.length;
+      items.push({ type: "TextBlock", text, wrap: true, separator: items.length > 0, spacing: "Medium" });
+    }
+    if (items.length === 0) continue;
+    body.push({
+      type: "Container", style: section.style, bleed: true, spacing: "Large",
+      items: [{ type: "TextBlock", text: section.title, weight: "Bolder", wrap: true }, ...items],
+    });
+  }
+  if (truncated) body.push({ type: "TextBlock", text: "_Digest truncated — view full details on your dashboard._", wrap: true, isSubtle: true });
+  return teamsMessage(body);
+}
+
+function teamsMessage(body) {
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard", version: "1.4", body,
+        msteams: { width: "Full" },
+      },
+    }],
+  };
+}
+
+export function renderTeamsText(text) {
+  return teamsMessage([{ type: "TextBlock", text: slackToMarkdown(text), wrap: true }]);
+}
+
+export async function sendTeams(ctx, webhookUrl, payload) {
+  if (!webhookUrl) return { ok: false, error: "no_webhook_url" };
+  if (!isValidTeamsWebhook(webhookUrl)) {
+    console.log(`[sendTeams] Rejected non-Teams webhook URL: ${webhookUrl}`);
+    return { ok: false, error: "invalid_webhook_domain" };
+  }
+  try {
+    trackSubrequest(ctx);
+    const r = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    // Workflows webhooks answer 202 Accepted
+    if (!r.ok) { console.log(`[TEAMS ERROR] ${r.status}`); return { ok: false, error: `teams_http_${r.status}` }; }
+    return { ok: true };
+  } catch (e) { console.log(`[TEAMS ERROR] ${e.message}`); return { ok: false, error: e.message }; }
+}
+
+// ─── REGISTRY ────────────────────────────────────────────────────────────────
+// To add a channel: a settings key for its webhook, a URL validator, and renderers for
+// a digest and a plain status line. runMonitor delivers to every channel the user
+// configured; routing rules (routing.js) can target any channel by URL.
+
+export const CHANNELS = {
+  slack: {
+    settingsKey: "slackWebhookUrl",
+    validate: isValidSlackWebhook,
+    renderDigest: renderSlackBlocks,
+    renderText: (text) => text,
+    send: sendSlack,
+  },
+  teams: {
+    settingsKey: "teamsWebhookUrl",
+    validate: isValidTeamsWebhook,
+    renderDigest: renderTeamsCard,
+    renderText: renderTeamsText,
+    send: sendTeams,
+  },
+};
+
+// Sends to every configured channel. `content` is a digest from buildDigest, or a
+// plain mrkdwn string for one-line status messages. Slack is always attempted so a
+// missing webhook still shows up in the delivery results (as before channels existed).
+export async function deliver(ctx, settings, content) {
+  const results = [];
+  for (const [channel, def] of Object.entries(CHANNELS)) {
+    const url = settings[def.settingsKey];
+    if (!url && channel !== "slack") continue;
+    const payload = typeof content === "string" ? def.renderText(content) : def.renderDigest(content);
+    const result = await def.send(ctx, url, payload);
+    results.push({ channel, ...result });
+  }
+  return results;
+}
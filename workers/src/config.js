@@ -7,10 +7,19 @@ export const DEFAULT_ANNOUNCEMENT_KEYWORDS = {
   partnership: ["partnership", "partners with", "teaming up", "collaboration", "integrates with", "integration"],
   acquisition: ["acquires", "acquired", "acquisition", "merger", "merged with"],
   events: ["webinar", "conference", "summit", "event", "keynote", "workshop"],
+  leadership: ["appoints", "appointed", "new ceo", "new cto", "new cfo", "steps down", "stepping down", "leadership team"],
   hiring: ["hiring", "we're growing", "join our team", "open positions", "careers"],
   product: ["launch", "launching", "introduces", "announcing", "new feature", "now available", "release"],
 };
 
+// USD value of one unit of each currency. Offline on purpose (no FX API calls during
+// scans); users can override individual rates via settings.fxRates.
+export const DEFAULT_FX_RATES = {
+  USD: 1, EUR: 1.08, GBP: 1.27, CAD: 0.73, AUD: 0.66, NZD: 0.6, CHF: 1.13, JPY: 0.0067,
+  INR: 0.012, SEK: 0.095, NOK: 0.093, DKK: 0.145, BRL: 0.18, KRW: 0.00073, SGD: 0.74,
+  MXN: 0.055, PLN: 0.25, HKD: 0.128,
+};
+
 // ─── TIER DEFINITIONS ────────────────────────────────────────────────────────
 
 export const TIERS = {
@@ -67,12 +76,20 @@ export async function loadConfig(env, userId) {
     competitors,
     settings: {
       slackWebhookUrl: settings.slackWebhookUrl || (userId ? null : env.SLACK_WEBHOOK_URL) || null,
+      teamsWebhookUrl: settings.teamsWebhookUrl || (userId ? null : env.TEAMS_WEBHOOK_URL) || null,
       productHuntTopics: settings.productHuntTopics || [],
       announcementKeywords: settings.announcementKeywords || DEFAULT_ANNOUNCEMENT_KEYWORDS,
       phMinVotes: settings.phMinVotes ?? 0,
+      feedWindow: settings.feedWindow || null,
       radarSubreddits: settings.radarSubreddits || [],
       slackMinPriority: settings.slackMinPriority || "low",
       _productMeta: settings._productMeta || null,
+      ownPlans: settings.ownPlans || [],
+      emailRecipients: settings.emailRecipients || [],
+      webhooks: settings.webhooks || [],
+      routing: settings.routing || { rules: [], fallback: true },
+      scanSchedule: settings.scanSchedule || null,
+      fxRates: { ...DEFAULT_FX_RATES, ...(settings.fxRates || {}) },
     },
   };
 }
@@ -0,0 +1,196 @@
+// Diff — Myers sequence diff over sentence chunks, with word-level diffs inside edited
+// sentences. computeTextDiff (utils.js) builds the structured page diff from these; the
+// renderers turn word diffs into Slack mrkdwn or AI prompt markup.
+
+const MAX_EDITS = 2000;          // beyond this the changed middle is treated as replaced wholesale
+const PAIR_SIMILARITY = 0.5;     // removed/added sentences at least this similar count as one edit
+const MAX_PAIRINGS = 400;        // larger replaced blocks aren't searched for edited sentences
+const MAX_CHANGES = 30;
+
+// ─── SEQUENCE DIFF ───────────────────────────────────────────────────────────
+
+// Page text → sentence/bullet chunks: split on paragraph breaks, bullet markers, or
+// sentence boundaries (not just .!?)
+export function splitChunks(text) {
+  return (text || "").split(/\n{2,}|(?<=[.!?])\s+|(?=[-•·▸])\s*/).map((s) => s.trim()).filter(Boolean);
+}
+
+// Shortest edit script between two arrays (Myers, O((N+M)·D)). Returns
+// [{ op: "eq" | "del" | "add", item }] in order.
+export function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: "eq", item: a[i] });
+  ops.push(...myers(a.slice(start, endA), b.slice(start, endB)));
+  for (let i = endA; i < a.length; i++) ops.push({ op: "eq", item: a[i] });
+  return ops;
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return [...a.map((item) => ({ op: "del", item })), ...b.map((item) => ({ op: "add", item }))];
+  const max = n + m;
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v[-d-1 … d+1] as it was before round d, for the backtrack
+  const trace = [];
+  for (let d = 0; d <= Math.min(max, MAX_EDITS); d++) {
+    trace.push(v.slice(off - d - 1, off + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+  return [...a.map((item) => ({ op: "del", item })), ...b.map((item) => ({ op: "add", item }))];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d];
+    const at = (k) => row[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ op: "eq", item: a[x] });
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ op: "add", item: b[prevY] });
+      else ops.push({ op: "del", item: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+// ─── WORD DIFF ───────────────────────────────────────────────────────────────
+
+function tokenize(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+// Word-level diff of two sentences → [{ op, text }] with adjacent ops merged
+export function diffWords(before, after) {
+  const words = [];
+  for (const { op, item } of diffSequences(tokenize(before), tokenize(after))) {
+    const last = words[words.length - 1];
+    if (last && last.op === op) last.text += item;
+    else words.push({ op, text: item });
+  }
+  return words;
+}
+
+// Share of words two sentences have in common (Dice coefficient, whitespace ignored)
+export function similarity(before, after) {
+  const a = tokenize(before).filter((t) => t.trim());
+  const b = tokenize(after).filter((t) => t.trim());
+  if (a.length + b.length === 0) return 1;
+  const common = diffSequences(a, b).filter((o) => o.op === "eq").length;
+  return (2 * common) / (a.length + b.length);
+}
+
+// Word diff as text, changed runs wrapped by `wrap.del` / `wrap.add` (surrounding spaces kept outside)
+export function renderWords(words, wrap) {
+  return words.map(({ op, text }) => {
+    if (op === "eq" || !text.trim()) return op === "del" ? "" : text;
+    const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return lead + wrap[op](core) + trail;
+  }).join("");
+}
+
+// ─── CHUNK CHANGES ───────────────────────────────────────────────────────────
+
+// Chunk ops → changes: { type: "added" | "removed", text }, { type: "modified", before,
+// after, words } for a removed sentence paired with a similar added one, and
+// { type: "moved", text } for a sentence removed in one place and added in another.
+export function toChanges(ops) {
+  const changes = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    const used = new Set();
+    const pair = dels.length * adds.length <= MAX_PAIRINGS;
+    for (const before of dels) {
+      const j = pair ? adds.findIndex((after, idx) => !used.has(idx) && similarity(before, after) >= PAIR_SIMILARITY) : -1;
+      if (j === -1) {
+        changes.push({ type: "removed", text: before });
+      } else {
+        used.add(j);
+        changes.push({ type: "modified", before, after: adds[j], words: diffWords(before, adds[j]) });
+      }
+    }
+    adds.forEach((text, idx) => { if (!used.has(idx)) changes.push({ type: "added", text }); });
+    dels = [];
+    adds = [];
+  };
+  for (const { op, item } of ops) {
+    if (op === "eq") flush();
+    else if (op === "del") dels.push(item);
+    else adds.push(item);
+  }
+  flush();
+
+  // The same sentence removed and added elsewhere is a move, not two changes
+  const removedAt = new Map();
+  changes.forEach((c, i) => {
+    if (c.type !== "removed") return;
+    if (!removedAt.has(c.text)) removedAt.set(c.text, []);
+    removedAt.get(c.text).push(i);
+  });
+  const drop = new Set();
+  changes.forEach((c, i) => {
+    const from = c.type === "added" && removedAt.get(c.text);
+    if (!from || from.length === 0) return;
+    drop.add(from.shift());
+    changes[i] = { type: "moved", text: c.text };
+  });
+  return changes.filter((_, i) => !drop.has(i));
+}
+
+// Words inserted plus words deleted, over the words on both sides (0 = identical, 1 = nothing shared)
+export function editRatio(changes, oldWords, newWords) {
+  const count = (t) => tokenize(t).filter((w) => w.trim()).length;
+  let edited = 0;
+  for (const c of changes) {
+    if (c.type === "added" || c.type === "removed") edited += count(c.text);
+    else if (c.type === "moved") edited += count(c.text) / 2;
+    else for (const w of c.words) if (w.op !== "eq") edited += count(w.text);
+  }
+  return Math.min(1, edited / Math.max(oldWords + newWords, 1));
+}
+
+// The page diff object: changes (capped), every added/removed chunk (both sides of an
+// edit), excerpts for alerts and the AI prompt, and the edit ratio.
+export function summarizeDiff(changes, changeRatio) {
+  const added = [];
+  const removed = [];
+  for (const c of changes) {
+    if (c.type === "added") added.push(c.text);
+    else if (c.type === "removed") removed.push(c.text);
+    else if (c.type === "modified") { removed.push(c.before); added.push(c.after); }
+  }
+  return {
+    changes: changes.slice(0, MAX_CHANGES),
+    added: added.slice(0, 15),
+    removed: removed.slice(0, 15),
+    beforeExcerpt: removed.slice(0, 5).join("\n").slice(0, 800),
+    afterExcerpt: added.slice(0, 5).join("\n").slice(0, 800),
+    changeRatio,
+  };
+}
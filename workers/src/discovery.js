@@ -7,7 +7,7 @@ import { fetchUrl, previewPageContent } from "./utils.js";
 
 export async function detectRssFeed(ctx, websiteUrl) {
   const base = websiteUrl.replace(/\/+$/, "");
-  const paths = ["/feed/", "/blog/feed/", "/rss.xml", "/blog/rss.xml", "/feed.xml", "/atom.xml"];
+  const paths = ["/feed/", "/blog/feed/", "/rss.xml", "/blog/rss.xml", "/feed.xml", "/atom.xml", "/feed.json"];
   for (const path of paths) {
     if (!canSubrequest(ctx)) break;
     try {
@@ -20,7 +20,8 @@ export async function detectRssFeed(ctx, websiteUrl) {
       if (r.ok) {
         const ct = r.headers.get("content-type") || "";
         const text = await r.text();
-        if (ct.includes("xml") || ct.includes("rss") || ct.includes("atom") || text.includes("<rss") || text.includes("<feed") || text.includes("<item>")) {
+        if (ct.includes("xml") || ct.includes("rss") || ct.includes("atom") || ct.includes("feed+json") ||
+          text.includes("<rss") || text.includes("<feed") || text.includes("<item") || text.includes("jsonfeed.org/version")) {
           return base + path;
         }
       }
@@ -31,7 +32,7 @@ export async function detectRssFeed(ctx, websiteUrl) {
   try {
     const html = await fetchUrl(ctx, base);
     if (html) {
-      const m = html.match(/<link[^>]*type=["']application\/(rss|atom)\+xml["'][^>]*href=["']([^"']+)["']/i);
+      const m = html.match(/<link[^>]*type=["']application\/(rss\+xml|atom\+xml|feed\+json)["'][^>]*href=["']([^"']+)["']/i);
       if (m) {
         const href = m[2];
         return href.startsWith("http") ? href : base + href;
@@ -45,6 +46,27 @@ export async function detectRssFeed(ctx, websiteUrl) {
 
 // ─── PAGE DISCOVERY ─────────────────────────────────────────────────────────
 
+// URL path patterns for each page type, most specific first
+export const PAGE_PATTERNS = [
+  { match: ["pricing", "plans", "plan", "price"], type: "pricing", label: "Pricing" },
+  { match: ["products", "shop", "store", "catalog", "collections"], type: "general", label: "Products" },
+  { match: ["changelog", "release-notes", "releases", "whats-new"], type: "changelog", label: "Changelog" },
+  { match: ["blog", "news", "updates", "articles"], type: "blog", label: "Blog" },
+  { match: ["careers", "jobs", "hiring", "join", "work-with-us"], type: "careers", label: "Careers" },
+  { match: ["features", "product", "solutions"], type: "general", label: "Features" },
+];
+
+// A segment matches a keyword whole or as one of its hyphenated words ("pricing-plans")
+function matchesPattern(pattern, segments) {
+  return pattern.match.some(m => segments.some(s => s === m || s.split("-").includes(m)));
+}
+
+// The first of `patterns` a URL path matches, or null
+export function classifyPath(path, patterns = PAGE_PATTERNS) {
+  const segments = path.toLowerCase().split("/").filter(Boolean);
+  return patterns.find(p => matchesPattern(p, segments)) || null;
+}
+
 export async function discoverPages(ctx, websiteUrl) {
   const base = websiteUrl.replace(/\/+$/, "");
   const origin = new URL(base).origin;
@@ -56,7 +78,7 @@ export async function discoverPages(ctx, websiteUrl) {
     if (!html) return pages;
     htmlCache[base] = html;
     // Extract RSS from <link> tags
-    const rssMatch = html.match(/<link[^>]*type=["']application\/(rss|atom)\+xml["'][^>]*href=["']([^"']+)["']/i);
+    const rssMatch = html.match(/<link[^>]*type=["']application\/(rss\+xml|atom\+xml|feed\+json)["'][^>]*href=["']([^"']+)["']/i);
     let rssUrl = null;
     if (rssMatch) {
       rssUrl = rssMatch[2].startsWith("http") ? rssMatch[2] : origin + rssMatch[2];
@@ -74,20 +96,13 @@ export async function discoverPages(ctx, websiteUrl) {
       links.push({ href: href.split("?")[0].split("#")[0], path });
     }
     // Match against known patterns
-    const patterns = [
-      { match: ["pricing", "plans", "plan", "price"], type: "pricing", label: "Pricing" },
-      { match: ["products", "shop", "store", "catalog", "collections"], type: "general", label: "Products" },
-      { match: ["blog", "news", "updates", "changelog", "articles"], type: "blog", label: "Blog" },
-      { match: ["careers", "jobs", "hiring", "join", "work-with-us"], type: "careers", label: "Careers" },
-      { match: ["features", "product", "solutions"], type: "general", label: "Features" },
-    ];
     const productKeywords = new Set(["products", "shop", "store", "catalog", "collections"]);
-    for (const p of patterns) {
+    for (const p of PAGE_PATTERNS) {
       const isProductPattern = p.match.some(m => productKeywords.has(m));
       const matched = [];
       for (const link of links) {
         const segments = link.path.split("/").filter(Boolean);
-        if (p.match.some(m => segments.some(s => s === m || s.split("-").includes(m)))) {
+        if (matchesPattern(p, segments)) {
           if (!seen.has(link.href)) {
             matched.push({ link, depth: segments.length, segments });
           }
@@ -0,0 +1,311 @@
+// Emails — HTML digest rendering, pluggable transports, per-recipient schedules and
+// signed unsubscribe links.
+
+import { canSubrequest, trackSubrequest } from "./context.js";
+import { isHostedMode } from "./auth.js";
+import { buildDigest } from "./channels.js";
+import { isValidTimezone, localDate } from "./scheduler.js";
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+const WEEKLY_MS = 7 * 86400000;
+const QUEUE_MAX = 200;
+export const EMAIL_FREQUENCIES = ["daily", "weekly", "off"];
+
+const SECTIONS = [
+  { key: "high", title: "High priority", color: "#c0392b" },
+  { key: "medium", title: "Medium priority", color: "#b7950b" },
+  { key: "low", title: "Low priority", color: "#2e6da4" },
+];
+
+function prefix(userId) {
+  return userId ? "user_state:" + userId + ":" : "";
+}
+
+export function settingsKey(userId) {
+  return userId ? "user_config:" + userId + ":settings" : "config:settings";
+}
+
+// Absolute origin for links in emails. Hosted mode defaults to the public app.
+export function publicBaseUrl(env) {
+  if (env.PUBLIC_URL) return env.PUBLIC_URL.replace(/\/+$/, "");
+  return isHostedMode(env) ? "https://worker.scopehound.app" : null;
+}
+
+// ─── RENDERING ───────────────────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// One line of Slack mrkdwn → inline HTML (links, *bold*, _italic_)
+function inlineHtml(line) {
+  const out = [];
+  let last = 0;
+  const linkRe = /<(https?:\/\/[^|>\s]+)(?:\|([^>]+))?>/g;
+  let m;
+  const fmt = (s) => esc(s)
+    .replace(/(^|[\s(|])\*([^*\n]+)\*(?=[\s).,:;!?|]|$)/g, "$1<strong>$2</strong>")
+    .replace(/(^|[\s(])_([^_\n]+)_(?=[\s).,:;!?]|$)/g, "$1<em>$2</em>");
+  while ((m = linkRe.exec(line)) !== null) {
+    out.push(fmt(line.slice(last, m.index)));
+    out.push(`<a href="${esc(m[1])}" style="color:#5c6b3c">${esc(m[2] || m[1])}</a>`);
+    last = m.index + m[0].length;
+  }
+  out.push(fmt(line.slice(last)));
+  return out.join("");
+}
+
+// Alert text (Slack mrkdwn) → an HTML block. Bullet runs become lists.
+export function alertToHtml(text) {
+  const html = [];
+  let list = null;
+  for (const raw of String(text || "").split("\n")) {
+    const bullet = raw.match(/^\s*[•-]\s+(.*)$/);
+    if (bullet && raw.trim() !== "---") {
+      if (!list) list = [];
+      list.push(`<li>${inlineHtml(bullet[1])}</li>`);
+      continue;
+    }
+    if (list) { html.push(`<ul style="margin:4px 0 8px;padding-left:20px">${list.join("")}</ul>`); list = null; }
+    if (raw.trim() === "") continue;
+    if (raw.trim() === "---") { html.push('<hr style="border:none;border-top:1px solid #e5e7eb;margin:12px 0">'); continue; }
+    html.push(`<p style="margin:0 0 6px">${inlineHtml(raw)}</p>`);
+  }
+  if (list) html.push(`<ul style="margin:4px 0 8px;padding-left:20px">${list.join("")}</ul>`);
+  return html.join("\n");
+}
+
+function alertToText(text) {
+  return String(text || "")
+    .replace(/<(https?:\/\/[^|>\s]+)\|([^>]+)>/g, "$2 ($1)")
+    .replace(/<(https?:\/\/[^>\s]+)>/g, "$1")
+    .replace(/\*([^*\n]+)\*/g, "$1");
+}
+
+// Renders a digest (see channels.buildDigest) as { subject, html, text }.
+// Dashboard and unsubscribe URLs must be absolute and specific to the recipient.
+export function renderEmailDigest(digest, { frequency = "daily", dashboardUrl, unsubscribeUrl } = {}) {
+  const label = frequency === "weekly" ? "Weekly" : "Daily";
+  const counts = SECTIONS.filter((s) => digest[s.key].length > 0).map((s) => `${digest[s.key].length} ${s.key}`);
+  const subject = `ScopeHound ${label} Report — ${digest.total} change${digest.total === 1 ? "" : "s"}` +
+    (digest.high.length > 0 ? ` (${digest.high.length} high priority)` : "");
+
+  const sections = [];
+  const textParts = [`ScopeHound ${label} Report — ${digest.date}`, `${digest.total} change(s) detected: ${counts.join(", ")}`];
+  for (const s of SECTIONS) {
+    const alerts = digest[s.key];
+    if (alerts.length === 0) continue;
+    sections.push(`<tr><td style="padding:20px 24px 4px"><h2 style="margin:0;font-size:15px;text-transform:uppercase;letter-spacing:0.05em;color:${s.color}">${s.title} (${alerts.length})</h2></td></tr>`);
+    textParts.push(`\n== ${s.title.toUpperCase()} ==`);
+    for (const a of alerts) {
+      sections.push(`<tr><td style="padding:8px 24px"><div style="border:1px solid #e5e7eb;border-left:4px solid ${s.color};border-radius:2px;padding:12px 16px;font-size:14px;line-height:1.5;color:#1f2937">${alertToHtml(a.text)}</div></td></tr>`);
+      textParts.push(alertToText(a.text));
+    }
+  }
+  if (dashboardUrl) textParts.push(`\nOpen your dashboard: ${dashboardUrl}`);
+  if (unsubscribeUrl) textParts.push(`Unsubscribe: ${unsubscribeUrl}`);
+
+  const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${esc(subject)}</title></head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6"><tr><td align="center" style="padding:24px 12px">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;background:#ffffff;border-radius:2px">
+<tr><td style="background:#12161a;padding:20px 24px;color:#d4d8de"><div style="font-size:18px;font-weight:700;text-transform:uppercase;letter-spacing:0.05em">Scope<span style="color:#7a8c52">Hound</span> ${label} Report</div><div style="font-size:13px;color:#9ca3af;margin-top:4px">${esc(digest.date)} · ${esc(counts.join(", "))}${digest.skipped > 0 ? ` · ${digest.skipped} lower-priority filtered` : ""}</div></td></tr>
+${sections.join("\n")}
+${dashboardUrl ? `<tr><td style="padding:20px 24px" align="center"><a href="${esc(dashboardUrl)}" style="display:inline-block;background:#5c6b3c;color:#ffffff;padding:12px 24px;border-radius:2px;font-weight:700;font-size:13px;text-transform:uppercase;letter-spacing:0.05em;text-decoration:none">Open dashboard</a></td></tr>` : ""}
+<tr><td style="padding:16px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280">You receive this ${frequency} digest because you are subscribed to ScopeHound alerts.${unsubscribeUrl ? ` <a href="${esc(unsubscribeUrl)}" style="color:#6b7280">Unsubscribe</a>` : ""}</td></tr>
+</table></td></tr></table></body></html>`;
+
+  return { subject, html, text: textParts.join("\n\n") };
+}
+
+// ─── UNSUBSCRIBE TOKENS ──────────────────────────────────────────────────────
+
+async function hmacHex(secret, message) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, enc.encode(message));
+  return Array.from(new Uint8Array(sig)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function unsubscribeSecret(env) {
+  return env.JWT_SECRET || env.ADMIN_TOKEN || null;
+}
+
+export async function signUnsubscribe(env, userId, email) {
+  const secret = unsubscribeSecret(env);
+  if (!secret) return null;
+  return hmacHex(secret, `unsubscribe:${userId || ""}:${email.toLowerCase()}`);
+}
+
+export async function verifyUnsubscribe(env, userId, email, token) {
+  if (!email || !token || !/^[0-9a-f]{64}$/.test(token)) return false;
+  const expected = await signUnsubscribe(env, userId, email);
+  if (!expected) return false;
+  let mismatch = 0;
+  for (let i = 0; i < expected.length; i++) mismatch |= expected.charCodeAt(i) ^ token.charCodeAt(i);
+  return mismatch === 0;
+}
+
+export async function unsubscribeUrl(env, userId, email) {
+  const base = publicBaseUrl(env);
+  const token = await signUnsubscribe(env, userId, email);
+  if (!base || !token) return null;
+  const qs = new URLSearchParams({ e: email });
+  if (userId) qs.set("u", userId);
+  qs.set("t", token);
+  return `${base}/unsubscribe?${qs}`;
+}
+
+// Normalizes recipients from a settings save. Addresses that unsubscribed through
+// their email link stay suppressed — an admin re-adding them doesn't resubscribe them.
+// Suppressed addresses the admin dropped are kept so they can't be re-added later.
+export function mergeEmailRecipients(existing, incoming) {
+  const suppressed = new Map(existing.filter((r) => r.unsubscribedAt).map((r) => [r.email.toLowerCase(), r]));
+  const merged = incoming.map((r) => {
+    const email = r.email.trim();
+    const prior = suppressed.get(email.toLowerCase());
+    suppressed.delete(email.toLowerCase());
+    if (prior) return { ...prior, minPriority: r.minPriority || prior.minPriority || "low" };
+    return { email, frequency: r.frequency || "daily", minPriority: r.minPriority || "low" };
+  });
+  return [...merged, ...suppressed.values()];
+}
+
+// Marks the recipient as unsubscribed. Returns false if they were not on the list.
+export async function unsubscribeRecipient(env, userId, email) {
+  const key = settingsKey(userId);
+  const raw = await env.STATE.get(key);
+  if (!raw) return false;
+  const settings = JSON.parse(raw);
+  const target = email.toLowerCase();
+  const recipient = (settings.emailRecipients || []).find((r) => r.email.toLowerCase() === target);
+  if (!recipient) return false;
+  recipient.frequency = "off";
+  recipient.unsubscribedAt = new Date().toISOString();
+  await env.STATE.put(key, JSON.stringify(settings));
+  return true;
+}
+
+// ─── TRANSPORTS ──────────────────────────────────────────────────────────────
+// A transport is { name, send(ctx, message) → { ok, error? } } where message is
+// { to, subject, html, text, headers }.
+
+// JSON email API (Resend-compatible: POST { from, to, subject, html, text, headers }
+// with a bearer key). Most providers and SMTP relays expose this shape.
+function httpTransport(env) {
+  return {
+    name: "http",
+    async send(ctx, message) {
+      try {
+        trackSubrequest(ctx);
+        const r = await fetch(env.EMAIL_API_URL, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: "Bearer " + env.EMAIL_API_KEY },
+          body: JSON.stringify({ from: env.EMAIL_FROM, to: [message.to], subject: message.subject, html: message.html, text: message.text, headers: message.headers }),
+        });
+        if (!r.ok) { console.log(`[EMAIL ERROR] ${r.status}`); return { ok: false, error: `email_http_${r.status}` }; }
+        return { ok: true };
+      } catch (e) { console.log(`[EMAIL ERROR] ${e.message}`); return { ok: false, error: e.message }; }
+    },
+  };
+}
+
+// Local stub — records messages in KV instead of sending (tests, wrangler dev).
+function stubTransport(env) {
+  return {
+    name: "stub",
+    async send(ctx, message) {
+      let outbox = [];
+      try { outbox = JSON.parse((await env.STATE.get("email_outbox")) || "[]"); } catch {} // Expected: corrupt outbox is reset
+      outbox.push({ ...message, sentAt: new Date().toISOString() });
+      await env.STATE.put("email_outbox", JSON.stringify(outbox.slice(-20)), { expirationTtl: 86400 });
+      console.log(`[email:stub] ${message.to}: ${message.subject}`);
+      return { ok: true };
+    },
+  };
+}
+
+export function getEmailTransport(env) {
+  if (env.EMAIL_TRANSPORT === "stub") return stubTransport(env);
+  if (env.EMAIL_API_URL && env.EMAIL_API_KEY && env.EMAIL_FROM) return httpTransport(env);
+  return null;
+}
+
+export async function sendEmail(ctx, env, userId, to, rendered) {
+  const transport = getEmailTransport(env);
+  if (!transport) return { ok: false, error: "email_not_configured" };
+  if (!canSubrequest(ctx)) return { ok: false, error: "subrequest_budget" };
+  const unsub = await unsubscribeUrl(env, userId, to);
+  const headers = unsub ? { "List-Unsubscribe": `<${unsub}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" } : {};
+  return transport.send(ctx, { to, subject: rendered.subject, html: rendered.html, text: rendered.text, headers });
+}
+
+// ─── DIGEST DELIVERY ─────────────────────────────────────────────────────────
+
+// Alerts waiting for the next daily or weekly send. Daily queues record the local date
+// of their last send (`lastSent`), weekly queues when they started (`since`).
+async function loadDigestQueue(env, userId, frequency) {
+  try {
+    const raw = await env.STATE.get(prefix(userId) + "email_" + frequency);
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadDigestQueue] Failed to parse ${frequency} queue: ${e.message}`);
+  }
+  return frequency === "daily" ? { lastSent: null, alerts: [] } : { since: new Date().toISOString(), alerts: [] };
+}
+
+// Sends each subscribed recipient their digest. Every scan's alerts are queued; daily
+// recipients get the queue on the first scan of each calendar day (in the scan schedule's
+// timezone), weekly recipients get everything queued since their last weekly send. A queue
+// is only emptied once all its recipients' sends succeeded; after a failure (provider error,
+// subrequest budget) the alerts stay queued and the next scan tries again.
+export async function deliverEmailDigests(ctx, env, settings, alerts, userId) {
+  const recipients = (settings.emailRecipients || []).filter((r) => r.frequency === "daily" || r.frequency === "weekly");
+  if (recipients.length === 0) return [];
+  if (!getEmailTransport(env)) {
+    console.log("[deliverEmailDigests] Email recipients configured but no transport (set EMAIL_API_URL, EMAIL_API_KEY, EMAIL_FROM)");
+    return [];
+  }
+  const base = publicBaseUrl(env);
+  const dashboardUrl = base ? base + "/dashboard" : null;
+
+  const queues = {};
+  for (const frequency of ["daily", "weekly"]) {
+    if (!recipients.some((r) => r.frequency === frequency)) continue;
+    const queue = await loadDigestQueue(env, userId, frequency);
+    queue.alerts.push(...alerts);
+    queue.alerts = queue.alerts.slice(-QUEUE_MAX);
+    queues[frequency] = queue;
+  }
+  const tz = settings.scanSchedule?.timezone;
+  const timezone = tz && isValidTimezone(tz) ? tz : "UTC";
+  const today = localDate(new Date(), timezone);
+  const due = {
+    daily: queues.daily && queues.daily.alerts.length > 0 && queues.daily.lastSent !== today,
+    weekly: queues.weekly && Date.now() - new Date(queues.weekly.since).getTime() >= WEEKLY_MS,
+  };
+
+  const results = [];
+  for (const r of recipients) {
+    const source = due[r.frequency] ? queues[r.frequency].alerts : [];
+    const minRank = PRIORITY_RANK[r.minPriority] || 1;
+    const picked = source.filter((a) => a.watch || (PRIORITY_RANK[a.priority] || 1) >= minRank);
+    if (picked.length === 0) continue;
+    const rendered = renderEmailDigest(buildDigest(picked, { skipped: source.length - picked.length }), {
+      frequency: r.frequency, dashboardUrl, unsubscribeUrl: await unsubscribeUrl(env, userId, r.email),
+    });
+    const result = await sendEmail(ctx, env, userId, r.email, rendered);
+    results.push({ channel: "email", to: r.email, frequency: r.frequency, ...result });
+  }
+  const sent = (frequency) => due[frequency] && results.every((r) => r.frequency !== frequency || r.ok);
+
+  if (queues.daily) {
+    const next = sent("daily") ? { lastSent: today, alerts: [] } : queues.daily;
+    await env.STATE.put(prefix(userId) + "email_daily", JSON.stringify(next));
+  }
+  if (queues.weekly) {
+    const next = sent("weekly") ? { since: new Date().toISOString(), alerts: [] } : queues.weekly;
+    await env.STATE.put(prefix(userId) + "email_weekly", JSON.stringify(next));
+  }
+  return results;
+}
@@ -0,0 +1,172 @@
+// Feeds — RSS 2.0, RSS 1.0 (RDF), Atom and JSON Feed parsing for blog monitoring.
+// Every format comes out as the same post shape; see parseFeed.
+
+import { htmlToText } from "./utils.js";
+
+export const DEFAULT_FEED_WINDOW = 20;
+export const MAX_FEED_WINDOW = 100;
+const MAX_SUMMARY = 500;
+const MAX_CONTENT = 5000;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// CDATA sections are taken verbatim; everything else has XML entities decoded
+function decodeXml(s) {
+  return s.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, cdata, ent) => {
+    if (cdata !== undefined) return cdata;
+    if (ent[0] === "#") {
+      const code = ent[1].toLowerCase() === "x" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return m; // Expected: out-of-range code point
+      }
+    }
+    return ENTITIES[ent.toLowerCase()] ?? m;
+  });
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Every <name …>…</name> (or self-closing <name …/>) in `xml` → [{ attrs, body }]
+function elements(xml, name) {
+  const re = new RegExp(`<${escapeRe(name)}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${escapeRe(name)}>)`, "gi");
+  return [...xml.matchAll(re)].map((m) => ({ attrs: m[1], body: m[2] ?? "" }));
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`(?:^|\\s)${escapeRe(name)}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i"));
+  return m ? decodeXml(m[1] ?? m[2]) : null;
+}
+
+// Decoded text of the first matching element among `names`, or null
+function text(xml, ...names) {
+  for (const name of names) {
+    const el = elements(xml, name)[0];
+    if (el && el.body.trim()) return decodeXml(el.body).trim();
+  }
+  return null;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const t = Date.parse(String(value).trim());
+  return isNaN(t) ? null : new Date(t).toISOString();
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return "";
+  try {
+    return new URL(href.trim(), baseUrl || undefined).href;
+  } catch {
+    return href.trim(); // Expected: relative link without a base URL
+  }
+}
+
+// Feed text is often escaped twice ("&amp;apos;"), so entities left after tag stripping are decoded too
+function plain(html) {
+  return html ? decodeXml(htmlToText(html)) : "";
+}
+
+function post({ id, title, link, published, updated, authors, categories, summary, content }) {
+  const plainContent = plain(content).slice(0, MAX_CONTENT);
+  const plainSummary = summary ? plain(summary).slice(0, MAX_SUMMARY) : plainContent.slice(0, MAX_SUMMARY);
+  const cleanTitle = plain(title);
+  return {
+    id: id || link || cleanTitle,
+    title: cleanTitle || "Untitled",
+    link: link || "",
+    published: toIso(published) || toIso(updated),
+    updated: toIso(updated),
+    authors: [...new Set((authors || []).map((a) => a.trim()).filter(Boolean))],
+    categories: [...new Set((categories || []).map((c) => c.trim()).filter(Boolean))],
+    summary: plainSummary,
+    content: plainContent,
+  };
+}
+
+// ─── FORMATS ─────────────────────────────────────────────────────────────────
+
+function parseJsonFeed(feed, baseUrl) {
+  return (Array.isArray(feed.items) ? feed.items : []).map((item) => post({
+    id: item.id != null ? String(item.id) : null,
+    title: item.title,
+    link: resolveUrl(item.url || item.external_url, feed.home_page_url || baseUrl),
+    published: item.date_published,
+    updated: item.date_modified,
+    authors: (item.authors || (item.author ? [item.author] : feed.authors || [])).map((a) => a?.name || ""),
+    categories: Array.isArray(item.tags) ? item.tags.map(String) : [],
+    summary: item.summary,
+    content: item.content_html || item.content_text,
+  }));
+}
+
+function parseAtom(xml, baseUrl) {
+  return elements(xml, "entry").map(({ body }) => {
+    // The entry's own page: rel="alternate" or no rel at all (self/edit/replies point elsewhere)
+    const links = elements(body, "link");
+    const alt = links.find((l) => (attr(l.attrs, "rel") || "alternate") === "alternate") || links[0];
+    return post({
+      id: text(body, "id"),
+      title: text(body, "title"),
+      link: resolveUrl(alt ? attr(alt.attrs, "href") : null, baseUrl),
+      published: text(body, "published", "issued"),
+      updated: text(body, "updated", "modified"),
+      authors: elements(body, "author").map((a) => text(a.body, "name") || ""),
+      categories: elements(body, "category").map((c) => attr(c.attrs, "label") || attr(c.attrs, "term") || ""),
+      summary: text(body, "summary"),
+      content: text(body, "content"),
+    });
+  });
+}
+
+// RSS 2.0 and RSS 1.0/RDF share <item>; RDF puts the permalink in rdf:about and Dublin Core dates
+function parseRss(xml, baseUrl) {
+  return elements(xml, "item").map(({ attrs, body }) => {
+    const guid = text(body, "guid");
+    const link = text(body, "link") || attr(attrs, "rdf:about") ||
+      (guid && /^https?:\/\//i.test(guid) && attr(elements(body, "guid")[0].attrs, "isPermaLink") !== "false" ? guid : null);
+    // <author> is usually "email (Name)"
+    const authors = [
+      ...elements(body, "author").map((a) => decodeXml(a.body).replace(/^\S+@\S+\s*\((.*)\)$/, "$1")),
+      ...elements(body, "dc:creator").map((a) => decodeXml(a.body)),
+    ];
+    return post({
+      id: guid || attr(attrs, "rdf:about"),
+      title: text(body, "title"),
+      link: resolveUrl(link, baseUrl),
+      published: text(body, "pubDate", "dc:date"),
+      updated: text(body, "atom:updated"),
+      authors,
+      categories: [...elements(body, "category"), ...elements(body, "dc:subject")].map((c) => decodeXml(c.body)),
+      summary: text(body, "description"),
+      content: text(body, "content:encoded"),
+    });
+  });
+}
+
+// ─── PARSER ──────────────────────────────────────────────────────────────────
+
+// Posts newest first (feed order when some are undated), at most `limit`:
+// [{ id, title, link, published, updated, authors, categories, summary, content }]
+// with summary/content as plain text. Unrecognised input yields [].
+export function parseFeed(body, { limit = DEFAULT_FEED_WINDOW, baseUrl = null } = {}) {
+  const raw = (body || "").replace(/^\uFEFF/, "").trim();
+  let posts = [];
+  if (raw.startsWith("{")) {
+    try {
+      posts = parseJsonFeed(JSON.parse(raw), baseUrl);
+    } catch (e) {
+      console.log(`[parseFeed] Invalid JSON feed: ${e.message}`);
+    }
+  } else {
+    const xml = raw.replace(/<!--[\s\S]*?-->/g, "");
+    posts = /<feed\b/i.test(xml) && /<entry\b/i.test(xml) ? parseAtom(xml, baseUrl) : parseRss(xml, baseUrl);
+  }
+  if (posts.length > 0 && posts.every((p) => p.published)) {
+    posts.sort((a, b) => b.published.localeCompare(a.published));
+  }
+  return posts.slice(0, limit);
+}
@@ -0,0 +1,92 @@
+// Page health — consecutive fetch failures, last error and last success per page, plus
+// moved-page detection from permanent redirects. Stored on the page's monitor state
+// (`ps.health`) and surfaced as alerts and dashboard badges.
+
+export const DEGRADED_AFTER = 3; // failed scans in a row before monitoring is reported degraded
+
+const REASON_TEXT = {
+  ssrf_blocked: "blocked by SSRF protection",
+  invalid_url: "invalid URL",
+  challenge: "bot challenge",
+  timeout: "timed out",
+  network_error: "network error",
+};
+
+export function describeFetchError(err) {
+  if (!err) return "unknown error";
+  if (err.reason === "http_error") return `HTTP ${err.status}`;
+  const text = REASON_TEXT[err.reason] || err.reason || "unknown error";
+  return err.reason === "challenge" && err.status ? `${text} (HTTP ${err.status})` : text;
+}
+
+// Host without www + path without trailing slash + query: http→https, www and slash
+// redirects aren't moves.
+function pageIdentity(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    return u.hostname.replace(/^www\./, "") + u.pathname.replace(/\/+$/, "") + u.search;
+  } catch {
+    return urlStr; // Expected: malformed URL
+  }
+}
+
+// Failures a later attempt may get past: timeouts, network errors, rate limits and server
+// errors. Blocked, malformed and 4xx URLs and budget skips fail the same way every time.
+export function isTransientFailure(outcome) {
+  if (outcome.reason === "timeout" || outcome.reason === "network_error") return true;
+  return outcome.reason === "http_error" && (outcome.status === 429 || outcome.status >= 500);
+}
+
+// A failed fetch. Earlier attempts of a run are retried, so only the last attempt counts
+// toward consecutive failures; running out of subrequest budget isn't the page's fault.
+// Returns "degraded" when the page first reaches DEGRADED_AFTER failures, else null.
+export function recordFailure(ps, outcome, { lastAttempt = true, date = new Date().toISOString() } = {}) {
+  if (outcome.reason === "budget") return null;
+  const health = ps.health || (ps.health = { consecutiveFailures: 0 });
+  health.lastError = {
+    reason: outcome.reason || "network_error", date,
+    ...(outcome.status ? { status: outcome.status } : {}),
+    ...(outcome.error ? { error: outcome.error } : {}),
+  };
+  if (!lastAttempt) return null;
+  health.consecutiveFailures = (health.consecutiveFailures || 0) + 1;
+  if (health.consecutiveFailures < DEGRADED_AFTER || health.degradedSince) return null;
+  health.degradedSince = date;
+  return "degraded";
+}
+
+// A successful fetch of `url`. Returns the health events to report: "recovered" after a
+// degraded spell, "moved" when the page now permanently redirects somewhere new.
+export function recordSuccess(ps, url, outcome, date = new Date().toISOString()) {
+  const health = ps.health || (ps.health = {});
+  const events = [];
+  if (health.degradedSince) events.push("recovered");
+  health.consecutiveFailures = 0;
+  delete health.degradedSince;
+  health.lastSuccess = date;
+
+  const target = outcome.redirectedTo;
+  const moved = target && outcome.permanent && pageIdentity(target) !== pageIdentity(url) ? target : null;
+  if (moved && health.movedTo !== moved) events.push("moved");
+  if (moved) health.movedTo = moved;
+  else delete health.movedTo;
+  return events;
+}
+
+// Dashboard summary: status is degraded, failing (recent failures below the threshold),
+// moved, ok — or null for pages never fetched.
+export function pageHealth(ps) {
+  const health = ps?.health;
+  if (!health) return null;
+  const status = health.degradedSince ? "degraded"
+    : health.consecutiveFailures > 0 ? "failing"
+    : health.movedTo ? "moved"
+    : "ok";
+  return {
+    status,
+    consecutiveFailures: health.consecutiveFailures || 0,
+    lastError: health.lastError || null,
+    lastSuccess: health.lastSuccess || null,
+    movedTo: health.movedTo || null,
+  };
+}
@@ -0,0 +1,299 @@
+// Hiring — job postings parsed from careers pages and ATS job boards (schema.org JobPosting,
+// Greenhouse, Lever, then job links on any careers page), tracked per page as openings and
+// closings. Each competitor keeps a daily series of open roles by department so hiring
+// velocity can be charted.
+
+import { htmlToText } from "./utils.js";
+
+const MAX_JOBS = 300;
+const MAX_TITLE = 120;
+export const HIRING_SURGE = 3; // roles opened in one department this month that make the alert headline
+
+// Department buckets, first match wins — so "Data Engineer" is Data and "Solutions Engineer" Sales
+const DEPARTMENTS = [
+  ["ML/AI", /\b(machine learning|ml|ai|deep learning|llm|nlp|computer vision|research scientist|applied scientist)\b/i],
+  ["Data", /\b(data|analytics|bi)\b/i],
+  ["Sales", /\b(sales|account executive|account manager|sdr|bdr|business development|solutions? (?:engineer|consultant)|pre-?sales|revenue)\b/i],
+  ["Engineering", /\b(engineer(?:ing)?|developer|devops|sre|architect|software|front-?end|back-?end|full[- ]?stack|infrastructure|platform|security|qa|mobile|ios|android|r&d)\b/i],
+  ["Design", /\b(design(?:er)?|ux|ui|brand)\b/i],
+  ["Marketing", /\b(marketing|growth|content|seo|communications|demand gen(?:eration)?|community)\b/i],
+  ["Product", /\bproduct\b/i],
+  ["Customer Success", /\b(customer|support|success|onboarding|implementation)\b/i],
+  ["People", /\b(people|recruit(?:er|ing)|talent|hr|human resources)\b/i],
+  ["Finance", /\b(finance|accounting|accountant|controller|fp&a|tax|payroll)\b/i],
+  ["Legal", /\b(legal|counsel|compliance|privacy)\b/i],
+  ["Operations", /\b(operations|ops|office|workplace|administrative|assistant)\b/i],
+];
+
+const SENIORITY = [
+  ["intern", /\b(intern|internship|apprentice|working student)\b/i],
+  ["executive", /\b(chief|ceo|cto|cfo|coo|cmo|cro|cpo|vp|svp|evp|vice president|head of|general manager)\b/i],
+  ["director", /\bdirector\b/i],
+  ["manager", /\b(?:engineering|team|people|design|data science|support|sales) manager\b|\b(?:tech(?:nical)?|team) lead\b/i],
+  ["staff", /\b(staff|principal|distinguished|lead)\b/i],
+  ["senior", /\b(senior|sr\.?)(?=\s|$)/i],
+  ["junior", /\b(junior|jr\.?|entry[- ]level|graduate|new grad)(?=\s|$)/i],
+];
+
+// Words nearly every job title contains; keeps "Benefits" or "Life at Acme" links out
+const ROLE_WORD = /\b(engineer|developer|manager|designer|scientist|analyst|specialist|representative|executive|director|lead|architect|consultant|recruiter|coordinator|associate|intern|officer|writer|marketer|administrator|accountant|counsel|head|vp|advocate|strategist|researcher|technician|operator|agent|editor|partner|owner|assistant|sdr|bdr)s?\b/i;
+const JOB_HREF = /\/(?:jobs?|careers?|positions?|openings?|vacanc(?:y|ies)|roles?|postings?)\/[^"'#?\s]+|(?:boards|job-boards)\.greenhouse\.io\/|jobs\.lever\.co\/|jobs\.ashbyhq\.com\/|apply\.workable\.com\//i;
+const LOCATION_HINT = /\b([Rr]emote|[Hh]ybrid|[Oo]n-?site|[Aa]nywhere)\b[^|·•\n]{0,40}|\b[A-Z][a-zA-Z .'-]{2,25}, (?:[A-Z]{2}|[A-Z][a-z]+(?: [A-Z][a-z]+)?)\b/;
+
+// ─── CLASSIFICATION ──────────────────────────────────────────────────────────
+
+// The listed team decides, except that ML/AI titles count as ML/AI wherever they're listed
+export function departmentOf(department, title) {
+  if (DEPARTMENTS[0][1].test(title)) return DEPARTMENTS[0][0];
+  for (const text of [department, title]) {
+    if (!text) continue;
+    const hit = DEPARTMENTS.find(([, re]) => re.test(text));
+    if (hit) return hit[0];
+  }
+  return "Other";
+}
+
+export function seniorityOf(title) {
+  const hit = SENIORITY.find(([, re]) => re.test(title));
+  return hit ? hit[0] : "mid";
+}
+
+// ─── PARSING ─────────────────────────────────────────────────────────────────
+
+const clean = (s) => htmlToText(s || "").slice(0, MAX_TITLE);
+
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null; // Expected: malformed href
+  }
+}
+
+function job({ title, department, location, url }) {
+  const t = (title || "").trim();
+  if (t.length < 3) return null;
+  return {
+    id: url || `${t}|${location || ""}`.toLowerCase(),
+    title: t,
+    department: departmentOf(department, t),
+    listedDepartment: department || null,
+    location: location || null,
+    seniority: seniorityOf(t),
+    url: url || null,
+  };
+}
+
+// schema.org JobPosting in JSON-LD (standalone, in arrays, @graph or an ItemList)
+function jsonLdJobs(html, baseUrl) {
+  const found = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    const types = [].concat(node["@type"] || []);
+    if (types.includes("JobPosting")) {
+      const places = [].concat(node.jobLocation || []).map((l) => {
+        const a = l?.address || {};
+        return typeof a === "string" ? a : [a.addressLocality, a.addressRegion, a.addressCountry?.name || a.addressCountry].filter(Boolean).join(", ");
+      }).filter(Boolean);
+      if (node.jobLocationType === "TELECOMMUTE") places.unshift("Remote");
+      found.push(job({
+        title: clean(node.title),
+        department: clean(node.department || node.occupationalCategory || node.hiringOrganization?.department?.name) || null,
+        location: places.join(" · ") || null,
+        url: node.url ? resolveUrl(node.url, baseUrl) : null,
+      }));
+    }
+    visit(node["@graph"]);
+    visit(node.itemListElement);
+    visit(node.item);
+  };
+  for (const m of html.matchAll(/<script[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      visit(JSON.parse(m[1].trim()));
+    } catch {
+      // Expected: malformed JSON-LD
+    }
+  }
+  return found.filter(Boolean);
+}
+
+// Department headings in page order, for postings listed under them
+function headingsOf(html) {
+  const re = /<h[2-4][^>]*>([\s\S]*?)<\/h[2-4]>|<div[^>]*class=["'][^"']*posting-category-title[^"']*["'][^>]*>([\s\S]*?)<\/div>/gi;
+  return [...html.matchAll(re)].map((m) => ({ at: m.index, text: clean(m[1] ?? m[2]) }));
+}
+
+function headingBefore(headings, at) {
+  let text = null;
+  for (const h of headings) {
+    if (h.at > at) break;
+    text = h.text;
+  }
+  return text;
+}
+
+function classText(block, cls) {
+  const m = block.match(new RegExp(`<[a-z0-9]+[^>]*class=["'][^"']*\\b${cls}\\b[^"']*["'][^>]*>([\\s\\S]*?)</[a-z0-9]+>`, "i"));
+  return m ? clean(m[1]) : null;
+}
+
+// Greenhouse (classic "opening" divs and the newer "job-post" rows) and Lever "posting" blocks
+function boardJobs(html, baseUrl) {
+  const headings = headingsOf(html);
+  const jobs = [];
+  const greenhouse = /<div[^>]*class=["']opening["'][^>]*>([\s\S]*?)<\/div>|<tr[^>]*class=["'][^"']*\bjob-post\b[^"']*["'][^>]*>([\s\S]*?)<\/tr>/gi;
+  for (const m of html.matchAll(greenhouse)) {
+    const block = m[1] ?? m[2];
+    const link = block.match(/<a[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/i);
+    if (!link) continue;
+    const paras = [...link[2].matchAll(/<p[^>]*>([\s\S]*?)<\/p>/gi)].map((p) => clean(p[1]));
+    jobs.push(job({
+      title: paras[0] || clean(link[2]),
+      department: headingBefore(headings, m.index),
+      location: classText(block, "location") || paras[1] || null,
+      url: resolveUrl(link[1], baseUrl),
+    }));
+  }
+  const lever = /<div[^>]*class=["']posting["'][^>]*>([\s\S]*?)(?=<div[^>]*class=["']posting["']|<div[^>]*posting-category-title|$)/gi;
+  for (const m of html.matchAll(lever)) {
+    const block = m[1];
+    const link = block.match(/<a[^>]*class=["'][^"']*posting-title[^"']*["'][^>]*href=["']([^"']+)["']|<a[^>]*href=["']([^"']+)["'][^>]*class=["'][^"']*posting-title/i);
+    const title = block.match(/<h5[^>]*>([\s\S]*?)<\/h5>/i);
+    if (!title) continue;
+    jobs.push(job({
+      title: clean(title[1]),
+      department: classText(block, "department") || headingBefore(headings, m.index),
+      location: classText(block, "location"),
+      url: link ? resolveUrl(link[1] || link[2], baseUrl) : null,
+    }));
+  }
+  return jobs.filter(Boolean);
+}
+
+// Any careers page: links to job pages whose text reads like a job title
+function linkedJobs(html, baseUrl) {
+  const headings = headingsOf(html);
+  const jobs = [];
+  const links = [...html.matchAll(/<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)];
+  links.forEach((m, i) => {
+    if (!JOB_HREF.test(m[1])) return;
+    const inner = m[2];
+    // Cards often put title, team and location in separate elements inside the link
+    const first = inner.match(/<(h[1-6]|p|span|div|strong)[^>]*>([\s\S]*?)<\/\1>/i);
+    const title = clean(first ? first[2] : inner);
+    if (!ROLE_WORD.test(title) || title.length > 100) return;
+    const end = m.index + m[0].length;
+    const after = html.slice(end, Math.min(links[i + 1]?.index ?? html.length, end + 400));
+    const rest = htmlToText(inner).slice(title.length) + " " + htmlToText(after);
+    const loc = classText(inner, "location") || classText(after, "location") || (rest.match(LOCATION_HINT) || [null])[0];
+    jobs.push(job({
+      title,
+      department: classText(inner, "department") || classText(inner, "team") || headingBefore(headings, m.index),
+      location: loc ? loc.trim() : null,
+      url: resolveUrl(m[1], baseUrl),
+    }));
+  });
+  return jobs.filter(Boolean);
+}
+
+// Open roles in page order: [{ id, title, department, listedDepartment, location, seniority, url }].
+// `department` is a normalised bucket ("Engineering", "ML/AI", …) from the listed team or the
+// title. Empty when no postings are recognised, in which case the page is diffed as text.
+export function parseJobs(html, baseUrl) {
+  const source = html || "";
+  const stripped = source
+    .replace(/<(script|style|noscript|svg)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+  for (const jobs of [jsonLdJobs(source, baseUrl), boardJobs(stripped, baseUrl), linkedJobs(stripped, baseUrl)]) {
+    if (jobs.length === 0) continue;
+    const seen = new Set();
+    return jobs.filter((j) => !seen.has(j.id) && seen.add(j.id)).slice(0, MAX_JOBS);
+  }
+  return [];
+}
+
+// ─── TRACKING ────────────────────────────────────────────────────────────────
+
+// Remembers the page's open roles and returns what opened and closed since the last scan —
+// nothing the first time. Roles already open at the baseline have no `firstSeen`, so they
+// don't count as opened this month.
+export function trackJobs(ps, jobs, today = new Date().toISOString().slice(0, 10)) {
+  const known = ps.jobs ? new Map(ps.jobs.map((j) => [j.id, j])) : null;
+  const ids = new Set(jobs.map((j) => j.id));
+  const opened = known ? jobs.filter((j) => !known.has(j.id)) : [];
+  const closed = known ? [...known.values()].filter((j) => !ids.has(j.id)) : [];
+  ps.jobs = jobs.map(({ listedDepartment, ...j }) => ({
+    ...j,
+    firstSeen: known ? (known.has(j.id) ? known.get(j.id).firstSeen : today) : null,
+  }));
+  return { opened, closed };
+}
+
+// A competitor's open roles across its careers pages' states, each role once (a careers
+// page and the ATS board it links to list the same postings)
+export function openRoles(pageStates) {
+  const seen = new Set();
+  return pageStates.flatMap((ps) => ps?.jobs || []).filter((j) => !seen.has(j.id) && seen.add(j.id));
+}
+
+const countBy = (jobs) => jobs.reduce((acc, j) => ({ ...acc, [j.department]: (acc[j.department] || 0) + 1 }), {});
+
+// Open roles by department and what opened this calendar month, across a competitor's
+// careers pages: { open, openedThisMonth, departments: [{ department, open, openedThisMonth }] }
+export function hiringSummary(jobs, now = new Date()) {
+  if (!jobs.length) return null;
+  const month = now.toISOString().slice(0, 7);
+  const fresh = jobs.filter((j) => j.firstSeen && j.firstSeen.startsWith(month));
+  const open = countBy(jobs);
+  const opened = countBy(fresh);
+  return {
+    open: jobs.length,
+    openedThisMonth: fresh.length,
+    departments: Object.keys(open)
+      .map((department) => ({ department, open: open[department], openedThisMonth: opened[department] || 0 }))
+      .sort((a, b) => b.openedThisMonth - a.openedThisMonth || b.open - a.open),
+  };
+}
+
+// Alert headline: a department that opened HIRING_SURGE+ roles this month, else the count
+export function hiringHeadline(compName, opened, summary) {
+  const surge = summary?.departments.find((d) => d.openedThisMonth >= HIRING_SURGE && opened.some((j) => j.department === d.department));
+  if (surge) return { text: `${compName} opened ${surge.openedThisMonth} ${surge.department} roles this month`, surge: true };
+  return { text: `${compName} posted ${opened.length} new role${opened.length === 1 ? "" : "s"}`, surge: false };
+}
+
+// ─── TIME SERIES ─────────────────────────────────────────────────────────────
+
+function seriesKey(userId, compName) {
+  return (userId ? "user_state:" + userId + ":" : "") + "hiring_history:" + compName;
+}
+
+export async function loadHiringHistory(env, userId, compName) {
+  try {
+    const raw = await env.STATE.get(seriesKey(userId, compName));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadHiringHistory] Failed to parse hiring history for ${compName}: ${e.message}`);
+  }
+  return [];
+}
+
+// One point per day: { date, open: { department: n }, opened: {…}, closed: {…} }. A second
+// scan the same day replaces `open` and adds to opened/closed. Pruned by the history window.
+export async function recordHiringSnapshot(env, userId, compName, jobs, opened, closed, historyDays) {
+  const series = await loadHiringHistory(env, userId, compName);
+  const date = new Date().toISOString().slice(0, 10);
+  let point = series[series.length - 1];
+  if (!point || point.date !== date) {
+    point = { date, open: {}, opened: {}, closed: {} };
+    series.push(point);
+  }
+  point.open = countBy(jobs);
+  for (const [field, list] of [["opened", opened], ["closed", closed]]) {
+    for (const [dept, n] of Object.entries(countBy(list))) point[field][dept] = (point[field][dept] || 0) + n;
+  }
+  const cutoff = new Date(Date.now() - (historyDays || 90) * 86400000).toISOString().slice(0, 10);
+  const pruned = series.filter((p, i) => i === series.length - 1 || p.date > cutoff);
+  await env.STATE.put(seriesKey(userId, compName), JSON.stringify(pruned));
+}
@@ -11,10 +11,15 @@
 import { createContext } from "./context.js";
 import { isHostedMode } from "./auth.js";
 import { handleScheduled } from "./routes/scheduled.js";
+import { handleScanQueue } from "./routes/scan-queue.js";
 import { handleSlackCommands } from "./routes/slack-commands.js";
+import { handleSlackInteractions } from "./routes/slack-interactions.js";
 import { handleApi } from "./routes/api.js";
 import { handlePages } from "./routes/pages.js";
 
+// Durable Object classes bound in wrangler.toml
+export { ScanRunStore } from "./queue.js";
+
 // ─── WORKER ENTRY POINT ─────────────────────────────────────────────────────
 
 export default {
@@ -22,6 +27,10 @@ export default {
     cfCtx.waitUntil(handleScheduled(env, event.cron));
   },
 
+  async queue(batch, env) {
+    await handleScanQueue(batch, env);
+  },
+
   async fetch(request, env, cfCtx) {
     const ctx = createContext();
     const url = new URL(request.url);
@@ -59,7 +68,7 @@ export default {
     if (/^\/(wp-|wordpress|cgi-bin|phpmyadmin|mysql|cpanel|webmail|autodiscover|remote|telescope|debug|actuator|console|manager|jmx|\.well-known\/security|vendor\/phpunit|_profiler|elmah|trace\.axd|owa\/|ecp\/|exchange|aspnet)/i.test(lp)) {
       return new Response("Not Found", { status: 404, headers: { "Cache-Control": "public, max-age=86400" } });
     }
-    const validPrefixes = ["/", "/signin", "/auth/", "/api/", "/setup", "/dashboard", "/billing", "/partner/", "/privacy", "/support", "/test", "/state", "/history", "/reset", "/run", "/robots.txt", "/admin"];
+    const validPrefixes = ["/", "/signin", "/auth/", "/api/", "/setup", "/dashboard", "/billing", "/partner/", "/privacy", "/support", "/test", "/state", "/history", "/reset", "/run", "/robots.txt", "/admin", "/unsubscribe"];
     if (path !== "/" && !validPrefixes.some(p => p === "/" ? false : lp.startsWith(p.toLowerCase()))) {
       return new Response("Not Found", { status: 404, headers: { "Cache-Control": "public, max-age=86400" } });
     }
@@ -67,7 +76,7 @@ export default {
     // ── robots.txt ──
     if (path === "/robots.txt") {
       return new Response(
-        `User-agent: *\nAllow: /signin\nAllow: /privacy\nAllow: /support\nAllow: /partner/apply\nDisallow: /dashboard\nDisallow: /setup\nDisallow: /billing\nDisallow: /api/\nDisallow: /auth/\nDisallow: /admin\nDisallow: /test\nDisallow: /state\nDisallow: /history\nDisallow: /reset\n\nSitemap: https://scopehound.app/sitemap.xml`,
+        `User-agent: *\nAllow: /signin\nAllow: /privacy\nAllow: /support\nAllow: /partner/apply\nDisallow: /dashboard\nDisallow: /setup\nDisallow: /billing\nDisallow: /api/\nDisallow: /auth/\nDisallow: /admin\nDisallow: /test\nDisallow: /state\nDisallow: /history\nDisallow: /reset\nDisallow: /unsubscribe\n\nSitemap: https://scopehound.app/sitemap.xml`,
         { headers: { "Content-Type": "text/plain", "Cache-Control": "public, max-age=86400" } }
       );
     }
@@ -77,6 +86,11 @@ export default {
       return handleSlackCommands(ctx, request, env, cfCtx, url);
     }
 
+    // ── Slack interactivity (triage buttons; needs cfCtx for waitUntil) ──
+    if (path === "/api/slack/interactions" && request.method === "POST") {
+      return handleSlackInteractions(ctx, request, env, cfCtx);
+    }
+
     // ── API + auth routes ──
     if (path.startsWith("/api/") || path.startsWith("/auth/")) {
       const response = await handleApi(ctx, request, env, url, path, allowedOrigin);
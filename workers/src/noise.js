@@ -0,0 +1,189 @@
+// Noise suppression — user ignore patterns (per competitor and per page) and learned
+// volatile chunks. Both are applied to computeTextDiff output before a change alerts.
+// A chunk is learned as volatile once it has flipped between added and removed
+// VOLATILE_FLIPS times, or when a user marks its change as noise from Slack; users can
+// un-ignore it, which stops it being learned again.
+
+import { loadConfig } from "./config.js";
+import { summarizeDiff } from "./diff.js";
+
+export const MAX_IGNORE_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+export const VOLATILE_FLIPS = 2;
+const FLIP_LOG_MAX = 100;
+const VOLATILE_MAX = 50;
+
+// ─── IGNORE PATTERNS ─────────────────────────────────────────────────────────
+
+// "/regex/flags" is a regular expression; anything else is a phrase. Both ignore case.
+function compilePattern(pattern) {
+  const m = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (m) {
+    const flags = m[2].replace(/[gy]/g, ""); // stateful flags would make test() skip matches
+    return new RegExp(m[1], flags.includes("i") ? flags : flags + "i");
+  }
+  return { test: (s) => s.toLowerCase().includes(pattern.toLowerCase()) };
+}
+
+// Returns an error message, or null when the list is valid.
+export function validateIgnorePatterns(patterns) {
+  if (!Array.isArray(patterns)) return "ignorePatterns must be an array of phrases or /regex/ strings";
+  if (patterns.length > MAX_IGNORE_PATTERNS) return `Maximum ${MAX_IGNORE_PATTERNS} ignore patterns`;
+  for (const p of patterns) {
+    if (typeof p !== "string" || !p.trim()) return "Ignore patterns must be non-empty strings";
+    if (p.length > MAX_PATTERN_LENGTH) return `Ignore patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+    try {
+      compilePattern(p);
+    } catch (e) {
+      return `Invalid ignore pattern ${p}: ${e.message}`;
+    }
+  }
+  return null;
+}
+
+// Competitor-wide patterns plus the page's own. Invalid entries (stored before validation) are skipped.
+export function compileIgnorePatterns(competitor, page) {
+  const matchers = [];
+  for (const p of [...(competitor?.ignorePatterns || []), ...(page?.ignorePatterns || [])]) {
+    try {
+      matchers.push(compilePattern(p));
+    } catch (e) {
+      console.log(`[compileIgnorePatterns] Skipping ${p}: ${e.message}`);
+    }
+  }
+  return matchers;
+}
+
+// ─── VOLATILE CHUNKS ─────────────────────────────────────────────────────────
+
+function chunkKey(chunk) {
+  return chunk.replace(/\s+/g, " ").trim().toLowerCase().slice(0, 300);
+}
+
+// Records which way each diffed chunk moved. Returns the chunks that just became volatile.
+export function learnVolatile(ps, diff, date = new Date().toISOString()) {
+  const flips = ps.chunkFlips || {};
+  const allowed = new Set(ps.noiseAllow || []);
+  const volatile = ps.volatile || [];
+  const known = new Set(volatile.map((v) => chunkKey(v.text)));
+  const learned = [];
+  const observe = (chunk, dir) => {
+    const key = chunkKey(chunk);
+    const entry = flips[key] || { dir, flips: 0 };
+    if (entry.dir !== dir) entry.flips++;
+    entry.dir = dir;
+    entry.seen = date;
+    flips[key] = entry;
+    if (entry.flips >= VOLATILE_FLIPS && !allowed.has(key) && !known.has(key)) {
+      known.add(key);
+      learned.push({ text: chunk.slice(0, 300), since: date, flips: entry.flips });
+    }
+  };
+  for (const chunk of diff.added) observe(chunk, "added");
+  for (const chunk of diff.removed) observe(chunk, "removed");
+
+  // Keep the most recently seen chunks only
+  const keys = Object.keys(flips);
+  if (keys.length > FLIP_LOG_MAX) {
+    keys.sort((a, b) => (flips[b].seen || "").localeCompare(flips[a].seen || ""));
+    for (const key of keys.slice(FLIP_LOG_MAX)) delete flips[key];
+  }
+  ps.chunkFlips = flips;
+  if (learned.length > 0) ps.volatile = volatile.concat(learned).slice(-VOLATILE_MAX);
+  return learned;
+}
+
+// Suppresses a triaged change's chunks on later scans. An explicit mark overrides an
+// earlier un-ignore. Returns how many chunks were added.
+export function markNoise(ps, chunks, date = new Date().toISOString()) {
+  const volatile = ps.volatile || [];
+  const known = new Set(volatile.map((v) => chunkKey(v.text)));
+  const keys = new Set();
+  const marked = [];
+  for (const chunk of chunks) {
+    const key = chunkKey(chunk || "");
+    if (!key) continue;
+    keys.add(key);
+    if (known.has(key)) continue;
+    known.add(key);
+    marked.push({ text: chunk.slice(0, 300), since: date, marked: true });
+  }
+  if (ps.noiseAllow) ps.noiseAllow = ps.noiseAllow.filter((k) => !keys.has(k));
+  if (marked.length > 0) ps.volatile = volatile.concat(marked).slice(-VOLATILE_MAX);
+  return marked.length;
+}
+
+// Reconciles a scan's copy of a page state with the stored one: chunks marked as noise or
+// un-ignored while the scan ran win, chunks the scan learned are kept.
+export function mergeNoiseState(ps, stored) {
+  const allowed = new Set(stored.noiseAllow || []);
+  const seen = new Set();
+  const volatile = [...(stored.volatile || []), ...(ps.volatile || [])].filter((v) => {
+    const key = chunkKey(v.text);
+    if (seen.has(key) || allowed.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (stored.noiseAllow) ps.noiseAllow = stored.noiseAllow;
+  else delete ps.noiseAllow;
+  if (volatile.length > 0) ps.volatile = volatile.slice(-VOLATILE_MAX);
+  else delete ps.volatile;
+  if (ps.chunkFlips) for (const key of allowed) delete ps.chunkFlips[key];
+}
+
+// ─── FILTERING ───────────────────────────────────────────────────────────────
+
+// Drops changes whose chunks match an ignore pattern or were learned as volatile (an edited
+// sentence only when both its sides are noise). Returns the diff rebuilt from what's left
+// plus how many changes were suppressed.
+export function filterNoise(diff, matchers, volatile) {
+  const volatileKeys = new Set((volatile || []).map((v) => chunkKey(v.text)));
+  const noise = (chunk) => volatileKeys.has(chunkKey(chunk)) || matchers.some((m) => m.test(chunk));
+  const kept = diff.changes.filter((c) => c.type === "modified" ? !(noise(c.before) && noise(c.after)) : !noise(c.text));
+  const suppressed = diff.changes.length - kept.length;
+  if (suppressed === 0) return { diff, suppressed };
+  return { diff: summarizeDiff(kept, diff.changeRatio * kept.length / diff.changes.length), suppressed };
+}
+
+// ─── UN-IGNORE ───────────────────────────────────────────────────────────────
+
+// Ignore patterns and learned chunks for every configured page, for the dashboard's Noise tab
+export async function listNoise(env, userId) {
+  const stateKey = userId ? "user_state:" + userId + ":monitor" : "monitor_state";
+  let state = null;
+  try {
+    state = JSON.parse((await env.STATE.get(stateKey)) || "null");
+  } catch (e) {
+    console.log(`[listNoise] Failed to parse monitor state: ${e.message}`);
+  }
+  const { competitors } = await loadConfig(env, userId);
+  return competitors.map((c) => ({
+    name: c.name,
+    ignorePatterns: c.ignorePatterns || [],
+    pages: (c.pages || []).map((p) => ({
+      id: p.id, label: p.label, url: p.url,
+      ignorePatterns: p.ignorePatterns || [],
+      volatile: state?.competitors?.[c.name]?.pages?.[p.id]?.volatile || [],
+    })),
+  }));
+}
+
+// Stops suppressing a learned chunk, and keeps it from being learned again.
+// Returns false if the page or chunk isn't known.
+export async function unignoreChunk(env, userId, competitor, pageId, text) {
+  const stateKey = userId ? "user_state:" + userId + ":monitor" : "monitor_state";
+  let state;
+  try {
+    state = JSON.parse((await env.STATE.get(stateKey)) || "null");
+  } catch (e) {
+    console.log(`[unignoreChunk] Failed to parse monitor state: ${e.message}`);
+  }
+  const ps = state?.competitors?.[competitor]?.pages?.[pageId];
+  const key = chunkKey(text);
+  if (!ps || !(ps.volatile || []).some((v) => chunkKey(v.text) === key)) return false;
+  ps.volatile = ps.volatile.filter((v) => chunkKey(v.text) !== key);
+  ps.noiseAllow = [...new Set([...(ps.noiseAllow || []), key])].slice(-VOLATILE_MAX);
+  if (ps.chunkFlips) delete ps.chunkFlips[key];
+  await env.STATE.put(stateKey, JSON.stringify(state));
+  return true;
+}
@@ -0,0 +1,262 @@
+// Outline — the structure htmlToText flattens away: sections under each heading with
+// their bullet points, tables and calls to action, plus the page's CTAs and link targets.
+// Kept with each snapshot so changes can be described structurally ("New H2 'AI
+// Assistant' section added with 4 bullet points").
+
+import { similarity } from "./diff.js";
+
+const MAX_SECTIONS = 40;
+const MAX_ITEMS = 15;       // bullet points kept per section
+const MAX_ROWS = 20;        // table rows kept (8 cells each)
+const MAX_CTAS = 10;
+const MAX_LINKS = 50;
+const MAX_TEXT = 120;
+const MAX_OUTLINE_CHARS = 15000;
+const MAX_CHANGES = 8;
+const RENAME_SIMILARITY = 0.6;
+
+const CTA_CLASS = /(^|[\s_-])(btn|button|cta)([\s_-]|$)/i;
+const CHROME_TAGS = new Set(["nav", "header", "footer"]);
+
+function cleanText(s) {
+  return s
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TEXT);
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? cleanText(m[1] ?? m[2] ?? m[3]) : null;
+}
+
+// Query strings and fragments are mostly tracking noise; compare link targets without them
+function linkTarget(href) {
+  return (href || "").replace(/[?#].*$/, "").replace(/\/+$/, "");
+}
+
+// ─── EXTRACTION ──────────────────────────────────────────────────────────────
+
+// { sections: [{ level, heading, items, tables, ctas }], ctas: [{ text, href, chrome }], links: [{ text, href }] }
+// Content before the first heading is a level-0 section with an empty heading. CTAs are
+// buttons, submit inputs and links styled or marked up as buttons; `chrome` marks those
+// inside nav/header/footer.
+export function extractOutline(html) {
+  const clean = (html || "")
+    .replace(/<(script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+  const sections = [];
+  const ctas = [];
+  const links = [];
+  let section = { level: 0, heading: "", items: [], tables: [], ctas: [] };
+  let table = null;
+  let row = null;
+  let chrome = 0;
+  const open = []; // captures in progress: { tag, kind, text, ... }
+
+  const finish = (cap) => {
+    const text = cleanText(cap.text);
+    if (cap.kind === "heading") {
+      if (!text) return;
+      sections.push(section);
+      section = { level: cap.level, heading: text, items: [], tables: [], ctas: [] };
+    } else if (cap.kind === "item") {
+      if (text && section.items.length < MAX_ITEMS) section.items.push(text);
+    } else if (cap.kind === "cell") {
+      if (row && row.length < 8) row.push(text);
+    } else if (cap.kind === "cta") {
+      if (!text || ctas.length >= MAX_CTAS) return;
+      ctas.push({ text, href: cap.href || null, chrome: cap.chrome });
+      if (!cap.chrome) section.ctas.push(text);
+    } else if (cap.kind === "link") {
+      if (text && cap.href && links.length < MAX_LINKS) links.push({ text, href: cap.href });
+    }
+  };
+  const close = (tags) => {
+    for (let i = open.length - 1; i >= 0; i--) {
+      if (tags.includes(open[i].tag)) {
+        finish(open.splice(i, 1)[0]);
+        return;
+      }
+    }
+  };
+  const endRow = () => {
+    close(["td", "th"]);
+    if (table && row && row.some(Boolean) && table.rows.length < MAX_ROWS) table.rows.push(row);
+    row = null;
+  };
+
+  const tokenRe = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)/g;
+  let m;
+  while ((m = tokenRe.exec(clean)) !== null) {
+    if (m[4] !== undefined) {
+      for (const cap of open) cap.text += m[4];
+      continue;
+    }
+    const tag = m[2].toLowerCase();
+    const attrs = m[3] || "";
+    for (const cap of open) cap.text += " ";
+
+    if (m[1]) {
+      if (/^h[1-6]$/.test(tag)) close([tag]);
+      else if (tag === "li" || tag === "ul" || tag === "ol") close(["li"]);
+      else if (tag === "td" || tag === "th") close([tag]);
+      else if (tag === "tr") endRow();
+      else if (tag === "table" && table) {
+        endRow();
+        if (table.rows.length > 0) section.tables.push(table);
+        table = null;
+      } else if (tag === "a" || tag === "button") close([tag]);
+      else if (CHROME_TAGS.has(tag)) chrome = Math.max(0, chrome - 1);
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      close(["li"]);
+      close(["h1", "h2", "h3", "h4", "h5", "h6"]);
+      open.push({ tag, kind: "heading", level: Number(tag[1]), text: "" });
+    } else if (tag === "li") {
+      close(["li"]);
+      open.push({ tag, kind: "item", text: "" });
+    } else if (tag === "table") {
+      table = { rows: [] };
+      row = null;
+    } else if (tag === "tr") {
+      if (row) endRow();
+      row = [];
+    } else if ((tag === "td" || tag === "th") && row) {
+      close(["td", "th"]);
+      open.push({ tag, kind: "cell", text: "" });
+    } else if (tag === "button") {
+      open.push({ tag, kind: "cta", text: "", chrome: chrome > 0 });
+    } else if (tag === "a") {
+      const isCta = attr(attrs, "role") === "button" || CTA_CLASS.test(attr(attrs, "class") || "");
+      open.push({ tag, kind: isCta ? "cta" : "link", text: "", href: attr(attrs, "href"), chrome: chrome > 0 });
+    } else if (tag === "input" && /^(submit|button)$/i.test(attr(attrs, "type") || "")) {
+      finish({ kind: "cta", text: attr(attrs, "value") || "", chrome: chrome > 0 });
+    } else if (CHROME_TAGS.has(tag)) {
+      chrome++;
+    }
+  }
+  while (open.length > 0) finish(open.shift());
+  if (table) {
+    endRow();
+    if (table.rows.length > 0) section.tables.push(table);
+  }
+  sections.push(section);
+
+  const outline = {
+    sections: sections
+      .filter((s) => s.heading || s.items.length || s.tables.length || s.ctas.length)
+      .slice(0, MAX_SECTIONS),
+    ctas,
+    links,
+  };
+  while (JSON.stringify(outline).length > MAX_OUTLINE_CHARS && outline.sections.length > 1) outline.sections.pop();
+  return outline;
+}
+
+// The hero button: first CTA outside nav/header/footer, else the first CTA at all
+export function primaryCta(outline) {
+  const ctas = outline?.ctas || [];
+  return ctas.find((c) => !c.chrome) || ctas[0] || null;
+}
+
+// ─── COMPARISON ──────────────────────────────────────────────────────────────
+
+const quote = (t) => `"${t.length > 60 ? t.slice(0, 57) + "…" : t}"`;
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function sectionName(s) {
+  return s.level ? `H${s.level} ${quote(s.heading)}` : "Intro";
+}
+
+function sectionContents(s) {
+  const parts = [];
+  if (s.items.length) parts.push(plural(s.items.length, "bullet point"));
+  if (s.tables.length) parts.push(s.tables.length === 1 ? "a table" : plural(s.tables.length, "table"));
+  if (s.ctas.length) parts.push(`a ${quote(s.ctas[0])} button`);
+  return parts.length ? " with " + parts.join(" and ") : "";
+}
+
+function listDelta(before, after) {
+  const oldSet = new Set(before.map((t) => t.toLowerCase()));
+  const newSet = new Set(after.map((t) => t.toLowerCase()));
+  return {
+    added: after.filter((t) => !oldSet.has(t.toLowerCase())),
+    removed: before.filter((t) => !newSet.has(t.toLowerCase())),
+  };
+}
+
+// Bullet and table-row changes inside a section present in both outlines
+function compareSection(before, after, out) {
+  const name = after.level ? quote(after.heading) : "Intro";
+  const { added, removed } = listDelta(before.items, after.items);
+  const parts = [];
+  if (added.length) parts.push(`${plural(added.length, "bullet point")} added (${added.slice(0, 2).map(quote).join(", ")})`);
+  if (removed.length) parts.push(`${removed.length} removed (${removed.slice(0, 2).map(quote).join(", ")})`);
+  if (parts.length) out.push(`${name} section: ${parts.join(", ")}`);
+
+  const oldRows = new Map((before.tables[0]?.rows || []).map((r) => [r[0], r.join(" | ")]));
+  const newRows = new Map((after.tables[0]?.rows || []).map((r) => [r[0], r.join(" | ")]));
+  const rowChanges = [];
+  for (const [label, cells] of newRows) {
+    if (!oldRows.has(label)) rowChanges.push(`row ${quote(label)} added`);
+    else if (oldRows.get(label) !== cells) rowChanges.push(`row ${quote(label)} changed`);
+  }
+  for (const label of oldRows.keys()) if (!newRows.has(label)) rowChanges.push(`row ${quote(label)} removed`);
+  if (rowChanges.length) out.push(`${name} table: ${rowChanges.slice(0, 3).join(", ")}${rowChanges.length > 3 ? ` and ${rowChanges.length - 3} more` : ""}`);
+}
+
+// Plain-language structural changes between two outlines, most significant first.
+// Empty when either outline is missing (pages baselined before outlines were kept).
+export function compareOutlines(before, after) {
+  if (!before || !after) return [];
+  const out = [];
+
+  const p0 = primaryCta(before);
+  const p1 = primaryCta(after);
+  if (p0 && p1 && p0.text !== p1.text) out.push(`Primary CTA changed from ${quote(p0.text)} to ${quote(p1.text)}`);
+  else if (p0 && p1 && linkTarget(p0.href) !== linkTarget(p1.href)) out.push(`Primary CTA ${quote(p1.text)} now links to ${p1.href || "nothing"}`);
+  else if (!p0 && p1) out.push(`Primary CTA ${quote(p1.text)} added`);
+  else if (p0 && !p1) out.push(`Primary CTA ${quote(p0.text)} removed`);
+
+  const key = (s) => s.level + ":" + s.heading.toLowerCase();
+  const oldByKey = new Map(before.sections.map((s) => [key(s), s]));
+  const newKeys = new Set(after.sections.map(key));
+  const removed = before.sections.filter((s) => !newKeys.has(key(s)));
+  const renamed = new Set();
+  for (const s of after.sections) {
+    const old = oldByKey.get(key(s));
+    if (old) {
+      compareSection(old, s, out);
+      continue;
+    }
+    // A vanished heading at the same level with mostly the same bullets was renamed
+    const twin = s.items.length > 0 && removed.find((r) => !renamed.has(r) && r.level === s.level && r.items.length > 0 &&
+      similarity(r.items.join(" "), s.items.join(" ")) >= RENAME_SIMILARITY);
+    if (twin) {
+      renamed.add(twin);
+      out.push(`${sectionName(twin)} renamed to ${quote(s.heading)}`);
+      compareSection(twin, s, out);
+    } else {
+      out.push(`New ${sectionName(s)} section added${sectionContents(s)}`);
+    }
+  }
+  for (const s of removed) if (!renamed.has(s)) out.push(`${sectionName(s)} section removed`);
+
+  const { added: newCtas, removed: goneCtas } = listDelta(
+    before.ctas.filter((c) => c !== p0).map((c) => c.text),
+    after.ctas.filter((c) => c !== p1).map((c) => c.text),
+  );
+  for (const text of newCtas) out.push(`New CTA ${quote(text)}`);
+  for (const text of goneCtas) out.push(`CTA ${quote(text)} removed`);
+  return out.slice(0, MAX_CHANGES);
+}
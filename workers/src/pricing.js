@@ -0,0 +1,262 @@
+// Pricing — normalized plan records, monthly USD comparison, price history, and the own-plans matrix.
+
+import { DEFAULT_FX_RATES } from "./config.js";
+
+// Prefixed dollars before "US$" and "$" (and "US$" before "S$")
+const CURRENCY_SYMBOLS = [
+  ["CA$", "CAD"], ["C$", "CAD"], ["A$", "AUD"], ["AU$", "AUD"], ["NZ$", "NZD"], ["R$", "BRL"],
+  ["HK$", "HKD"], ["MX$", "MXN"], ["US$", "USD"], ["S$", "SGD"], ["$", "USD"],
+  ["€", "EUR"], ["£", "GBP"], ["¥", "JPY"], ["₹", "INR"], ["₩", "KRW"], ["CHF", "CHF"],
+];
+// "kr" is SEK, NOK, DKK or ISK — only an ISO code in the price says which
+const AMBIGUOUS_CURRENCY = /(^|[\d\s])kr\b/i;
+const CURRENCY_CODES = /\b(USD|EUR|GBP|JPY|INR|CAD|AUD|NZD|CHF|SEK|NOK|DKK|BRL|KRW|SGD|HKD|MXN|PLN)\b/i;
+const MONTHLY_FACTOR = { month: 1, year: 1 / 12, week: 52 / 12 };
+const FX_TOLERANCE = 0.1; // localized prices rarely track the FX table exactly
+const MAX_ANNUAL_DISCOUNT = 0.4; // a cheaper annual figure within this range is a billing toggle, not a price change
+
+function historyKey(userId, compName) {
+  return (userId ? "user_state:" + userId + ":" : "") + "pricing_history:" + compName;
+}
+
+// ─── NORMALIZATION ───────────────────────────────────────────────────────────
+
+function parseAmount(str) {
+  // "1,299.99" / "1.299,99" / "29,99" / "1.000" / "49"
+  const m = str.match(/\d[\d.,\s]*/);
+  if (!m) return null;
+  let num = m[0].trim().replace(/\s/g, "");
+  if (/,\d{1,2}$/.test(num) && !/\.\d{1,2}$/.test(num)) num = num.replace(/\./g, "").replace(",", ".");
+  else if (/^\d{1,3}(\.\d{3})+$/.test(num)) num = num.replace(/\./g, ""); // dots as thousands separators
+  else num = num.replace(/,/g, "");
+  const value = parseFloat(num);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseCurrency(str) {
+  const code = str.match(CURRENCY_CODES);
+  if (code) return code[1].toUpperCase();
+  for (const [symbol, iso] of CURRENCY_SYMBOLS) {
+    if (str.includes(symbol)) return iso;
+  }
+  return null;
+}
+
+function parsePeriod(str) {
+  const s = str.toLowerCase();
+  if (/\/\s*(mo|mon|month)\b|per\s+(month|mo)\b|monthly|a month|month[-\s]to[-\s]month|\/\s*m\b/.test(s)) return "month";
+  if (/\/\s*(yr|year|annum)\b|per\s+year|annual|yearly|a year|\/\s*y\b/.test(s)) return "year";
+  if (/\/\s*(wk|week)\b|per\s+week|weekly/.test(s)) return "week";
+  if (/one[-\s]?time|lifetime|once/.test(s)) return "once";
+  return null;
+}
+
+function isBilledAnnually(str) {
+  return /billed\s+(annually|yearly)|annual\s+billing|paid\s+(annually|yearly)|when billed yearly/i.test(str);
+}
+
+// "$29/mo or $290/yr", "$24/mo billed annually ($29 month-to-month)" → the month-to-month figure
+function pickPriceOption(price) {
+  const options = price.split(/\s+or\s+|\s*[|;]\s*|\s*[()]\s*/i).map((s) => s.trim()).filter((s) => /\d/.test(s));
+  if (options.length < 2) return price;
+  const monthly = options.find((o) => parsePeriod(o) === "month" && !isBilledAnnually(o));
+  return monthly || options[0];
+}
+
+// Turns an LLM-extracted plan ({ name, price: "$29/mo per user", features }) into a
+// numeric record. `amount` is null when the plan has no published price.
+export function normalizePlan(plan) {
+  const price = String(plan?.price || "").trim();
+  const custom = /custom|contact|quote|talk to|call us|let's talk/i.test(price) && !/\d/.test(price);
+  const free = !/[1-9]/.test(price) && (/\bfree\b/i.test(price) || /\d/.test(price));
+  const option = pickPriceOption(price);
+  const currency = free || custom ? null : parseCurrency(option) || parseCurrency(price);
+  return {
+    name: String(plan?.name || "").trim(),
+    price,
+    amount: free ? 0 : custom ? null : parseAmount(option),
+    currency,
+    ...(!free && !custom && !currency && AMBIGUOUS_CURRENCY.test(price) ? { unknownCurrency: true } : {}),
+    period: free || custom ? null : parsePeriod(option),
+    billedAnnually: !free && !custom && isBilledAnnually(option),
+    perSeat: /per\s+(user|seat|member|editor|agent|host)|\/\s*(user|seat|member|editor|agent)\b/i.test(price),
+    custom,
+  };
+}
+
+// Canonical monthly USD-equivalent, or null when the plan can't be expressed that
+// way (custom tiers, one-time prices, unknown currencies). Prices without a currency
+// are treated as USD and prices without a period as monthly.
+export function monthlyUsd(record, fxRates) {
+  if (!record || record.amount == null || record.unknownCurrency) return null;
+  if (record.amount === 0) return 0;
+  const rate = (fxRates || DEFAULT_FX_RATES)[record.currency || "USD"];
+  const factor = MONTHLY_FACTOR[record.period || "month"];
+  if (!rate || factor === undefined) return null;
+  return Math.round(record.amount * factor * rate * 100) / 100;
+}
+
+export function formatMonthlyUsd(value) {
+  if (value == null) return "Custom";
+  if (value === 0) return "Free";
+  return "$" + (value % 1 === 0 ? value.toLocaleString("en-US") : value.toFixed(2)) + "/mo";
+}
+
+// Decides whether two price strings for the same plan are a real price change.
+// Billing-period toggles and currency localizations come back as unchanged.
+export function comparePlanPrices(oldPlan, newPlan, fxRates) {
+  const a = normalizePlan(oldPlan);
+  const b = normalizePlan(newPlan);
+  if (a.custom !== b.custom || (a.amount === null) !== (b.amount === null)) return { changed: true, pct: null };
+  if (a.amount === null) return { changed: false, reason: "custom" };
+  if (a.perSeat !== b.perSeat) return { changed: true, pct: null };
+
+  const ma = monthlyUsd(a, fxRates);
+  const mb = monthlyUsd(b, fxRates);
+  if (ma === null || mb === null) {
+    return { changed: a.amount !== b.amount || a.currency !== b.currency || a.period !== b.period, pct: null };
+  }
+  const pct = ma > 0 ? Math.round(((mb - ma) / ma) * 100) : null;
+
+  if ((a.currency || "USD") !== (b.currency || "USD")) {
+    const drift = ma > 0 ? Math.abs(mb - ma) / ma : (mb > 0 ? 1 : 0);
+    return drift > FX_TOLERANCE ? { changed: true, pct } : { changed: false, reason: "currency" };
+  }
+
+  const annualA = a.period === "year" || a.billedAnnually;
+  const annualB = b.period === "year" || b.billedAnnually;
+  if (annualA !== annualB) {
+    const [monthly, annual] = annualA ? [mb, ma] : [ma, mb];
+    if (annual <= monthly && annual >= monthly * (1 - MAX_ANNUAL_DISCOUNT)) return { changed: false, reason: "billing_toggle" };
+  }
+
+  return Math.abs(mb - ma) >= 0.01 ? { changed: true, pct } : { changed: false, reason: "equivalent" };
+}
+
+// True when two extractions list the same plans, features and (normalized) prices —
+// i.e. the page only flipped its billing toggle or served another currency.
+export function isEquivalentPricing(oldPricing, newPricing, fxRates) {
+  const oldPlans = (oldPricing?.plans || []).filter((p) => p?.name);
+  const newPlans = (newPricing?.plans || []).filter((p) => p?.name);
+  if (oldPlans.length === 0 || oldPlans.length !== newPlans.length) return false;
+  const byName = new Map(newPlans.map((p) => [p.name.toLowerCase(), p]));
+  return oldPlans.every((o) => {
+    const n = byName.get(o.name.toLowerCase());
+    if (!n) return false;
+    if (JSON.stringify(o.features || []) !== JSON.stringify(n.features || [])) return false;
+    return o.price === n.price || !comparePlanPrices(o, n, fxRates).changed;
+  });
+}
+
+export function normalizePricing(pricing) {
+  if (!pricing || !Array.isArray(pricing.plans)) return [];
+  return pricing.plans.filter((p) => p && p.name).map(normalizePlan);
+}
+
+// ─── HISTORY ─────────────────────────────────────────────────────────────────
+
+export async function loadPricingHistory(env, userId, compName) {
+  try {
+    const raw = await env.STATE.get(historyKey(userId, compName));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadPricingHistory] Failed to parse history for ${compName}: ${e.message}`);
+  }
+  return [];
+}
+
+// Appends a snapshot when the normalized plans differ from the last one. Old
+// snapshots are pruned by the tier's history window, keeping the latest.
+export async function recordPricingSnapshot(env, userId, compName, pricing, historyDays) {
+  const plans = normalizePricing(pricing);
+  if (plans.length === 0) return false;
+  const history = await loadPricingHistory(env, userId, compName);
+  const last = history[history.length - 1];
+  if (last && JSON.stringify(last.plans) === JSON.stringify(plans)) return false;
+
+  history.push({ date: new Date().toISOString(), plans });
+  const cutoff = Date.now() - (historyDays || 90) * 86400000;
+  const pruned = history.filter((s, i) => i === history.length - 1 || new Date(s.date).getTime() > cutoff);
+  await env.STATE.put(historyKey(userId, compName), JSON.stringify(pruned));
+  return true;
+}
+
+// ─── COMPARISON MATRIX ───────────────────────────────────────────────────────
+
+export const PRICE_BANDS = [
+  { id: "free", label: "Free", max: 0 },
+  { id: "entry", label: "Entry (≤ $25/mo)", max: 25 },
+  { id: "mid", label: "Mid ($25–100/mo)", max: 100 },
+  { id: "upper", label: "Upper ($100–500/mo)", max: 500 },
+  { id: "enterprise", label: "Enterprise / Custom", max: Infinity },
+];
+
+export function priceBand(usd) {
+  if (usd == null) return "enterprise";
+  return PRICE_BANDS.find((b) => usd <= b.max).id;
+}
+
+function matrixRow(company, own, plan, fxRates) {
+  const rec = normalizePlan(plan);
+  const usd = monthlyUsd(rec, fxRates);
+  return {
+    band: priceBand(usd), company, own, plan: rec.name, price: rec.price,
+    monthlyUsd: usd, perSeat: rec.perSeat,
+    features: (Array.isArray(plan.features) ? plan.features : []).slice(0, 5),
+  };
+}
+
+// Lines up our plans and every competitor's latest plans by monthly USD price band.
+// `competitors` is [{ name, pricing }] with pricing as returned by extractPricingWithLLM.
+export function buildPricingMatrix(ownPlans, competitors, fxRates) {
+  const rows = [];
+  for (const p of ownPlans || []) if (p?.name) rows.push(matrixRow("Us", true, p, fxRates));
+  for (const c of competitors) {
+    for (const p of c.pricing?.plans || []) if (p?.name) rows.push(matrixRow(c.name, false, p, fxRates));
+  }
+  const order = PRICE_BANDS.map((b) => b.id);
+  rows.sort((a, b) => order.indexOf(a.band) - order.indexOf(b.band)
+    || (a.monthlyUsd ?? Infinity) - (b.monthlyUsd ?? Infinity));
+  return { bands: PRICE_BANDS.map(({ id, label }) => ({ id, label })), companies: ["Us", ...competitors.map((c) => c.name)], rows };
+}
+
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+export function pricingMatrixCsv(matrix) {
+  const bandLabel = Object.fromEntries(matrix.bands.map((b) => [b.id, b.label]));
+  const lines = [["Band", "Company", "Plan", "Listed price", "Monthly USD", "Per seat", "Key features"].join(",")];
+  for (const r of matrix.rows) {
+    lines.push([
+      bandLabel[r.band], r.company, r.plan, r.price,
+      r.monthlyUsd == null ? "" : r.monthlyUsd.toFixed(2), r.perSeat ? "yes" : "no", r.features.join("; "),
+    ].map(csvCell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// For each plan whose price moved (or is new), says how it now sits against our closest
+// plan — same price band first, then nearest monthly USD price.
+export function compareToOwnPlans(ownPlans, oldPricing, newPricing, fxRates) {
+  const own = (ownPlans || []).filter((p) => p?.name)
+    .map((p) => ({ name: p.name, usd: monthlyUsd(normalizePlan(p), fxRates) }))
+    .filter((p) => p.usd != null);
+  if (own.length === 0 || !newPricing?.plans) return [];
+  const oldByName = new Map((oldPricing?.plans || []).filter((p) => p?.name).map((p) => [p.name.toLowerCase(), p]));
+  const lines = [];
+  for (const plan of newPricing.plans.filter((p) => p?.name)) {
+    const old = oldByName.get(plan.name.toLowerCase());
+    if (old && (old.price === plan.price || !comparePlanPrices(old, plan, fxRates).changed)) continue;
+    const usd = monthlyUsd(normalizePlan(plan), fxRates);
+    if (usd == null || usd === 0) continue;
+    const band = priceBand(usd);
+    const pool = own.filter((o) => priceBand(o.usd) === band);
+    const match = (pool.length ? pool : own).reduce((best, o) => (Math.abs(o.usd - usd) < Math.abs(best.usd - usd) ? o : best));
+    const pct = match.usd > 0 ? Math.round(((usd - match.usd) / match.usd) * 100) : null;
+    const rel = pct === null ? "" : pct === 0 ? " — same price" : ` — ${Math.abs(pct)}% ${pct > 0 ? "above" : "below"}`;
+    lines.push(`*${plan.name}* (${formatMonthlyUsd(usd)}) vs. your *${match.name}* (${formatMonthlyUsd(match.usd)})${rel}`);
+  }
+  return lines;
+}
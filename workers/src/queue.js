@@ -0,0 +1,328 @@
+// Scan queue — a scan run is split into one job per competitor (plus one for Product
+// Hunt/radar and a final aggregation job). With the SCAN_QUEUE binding each job runs in
+// its own queue invocation and gets a fresh subrequest budget; without it an in-memory
+// queue drains the same jobs inside the calling request.
+//
+// Each account has one current run. Its progress (pending jobs, counters, per-page
+// outcomes) is changed only through the run ops below, applied one at a time by the
+// account's ScanRunStore Durable Object (SCAN_RUNS) — KV is eventually consistent and
+// queue invocations may overlap. Every change is mirrored to the KV run record the run
+// history views read. Jobs for any other run are dropped, so a run that was replaced
+// can't finalize over a newer one. Each job's partial result lives in KV until the
+// finalize job merges them into monitor state and sends one digest.
+
+import { DurableObject } from "cloudflare:workers";
+
+export const PAGE_RETRIES = 2;          // re-queues of pages whose fetch failed transiently
+export const MAX_JOB_ATTEMPTS = 3;      // queue deliveries before a job is marked failed
+export const RETRY_DELAY_SECONDS = 120;
+const RUNS_MAX = 20;
+const RECENT_RUNS_MAX = 100;            // cross-account index for the admin dashboard
+const PARTIAL_TTL = 7 * 86400;
+const ACTIVE_RUN_MAX_AGE = 3600000;     // an unfinished run older than this is replaced by the next one
+
+function prefix(userId) {
+  return userId ? "user_state:" + userId + ":" : "";
+}
+
+// ─── QUEUES ──────────────────────────────────────────────────────────────────
+
+// Same send/sendBatch surface as a Queue binding. Delays are ignored, so scans don't
+// queue page retries on it; drain with shift().
+export function createLocalQueue() {
+  const messages = [];
+  return {
+    messages,
+    async send(body) {
+      messages.push(body);
+    },
+    async sendBatch(batch) {
+      for (const m of batch) messages.push(m.body);
+    },
+  };
+}
+
+// ─── RUN RECORDS ─────────────────────────────────────────────────────────────
+
+function runKey(userId, runId) {
+  return prefix(userId) + "scan_run:" + runId;
+}
+
+function activeRunKey(userId) {
+  return prefix(userId) + "scan_run_active";
+}
+
+function partialKey(userId, runId, jobKey) {
+  return prefix(userId) + "scan_run:" + runId + ":" + jobKey;
+}
+
+function isOpen(run) {
+  return !!run && run.status !== "complete" && run.status !== "failed";
+}
+
+// ─── RUN OPS ─────────────────────────────────────────────────────────────────
+// (current, ...args) → { result, current?, mirror? }: `current` replaces the account's
+// current run when given; `mirror` lists the run records to write back to KV.
+
+// A job's result counts only while its run is current, the job is pending and this is the
+// attempt the run is waiting for (so duplicate deliveries are dropped)
+function acceptsJob(current, job) {
+  if (!current || current.id !== job.runId) return false;
+  if (job.kind === "finalize") return current.status === "finalizing";
+  return current.pending.includes(job.key) && (current.jobAttempts?.[job.key] || 1) === job.attempt;
+}
+
+// The last job out leaves the run finalizing; the caller queues the finalize job
+function finishJob(run, jobKey, failed) {
+  run.pending = run.pending.filter((k) => k !== jobKey);
+  if (failed) run.jobs.failed++;
+  else run.jobs.done++;
+  if (run.pending.length > 0) return false;
+  run.status = "finalizing";
+  return true;
+}
+
+const RUN_OPS = {
+  // Makes `run` current unless the current run is still in progress. One still unfinished
+  // after ACTIVE_RUN_MAX_AGE is failed and replaced; its queued jobs are then dropped.
+  start(current, run, now) {
+    if (isOpen(current) && now - Date.parse(current.startedAt) < ACTIVE_RUN_MAX_AGE) return { result: { busy: current } };
+    const mirror = [run];
+    if (isOpen(current)) {
+      current.status = "failed";
+      current.finishedAt = new Date(now).toISOString();
+      current.errors.push({ job: null, competitor: null, error: `Unfinished after ${ACTIVE_RUN_MAX_AGE / 60000} minutes — replaced by run ${run.id}`, date: current.finishedAt });
+      mirror.unshift(current);
+    }
+    return { result: { run }, current: run, mirror };
+  },
+
+  // A job's outcome: counters, page results, and either a retry (the next attempt is the
+  // one accepted) or the job finishing. { stale } when the result no longer counts.
+  job(current, job, outcome) {
+    if (!acceptsJob(current, job)) return { result: { stale: true } };
+    current.status = current.status === "queued" ? "running" : current.status;
+    recordPageResults(current, outcome.pageResults);
+    current.pages.scanned += outcome.scanned;
+    current.pages.skipped += outcome.skipped;
+    current.pages.failed += outcome.failed;
+    current.pages.retried += outcome.retried;
+    current.subrequests += outcome.subrequests;
+    let finalize = false;
+    if (outcome.retried > 0) current.jobAttempts = { ...current.jobAttempts, [job.key]: job.attempt + 1 };
+    else finalize = finishJob(current, job.key, false);
+    return { result: { finalize }, current, mirror: [current] };
+  },
+
+  // A job that threw on its last attempt: the run goes on without it. A failed finalize fails the run.
+  fail(current, job, error, now) {
+    if (!current || current.id !== job.runId || !isOpen(current)) return { result: { stale: true } };
+    current.errors.push({ job: job.key, competitor: job.competitor || null, error, date: new Date(now).toISOString() });
+    let finalize = false;
+    if (job.kind === "finalize") {
+      current.status = "failed";
+      current.finishedAt = new Date(now).toISOString();
+    } else if (current.pending.includes(job.key)) {
+      finalize = finishJob(current, job.key, true);
+    }
+    return { result: { finalize }, current, mirror: [current] };
+  },
+
+  complete(current, runId, fields, now) {
+    if (!current || current.id !== runId) return { result: { stale: true } };
+    const subrequests = current.subrequests + (fields.subrequests || 0);
+    Object.assign(current, fields, { status: "complete", finishedAt: new Date(now).toISOString(), subrequests });
+    return { result: {}, current, mirror: [current] };
+  },
+};
+
+// The account's current run, read and changed one op at a time
+export class ScanRunStore extends DurableObject {
+  async read() {
+    return (await this.ctx.storage.get("current")) || null;
+  }
+
+  async apply(op, args) {
+    return this.ctx.blockConcurrencyWhile(async () => {
+      const change = RUN_OPS[op](await this.read(), ...args);
+      if (change.current) await this.ctx.storage.put("current", change.current);
+      for (const run of change.mirror || []) await saveRun(this.env, run);
+      return change.result;
+    });
+  }
+}
+
+function runStore(env, userId) {
+  return env.SCAN_RUNS.get(env.SCAN_RUNS.idFromName(userId || "self-hosted"));
+}
+
+// Without the SCAN_RUNS binding (older deployments) the current run is tracked in KV,
+// which is only safe for inline runs
+async function readCurrentKv(env, userId) {
+  const id = await env.STATE.get(activeRunKey(userId));
+  return id ? loadRun(env, userId, id) : null;
+}
+
+async function readCurrent(env, userId) {
+  return env.SCAN_RUNS ? runStore(env, userId).read() : readCurrentKv(env, userId);
+}
+
+async function applyRunOp(env, userId, op, ...args) {
+  if (env.SCAN_RUNS) return runStore(env, userId).apply(op, args);
+  const change = RUN_OPS[op](await readCurrentKv(env, userId), ...args);
+  for (const run of change.mirror || []) await saveRun(env, run);
+  if (change.current) await env.STATE.put(activeRunKey(userId), change.current.id);
+  return change.result;
+}
+
+// ─── RUN RECORDS ─────────────────────────────────────────────────────────────
+
+// Starts a run → { run }, or { busy } with the account's run still in progress
+export async function createRun(env, userId, { trigger, tier, jobKeys, mode }) {
+  const run = {
+    id: crypto.randomUUID(),
+    userId: userId || null,
+    trigger, tier, mode,
+    status: "queued",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    jobKeys,
+    pending: [...jobKeys],
+    jobAttempts: {},
+    jobs: { total: jobKeys.length, done: 0, failed: 0 },
+    pages: { scanned: 0, skipped: 0, failed: 0, retried: 0 },
+    pageResults: [],
+    alerts: 0,
+    subrequests: 0,
+    errors: [],
+  };
+  const started = await applyRunOp(env, userId, "start", run, Date.now());
+  if (started.busy) return started;
+
+  // Keep the newest RUNS_MAX runs; older records are deleted
+  const indexKey = prefix(userId) + "scan_runs";
+  let ids = [];
+  try {
+    ids = JSON.parse((await env.STATE.get(indexKey)) || "[]");
+  } catch (e) {
+    console.log(`[createRun] Failed to parse run index: ${e.message}`);
+  }
+  ids.push(run.id);
+  for (const old of ids.splice(0, Math.max(0, ids.length - RUNS_MAX))) {
+    await env.STATE.delete(runKey(userId, old));
+  }
+  await env.STATE.put(indexKey, JSON.stringify(ids));
+
+  let recent = [];
+  try {
+    recent = JSON.parse((await env.STATE.get("scan_runs_recent")) || "[]");
+  } catch (e) {
+    console.log(`[createRun] Failed to parse recent run index: ${e.message}`);
+  }
+  recent.push({ userId: run.userId, id: run.id });
+  await env.STATE.put("scan_runs_recent", JSON.stringify(recent.slice(-RECENT_RUNS_MAX)));
+  return { run };
+}
+
+// The KV run record, as the run history views show it
+export async function loadRun(env, userId, runId) {
+  try {
+    const raw = await env.STATE.get(runKey(userId, runId));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadRun] Failed to parse run ${runId}: ${e.message}`);
+  }
+  return null;
+}
+
+async function saveRun(env, run) {
+  await env.STATE.put(runKey(run.userId, run.id), JSON.stringify(run));
+}
+
+// The run `job` belongs to while the job still counts for it, else null
+export async function loadRunForJob(env, job) {
+  const current = await readCurrent(env, job.userId);
+  return acceptsJob(current, job) ? current : null;
+}
+
+// Records a job's outcome → { finalize } when it was the run's last job, { stale } when
+// the run has moved on
+export function recordJobOutcome(env, job, outcome) {
+  return applyRunOp(env, job.userId, "job", job, outcome);
+}
+
+export function recordJobFailure(env, job, error) {
+  return applyRunOp(env, job.userId, "fail", job, error, Date.now());
+}
+
+export function completeRun(env, userId, runId, fields) {
+  return applyRunOp(env, userId, "complete", runId, fields, Date.now());
+}
+
+// The account's current run while it's still in progress, else null. A run still
+// unfinished after ACTIVE_RUN_MAX_AGE no longer counts: the next run replaces it.
+export async function loadActiveRun(env, userId) {
+  const run = await readCurrent(env, userId);
+  if (!isOpen(run)) return null;
+  return Date.now() - Date.parse(run.startedAt) < ACTIVE_RUN_MAX_AGE ? run : null;
+}
+
+// Newest first
+export async function listRuns(env, userId) {
+  let ids = [];
+  try {
+    ids = JSON.parse((await env.STATE.get(prefix(userId) + "scan_runs")) || "[]");
+  } catch (e) {
+    console.log(`[listRuns] Failed to parse run index: ${e.message}`);
+  }
+  const runs = [];
+  for (const id of ids.slice().reverse()) {
+    const run = await loadRun(env, userId, id);
+    if (run) runs.push(run);
+  }
+  return runs;
+}
+
+// Newest first, across all accounts. Entries whose run has since been pruned are skipped.
+export async function listRecentRuns(env, limit = 50) {
+  let recent = [];
+  try {
+    recent = JSON.parse((await env.STATE.get("scan_runs_recent")) || "[]");
+  } catch (e) {
+    console.log(`[listRecentRuns] Failed to parse recent run index: ${e.message}`);
+  }
+  const runs = [];
+  for (const { userId, id } of recent.slice().reverse()) {
+    if (runs.length >= limit) break;
+    const run = await loadRun(env, userId, id);
+    if (run) runs.push(run);
+  }
+  return runs;
+}
+
+// Adds a job's page outcomes; a retried page's latest attempt replaces the earlier one
+export function recordPageResults(run, results) {
+  const key = (r) => r.competitor + "\u0000" + r.pageId;
+  const incoming = new Set(results.map(key));
+  run.pageResults = (run.pageResults || []).filter((r) => !incoming.has(key(r))).concat(results);
+}
+
+// ─── PARTIAL RESULTS ─────────────────────────────────────────────────────────
+
+export async function savePartial(env, userId, runId, jobKey, partial) {
+  await env.STATE.put(partialKey(userId, runId, jobKey), JSON.stringify(partial), { expirationTtl: PARTIAL_TTL });
+}
+
+export async function loadPartial(env, userId, runId, jobKey) {
+  try {
+    const raw = await env.STATE.get(partialKey(userId, runId, jobKey));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadPartial] Failed to parse ${jobKey} for run ${runId}: ${e.message}`);
+  }
+  return null;
+}
+
+export async function deletePartials(env, userId, runId, jobKeys) {
+  for (const jobKey of jobKeys) await env.STATE.delete(partialKey(userId, runId, jobKey));
+}
@@ -2,13 +2,24 @@
 
 import { createContext } from "../context.js";
 import { DEFAULT_ANNOUNCEMENT_KEYWORDS, TIERS, getTierLimits, hasFeature, loadConfig } from "../config.js";
-import { fetchUrl, previewPageContent } from "../utils.js";
+import { fetchUrl, previewPageContent, htmlToText, compileScope, scopeHtml } from "../utils.js";
 import {
   discoverCompetitors, suggestSubreddits,
   suggestNewCompetitors, enrichProductMeta,
-  deepCompetitorDiscovery, formatWeeklySuggestions,
+  deepCompetitorDiscovery, formatWeeklySuggestions, generatePositioningNotes,
 } from "../ai.js";
 import { sendSlack } from "../slack.js";
+import { CHANNELS, buildDigest, isValidTeamsWebhook, renderTeamsText, sendTeams } from "../channels.js";
+import { validateRouting, normalizeRouting } from "../routing.js";
+import { WEBHOOK_EVENT_TYPES, buildEvent, dispatchEvents, generateWebhookSecret, isValidWebhookUrl, loadDeliveryLog } from "../webhooks.js";
+import { EMAIL_FREQUENCIES, mergeEmailRecipients, getEmailTransport, renderEmailDigest, sendEmail, publicBaseUrl, unsubscribeUrl } from "../emails.js";
+import { loadVisualDiff } from "../visual.js";
+import { loadArchiveIndex, loadSnapshot, diffSnapshots } from "../archive.js";
+import { compareOutlines } from "../outline.js";
+import { MAX_FEED_WINDOW } from "../feeds.js";
+import { loadPricingHistory, monthlyUsd, buildPricingMatrix, pricingMatrixCsv } from "../pricing.js";
+import { loadTimeline, TIMELINE_KINDS } from "../timeline.js";
+import { loadHiringHistory, openRoles, hiringSummary } from "../hiring.js";
 import {
   requireAuth, SECURITY_HEADERS, jsonResponse, htmlResponse,
   isHostedMode, resolveAuth, generateJWT, verifyJWT,
@@ -27,7 +38,10 @@ import { suggestPHTopics } from "../producthunt.js";
 import { fetchMetaAds, formatAdsBlocks } from "../ads.js";
 import { detectRssFeed, discoverPages } from "../discovery.js";
 import { runMonitor } from "../scanner.js";
+import { loadRun, loadActiveRun, listRuns, listRecentRuns } from "../queue.js";
+import { validateScanSchedule, scanLimits, PAGE_CHECK_INTERVALS } from "../scheduler.js";
 import { aggregateKPIs } from "../admin.js";
+import { validateIgnorePatterns, listNoise, unignoreChunk } from "../noise.js";
 
 function isAllowedOrigin(origin) {
   if (!origin) return true; // Server-to-server (no Origin header) is fine
@@ -37,6 +51,43 @@ function isAllowedOrigin(origin) {
   } catch { return false; }
 }
 
+// Dashboard data is per-user in hosted mode (active subscription required) and open when self-hosted.
+async function resolveDashboardUser(request, env) {
+  if (!isHostedMode(env)) return { userId: null, response: null };
+  const user = await getSessionUser(request, env);
+  if (!user) return { userId: null, response: jsonResponse({ error: "Not authenticated" }, 401) };
+  if (user.subscriptionStatus !== "active") return { userId: null, response: jsonResponse({ error: "Subscription required" }, 402) };
+  return { userId: user.id, response: null };
+}
+
+// Own-vs-competitor pricing matrix from the stored config and the last scan's plans
+async function loadPricingMatrix(env, userId) {
+  const config = await loadConfig(env, userId);
+  let state = {};
+  try {
+    state = JSON.parse(await env.STATE.get(userId ? "user_state:" + userId + ":monitor" : "monitor_state") || "{}");
+  } catch (e) {
+    console.log(`[pricing-matrix] Failed to parse monitor state: ${e.message}`);
+  }
+  const comps = config.competitors.map((c) => ({ name: c.name, pricing: state.competitors?.[c.name]?.pricing || null }));
+  return { config, matrix: buildPricingMatrix(config.settings.ownPlans, comps, config.settings.fxRates) };
+}
+
+// Positioning notes cost a Claude call — cached per matrix content for a week
+function pricingNotesKey(userId) {
+  return (userId ? "user_state:" + userId + ":" : "") + "pricing_notes";
+}
+
+async function loadCachedNotes(env, userId, matrix) {
+  try {
+    const cached = JSON.parse(await env.STATE.get(pricingNotesKey(userId)) || "null");
+    if (cached && cached.sig === JSON.stringify(matrix.rows)) return cached.notes;
+  } catch (e) {
+    console.log(`[pricing-matrix] Failed to parse cached notes: ${e.message}`);
+  }
+  return null;
+}
+
 export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
 
   // ══════════════════════════════════════════════════════════════════════════
@@ -311,6 +362,20 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
     return jsonResponse(kpis);
   }
 
+  // ── Admin: scan runs across accounts (?user= for one account, ?id= for one run) ──
+  if (path === "/api/admin/scan-runs") {
+    const adminSession = await getAdminSession(request, env);
+    if (!adminSession) return jsonResponse({ error: "Admin auth required" }, 401);
+    const userId = url.searchParams.get("user") || null;
+    const id = url.searchParams.get("id");
+    if (id) {
+      const run = await loadRun(env, userId, id);
+      if (!run) return jsonResponse({ error: "Scan run not found" }, 404);
+      return jsonResponse({ run });
+    }
+    return jsonResponse({ runs: userId ? await listRuns(env, userId) : await listRecentRuns(env) });
+  }
+
   // ── Contact form (public POST, admin GET) ──
   if (path === "/api/contact" && request.method === "POST") {
     // Block cross-origin submissions from unknown sites
@@ -437,11 +502,12 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
           slackWebhookConfigured: !!cfg.settings.slackWebhookUrl,
           slackOAuthConfigured: !!cfg.settings.slackAccessToken,
         };
+        let runId = null;
         if (!dryRun) {
           const scanCtx = createContext();
-          await runMonitor(scanCtx, env, null, userId);
+          runId = (await runMonitor(scanCtx, env, null, userId, { trigger: "admin" }))?.runId || null;
         }
-        return jsonResponse({ mode: dryRun ? "dry_run" : "executed", user: info, logs });
+        return jsonResponse({ mode: dryRun ? "dry_run" : "executed", user: info, runId, logs });
       }
 
       const raw = await env.STATE.get("active_subscribers");
@@ -517,8 +583,8 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
         if (!dryRun) {
           try {
             const scanCtx = createContext();
-            await runMonitor(scanCtx, env, null, uid);
-            results.push({ ...info, status: "executed" });
+            const result = await runMonitor(scanCtx, env, null, uid, { trigger: "admin" });
+            results.push({ ...info, status: "executed", runId: result?.runId || null });
           } catch (e) { results.push({ ...info, status: "error", error: e.message }); }
         } else {
           results.push({ ...info, status: "would_run" });
@@ -586,6 +652,148 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
     });
   }
 
+  // ── Visual diff images (before/after crops for "visual" pages) ──
+  if (path === "/api/visual-diff" || path === "/dashboard/api/visual-diff") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const side = url.searchParams.get("side") === "before" ? "before" : "after";
+    const diff = await loadVisualDiff(env, userId, url.searchParams.get("id"));
+    if (!diff || !diff[side]) return jsonResponse({ error: "Visual diff not found" }, 404);
+    const bytes = Uint8Array.from(atob(diff[side]), c => c.charCodeAt(0));
+    return new Response(bytes, {
+      headers: { "Content-Type": "image/jpeg", "Cache-Control": "private, max-age=86400", ...SECURITY_HEADERS },
+    });
+  }
+
+  // ── Snapshot archive (time-travel diffs) ──
+  if (path === "/api/archive" || path === "/dashboard/api/archive") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const competitor = url.searchParams.get("competitor");
+    const pageId = url.searchParams.get("page");
+    if (!competitor || !pageId) return jsonResponse({ error: "competitor and page required" }, 400);
+    const entries = await loadArchiveIndex(env, userId, competitor, pageId);
+    return jsonResponse({ competitor, page: pageId, entries: entries.slice().reverse() });
+  }
+
+  if (path === "/api/archive/snapshot" || path === "/dashboard/api/archive/snapshot") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const snap = await loadSnapshot(env, userId, url.searchParams.get("competitor"), url.searchParams.get("page"), url.searchParams.get("hash"));
+    if (!snap) return jsonResponse({ error: "Snapshot not found" }, 404);
+    return jsonResponse(snap);
+  }
+
+  if (path === "/api/archive/diff" || path === "/dashboard/api/archive/diff") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const competitor = url.searchParams.get("competitor");
+    const pageId = url.searchParams.get("page");
+    const [from, to] = await Promise.all([
+      loadSnapshot(env, userId, competitor, pageId, url.searchParams.get("from")),
+      loadSnapshot(env, userId, competitor, pageId, url.searchParams.get("to")),
+    ]);
+    if (!from || !to) return jsonResponse({ error: "Snapshot not found" }, 404);
+    return jsonResponse({
+      from: { date: from.date, hash: from.hash },
+      to: { date: to.date, hash: to.hash },
+      ops: diffSnapshots(from.text, to.text),
+      structure: compareOutlines(from.outline, to.outline),
+    });
+  }
+
+  // ── Pricing history (normalized plan time series per competitor) ──
+  if (path === "/api/pricing/history" || path === "/dashboard/api/pricing/history") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const only = url.searchParams.get("competitor");
+    const config = await loadConfig(env, userId);
+    const names = only ? [only] : config.competitors.map((c) => c.name);
+    const history = {};
+    for (const name of names) {
+      const snaps = await loadPricingHistory(env, userId, name);
+      history[name] = snaps.map((s) => ({ ...s, plans: s.plans.map((p) => ({ ...p, monthlyUsd: monthlyUsd(p, config.settings.fxRates) })) }));
+    }
+    return jsonResponse({ history });
+  }
+
+  // ── Corporate timeline (funding, acquisitions, partnerships, leadership per competitor) ──
+  if (path === "/api/timeline" || path === "/dashboard/api/timeline") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const only = url.searchParams.get("competitor");
+    const kind = url.searchParams.get("kind");
+    if (kind && !TIMELINE_KINDS.includes(kind)) return jsonResponse({ error: "kind must be one of " + TIMELINE_KINDS.join(", ") }, 400);
+    const since = url.searchParams.get("since");
+    const config = await loadConfig(env, userId);
+    const names = only ? [only] : config.competitors.map((c) => c.name);
+    const timeline = {};
+    for (const name of names) {
+      const items = await loadTimeline(env, userId, name);
+      timeline[name] = items
+        .filter((m) => (!kind || m.kind === kind) && (!since || (m.date || "") >= since))
+        .map(({ keys, ...m }) => m);
+    }
+    return jsonResponse({ timeline });
+  }
+
+  // ── Hiring (open roles by department per competitor, and their daily series) ──
+  if (path === "/api/hiring" || path === "/dashboard/api/hiring") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const only = url.searchParams.get("competitor");
+    const department = url.searchParams.get("department");
+    const config = await loadConfig(env, userId);
+    let state = {};
+    try {
+      state = JSON.parse(await env.STATE.get(userId ? "user_state:" + userId + ":monitor" : "monitor_state") || "{}");
+    } catch (e) {
+      console.log(`[hiring] Failed to parse monitor state: ${e.message}`);
+    }
+    const hiring = {};
+    for (const comp of config.competitors.filter((c) => !only || c.name === only)) {
+      const roles = openRoles((comp.pages || []).filter((p) => p.type === "careers").map((p) => state.competitors?.[comp.name]?.pages?.[p.id]));
+      hiring[comp.name] = {
+        summary: hiringSummary(roles),
+        roles: department ? roles.filter((j) => j.department === department) : roles,
+        history: await loadHiringHistory(env, userId, comp.name),
+      };
+    }
+    return jsonResponse({ hiring });
+  }
+
+  // ── Pricing matrix: our plans vs. competitors by price band (JSON or CSV) ──
+  // Serves cached positioning notes only; generating them is the POST below.
+  if ((path === "/api/pricing/matrix" || path === "/dashboard/api/pricing/matrix") && request.method === "GET") {
+    const { userId, response } = await resolveDashboardUser(request, env);
+    if (response) return response;
+    const { config, matrix } = await loadPricingMatrix(env, userId);
+    if (url.searchParams.get("format") === "csv") {
+      return new Response(pricingMatrixCsv(matrix), {
+        headers: { "Content-Type": "text/csv; charset=utf-8", "Content-Disposition": 'attachment; filename="pricing-matrix.csv"', ...SECURITY_HEADERS },
+      });
+    }
+    const notes = await loadCachedNotes(env, userId, matrix);
+    return jsonResponse({ ...matrix, ownPlans: config.settings.ownPlans, notes });
+  }
+
+  // ── Pricing matrix: generate positioning notes (Claude call, cached) ──
+  if (path === "/api/pricing/matrix/notes" && request.method === "POST") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    if (isHostedMode(env) && user.subscriptionStatus !== "active") return jsonResponse({ error: "Subscription required" }, 402);
+    const userId = isHostedMode(env) ? user.id : null;
+    const { config, matrix } = await loadPricingMatrix(env, userId);
+    if (config.settings.ownPlans.length === 0) return jsonResponse({ error: "Add your own plans first" }, 400);
+    let notes = await loadCachedNotes(env, userId, matrix);
+    if (!notes) {
+      notes = await generatePositioningNotes(ctx, env, config.settings._productMeta, matrix);
+      if (!notes) return jsonResponse({ error: "Couldn't generate positioning notes" }, 502);
+      await env.STATE.put(pricingNotesKey(userId), JSON.stringify({ sig: JSON.stringify(matrix.rows), notes }), { expirationTtl: 7 * 86400 });
+    }
+    return jsonResponse({ notes });
+  }
+
   // ── Config API: Read ──
   if (path === "/api/config" && request.method === "GET") {
     const { user, response } = await resolveAuth(request, env);
@@ -614,6 +822,14 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
         if (!c.pages || c.pages.length === 0) return jsonResponse({ error: `${c.name}: needs at least one page` }, 400);
         const maxPpc = (isHostedMode(env) && user?.tier) ? (TIERS[user.tier]?.pagesPerComp || 4) : 4;
         if (c.pages.length > maxPpc) return jsonResponse({ error: `${c.name}: maximum ${maxPpc} pages per competitor` }, 400);
+        const compPatternErr = c.ignorePatterns && validateIgnorePatterns(c.ignorePatterns);
+        if (compPatternErr) return jsonResponse({ error: `${c.name}: ${compPatternErr}` }, 400);
+        for (const p of c.pages) {
+          const patternErr = p.ignorePatterns && validateIgnorePatterns(p.ignorePatterns);
+          if (patternErr) return jsonResponse({ error: `${c.name} / ${p.label || p.url}: ${patternErr}` }, 400);
+          if (p.checkInterval && !PAGE_CHECK_INTERVALS.includes(p.checkInterval)) return jsonResponse({ error: `${c.name} / ${p.label || p.url}: checkInterval must be one of ${PAGE_CHECK_INTERVALS.join(", ")}` }, 400);
+          try { compileScope(p); } catch (e) { return jsonResponse({ error: `${c.name} / ${p.label || p.url}: ${e.message}` }, 400); }
+        }
       }
       const prefix = isHostedMode(env) ? `user_config:${user.id}:` : "config:";
       await env.STATE.put(prefix + "competitors", JSON.stringify(comps));
@@ -630,17 +846,80 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
     if (response) return response;
     try {
       const body = await request.json();
+      if (body.fxRates !== undefined && body.fxRates !== null) {
+        if (typeof body.fxRates !== "object" || Array.isArray(body.fxRates)) return jsonResponse({ error: "fxRates must be an object of currency code → USD rate" }, 400);
+        for (const [code, rate] of Object.entries(body.fxRates)) {
+          if (!/^[A-Z]{3}$/.test(code) || typeof rate !== "number" || !(rate > 0)) return jsonResponse({ error: `Invalid FX rate for ${code}` }, 400);
+        }
+      }
+      if (body.teamsWebhookUrl && !isValidTeamsWebhook(body.teamsWebhookUrl)) return jsonResponse({ error: "teamsWebhookUrl must be a Microsoft Teams incoming webhook or Workflows URL" }, 400);
+      if (body.emailRecipients !== undefined && body.emailRecipients !== null) {
+        if (!Array.isArray(body.emailRecipients) || body.emailRecipients.length > 20) return jsonResponse({ error: "emailRecipients must be an array of up to 20 recipients" }, 400);
+        for (const r of body.emailRecipients) {
+          if (!r || typeof r.email !== "string" || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(r.email.trim())) return jsonResponse({ error: `Invalid email address: ${r?.email}` }, 400);
+          if (r.frequency !== undefined && !EMAIL_FREQUENCIES.includes(r.frequency)) return jsonResponse({ error: `${r.email}: frequency must be one of ${EMAIL_FREQUENCIES.join(", ")}` }, 400);
+          if (r.minPriority !== undefined && !["high", "medium", "low"].includes(r.minPriority)) return jsonResponse({ error: `${r.email}: minPriority must be high, medium or low` }, 400);
+        }
+      }
+      if (body.webhooks !== undefined && body.webhooks !== null) {
+        if (!Array.isArray(body.webhooks) || body.webhooks.length > 5) return jsonResponse({ error: "webhooks must be an array of up to 5 endpoints" }, 400);
+        for (const h of body.webhooks) {
+          if (!h || !isValidWebhookUrl(h.url)) return jsonResponse({ error: `Webhook URL must be a public https:// URL: ${h?.url}` }, 400);
+          if (h.secret !== undefined && h.secret !== null && (typeof h.secret !== "string" || h.secret.length < 16)) return jsonResponse({ error: "Webhook secret must be at least 16 characters" }, 400);
+          if (h.events !== undefined && (!Array.isArray(h.events) || h.events.some((t) => !WEBHOOK_EVENT_TYPES.includes(t)))) return jsonResponse({ error: `Webhook events must be any of: ${WEBHOOK_EVENT_TYPES.join(", ")}` }, 400);
+        }
+      }
+      if (body.scanSchedule !== undefined && body.scanSchedule !== null) {
+        const scheduleErr = validateScanSchedule(body.scanSchedule, scanLimits(user.tier || "scout", isHostedMode(env)).max);
+        if (scheduleErr) return jsonResponse({ error: scheduleErr }, 400);
+      }
+      if (body.feedWindow !== undefined && body.feedWindow !== null &&
+        (!Number.isInteger(body.feedWindow) || body.feedWindow < 1 || body.feedWindow > MAX_FEED_WINDOW)) {
+        return jsonResponse({ error: `feedWindow must be a whole number of posts from 1 to ${MAX_FEED_WINDOW}` }, 400);
+      }
+      if (body.ownPlans !== undefined && body.ownPlans !== null) {
+        if (!Array.isArray(body.ownPlans) || body.ownPlans.length > 12) return jsonResponse({ error: "ownPlans must be an array of up to 12 plans" }, 400);
+        for (const p of body.ownPlans) {
+          if (!p || typeof p.name !== "string" || !p.name.trim() || typeof p.price !== "string") return jsonResponse({ error: "Each plan needs a name and a price string" }, 400);
+          if (p.features !== undefined && !Array.isArray(p.features)) return jsonResponse({ error: `${p.name}: features must be an array` }, 400);
+        }
+      }
       const prefix = isHostedMode(env) ? `user_config:${user.id}:` : "config:";
       const existingRaw = await env.STATE.get(prefix + "settings");
       const existing = existingRaw ? JSON.parse(existingRaw) : {};
       const settings = {
         ...existing,
         slackWebhookUrl: body.slackWebhookUrl !== undefined ? (body.slackWebhookUrl || null) : (existing.slackWebhookUrl || null),
+        teamsWebhookUrl: body.teamsWebhookUrl !== undefined ? (body.teamsWebhookUrl || null) : (existing.teamsWebhookUrl || null),
         productHuntTopics: body.productHuntTopics !== undefined ? body.productHuntTopics : (existing.productHuntTopics || []),
         announcementKeywords: body.announcementKeywords !== undefined ? body.announcementKeywords : (existing.announcementKeywords || DEFAULT_ANNOUNCEMENT_KEYWORDS),
         phMinVotes: body.phMinVotes !== undefined ? body.phMinVotes : (existing.phMinVotes ?? 0),
+        feedWindow: body.feedWindow !== undefined ? (body.feedWindow || null) : (existing.feedWindow || null),
         radarSubreddits: body.radarSubreddits !== undefined ? body.radarSubreddits : (existing.radarSubreddits || []),
         _productMeta: body._productMeta !== undefined ? body._productMeta : (existing._productMeta || null),
+        fxRates: body.fxRates !== undefined ? (body.fxRates || null) : (existing.fxRates || null),
+        emailRecipients: body.emailRecipients !== undefined
+          ? mergeEmailRecipients(existing.emailRecipients || [], body.emailRecipients || [])
+          : (existing.emailRecipients || []),
+        // Endpoints keep their id and secret across saves unless a new secret is supplied
+        webhooks: body.webhooks !== undefined
+          ? (body.webhooks || []).map((h) => {
+            const prior = (existing.webhooks || []).find((w) => w.url === h.url);
+            return {
+              id: prior?.id || crypto.randomUUID(),
+              url: h.url,
+              secret: h.secret || prior?.secret || generateWebhookSecret(),
+              events: h.events || [],
+              enabled: h.enabled !== false,
+            };
+          })
+          : (existing.webhooks || []),
+        ownPlans: body.ownPlans !== undefined
+          ? (body.ownPlans || []).map((p) => ({ name: p.name.trim(), price: p.price.trim(), features: (p.features || []).map(String).slice(0, 10) }))
+          : (existing.ownPlans || []),
+        scanSchedule: body.scanSchedule !== undefined
+          ? (body.scanSchedule ? { times: body.scanSchedule.times || [], timezone: body.scanSchedule.timezone || "UTC" } : null)
+          : (existing.scanSchedule || null),
       };
       await env.STATE.put(prefix + "settings", JSON.stringify(settings));
       return jsonResponse({ success: true });
@@ -649,6 +928,76 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
     }
   }
 
+  // ── Config API: Alert routing rules ──
+  if (path === "/api/config/routing") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    const userId = isHostedMode(env) ? user.id : null;
+    if (request.method === "GET") {
+      const config = await loadConfig(env, userId);
+      return jsonResponse({ routing: config.settings.routing, channels: Object.keys(CHANNELS), eventTypes: WEBHOOK_EVENT_TYPES });
+    }
+    if (request.method === "POST") {
+      try {
+        const body = await request.json();
+        const routing = body.routing || body;
+        const error = validateRouting(routing);
+        if (error) return jsonResponse({ error }, 400);
+        const prefix = isHostedMode(env) ? `user_config:${user.id}:` : "config:";
+        const existingRaw = await env.STATE.get(prefix + "settings");
+        const existing = existingRaw ? JSON.parse(existingRaw) : {};
+        const normalized = normalizeRouting(routing);
+        await env.STATE.put(prefix + "settings", JSON.stringify({ ...existing, routing: normalized }));
+        return jsonResponse({ success: true, routing: normalized });
+      } catch (e) {
+        return jsonResponse({ error: e.message }, 400);
+      }
+    }
+  }
+
+  // ── Config API: Noise suppression (ignore patterns + learned volatile chunks) ──
+  if (path === "/api/config/noise") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    const userId = isHostedMode(env) ? user.id : null;
+    if (request.method === "GET") return jsonResponse({ competitors: await listNoise(env, userId) });
+    if (request.method === "POST") {
+      try {
+        // { competitor, pageId?, ignorePatterns } — without pageId the patterns apply to every page
+        const body = await request.json();
+        const patterns = (body.ignorePatterns || []).map((p) => typeof p === "string" ? p.trim() : p).filter((p) => p !== "");
+        const error = validateIgnorePatterns(patterns);
+        if (error) return jsonResponse({ error }, 400);
+        const prefix = isHostedMode(env) ? `user_config:${user.id}:` : "config:";
+        const comps = JSON.parse((await env.STATE.get(prefix + "competitors")) || "[]");
+        const comp = comps.find((c) => c.name === body.competitor);
+        if (!comp) return jsonResponse({ error: "Competitor not found" }, 404);
+        const target = body.pageId ? (comp.pages || []).find((p) => p.id === body.pageId) : comp;
+        if (!target) return jsonResponse({ error: "Page not found" }, 404);
+        target.ignorePatterns = patterns;
+        await env.STATE.put(prefix + "competitors", JSON.stringify(comps));
+        return jsonResponse({ success: true, ignorePatterns: patterns });
+      } catch (e) {
+        return jsonResponse({ error: e.message }, 400);
+      }
+    }
+  }
+
+  if (path === "/api/config/noise/unignore" && request.method === "POST") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    const userId = isHostedMode(env) ? user.id : null;
+    try {
+      const body = await request.json();
+      if (!body.competitor || !body.pageId || typeof body.text !== "string") return jsonResponse({ error: "competitor, pageId and text are required" }, 400);
+      const ok = await unignoreChunk(env, userId, body.competitor, body.pageId, body.text);
+      if (!ok) return jsonResponse({ error: "That chunk isn't suppressed" }, 404);
+      return jsonResponse({ success: true });
+    } catch (e) {
+      return jsonResponse({ error: e.message }, 400);
+    }
+  }
+
   // ── Config API: Reset user data ──
   if (path === "/api/config/reset" && request.method === "POST") {
     const { user, response } = await resolveAuth(request, env);
@@ -680,6 +1029,73 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
     }
   }
 
+  // ── Config API: Test Teams ──
+  if (path === "/api/config/test-teams" && request.method === "POST") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    try {
+      const body = await request.json();
+      const webhookUrl = body.webhookUrl;
+      if (!webhookUrl) return jsonResponse({ error: "webhookUrl required" }, 400);
+      if (!isValidTeamsWebhook(webhookUrl)) return jsonResponse({ error: "Not a Microsoft Teams webhook URL" }, 400);
+      const result = await sendTeams(ctx, webhookUrl, renderTeamsText("ScopeHound is connected. Teams delivery test successful."));
+      if (!result.ok) return jsonResponse({ error: result.error }, 502);
+      return jsonResponse({ success: true });
+    } catch (e) {
+      return jsonResponse({ error: e.message }, 400);
+    }
+  }
+
+  // ── Config API: Test email ──
+  if (path === "/api/config/test-email" && request.method === "POST") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    try {
+      const body = await request.json();
+      const to = (body.email || "").trim();
+      if (!to) return jsonResponse({ error: "email required" }, 400);
+      if (!getEmailTransport(env)) return jsonResponse({ error: "Email is not configured. Set EMAIL_API_URL, EMAIL_API_KEY and EMAIL_FROM." }, 400);
+      const userId = isHostedMode(env) ? user.id : null;
+      const sample = { text: "\u{1F535} *LOW* | *ScopeHound* is connected\n\nYour email digest is set up. Changes will arrive here on your chosen schedule.", priority: "low" };
+      const rendered = renderEmailDigest(buildDigest([sample]), { dashboardUrl: publicBaseUrl(env) ? publicBaseUrl(env) + "/dashboard" : null, unsubscribeUrl: await unsubscribeUrl(env, userId, to) });
+      const result = await sendEmail(ctx, env, userId, to, { ...rendered, subject: "ScopeHound test email" });
+      if (!result.ok) return jsonResponse({ error: result.error }, 502);
+      return jsonResponse({ success: true });
+    } catch (e) {
+      return jsonResponse({ error: e.message }, 400);
+    }
+  }
+
+  // ── Config API: Test webhook ──
+  if (path === "/api/config/test-webhook" && request.method === "POST") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    try {
+      const body = await request.json();
+      const userId = isHostedMode(env) ? user.id : null;
+      // Test a saved endpoint by id or url, or an unsaved url + secret from the form
+      const config = await loadConfig(env, userId);
+      const saved = config.settings.webhooks.find((h) => (body.id && h.id === body.id) || (body.url && h.url === body.url));
+      const hook = body.secret && body.url ? { id: saved?.id || null, url: body.url, secret: body.secret } : saved;
+      if (!hook) return jsonResponse({ error: "url and secret required (or the id of a saved webhook)" }, 400);
+      if (!isValidWebhookUrl(hook.url)) return jsonResponse({ error: "Webhook URL must be a public https:// URL" }, 400);
+      const event = buildEvent("test", { message: "ScopeHound webhook test", competitor: "ExampleCo", summary: "This is a test event." });
+      const [delivery] = await dispatchEvents(ctx, env, { webhooks: [hook] }, [event], userId, { interactive: true });
+      if (!delivery.ok) return jsonResponse({ error: delivery.error, status: delivery.status, attempts: delivery.attempts }, 502);
+      return jsonResponse({ success: true, eventId: event.id, status: delivery.status });
+    } catch (e) {
+      return jsonResponse({ error: e.message }, 400);
+    }
+  }
+
+  // ── Config API: Webhook delivery log ──
+  if (path === "/api/config/webhook-deliveries" && request.method === "GET") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    const log = await loadDeliveryLog(env, isHostedMode(env) ? user.id : null);
+    return jsonResponse({ deliveries: log.slice().reverse() });
+  }
+
   // ── Config API: Trigger scan ──
   if (path === "/api/config/trigger-scan" && request.method === "POST") {
     const { user, response } = await resolveAuth(request, env);
@@ -703,13 +1119,19 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
       }
     }
 
+    // Checked before the cooldown is stamped, so a refused scan doesn't start one
+    const active = await loadActiveRun(env, userId);
+    if (active) return jsonResponse({ error: "A scan is already running", busy: true, runId: active.id }, 409);
+
     if (userId) {
       await env.STATE.put(`user_state:${userId}:lastManualScan`, new Date().toISOString());
     }
 
     const config = await loadConfig(env, userId);
     const scanCtx = createContext();
-    const result = await runMonitor(scanCtx, env, config, userId);
+    const result = await runMonitor(scanCtx, env, config, userId, { force: true });
+    if (result.busy) return jsonResponse({ error: "A scan is already running", busy: true, runId: result.runId }, 409);
+    if (result.queued) return jsonResponse({ success: true, queued: true, runId: result.runId });
 
     const slackOk = result.slackResults.filter(r => r.ok).length;
     const slackErrors = result.slackResults.filter(r => !r.ok).map(r => r.error);
@@ -719,9 +1141,24 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
       slackUrl: result.slackUrl,
       slackMessages: { sent: slackOk, failed: slackErrors.length, errors: slackErrors },
       subrequests: result.subrequests,
+      runId: result.runId,
     });
   }
 
+  // ── Scan runs (progress of queued scans) ──
+  if (path === "/api/scan/runs") {
+    const { user, response } = await resolveAuth(request, env);
+    if (response) return response;
+    const userId = isHostedMode(env) ? user.id : null;
+    const id = url.searchParams.get("id");
+    if (id) {
+      const run = await loadRun(env, userId, id);
+      if (!run) return jsonResponse({ error: "Scan run not found" }, 404);
+      return jsonResponse({ run });
+    }
+    return jsonResponse({ runs: await listRuns(env, userId) });
+  }
+
   // ── Scan status (cooldown check) ──
   if (path === "/api/scan/status") {
     const { user, response } = await resolveAuth(request, env);
@@ -829,10 +1266,16 @@ export async function handleApi(ctx, request, env, url, path, allowedOrigin) {
     try {
       const body = await request.json();
       if (!body.url) return jsonResponse({ error: "url required" }, 400);
+      const scope = compileScope(body); // throws on a bad selector → 400 below
       const html = await fetchUrl(ctx, body.url);
       if (!html) return jsonResponse({ preview: null });
-      const preview = previewPageContent(html);
-      return jsonResponse({ preview });
+      if (!scope) return jsonResponse({ preview: previewPageContent(html) });
+      const scoped = await scopeHtml(html, body);
+      const text = scoped === null ? "" : htmlToText(scoped);
+      return jsonResponse({
+        preview: scoped === null ? null : previewPageContent(scoped),
+        scope: { matched: scoped !== null, text: text.slice(0, 3000), length: text.length },
+      });
     } catch (e) {
       return jsonResponse({ error: e.message }, 400);
     }
@@ -10,6 +10,7 @@ import {
   checkAdminLoginRateLimit, recordAdminLoginAttempt,
 } from "../auth.js";
 import { sendSlack } from "../slack.js";
+import { verifyUnsubscribe, unsubscribeRecipient } from "../emails.js";
 import { runMonitor } from "../scanner.js";
 import {
   FAVICON_LINK, DASHBOARD_HTML, SETUP_HTML, SIGNIN_HTML,
@@ -262,7 +263,7 @@ p{font-size:14px;color:#b0b5bd;margin-bottom:12px}
 <p>Go to your dashboard and click "Manage Competitors" in the navigation bar. This takes you to the setup wizard where you can add, scan, or remove competitors. You can also use Slack commands: <code>/scopehound add url</code> or <code>/scopehound remove name</code>.</p></details>
 
 <details class="faq-item"><summary>When do scans run?</summary>
-<p>Scans run automatically once daily at 9:00 AM UTC for Operator and Command plans. Scout is manual-only. You can also trigger a manual scan from the setup wizard or via <code>/scopehound scan</code> in Slack.</p></details>
+<p>Scheduled scans run twice a day on Operator and four times a day on Command, spread from 9:00 AM in your timezone — or at the times you pick during setup. Scout is manual-only. You can also trigger a manual scan from the setup wizard or via <code>/scopehound scan</code> in Slack.</p></details>
 
 <details class="faq-item"><summary>How do I connect Slack?</summary>
 <p>During setup, click "Add to Slack" to authorize ScopeHound to send reports to your workspace. You can also manually enter a webhook URL if you prefer. Visit /setup to reconfigure your Slack connection.</p></details>
@@ -282,6 +283,33 @@ p{font-size:14px;color:#b0b5bd;margin-bottom:12px}
 </div></body></html>`, { headers: { "Content-Type": "text/html;charset=utf-8" } });
   }
 
+  // ── Email unsubscribe (signed link; POST also serves RFC 8058 one-click) ──
+  if (path === "/unsubscribe" || path === "/unsubscribe/") {
+    const email = url.searchParams.get("e") || "";
+    const userId = url.searchParams.get("u") || null;
+    const token = url.searchParams.get("t") || "";
+    const page = (title, body) => new Response(`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">${FAVICON_LINK}<title>${title} — ScopeHound</title>
+<style>*{margin:0;padding:0;box-sizing:border-box}body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;background:#0a0c0e;color:#d4d8de;line-height:1.7}
+.card{max-width:480px;margin:80px auto;background:#12161a;border:1px solid #2a3038;border-radius:2px;padding:32px;text-align:center}
+h1{font-size:20px;color:#7a8c52;margin-bottom:12px}p{font-size:14px;color:#b0b5bd}
+button{margin-top:20px;padding:12px 24px;border:none;border-radius:2px;background:#5c6b3c;color:#fff;font-weight:700;text-transform:uppercase;letter-spacing:0.05em;font-size:13px;cursor:pointer}</style>
+</head><body><div class="card"><h1>${title}</h1>${body}</div></body></html>`, {
+      status: title === "Invalid link" ? 400 : 200,
+      headers: { "Content-Type": "text/html;charset=utf-8", ...SECURITY_HEADERS },
+    });
+    if (!(await verifyUnsubscribe(env, userId, email, token))) {
+      return page("Invalid link", "<p>This unsubscribe link is invalid or incomplete. Use the link from your most recent ScopeHound email.</p>");
+    }
+    const safeEmail = email.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+    // GET only confirms, so link scanners in mail clients can't unsubscribe anyone
+    if (request.method !== "POST") {
+      return page("Unsubscribe", `<p>Stop sending ScopeHound digest emails to <strong>${safeEmail}</strong>?</p><form method="POST"><button type="submit">Unsubscribe</button></form>`);
+    }
+    const found = await unsubscribeRecipient(env, userId, email);
+    console.log(`[unsubscribe] ${email} (${userId || "self-hosted"}): ${found ? "unsubscribed" : "not a recipient"}`);
+    return page("Unsubscribed", `<p><strong>${safeEmail}</strong> will no longer receive ScopeHound digest emails.</p>`);
+  }
+
   // ══════════════════════════════════════════════════════════════════════════
   // SELF-HOSTED ROUTES — simple auth-gated endpoints
   // ══════════════════════════════════════════════════════════════════════════
@@ -291,7 +319,9 @@ p{font-size:14px;color:#b0b5bd;margin-bottom:12px}
     const authErr = requireAuth(request, env);
     if (authErr) return authErr;
     const scanCtx = createContext();
-    const result = await runMonitor(scanCtx, env);
+    const result = await runMonitor(scanCtx, env, null, null, { force: true });
+    if (result.busy) return jsonResponse({ error: "A scan is already running", busy: true, runId: result.runId }, 409);
+    if (result.queued) return jsonResponse({ success: true, queued: true, runId: result.runId });
     const slackOk = result.slackResults.filter(r => r.ok).length;
     const slackErrors = result.slackResults.filter(r => !r.ok).map(r => r.error);
     return new Response(
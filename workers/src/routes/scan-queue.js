@@ -0,0 +1,25 @@
+// Queue consumer — runs scan jobs from SCAN_QUEUE, one per invocation (max_batch_size = 1)
+// so every job gets the full subrequest budget.
+
+import { createContext } from "../context.js";
+import { processScanJob, failScanJob } from "../scanner.js";
+import { MAX_JOB_ATTEMPTS, RETRY_DELAY_SECONDS } from "../queue.js";
+
+export async function handleScanQueue(batch, env) {
+  for (const msg of batch.messages) {
+    const job = msg.body;
+    const ctx = createContext();
+    try {
+      await processScanJob(ctx, env, job, env.SCAN_QUEUE);
+      msg.ack();
+    } catch (e) {
+      console.log(`[handleScanQueue] ${job.kind} job ${job.key} for run ${job.runId} failed (attempt ${msg.attempts}/${MAX_JOB_ATTEMPTS}): ${e.message}`);
+      if (msg.attempts < MAX_JOB_ATTEMPTS) {
+        msg.retry({ delaySeconds: RETRY_DELAY_SECONDS });
+      } else {
+        await failScanJob(env, job, e.message, env.SCAN_QUEUE);
+        msg.ack();
+      }
+    }
+  }
+}
@@ -10,11 +10,15 @@ import {
 } from "../ai.js";
 import { suggestPHTopics } from "../producthunt.js";
 import { runMonitor } from "../scanner.js";
+import { DEFAULT_SCAN_HOUR, resolveScanSchedule, scanLimits, isScanDue, claimSlot, orderByPriority } from "../scheduler.js";
 
 const CRON_WEEKLY = "0 15 * * 5";
 
+// Every other trigger is the hourly tick that starts whichever scheduled scans are due.
+// Accounts without a scan due get a page-only scan of their interval pages that are due.
 export async function handleScheduled(env, cron) {
   const isWeeklyCron = cron === CRON_WEEKLY;
+  const now = new Date();
 
   if (isHostedMode(env)) {
     const raw = await env.STATE.get("active_subscribers");
@@ -47,14 +51,14 @@ export async function handleScheduled(env, cron) {
       console.log(`[self-repair] Error: ${e.message}`);
     }
 
-    // Global config scan (daily cron only)
-    if (!isWeeklyCron) {
+    // Global config scan (once a day, on the 09:00 UTC tick)
+    if (!isWeeklyCron && now.getUTCHours() === DEFAULT_SCAN_HOUR) {
       try {
         const globalConfig = await loadConfig(env);
         if (globalConfig.competitors.length > 0) {
           console.log(`Running global config scan (${globalConfig.competitors.length} competitors)`);
           const ctx = createContext();
-          await runMonitor(ctx, env);
+          await runMonitor(ctx, env, null, null, { trigger: "scheduled" });
         }
       } catch (e) {
         console.log(`Global scan failed: ${e.message}`);
@@ -62,8 +66,10 @@ export async function handleScheduled(env, cron) {
     }
 
     const isFirstFriday = new Date().getUTCDate() <= 7;
-    console.log(`[cron] ${isWeeklyCron ? "Weekly suggestions" : "Daily scan"} — ${list.length} subscriber(s)${isWeeklyCron && isFirstFriday ? " (first Friday — deep mode)" : ""}`);
+    console.log(`[cron] ${isWeeklyCron ? "Weekly suggestions" : "Scheduled scans"} — ${list.length} subscriber(s)${isWeeklyCron && isFirstFriday ? " (first Friday — deep mode)" : ""}`);
 
+    const due = [];
+    const between = [];
     for (const userId of list) {
       try {
         const uRaw = await env.STATE.get("user:" + userId);
@@ -125,18 +131,39 @@ export async function handleScheduled(env, cron) {
             console.log(`Weekly suggestions failed for ${user.email}: ${e.message}`);
           }
         } else {
-          // ── Daily scan (9am UTC) ──
+          // ── Scheduled scans: tier's scansPerDay slots in the user's timezone ──
           // Scout: no scheduled scans (manual only)
-          if (!hasFeature(tier, "scheduled_scans")) {
-            console.log(`Skipping ${user.email} (${tier}) — manual scans only`);
-            continue;
-          }
-          console.log(`Running daily scan for ${user.email} (${tier})`);
-          const scanCtx = createContext();
-          await runMonitor(scanCtx, env, null, userId);
+          if (!hasFeature(tier, "scheduled_scans")) continue;
+          const { settings } = await loadConfig(env, userId);
+          const schedule = resolveScanSchedule(settings, scanLimits(tier, true));
+          if (isScanDue(schedule, now)) due.push({ userId, email: user.email, tier, schedule });
+          else between.push({ userId, email: user.email, tier });
+        }
+      } catch (e) {
+        console.log(`${isWeeklyCron ? "Weekly suggestions" : "Schedule check"} failed for user ${userId}: ${e.message}`);
+      }
+    }
+
+    // priority_scan_queue tiers go first, so their scans start (or queue) ahead of everyone else's
+    for (const u of orderByPriority(due)) {
+      try {
+        if (!(await claimSlot(env, u.userId, now))) {
+          console.log(`Skipping ${u.email} — already scanned this hour`);
+          continue;
         }
+        console.log(`Running scheduled scan for ${u.email} (${u.tier}, ${u.schedule.times.join(" · ")} ${u.schedule.timezone})`);
+        const scanCtx = createContext();
+        await runMonitor(scanCtx, env, null, u.userId, { trigger: "scheduled" });
       } catch (e) {
-        console.log(`${isWeeklyCron ? "Weekly suggestions" : "Scan"} failed for user ${userId}: ${e.message}`);
+        console.log(`Scan failed for user ${u.userId}: ${e.message}`);
+      }
+    }
+    for (const u of orderByPriority(between)) {
+      try {
+        const result = await runMonitor(createContext(), env, null, u.userId, { trigger: "interval", pagesOnly: true });
+        if (!result?.idle) console.log(`Ran page-only scan for ${u.email}`);
+      } catch (e) {
+        console.log(`Page-only scan failed for user ${u.userId}: ${e.message}`);
       }
     }
   } else {
@@ -187,9 +214,18 @@ export async function handleScheduled(env, cron) {
         console.log(`Weekly suggestions failed: ${e.message}`);
       }
     } else {
-      // Daily scan (9am UTC)
-      const ctx = createContext();
-      await runMonitor(ctx, env);
+      // Scheduled scans (once a day at 09:00 UTC unless settings.scanSchedule says otherwise)
+      const { settings } = await loadConfig(env);
+      const schedule = resolveScanSchedule(settings, scanLimits("command", false));
+      if (isScanDue(schedule, now)) {
+        if (await claimSlot(env, null, now)) {
+          const ctx = createContext();
+          await runMonitor(ctx, env, null, null, { trigger: "scheduled" });
+        }
+      } else {
+        // Between scans: only the interval pages that are due
+        await runMonitor(createContext(), env, null, null, { trigger: "interval", pagesOnly: true });
+      }
     }
   }
 }
@@ -7,6 +7,8 @@ import { sendSlack } from "../slack.js";
 import { fetchMetaAds, formatAdsBlocks } from "../ads.js";
 import { discoverPages } from "../discovery.js";
 import { runMonitor } from "../scanner.js";
+import { loadActiveRun } from "../queue.js";
+import { verifySignature } from "../webhooks.js";
 
 export async function handleSlackCommands(ctx, request, env, cfCtx, url) {
   if (!env.SLACK_SIGNING_SECRET) return new Response("Not configured", { status: 500 });
@@ -15,14 +17,7 @@ export async function handleSlackCommands(ctx, request, env, cfCtx, url) {
   const slackSig = request.headers.get("x-slack-signature");
   if (!timestamp || !slackSig) return new Response("Unauthorized", { status: 401 });
   if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > 300) return new Response("Expired", { status: 401 });
-  const enc = new TextEncoder();
-  const key = await crypto.subtle.importKey("raw", enc.encode(env.SLACK_SIGNING_SECRET), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
-  const mac = await crypto.subtle.sign("HMAC", key, enc.encode("v0:" + timestamp + ":" + rawBody));
-  const expected = "v0=" + Array.from(new Uint8Array(mac)).map(b => b.toString(16).padStart(2, "0")).join("");
-  if (expected.length !== slackSig.length) return new Response("Invalid signature", { status: 401 });
-  let mismatch = 0;
-  for (let i = 0; i < expected.length; i++) mismatch |= expected.charCodeAt(i) ^ slackSig.charCodeAt(i);
-  if (mismatch !== 0) return new Response("Invalid signature", { status: 401 });
+  if (!(await verifySignature(env.SLACK_SIGNING_SECRET, timestamp, rawBody, slackSig))) return new Response("Invalid signature", { status: 401 });
 
   const params = new URLSearchParams(rawBody);
   const command = (params.get("command") || "").trim();
@@ -173,10 +168,13 @@ export async function handleSlackCommands(ctx, request, env, cfCtx, url) {
     if (!hasFeature(user.tier, "slash_scan")) {
       return jsonResponse({ response_type: "ephemeral", text: "The `/scopehound scan` command is available on Operator and Command plans. You can still trigger scans from your dashboard. Upgrade at worker.scopehound.app/billing" });
     }
+    if (await loadActiveRun(env, userId)) {
+      return jsonResponse({ response_type: "ephemeral", text: "A scan is already running. Results will appear when it finishes." });
+    }
     const config = await loadConfig(env, userId);
     cfCtx.waitUntil((async () => {
       const scanCtx = createContext();
-      await runMonitor(scanCtx, env, config, userId);
+      await runMonitor(scanCtx, env, config, userId, { trigger: "slack", force: true });
     })());
     return jsonResponse({ response_type: "ephemeral", text: "Scan triggered. Results will appear shortly." });
   }
@@ -0,0 +1,75 @@
+// Slack interactivity — triage buttons on Block Kit alerts.
+
+import { isHostedMode } from "../auth.js";
+import { TRIAGE_ACTIONS } from "../slack.js";
+import { verifySignature } from "../webhooks.js";
+import { applyTriage } from "../triage.js";
+
+function isSlackResponseUrl(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    return u.protocol === "https:" && u.hostname === "hooks.slack.com";
+  } catch {
+    return false;
+  }
+}
+
+export async function handleSlackInteractions(ctx, request, env, cfCtx) {
+  if (!env.SLACK_SIGNING_SECRET) return new Response("Not configured", { status: 501 });
+  const rawBody = await request.text();
+  const timestamp = request.headers.get("x-slack-request-timestamp");
+  const slackSig = request.headers.get("x-slack-signature");
+  if (!timestamp || !slackSig) return new Response("Unauthorized", { status: 401 });
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > 300) return new Response("Expired", { status: 401 });
+  if (!(await verifySignature(env.SLACK_SIGNING_SECRET, timestamp, rawBody, slackSig))) return new Response("Invalid signature", { status: 401 });
+
+  let payload;
+  try {
+    payload = JSON.parse(new URLSearchParams(rawBody).get("payload") || "");
+  } catch {
+    return new Response("Bad payload", { status: 400 });
+  }
+  if (payload.type !== "block_actions") return new Response("", { status: 200 });
+  const action = (payload.actions || []).find((a) => TRIAGE_ACTIONS[a.action_id]);
+  if (!action) return new Response("", { status: 200 });
+
+  // Hosted: the workspace maps to a user. Self-hosted: the single unprefixed state.
+  let userId = null;
+  if (isHostedMode(env)) {
+    userId = await env.STATE.get("slack_team:" + payload.team?.id);
+    if (!userId) return new Response("", { status: 200 });
+  }
+
+  let ref;
+  try {
+    ref = JSON.parse(action.value);
+  } catch {
+    return new Response("Bad action value", { status: 400 });
+  }
+
+  // Slack wants a 200 within 3 seconds; triage and the reply happen after
+  cfCtx.waitUntil((async () => {
+    let result;
+    try {
+      result = await applyTriage(env, userId, action.action_id, ref, payload.user?.id);
+    } catch (e) {
+      console.log(`[handleSlackInteractions] Triage failed: ${e.message}`);
+      result = { ok: false, message: "Couldn't apply that action: " + e.message };
+    }
+    if (!isSlackResponseUrl(payload.response_url)) return;
+    try {
+      await fetch(payload.response_url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          response_type: result.ok ? "in_channel" : "ephemeral",
+          replace_original: false,
+          text: (result.ok ? "✅ " : "⚠️ ") + result.message,
+        }),
+      });
+    } catch (e) {
+      console.log(`[handleSlackInteractions] response_url failed: ${e.message}`);
+    }
+  })());
+  return new Response("", { status: 200 });
+}
@@ -0,0 +1,132 @@
+// Routing — rules that send each alert to one or more destinations, with one digest
+// per destination. Alerts no rule matches go to the default channels (Slack/Teams
+// webhooks in settings) unless fallback is turned off.
+
+import { CHANNELS, buildDigest, deliver } from "./channels.js";
+import { WEBHOOK_EVENT_TYPES } from "./webhooks.js";
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+export const ROUTING_MATCH_FIELDS = ["competitors", "pageTypes", "eventTypes", "minPriority", "keywords"];
+const MAX_RULES = 20;
+
+// ─── MATCHING ────────────────────────────────────────────────────────────────
+
+// Every set criterion must match; empty lists match anything. Keywords match the
+// alert text case-insensitively (any keyword).
+export function matchesRule(alert, match = {}) {
+  const meta = alert.meta || {};
+  const lower = (list) => (list || []).map((v) => String(v).toLowerCase());
+  const competitors = lower(match.competitors);
+  if (competitors.length > 0 && !competitors.includes(String(meta.competitor || "").toLowerCase())) return false;
+  if (match.pageTypes?.length > 0 && !match.pageTypes.includes(meta.pageType)) return false;
+  if (match.eventTypes?.length > 0 && !match.eventTypes.includes(meta.type)) return false;
+  if (match.minPriority && (PRIORITY_RANK[alert.priority] || 1) < (PRIORITY_RANK[match.minPriority] || 1)) return false;
+  const keywords = lower(match.keywords);
+  if (keywords.length > 0) {
+    const text = String(alert.text || "").toLowerCase();
+    if (!keywords.some((k) => text.includes(k))) return false;
+  }
+  return true;
+}
+
+// Groups alerts by destination. Returns { routes: [{ channel, url, name, alerts }], unrouted }.
+export function routeAlerts(alerts, routing) {
+  const rules = (routing?.rules || []).filter((r) => r.enabled !== false);
+  const byDest = new Map();
+  const unrouted = [];
+  for (const alert of alerts) {
+    let matched = false;
+    for (const rule of rules) {
+      if (!matchesRule(alert, rule.match)) continue;
+      matched = true;
+      for (const d of rule.destinations || []) {
+        const key = d.channel + " " + d.url;
+        if (!byDest.has(key)) byDest.set(key, { channel: d.channel, url: d.url, name: d.name || rule.name, alerts: [] });
+        const route = byDest.get(key);
+        if (!route.alerts.includes(alert)) route.alerts.push(alert);
+      }
+    }
+    if (!matched) unrouted.push(alert);
+  }
+  return { routes: [...byDest.values()], unrouted };
+}
+
+// ─── VALIDATION ──────────────────────────────────────────────────────────────
+
+// Returns an error message, or null when the routing config is valid.
+export function validateRouting(routing) {
+  if (!routing || typeof routing !== "object" || Array.isArray(routing)) return "routing must be an object with a rules array";
+  if (!Array.isArray(routing.rules)) return "routing.rules must be an array";
+  if (routing.rules.length > MAX_RULES) return `Maximum ${MAX_RULES} routing rules`;
+  for (const [i, rule] of routing.rules.entries()) {
+    const label = rule?.name ? `Rule "${rule.name}"` : `Rule ${i + 1}`;
+    if (!rule || typeof rule !== "object") return `${label} must be an object`;
+    const match = rule.match || {};
+    for (const field of Object.keys(match)) {
+      if (!ROUTING_MATCH_FIELDS.includes(field)) return `${label}: unknown match field "${field}"`;
+    }
+    for (const field of ["competitors", "pageTypes", "eventTypes", "keywords"]) {
+      if (match[field] !== undefined && (!Array.isArray(match[field]) || match[field].some((v) => typeof v !== "string"))) return `${label}: ${field} must be an array of strings`;
+    }
+    const badType = (match.eventTypes || []).find((t) => !WEBHOOK_EVENT_TYPES.includes(t));
+    if (badType) return `${label}: unknown event type "${badType}"`;
+    if (match.minPriority !== undefined && !PRIORITY_RANK[match.minPriority]) return `${label}: minPriority must be high, medium or low`;
+    if (!Array.isArray(rule.destinations) || rule.destinations.length === 0) return `${label}: needs at least one destination`;
+    for (const d of rule.destinations) {
+      const def = CHANNELS[d?.channel];
+      if (!def) return `${label}: destination channel must be one of ${Object.keys(CHANNELS).join(", ")}`;
+      if (!def.validate(d.url)) return `${label}: ${d.url} is not a valid ${d.channel} webhook URL`;
+    }
+  }
+  return null;
+}
+
+// Normalized copy for storage (ids assigned, unknown keys dropped)
+export function normalizeRouting(routing) {
+  return {
+    fallback: routing.fallback !== false,
+    rules: routing.rules.map((r) => ({
+      id: r.id || crypto.randomUUID(),
+      name: String(r.name || "").slice(0, 80),
+      enabled: r.enabled !== false,
+      match: Object.fromEntries(Object.entries(r.match || {}).filter(([k, v]) => ROUTING_MATCH_FIELDS.includes(k) && !(Array.isArray(v) && v.length === 0))),
+      destinations: r.destinations.map((d) => ({ channel: d.channel, url: d.url, ...(d.name ? { name: String(d.name).slice(0, 80) } : {}) })),
+    })),
+  };
+}
+
+// ─── DELIVERY ────────────────────────────────────────────────────────────────
+
+// One digest per rule destination, plus the default channels for unrouted alerts
+// (filtered by the user's slackMinPriority; rules use their own minPriority).
+export async function deliverRouted(ctx, settings, alerts, { interactive = false } = {}) {
+  const { routes, unrouted } = routeAlerts(alerts, settings.routing);
+  const results = [];
+
+  for (const route of routes) {
+    const def = CHANNELS[route.channel];
+    console.log(`Routing ${route.alerts.length} alert(s) to ${route.channel} "${route.name || route.url}"`);
+    const payload = def.renderDigest(buildDigest(route.alerts, { interactive }));
+    const result = await def.send(ctx, route.url, payload);
+    results.push({ channel: route.channel, destination: route.name || null, ...result });
+  }
+
+  if (unrouted.length === 0) return results;
+  // Fallback can only be switched off once there are rules to catch alerts
+  const hasRules = (settings.routing?.rules || []).some((r) => r.enabled !== false);
+  if (hasRules && settings.routing.fallback === false) {
+    console.log(`${unrouted.length} alert(s) matched no routing rule — fallback disabled`);
+    return results;
+  }
+  const minPriority = settings.slackMinPriority || "low";
+  const minRank = PRIORITY_RANK[minPriority] || 1;
+  const filtered = unrouted.filter((a) => a.watch || (PRIORITY_RANK[a.priority] || 1) >= minRank);
+  const skipped = unrouted.length - filtered.length;
+  if (skipped > 0) console.log(`Filtered ${skipped} alert(s) below ${minPriority} priority`);
+  if (filtered.length === 0) {
+    console.log("All alerts filtered out by priority preference — skipping digest.");
+    return results;
+  }
+  console.log(`Sending ${filtered.length} alert(s) as a batched digest...`);
+  return results.concat(await deliver(ctx, settings, buildDigest(filtered, { skipped, interactive })));
+}
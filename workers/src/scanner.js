@@ -1,22 +1,40 @@
-// Scanner — main monitoring loop (runMonitor) and dashboard cache builder.
+// Scanner — scan runs (runMonitor), per-competitor scan jobs, run finalization
+// and the dashboard cache builder.
 
-import { createContext, SUBREQUEST_LIMIT } from "./context.js";
-import { DEFAULT_ANNOUNCEMENT_KEYWORDS, TIERS, hasFeature, loadConfig } from "./config.js";
-import { htmlToText, hashContent, fetchUrl, parseRssFeed, extractSeoSignals, compareSeoSignals, computeTextDiff } from "./utils.js";
+import { SUBREQUEST_LIMIT } from "./context.js";
+import { DEFAULT_ANNOUNCEMENT_KEYWORDS, hasFeature, loadConfig } from "./config.js";
+import { htmlToText, hashContent, fetchUrl, extractSeoSignals, compareSeoSignals, computeTextDiff, scopeHtml, scopeSignature } from "./utils.js";
 import { extractPricingText, extractPricingWithLLM, analyzePageChange, classifyAnnouncement, radarScanReddit, comparePricing, detectAnnouncement, formatRadarAlert } from "./ai.js";
-import { formatPageChangeAlert, formatBlogAlert, formatAnnouncementAlert, formatSeoAlert, formatProductHuntAlert, formatDigestHeader, sendSlack } from "./slack.js";
-import { loadHistory, saveHistory, migrateState } from "./state.js";
+import { formatPageChangeAlert, formatVisualChangeAlert, formatPageHealthAlert, formatBlogAlert, formatAnnouncementAlert, formatChangelogAlert, formatHiringAlert, formatSitemapAlert, formatSeoAlert, formatProductHuntAlert } from "./slack.js";
+import { deliver } from "./channels.js";
+import { deliverRouted } from "./routing.js";
+import { deliverEmailDigests, publicBaseUrl } from "./emails.js";
+import { dispatchEvents, historyToEvent } from "./webhooks.js";
+import { loadHistory, saveHistory, migrateState, resolveHistoryDays } from "./state.js";
+import { createLocalQueue, createRun, loadRunForJob, recordJobOutcome, recordJobFailure, completeRun, savePartial, loadPartial, deletePartials, PAGE_RETRIES, RETRY_DELAY_SECONDS } from "./queue.js";
+import { resolveScanSchedule, scanLimits, nextScanAt, isPageDue, nextCheckAt, recordChange } from "./scheduler.js";
 import { fetchProductHuntPosts } from "./producthunt.js";
 import { loadBrowserDomains } from "./browser.js";
+import { checkVisualChange, loadVisualBaseline } from "./visual.js";
+import { archiveSnapshot, loadLatestOutline } from "./archive.js";
+import { compileIgnorePatterns, learnVolatile, filterNoise, mergeNoiseState } from "./noise.js";
+import { extractOutline, compareOutlines } from "./outline.js";
+import { parseChangelog, trackEntries, releaseCadence, MAX_ENTRY_ALERTS } from "./changelog.js";
+import { parseFeed, DEFAULT_FEED_WINDOW } from "./feeds.js";
+import { parseJobs, trackJobs, openRoles, hiringSummary, hiringHeadline, recordHiringSnapshot } from "./hiring.js";
+import { recordTimelines, loadTimeline } from "./timeline.js";
+import { fetchSitemapUrls, loadSitemap, saveSitemap, diffSitemap, nextBaseline, notablePages, describeSitemapChange, isSitemapDue } from "./sitemap.js";
+import { readPostBody, extractEntities, entityCategory, mergeEntities, MAX_BODY_FETCHES } from "./announcements.js";
+import { recordFailure, recordSuccess, pageHealth, describeFetchError, isTransientFailure } from "./health.js";
+import { recordPricingSnapshot, isEquivalentPricing, normalizePricing, monthlyUsd, compareToOwnPlans } from "./pricing.js";
 
-// ─── MAIN MONITORING LOGIC ──────────────────────────────────────────────────
+// ─── SCAN RUNS ───────────────────────────────────────────────────────────────
 
-export async function runMonitor(ctx, env, configOverride, userId) {
-  const config = configOverride || await loadConfig(env, userId);
-  const { competitors, settings } = config;
-  const browserDomains = env.BROWSER ? await loadBrowserDomains(env) : new Set();
+function monitorStateKey(userId) {
+  return userId ? "user_state:" + userId + ":monitor" : "monitor_state";
+}
 
-  // Resolve user tier for feature gating
+async function resolveUserTier(env, userId) {
   let userTier = "command"; // default for self-hosted (full access)
   if (userId) {
     try {
@@ -26,6 +44,34 @@ export async function runMonitor(ctx, env, configOverride, userId) {
       console.log(`[runMonitor] Failed to parse user tier for ${userId}: ${e.message}`);
     }
   }
+  return userTier;
+}
+
+// Load or migrate state
+async function loadMonitorState(env, userId, competitors, phTopics) {
+  let state;
+  try {
+    const raw = await env.STATE.get(monitorStateKey(userId));
+    if (raw) {
+      state = JSON.parse(raw);
+      if (state._version !== 2) state = await migrateState(env, state, competitors, phTopics, userId);
+    }
+  } catch (e) { console.log("State load error, starting fresh"); }
+  return state || { _version: 2, competitors: {}, productHunt: {} };
+}
+
+// Starts a scan run: one job per competitor, plus a feeds job for Product Hunt/radar.
+// With SCAN_QUEUE bound the jobs are queued and this returns { queued, runId } at once;
+// otherwise they run here and the result is the finalized run. `force` checks every page
+// regardless of its check interval (manual scans). `pagesOnly` runs between scheduled scans:
+// only pages with a check interval that are due, no blog, sitemap or feeds, and no run at
+// all ({ idle }) when none is due. While the account has a run in progress no other
+// starts — both would diff against the same stored hashes and alert twice — and the
+// result is { busy, runId } for the running one.
+export async function runMonitor(ctx, env, configOverride, userId, { trigger = "manual", force = false, pagesOnly = false } = {}) {
+  const config = configOverride || await loadConfig(env, userId);
+  const { competitors, settings } = config;
+  const userTier = await resolveUserTier(env, userId);
 
   if (competitors.length === 0) {
     console.log("No competitors configured. Visit /setup to add competitors.");
@@ -36,170 +82,577 @@ export async function runMonitor(ctx, env, configOverride, userId) {
   console.log(`Monitoring ${competitors.length} competitors (tier: ${userTier})`);
   console.log("=".repeat(50));
 
-  const alerts = [];
-  const historyEvents = [];
-  const slackUrl = settings.slackWebhookUrl;
-  const phTopics = settings.productHuntTopics || [];
-  const phMinVotes = settings.phMinVotes ?? 0;
+  // Migrate legacy state once, before any job reads it
+  const state = await loadMonitorState(env, userId, competitors, settings.productHuntTopics || []);
+
+  let jobs;
+  if (pagesOnly) {
+    // A job with pageIds fetches just those pages, like a retry
+    const now = Date.now();
+    jobs = competitors.map((c, i) => ({
+      kind: "competitor", key: "c" + i, competitor: c.name,
+      pageIds: (c.pages || []).filter((p) => p.checkInterval && isPageDue(p, state.competitors[c.name]?.pages?.[p.id], now)).map((p) => p.id),
+    })).filter((j) => j.pageIds.length > 0);
+    if (jobs.length === 0) {
+      console.log("No interval pages due — nothing to scan");
+      return { idle: true, alerts: [], slackResults: [], deliveries: [], slackUrl: settings.slackWebhookUrl ? "set" : "missing", subrequests: ctx.subrequestCount };
+    }
+  } else {
+    jobs = competitors.map((c, i) => ({ kind: "competitor", key: "c" + i, competitor: c.name }));
+    const radar = hasFeature(userTier, "competitor_radar") && (settings.radarSubreddits || []).length > 0;
+    if ((settings.productHuntTopics || []).length > 0 || radar) jobs.push({ kind: "feeds", key: "feeds", radar });
+  }
+
+  const queue = env.SCAN_QUEUE || createLocalQueue();
+  const { run, busy } = await createRun(env, userId, { trigger, tier: userTier, jobKeys: jobs.map((j) => j.key), mode: env.SCAN_QUEUE ? "queue" : "inline" });
+  if (busy) {
+    console.log(`Run ${busy.id} is still ${busy.status} — not starting another`);
+    return { busy: true, runId: busy.id, alerts: [], slackResults: [], deliveries: [], slackUrl: settings.slackWebhookUrl ? "set" : "missing", subrequests: ctx.subrequestCount };
+  }
+  await queue.sendBatch(jobs.map((job) => ({ body: { ...job, runId: run.id, userId: userId || null, tier: userTier, force, attempt: 1 } })));
+
+  if (env.SCAN_QUEUE) {
+    console.log(`Queued ${jobs.length} scan job(s) for run ${run.id}`);
+    return { queued: true, runId: run.id, alerts: [], slackResults: [], deliveries: [], slackUrl: settings.slackWebhookUrl ? "set" : "missing", subrequests: ctx.subrequestCount };
+  }
+
+  // No queue bound: drain in-process, sharing this invocation's subrequest budget
+  let result = null;
+  while (queue.messages.length > 0) {
+    const job = queue.messages.shift();
+    try {
+      result = (await processScanJob(ctx, env, job, queue, config)) || result;
+    } catch (e) {
+      console.log(`[runMonitor] ${job.kind} job ${job.key} failed: ${e.message}`);
+      await failScanJob(env, job, e.message, queue);
+      if (job.kind === "finalize") throw e;
+    }
+  }
+  return result;
+}
+
+// Runs one job from the queue and records it on the run. Duplicate deliveries, and jobs
+// for runs that finished or are no longer the account's current run, are dropped.
+// Returns the run result for the finalize job, else null.
+export async function processScanJob(ctx, env, job, queue, configOverride) {
+  const run = await loadRunForJob(env, job);
+  if (!run) {
+    console.log(`[processScanJob] Dropping ${job.kind} job ${job.key} (attempt ${job.attempt}) for run ${job.runId} — not current or already done`);
+    return null;
+  }
+  const config = configOverride || await loadConfig(env, job.userId);
+  if (job.kind === "finalize") return finalizeScan(ctx, env, run, config);
+
+  const startCount = ctx.subrequestCount;
+  const state = await loadMonitorState(env, job.userId, config.competitors, config.settings.productHuntTopics || []);
+  const prev = job.attempt > 1 ? await loadPartial(env, job.userId, run.id, job.key) : null;
+  const { partial, scanned, skipped = 0, failed = 0, pageResults = [], retry } = job.kind === "feeds"
+    ? await scanFeeds(ctx, env, config, state, job)
+    : await scanCompetitor(ctx, env, config, state, job, prev);
+  await savePartial(env, job.userId, run.id, job.key, partial);
+
+  const outcome = await recordJobOutcome(env, job, {
+    pageResults, scanned, skipped, failed,
+    retried: retry ? retry.pageIds.length : 0,
+    subrequests: ctx.subrequestCount - startCount,
+  });
+  if (outcome.stale) {
+    console.log(`[processScanJob] Run ${job.runId} moved on while ${job.key} ran — result dropped`);
+  } else if (retry) {
+    console.log(`  Retrying ${retry.pageIds.length} page(s)${retry.blog ? " + blog feed" : ""} for ${job.competitor} in ${RETRY_DELAY_SECONDS}s`);
+    await queue.send({ ...job, ...retry, attempt: job.attempt + 1 }, { delaySeconds: RETRY_DELAY_SECONDS });
+  } else if (outcome.finalize) {
+    await queueFinalize(run, queue);
+  }
+  return null;
+}
+
+// A job that threw on its last attempt: the run goes on without it. A failed finalize fails the run.
+export async function failScanJob(env, job, error, queue) {
+  const { finalize } = await recordJobFailure(env, job, error);
+  if (finalize) await queueFinalize({ id: job.runId, userId: job.userId }, queue);
+}
+
+// Sent by whichever job finished the run's last pending job
+async function queueFinalize(run, queue) {
+  await queue.send({ kind: "finalize", key: "finalize", runId: run.id, userId: run.userId, attempt: 1 });
+}
+
+// ─── SCAN JOBS ───────────────────────────────────────────────────────────────
+
+// One competitor's pages, blog feed and sitemap. A job with pageIds fetches only those pages:
+// a page-only scan's due pages, or a retry's transient failures (continuing from the
+// previous attempt's partial result).
+// `failed` counts the pages that failed for good.
+async function scanCompetitor(ctx, env, config, state, job, prev) {
+  const { settings } = config;
+  const userId = job.userId;
+  const partial = prev || { kind: "competitor", competitor: job.competitor, cs: null, alerts: [], historyEvents: [] };
+  const competitor = config.competitors.find((c) => c.name === job.competitor);
+  if (!competitor) {
+    console.log(`\n── ${job.competitor} — no longer configured, skipping`);
+    return { partial, scanned: 0, pageResults: [], retry: null };
+  }
+  console.log(`\n── ${competitor.name}${job.attempt > 1 ? ` (retry ${job.attempt - 1})` : ""} ──`);
+  const cs = partial.cs || state.competitors[competitor.name] || { pages: {}, blog: { postIds: [] }, seo: {}, pricing: null };
+  partial.cs = cs;
+  const { alerts, historyEvents } = partial;
+  const browserDomains = env.BROWSER ? await loadBrowserDomains(env) : new Set();
   const keywords = settings.announcementKeywords || DEFAULT_ANNOUNCEMENT_KEYWORDS;
+  // Determine history/archive retention days for this user's tier
+  const historyDays = await resolveHistoryDays(env, userId);
 
-  // Load or migrate state
-  const stateKey = userId ? "user_state:" + userId + ":monitor" : "monitor_state";
-  let state;
-  try {
-    const raw = await env.STATE.get(stateKey);
-    if (raw) {
-      state = JSON.parse(raw);
-      if (state._version !== 2) state = await migrateState(env, state, competitors, phTopics, userId);
+  // Alerts carry `meta` (competitor, page type, event type) for routing rules. Page alerts
+  // also carry a ref to their history event so Slack triage buttons can find it.
+  // Snoozed pages still record history but stay quiet; watchlisted pages skip the priority filter.
+  const recordPageAlert = (alert, event, page, ps) => {
+    event.id = event.id || crypto.randomUUID();
+    if (ps.snoozedUntil && new Date(ps.snoozedUntil) > new Date()) {
+      console.log(`    Snoozed until ${ps.snoozedUntil} — alert suppressed`);
+      historyEvents.push({ ...event, snoozed: true });
+      return;
     }
-  } catch (e) { console.log("State load error, starting fresh"); }
-  if (!state) state = { _version: 2, competitors: {}, productHunt: {} };
+    historyEvents.push(event);
+    alerts.push({
+      ...alert,
+      meta: { competitor: event.competitor, pageType: page.type, type: event.type },
+      ref: { eventId: event.id, competitor: event.competitor, pageId: event.pageId },
+      ...(ps.watch ? { watch: true } : {}),
+    });
+  };
 
-  let history = await loadHistory(env, userId);
+  // Dashboard link for an alert's event (visual alerts point there for the before/after images)
+  const dashboardBase = publicBaseUrl(env);
+  const eventUrl = (id) => (dashboardBase ? `${dashboardBase}/dashboard#event-${id}` : null);
+
+  // One entry per page for the run record: ok (with what happened), skipped or failed (with why)
+  const pageResults = [];
+  const logPage = (page, status, detail) => pageResults.push({
+    competitor: competitor.name, pageId: page.id, label: page.label, url: page.url,
+    status, attempt: job.attempt, ...detail,
+  });
 
-  // ── CHECK COMPETITORS ──
-  for (const competitor of competitors) {
-    console.log(`\n── ${competitor.name} ──`);
-    if (!state.competitors[competitor.name]) {
-      state.competitors[competitor.name] = { pages: {}, blog: { postIds: [] }, seo: {}, pricing: null };
+  // Retries refetch their failed pages; otherwise pages wait for their check interval
+  let skipped = 0;
+  const now = Date.now();
+  const pages = (competitor.pages || []).filter((p) => {
+    if (job.pageIds) return job.pageIds.includes(p.id);
+    if (job.force || isPageDue(p, cs.pages[p.id], now)) return true;
+    const next = nextCheckAt(p, cs.pages[p.id], now);
+    console.log(`  ${p.label}... not due (${p.checkInterval}, next check ${next})`);
+    logPage(p, "skipped", { reason: "not_due", nextCheck: next });
+    skipped++;
+    return false;
+  });
+  // Health alerts: monitoring degraded after repeated failures, recovered, or page moved
+  const HEALTH_SUMMARY = {
+    degraded: (page, h) => `Monitoring degraded: ${page.label} failed ${h.consecutiveFailures} scans in a row (${describeFetchError(h.lastError)})`,
+    recovered: (page) => `Monitoring restored: ${page.label} is reachable again`,
+    moved: (page, h) => `${page.label} moved: now redirects to ${h.movedTo}`,
+  };
+  const recordHealthAlert = (kind, page, ps) => {
+    console.log(`    Page health: ${kind}`);
+    recordPageAlert(formatPageHealthAlert(competitor.name, page, kind, ps.health), {
+      date: new Date().toISOString(), competitor: competitor.name,
+      pageId: page.id, pageLabel: page.label, type: "page_health", health: kind,
+      priority: kind === "recovered" ? "low" : "medium", summary: HEALTH_SUMMARY[kind](page, ps.health),
+      ...(kind === "moved" ? { url: ps.health.movedTo } : {}),
+    }, page, ps);
+  };
+
+  // Transient failures are refetched by a delayed retry job. Without a queue a retry would
+  // run at once, on this invocation's budget, so there are none.
+  const canRetry = !!env.SCAN_QUEUE && job.attempt <= PAGE_RETRIES;
+  const retryPages = [];
+  let failed = 0;
+  let scanned = 0;
+  const newPageState = () => ({ hash: null, textSnapshot: null, lastChecked: null, lastChanged: null });
+  for (const page of pages) {
+    console.log(`  ${page.label}...`);
+    const outcome = {};
+    const capture = page.visual && env.BROWSER ? { previousShot: await loadVisualBaseline(env, userId, competitor.name, page.id) } : null;
+    const content = await fetchUrl(ctx, page.url, env, browserDomains, outcome, capture);
+    if (!content) {
+      const retrying = canRetry && isTransientFailure(outcome);
+      if (retrying) retryPages.push(page.id);
+      else failed++;
+      logPage(page, "failed", outcome);
+      const ps = cs.pages[page.id] || (cs.pages[page.id] = newPageState());
+      if (recordFailure(ps, outcome, { lastAttempt: !retrying })) recordHealthAlert("degraded", page, ps);
+      continue;
     }
-    const cs = state.competitors[competitor.name];
-
-    for (const page of (competitor.pages || [])) {
-      console.log(`  ${page.label}...`);
-      const content = await fetchUrl(ctx, page.url, env, browserDomains);
-      if (!content) continue;
-
-      const ps = cs.pages[page.id] || { hash: null, textSnapshot: null, lastChecked: null, lastChanged: null };
-      const newHash = await hashContent(content);
-      const newText = page.type === "pricing" ? extractPricingText(content) : htmlToText(content);
-      const isFirstRun = ps.hash === null;
-
-      const newSeo = extractSeoSignals(content);
-      const oldSeo = cs.seo[page.id] || null;
-      if (!isFirstRun && oldSeo) {
-        const seoChanges = compareSeoSignals(oldSeo, newSeo);
-        if (seoChanges) {
-          console.log(`    SEO changed (${seoChanges.length} field(s))`);
-          alerts.push(formatSeoAlert(competitor.name, page.label, page.url, seoChanges));
-          historyEvents.push({
+    scanned++;
+
+    const ps = cs.pages[page.id] || newPageState();
+    for (const kind of recordSuccess(ps, page.url, outcome)) recordHealthAlert(kind, page, ps);
+
+    // Include/exclude selectors narrow what gets hashed, diffed and extracted (SEO still reads the full page)
+    let scoped, scopeSig;
+    try {
+      scopeSig = scopeSignature(page);
+      scoped = await scopeHtml(content, page);
+    } catch (e) {
+      console.log(`    Selector error, using full page: ${e.message}`);
+      scopeSig = null;
+      scoped = content;
+    }
+    if (scoped === null) {
+      console.log(`    Include selectors matched nothing — skipping`);
+      logPage(page, "ok", { result: "no_match", ...outcome });
+      cs.pages[page.id] = ps;
+      continue;
+    }
+
+    const newHash = await hashContent(scoped);
+    const newText = page.type === "pricing" ? extractPricingText(scoped) : htmlToText(scoped);
+    const newOutline = extractOutline(scoped);
+    // Changelog pages alert once per new entry; unrecognised layouts fall back to the text diff
+    const entries = page.type === "changelog" ? parseChangelog(scoped, page.url) : [];
+    // Careers pages track individual postings the same way
+    const jobs = page.type === "careers" ? parseJobs(scoped, page.url) : [];
+    const careersStates = () => (competitor.pages || []).filter((p) => p.type === "careers").map((p) => (p.id === page.id ? ps : cs.pages[p.id]));
+    let isFirstRun = ps.hash === null;
+    if (!isFirstRun && (ps.scope || null) !== scopeSig) {
+      console.log(`    Selectors changed — re-baselining`);
+      isFirstRun = true;
+    }
+    ps.scope = scopeSig;
+
+    const newSeo = extractSeoSignals(content);
+    const oldSeo = cs.seo[page.id] || null;
+    if (!isFirstRun && oldSeo) {
+      const seoChanges = compareSeoSignals(oldSeo, newSeo);
+      if (seoChanges) {
+        console.log(`    SEO changed (${seoChanges.length} field(s))`);
+        recordPageAlert(formatSeoAlert(competitor.name, page.label, page.url, seoChanges), {
+          date: new Date().toISOString(), competitor: competitor.name,
+          pageId: page.id, pageLabel: page.label, type: "seo_change",
+          priority: "low", summary: `SEO changed: ${seoChanges.map((c) => c.field).join(", ")}`,
+        }, page, ps);
+      }
+    }
+    cs.seo[page.id] = newSeo;
+
+    // Visual mode: screenshot + pixel diff through Browser Rendering (taken during the fetch if it was rendered)
+    let visual = null;
+    if (capture) {
+      visual = await checkVisualChange(ctx, env, competitor.name, page, userId, capture);
+      if (visual?.firstRun) console.log(`    Visual baseline captured`);
+      else if (visual?.changed) console.log(`    Visual change (${(visual.ratio * 100).toFixed(1)}%)`);
+    }
+    let textAlerted = false;
+    const prevHash = ps.hash;
+    const prevSnapshot = { text: ps.textSnapshot, date: ps.lastChanged || ps.lastChecked, outline: ps.outline };
+
+    if (isFirstRun) {
+      console.log(`    Indexing (first run)`);
+      if (page.type === "pricing") {
+        const pricing = await extractPricingWithLLM(ctx, scoped, env);
+        if (pricing) {
+          cs.pricing = pricing;
+          console.log(`    ${pricing.plans?.length || 0} plans extracted`);
+          await recordPricingSnapshot(env, userId, competitor.name, pricing, historyDays);
+        }
+      }
+      if (entries.length > 0) {
+        trackEntries(ps, entries);
+        console.log(`    ${entries.length} changelog entries indexed`);
+      }
+      if (jobs.length > 0) {
+        trackJobs(ps, jobs);
+        console.log(`    ${jobs.length} open roles indexed`);
+        await recordHiringSnapshot(env, userId, competitor.name, openRoles(careersStates()), [], [], historyDays);
+      }
+      ps.hash = newHash;
+      ps.textSnapshot = newText;
+      ps.lastChecked = new Date().toISOString();
+      if (!ps.firstChecked) ps.firstChecked = ps.lastChecked;
+    } else if (newHash !== ps.hash && entries.length > 0) {
+      const fresh = trackEntries(ps, entries);
+      console.log(`    ${fresh.length} new changelog entr${fresh.length === 1 ? "y" : "ies"}`);
+      if (fresh.length > MAX_ENTRY_ALERTS) console.log(`    Indexing ${fresh.length - MAX_ENTRY_ALERTS} older new entries without alerts`);
+      for (const entry of fresh.slice(0, MAX_ENTRY_ALERTS)) {
+        const cl = await classifyAnnouncement(ctx, env, competitor.name, entry.title, detectAnnouncement(entry.title, keywords) || "product");
+        const entities = extractEntities(entry.title + ". " + entry.body);
+        recordPageAlert(formatChangelogAlert(competitor.name, page, entry, cl), {
+          date: new Date().toISOString(), competitor: competitor.name,
+          pageId: page.id, pageLabel: page.label, type: "changelog_entry",
+          priority: cl.priority, summary: cl.summary || entry.title, category: cl.category,
+          title: entry.title, version: entry.version, releasedAt: entry.date, url: entry.url || page.url,
+          ...(Object.keys(entities).length ? { entities } : {}),
+        }, page, ps);
+      }
+      if (fresh.length > 0) {
+        textAlerted = true;
+        recordChange(ps);
+      }
+      ps.hash = newHash;
+      ps.textSnapshot = newText;
+      ps.lastChecked = new Date().toISOString();
+    } else if (newHash !== ps.hash && jobs.length > 0) {
+      const { opened, closed } = trackJobs(ps, jobs);
+      console.log(`    ${opened.length} role(s) opened, ${closed.length} closed (${jobs.length} open)`);
+      if (opened.length > 0 || closed.length > 0) {
+        const roles = openRoles(careersStates());
+        await recordHiringSnapshot(env, userId, competitor.name, roles, opened, closed, historyDays);
+        recordChange(ps);
+        // Closings alone (roles filled) go into the series but don't alert
+        if (opened.length > 0) {
+          const summary = hiringSummary(roles);
+          const headline = hiringHeadline(competitor.name, opened, summary);
+          const alert = formatHiringAlert(competitor.name, page, opened, closed, summary, headline);
+          recordPageAlert(alert, {
             date: new Date().toISOString(), competitor: competitor.name,
-            pageId: page.id, pageLabel: page.label, type: "seo_change",
-            priority: "low", summary: `SEO changed: ${seoChanges.map((c) => c.field).join(", ")}`,
-          });
+            pageId: page.id, pageLabel: page.label, type: "hiring_change",
+            priority: alert.priority, summary: headline.text,
+            opened: opened.slice(0, 20).map(({ listedDepartment, ...j }) => j),
+            closed: closed.slice(0, 20).map((j) => ({ title: j.title, department: j.department })),
+            openRoles: roles.length, url: page.url,
+          }, page, ps);
+          textAlerted = true;
         }
       }
-      cs.seo[page.id] = newSeo;
+      ps.hash = newHash;
+      ps.textSnapshot = newText;
+      ps.lastChecked = new Date().toISOString();
+    } else if (newHash !== ps.hash) {
+      const oldText = ps.textSnapshot || "";
+      const rawDiff = computeTextDiff(oldText, newText);
+      // Chunks that keep flipping back and forth are learned as volatile; they and any
+      // ignore-pattern matches are dropped before deciding whether to alert
+      const learned = learnVolatile(ps, rawDiff);
+      if (learned.length > 0) console.log(`    Learned ${learned.length} volatile chunk(s)`);
+      const ignore = compileIgnorePatterns(competitor, page);
+      const { diff, suppressed } = filterNoise(rawDiff, ignore, ps.volatile);
+      if (suppressed > 0) console.log(`    Suppressed ${suppressed} ignored/volatile chunk(s)`);
+      // Headings, bullets, tables and CTAs that changed, as sentences for the alert and the AI
+      // (states from before outlines moved to the archive still carry ps.outline)
+      const prevOutline = ps.outline || await loadLatestOutline(env, userId, competitor.name, page.id);
+      diff.structure = compareOutlines(prevOutline, newOutline).filter((s) => !ignore.some((m) => m.test(s)));
 
-      if (isFirstRun) {
-        console.log(`    Indexing (first run)`);
-        if (page.type === "pricing") {
-          const pricing = await extractPricingWithLLM(ctx, content, env);
-          if (pricing) { cs.pricing = pricing; console.log(`    ${pricing.plans?.length || 0} plans extracted`); }
-        }
+      // Skip alert if diff is trivial (hash changed but no meaningful text or structure diff)
+      const hasMeaningfulDiff = diff.changes.length > 0 || diff.structure.length > 0;
+      if (!hasMeaningfulDiff) {
+        console.log(suppressed > 0 ? `    Only ignored/volatile content changed — skipping alert` : `    Hash changed but no meaningful text diff — skipping alert`);
         ps.hash = newHash;
         ps.textSnapshot = newText;
         ps.lastChecked = new Date().toISOString();
-      } else if (newHash !== ps.hash) {
-        const oldText = ps.textSnapshot || "";
-        const diff = computeTextDiff(oldText, newText);
-
-        // Skip alert if diff is trivial (hash changed but no meaningful text diff)
-        const hasMeaningfulDiff = diff.added.length > 0 || diff.removed.length > 0;
-        if (!hasMeaningfulDiff) {
-          console.log(`    Hash changed but no meaningful text diff — skipping alert`);
-          ps.hash = newHash;
-          ps.textSnapshot = newText;
-          ps.lastChecked = new Date().toISOString();
-        } else {
-          console.log(`    CHANGED (${diff.added.length} added, ${diff.removed.length} removed)`);
-          let analysis = null;
-          let pricingChanges = null;
-
-          if (page.type === "pricing") {
-            const newPricing = await extractPricingWithLLM(ctx, content, env);
-            if (newPricing && cs.pricing) pricingChanges = comparePricing(cs.pricing, newPricing);
-            if (newPricing) cs.pricing = newPricing;
+      } else {
+        console.log(`    CHANGED (${diff.changes.length} change(s): ${diff.added.length} added, ${diff.removed.length} removed; ${diff.structure.length} structural)`);
+        let analysis = null;
+        let pricingChanges = null;
+        let pricingEquivalent = false;
+        let vsOwnPlans = null;
+
+        if (page.type === "pricing") {
+          const newPricing = await extractPricingWithLLM(ctx, scoped, env);
+          if (newPricing && cs.pricing) {
+            pricingChanges = comparePricing(cs.pricing, newPricing, settings.fxRates);
+            pricingEquivalent = isEquivalentPricing(cs.pricing, newPricing, settings.fxRates);
+            vsOwnPlans = compareToOwnPlans(settings.ownPlans, cs.pricing, newPricing, settings.fxRates);
+          }
+          if (newPricing) {
+            cs.pricing = newPricing;
+            await recordPricingSnapshot(env, userId, competitor.name, newPricing, historyDays);
+          }
+          if (!pricingEquivalent) {
             analysis = await analyzePageChange(ctx, env, competitor.name, page.label, page.type, diff);
             if (!analysis) analysis = {
               summary: "Pricing page updated" + (pricingChanges?.length ? ": " + pricingChanges[0] : ""),
               priority: "high", analysis: "", recommendation: "Compare current pricing against your own."
             };
-          } else {
-            analysis = await analyzePageChange(ctx, env, competitor.name, page.label, page.type, diff);
-            if (!analysis) {
-              const snippet = diff.afterExcerpt ? "Content updated: " + diff.afterExcerpt.slice(0, 120) : "Page content changed (diff unavailable)";
-              analysis = { summary: snippet, priority: "medium", analysis: "", recommendation: "Review the page for strategic changes." };
-            }
           }
+        } else {
+          analysis = await analyzePageChange(ctx, env, competitor.name, page.label, page.type, diff);
+          if (!analysis) {
+            const snippet = diff.structure.length ? diff.structure[0]
+              : diff.afterExcerpt ? "Content updated: " + diff.afterExcerpt.slice(0, 120) : "Page content changed (diff unavailable)";
+            analysis = { summary: snippet, priority: "medium", analysis: "", recommendation: "Review the page for strategic changes." };
+          }
+        }
 
-          alerts.push(formatPageChangeAlert(competitor.name, page, analysis, diff, pricingChanges));
-          historyEvents.push({
-            date: new Date().toISOString(), competitor: competitor.name,
+        if (pricingEquivalent) {
+          console.log(`    Same plans and prices (billing toggle or currency localization) — skipping alert`);
+        } else {
+          // News and press pages announce funding, deals and hires in the text they add
+          const entities = page.type === "blog" ? extractEntities(diff.added.join(" ")) : {};
+          const eventId = crypto.randomUUID();
+          recordPageAlert(formatPageChangeAlert(competitor.name, page, analysis, diff, pricingChanges, visual, vsOwnPlans, visual?.changed ? eventUrl(eventId) : null), {
+            id: eventId, date: new Date().toISOString(), competitor: competitor.name,
             pageId: page.id, pageLabel: page.label, type: "page_change",
             priority: analysis.priority, summary: analysis.summary,
             analysis: analysis.analysis, recommendation: analysis.recommendation,
-            diff: { before: diff.beforeExcerpt, after: diff.afterExcerpt },
-          });
-          ps.hash = newHash;
-          ps.textSnapshot = newText;
-          ps.lastChecked = new Date().toISOString();
-          ps.lastChanged = new Date().toISOString();
+            diff: {
+              before: diff.beforeExcerpt, after: diff.afterExcerpt,
+              edits: diff.changes.filter((c) => c.type === "modified").slice(0, 5).map((c) => c.words),
+              chunks: { added: diff.added.slice(0, 10).map((c) => c.slice(0, 300)), removed: diff.removed.slice(0, 10).map((c) => c.slice(0, 300)) },
+            },
+            ...(diff.structure.length ? { structure: diff.structure } : {}),
+            ...(Object.keys(entities).length ? { entities } : {}),
+            ...(visual?.changed ? { visual: { id: visual.id, ratio: visual.ratio, region: visual.region } } : {}),
+          }, page, ps);
+          textAlerted = true;
+          recordChange(ps);
         }
-      } else {
-        console.log(`    Unchanged`);
+        ps.hash = newHash;
+        ps.textSnapshot = newText;
         ps.lastChecked = new Date().toISOString();
       }
-      cs.pages[page.id] = ps;
+    } else {
+      console.log(`    Unchanged`);
+      ps.lastChecked = new Date().toISOString();
     }
+    // The outline is archived with the snapshot, not kept in monitor state
+    delete ps.outline;
 
-    if (competitor.blogRss && hasFeature(userTier, "rss_monitoring")) {
-      console.log(`  Blog RSS...`);
-      const rssContent = await fetchUrl(ctx, competitor.blogRss, env, browserDomains);
-      if (rssContent) {
-        const posts = parseRssFeed(rssContent);
-        const lastSeenIds = cs.blog.postIds || [];
-        const isFirstRun = lastSeenIds.length === 0;
-        if (isFirstRun) {
-          console.log(`    Indexed ${posts.length} posts (first run)`);
-        } else {
-          const newPosts = posts.filter((p) => !lastSeenIds.includes(p.id));
-          if (newPosts.length > 0) {
-            console.log(`    ${newPosts.length} new post(s)`);
-            const regularPosts = [];
-            for (const post of newPosts) {
-              const cat = detectAnnouncement(post.title, keywords);
-              if (cat) {
-                console.log(`    Announcement: ${cat} — "${post.title}"`);
-                const cl = await classifyAnnouncement(ctx, env, competitor.name, post.title, cat);
-                alerts.push(formatAnnouncementAlert(competitor.name, post, cl));
-                historyEvents.push({
-                  date: new Date().toISOString(), competitor: competitor.name,
-                  type: "announcement", priority: cl.priority,
-                  summary: cl.summary || post.title, category: cl.category, url: post.link,
-                });
-              } else {
-                regularPosts.push(post);
-              }
+    // Archive every new text snapshot (first run included) for the time-travel diff viewer.
+    // Pages archived before the newest snapshot was kept without a TTL (or before outlines
+    // moved to the archive) are re-archived once.
+    if (ps.hash !== prevHash || isFirstRun || !ps.archiveKept) {
+      try {
+        await archiveSnapshot(env, userId, competitor.name, page.id, newText, historyDays, prevSnapshot, newOutline);
+        ps.archiveKept = true;
+      } catch (e) {
+        console.log(`[runMonitor] Archive write failed for ${competitor.name}/${page.id}: ${e.message}`);
+      }
+    }
+
+    if (visual?.changed && !textAlerted) {
+      const eventId = crypto.randomUUID();
+      recordPageAlert(formatVisualChangeAlert(competitor.name, page, visual, eventUrl(eventId)), {
+        id: eventId, date: new Date().toISOString(), competitor: competitor.name,
+        pageId: page.id, pageLabel: page.label, type: "visual_change",
+        priority: "medium", summary: `Visual change on ${page.label} (${(visual.ratio * 100).toFixed(1)}% of the page)`,
+        visual: { id: visual.id, ratio: visual.ratio, region: visual.region },
+      }, page, ps);
+      recordChange(ps);
+    }
+    logPage(page, "ok", { result: isFirstRun ? "baseline" : ps.hash !== prevHash ? "changed" : "unchanged", ...outcome });
+    cs.pages[page.id] = ps;
+  }
+
+  let blogFailed = false;
+  if (competitor.blogRss && hasFeature(job.tier, "rss_monitoring") && (!job.pageIds || job.blog)) {
+    console.log(`  Blog RSS...`);
+    const blogPage = { id: "blog", label: "Blog RSS", url: competitor.blogRss };
+    const outcome = {};
+    const rssContent = await fetchUrl(ctx, competitor.blogRss, env, browserDomains, outcome);
+    if (rssContent) {
+      const feedWindow = settings.feedWindow || DEFAULT_FEED_WINDOW;
+      const posts = parseFeed(rssContent, { limit: feedWindow, baseUrl: competitor.blogRss });
+      const lastSeenIds = cs.blog.postIds || [];
+      const isFirstRun = lastSeenIds.length === 0;
+      if (isFirstRun) {
+        console.log(`    Indexed ${posts.length} posts (first run)`);
+      } else {
+        // Posts that only came into view because the window grew, or that predate the newest
+        // post already seen, are old posts: indexed, not announced
+        const oldWindow = cs.blog.window || 10;
+        const newPosts = posts.filter((p, i) => !lastSeenIds.includes(p.id) && i < oldWindow &&
+          !(p.published && cs.blog.latest && p.published < cs.blog.latest));
+        if (newPosts.length > 0) {
+          console.log(`    ${newPosts.length} new post(s)`);
+          const regularPosts = [];
+          const bodyBudget = { remaining: MAX_BODY_FETCHES };
+          for (const post of newPosts) {
+            // Titles can be vague ("A big week for us"), so the body decides too
+            const body = await readPostBody(ctx, env, post, browserDomains, bodyBudget);
+            const found = extractEntities(post.title + ". " + body);
+            const cat = detectAnnouncement([post.title, ...post.categories].join(" "), keywords) ||
+              entityCategory(found) || (body ? detectAnnouncement(body.slice(0, 300), keywords) : null);
+            if (cat) {
+              console.log(`    Announcement: ${cat} — "${post.title}"`);
+              const cl = await classifyAnnouncement(ctx, env, competitor.name, post.title, cat, post, body);
+              const entities = mergeEntities(found, cl.entities);
+              alerts.push({ ...formatAnnouncementAlert(competitor.name, post, cl, entities), meta: { competitor: competitor.name, type: "announcement" } });
+              historyEvents.push({
+                date: new Date().toISOString(), competitor: competitor.name,
+                type: "announcement", priority: cl.priority,
+                summary: cl.summary || post.title, category: cl.category, url: post.link,
+                ...postDetails(post),
+                ...(Object.keys(entities).length ? { entities } : {}),
+              });
+            } else {
+              regularPosts.push(post);
             }
-            if (regularPosts.length > 0) {
-              alerts.push(formatBlogAlert(competitor.name, regularPosts));
-              for (const p of regularPosts) {
-                historyEvents.push({
-                  date: new Date().toISOString(), competitor: competitor.name,
-                  type: "blog_post", priority: "low", summary: p.title, url: p.link,
-                });
-              }
+          }
+          if (regularPosts.length > 0) {
+            alerts.push({ ...formatBlogAlert(competitor.name, regularPosts), meta: { competitor: competitor.name, type: "blog_post" } });
+            for (const p of regularPosts) {
+              historyEvents.push({
+                date: new Date().toISOString(), competitor: competitor.name,
+                type: "blog_post", priority: "low", summary: p.title, url: p.link,
+                ...postDetails(p),
+              });
             }
-          } else {
-            console.log(`    No new posts`);
           }
+        } else {
+          console.log(`    No new posts`);
+        }
+      }
+      cs.blog.postIds = posts.map((p) => p.id);
+      cs.blog.window = feedWindow;
+      const newest = posts.reduce((max, p) => (p.published && p.published > max ? p.published : max), cs.blog.latest || "");
+      if (newest) cs.blog.latest = newest;
+      logPage(blogPage, "ok", outcome);
+    } else {
+      blogFailed = canRetry && isTransientFailure(outcome);
+      logPage(blogPage, "failed", outcome);
+    }
+  }
+
+  // Sitemap: pages nobody configured. Checked daily (or on a manual scan) when this job
+  // reached the site, never on retries.
+  if (competitor.website && !job.pageIds && scanned > 0 && (job.force || isSitemapDue(cs.sitemap, now))) {
+    console.log(`  Sitemap...`);
+    const current = await fetchSitemapUrls(ctx, env, competitor.website);
+    cs.sitemap = { checkedAt: new Date().toISOString(), urls: current ? current.urls.length : 0 };
+    if (!current) {
+      console.log(`    No sitemap found`);
+    } else {
+      const prev = await loadSitemap(env, userId, competitor.name);
+      if (!prev) {
+        console.log(`    Indexed ${current.urls.length} URLs (first run)`);
+      } else {
+        const diff = diffSitemap(prev, current);
+        const { newPages, removedPages } = notablePages(diff);
+        console.log(`    ${diff.added.length} new URL(s), ${diff.removed.length} removed`);
+        if (newPages.length > 0 || removedPages.length > 0) {
+          alerts.push({ ...formatSitemapAlert(competitor.name, competitor.website, newPages, removedPages), meta: { competitor: competitor.name, type: "sitemap_change" } });
+          historyEvents.push({
+            date: new Date().toISOString(), competitor: competitor.name,
+            type: "sitemap_change", priority: "medium",
+            summary: `${competitor.name} sitemap: ${describeSitemapChange(newPages, removedPages)}`,
+            newPages, removedPages, added: diff.added.length, removed: diff.removed.length,
+          });
         }
-        cs.blog.postIds = posts.map((p) => p.id);
       }
+      await saveSitemap(env, userId, competitor.name, nextBaseline(prev, current));
     }
   }
 
+  const retry = retryPages.length > 0 || blogFailed ? { pageIds: retryPages, blog: blogFailed } : null;
+  return { partial, scanned, skipped, failed, pageResults, retry };
+}
+
+// Feed fields kept on blog history events
+function postDetails(post) {
+  return {
+    published: post.published,
+    ...(post.authors.length ? { authors: post.authors } : {}),
+    ...(post.categories.length ? { categories: post.categories } : {}),
+    ...(post.summary ? { excerpt: post.summary.slice(0, 300) } : {}),
+  };
+}
+
+// Product Hunt topics and the Reddit competitor radar
+async function scanFeeds(ctx, env, config, state, job) {
+  const { competitors, settings } = config;
+  const alerts = [];
+  const historyEvents = [];
+  const phTopics = settings.productHuntTopics || [];
+  const phMinVotes = settings.phMinVotes ?? 0;
+
   // ── PRODUCT HUNT ──
   if (phTopics.length > 0) {
     console.log(`\n── Product Hunt ──`);
@@ -216,7 +669,7 @@ export async function runMonitor(ctx, env, configOverride, userId) {
         const newPosts = filtered.filter((p) => !lastSeenIds.includes(p.id));
         if (newPosts.length > 0) {
           console.log(`    ${newPosts.length} new launch(es)`);
-          alerts.push(formatProductHuntAlert(topic.name, newPosts));
+          alerts.push({ ...formatProductHuntAlert(topic.name, newPosts), meta: { type: "producthunt" } });
           for (const p of newPosts) {
             historyEvents.push({
               date: new Date().toISOString(), type: "producthunt", priority: "medium",
@@ -232,13 +685,13 @@ export async function runMonitor(ctx, env, configOverride, userId) {
   }
 
   // ── COMPETITOR RADAR (Reddit) ──
-  if (hasFeature(userTier, "competitor_radar") && (settings.radarSubreddits || []).length > 0) {
+  if (job.radar) {
     console.log(`\n── Competitor Radar ──`);
     const productMeta = settings._productMeta || null;
     const radarFinds = await radarScanReddit(ctx, env, settings, state, productMeta, competitors);
     if (radarFinds.length > 0) {
       console.log(`  ${radarFinds.length} new competitor(s) spotted`);
-      alerts.push({ priority: "medium", text: formatRadarAlert(radarFinds) });
+      alerts.push({ priority: "medium", text: formatRadarAlert(radarFinds), meta: { type: "radar" } });
       for (const c of radarFinds) {
         historyEvents.push({
           date: new Date().toISOString(), type: "radar", priority: "medium",
@@ -251,60 +704,89 @@ export async function runMonitor(ctx, env, configOverride, userId) {
     }
   }
 
-  // ── PERSIST ──
-  await env.STATE.put(stateKey, JSON.stringify(state));
-  // Determine history retention days for this user's tier
-  let historyDays = 90;
-  if (userId) {
-    try {
-      const uRaw = await env.STATE.get("user:" + userId);
-      if (uRaw) { const u = JSON.parse(uRaw); const td = TIERS[u.tier]; if (td && td.historyDays > 0) historyDays = td.historyDays; else if (td && td.historyDays === -1) historyDays = 99999; }
-    } catch (e) {
-      console.log(`[runMonitor] Failed to read history retention for ${userId}: ${e.message}`);
+  return { partial: { kind: "feeds", productHunt: state.productHunt, radar: state.radar || null, alerts, historyEvents }, scanned: 0, retry: null };
+}
+
+// ─── FINALIZE ────────────────────────────────────────────────────────────────
+
+// Page fields only Slack triage and the dashboard set
+const USER_PAGE_FIELDS = ["snoozedUntil", "watch"];
+
+// A job's competitor state is a copy read when the job started. Triage and un-ignores made
+// since then are in the stored state, so those fields are kept from it; the rest is the scan's.
+function mergeCompetitorState(scanned, stored) {
+  if (!stored?.pages) return scanned;
+  for (const [pageId, ps] of Object.entries(scanned.pages || {})) {
+    const current = stored.pages[pageId];
+    if (!current) continue;
+    for (const field of USER_PAGE_FIELDS) {
+      if (current[field] === undefined) delete ps[field];
+      else ps[field] = current[field];
+    }
+    mergeNoiseState(ps, current);
+  }
+  return scanned;
+}
+
+// Merges every job's partial result into monitor state, then persists, dispatches
+// webhooks and sends one digest per destination for the whole run.
+async function finalizeScan(ctx, env, run, config) {
+  const { competitors, settings } = config;
+  const userId = run.userId;
+  const userTier = run.tier;
+  const startCount = ctx.subrequestCount;
+  const slackUrl = settings.slackWebhookUrl;
+  const phTopics = settings.productHuntTopics || [];
+
+  const state = await loadMonitorState(env, userId, competitors, phTopics);
+  const alerts = [];
+  const historyEvents = [];
+  for (const key of run.jobKeys) {
+    const partial = await loadPartial(env, userId, run.id, key);
+    if (!partial) continue;
+    if (partial.kind === "feeds") {
+      state.productHunt = partial.productHunt;
+      if (partial.radar) state.radar = partial.radar;
+    } else if (partial.cs) {
+      state.competitors[partial.competitor] = mergeCompetitorState(partial.cs, state.competitors[partial.competitor]);
     }
+    alerts.push(...partial.alerts);
+    historyEvents.push(...partial.historyEvents);
   }
+  let history = await loadHistory(env, userId);
+  const historyDays = await resolveHistoryDays(env, userId);
+  console.log(`\n── Run ${run.id}: ${run.pages.scanned} page(s) scanned, ${run.pages.failed} failed, ${run.jobs.failed} job(s) failed ──`);
+
+  // ── PERSIST ──
+  await env.STATE.put(monitorStateKey(userId), JSON.stringify(state));
   if (historyEvents.length > 0) {
     history = history.concat(historyEvents);
     await saveHistory(env, history, userId, historyDays);
+    await recordTimelines(env, userId, historyEvents);
   }
-  await buildDashboardCache(env, state, history, competitors, userId);
+  await buildDashboardCache(env, state, history, competitors, userId, settings.fxRates);
   console.log("\nState saved");
 
-  // ── SEND ALERTS (batched into single Slack message to conserve subrequests) ──
-  const slackResults = [];
-  console.log(`\nSlack URL: ${slackUrl ? "configured" : "MISSING"}`);
+  // ── OUTBOUND WEBHOOKS (one signed JSON event per history entry) ──
+  const webhookDeliveries = await dispatchEvents(ctx, env, settings, historyEvents.map(historyToEvent), userId);
+  if (webhookDeliveries.length > 0) console.log(`Webhooks: ${webhookDeliveries.filter(d => d.ok).length}/${webhookDeliveries.length} delivered`);
+
+  // ── SEND ALERTS (one batched digest per destination to conserve subrequests) ──
+  let deliveries = [];
+  console.log(`\nSlack URL: ${slackUrl ? "configured" : "MISSING"}${settings.teamsWebhookUrl ? " · Teams: configured" : ""}`);
   if (alerts.length > 0) {
-    // Filter alerts by user's minimum priority preference
-    const minPriority = settings.slackMinPriority || "low";
-    const priorityRank = { high: 3, medium: 2, low: 1 };
-    const minRank = priorityRank[minPriority] || 1;
-    const filtered = alerts.filter(a => (priorityRank[a.priority] || 1) >= minRank);
-    const skipped = alerts.length - filtered.length;
-    if (skipped > 0) console.log(`Filtered ${skipped} alert(s) below ${minPriority} priority`);
-    if (filtered.length === 0) {
-      console.log("All alerts filtered out by priority preference — skipping Slack message.");
-    } else {
-    console.log(`Sending ${filtered.length} alert(s) to Slack (batched)...`);
-    const parts = [formatDigestHeader(filtered)];
-    if (skipped > 0) parts[0] += ` _(${skipped} lower-priority update${skipped > 1 ? "s" : ""} filtered)_`;
-    const high = filtered.filter((a) => a.priority === "high");
-    const medium = filtered.filter((a) => a.priority === "medium");
-    const low = filtered.filter((a) => a.priority === "low");
-    for (const a of high) parts.push(a.text);
-    for (const a of medium) parts.push(a.text);
-    if (low.length > 0) parts.push(low.map((a) => a.text).join("\n\n---\n\n"));
-    // Slack has a ~40KB message limit; truncate if needed
-    let message = parts.join("\n\n───────────────────\n\n");
-    if (message.length > 38000) message = message.slice(0, 38000) + "\n\n_(message truncated — view full details on your dashboard)_";
-    slackResults.push(await sendSlack(ctx, slackUrl, message));
-    }
+    deliveries = await deliverRouted(ctx, settings, alerts, { interactive: !!env.SLACK_SIGNING_SECRET });
   } else {
     console.log("\nNo changes detected.");
     const totalPages = competitors.reduce((n, c) => n + (c.pages?.length || 0), 0);
     const totalBlogs = competitors.filter(c => c.blogRss).length;
     // Next scan messaging
     const hasScheduled = userTier && userTier !== "scout" && userTier !== "recon";
-    const nextScanText = hasScheduled ? "Next scan tomorrow at 9:00 AM UTC." : "Manual scan available once per 24h.";
+    const schedule = hasScheduled ? resolveScanSchedule(settings, scanLimits(userTier, !!userId)) : null;
+    const next = schedule && nextScanAt(schedule);
+    const nextScanText = next
+      ? `Next scan ${new Date(next).toLocaleString("en-US", { timeZone: schedule.timezone, weekday: "short", hour: "numeric", minute: "2-digit", timeZoneName: "short" })}.`
+      : "Manual scan available once per 24h.";
     // Build itemized source list
     const sources = [`${competitors.length} competitors (${totalPages} pages)`];
     if (totalBlogs > 0) sources.push(`${totalBlogs} blog RSS feed${totalBlogs > 1 ? "s" : ""}`);
@@ -312,35 +794,57 @@ export async function runMonitor(ctx, env, configOverride, userId) {
     // Reddit will be added here when radar is live
     const radarSubs = settings.radarSubreddits || [];
     if (radarSubs.length > 0) sources.push(`Reddit (${radarSubs.length} subreddit${radarSubs.length > 1 ? "s" : ""})`);
-    slackResults.push(await sendSlack(ctx, slackUrl, `🐺 *ScopeHound* — Checked ${sources.join(" · ")}. Nothing to report. ${nextScanText}`));
+    deliveries = await deliver(ctx, settings, `🐺 *ScopeHound* — Checked ${sources.join(" · ")}. Nothing to report. ${nextScanText}`);
   }
 
-  const slackOk = slackResults.filter(r => r.ok).length;
-  const slackFail = slackResults.filter(r => !r.ok);
-  console.log(`Slack delivery: ${slackOk}/${slackResults.length} succeeded${slackFail.length ? ", errors: " + slackFail.map(r => r.error).join(", ") : ""}`);
+  // Email digests pick their own alerts (per-recipient minimum priority and schedule)
+  deliveries.push(...await deliverEmailDigests(ctx, env, settings, alerts, userId));
+
+  const slackResults = deliveries.filter(r => r.channel === "slack").map(({ channel, ...r }) => r);
+  for (const channel of new Set(deliveries.map(r => r.channel))) {
+    const results = deliveries.filter(r => r.channel === channel);
+    const failed = results.filter(r => !r.ok);
+    console.log(`${channel} delivery: ${results.length - failed.length}/${results.length} succeeded${failed.length ? ", errors: " + failed.map(r => r.error).join(", ") : ""}`);
+  }
   console.log(`Subrequests used: ${ctx.subrequestCount}/${SUBREQUEST_LIMIT}`);
-  if (browserDomains.size > 0) console.log(`Browser rendering domains: ${[...browserDomains].join(", ")}`);
+
+  await completeRun(env, userId, run.id, {
+    alerts: alerts.length,
+    subrequests: ctx.subrequestCount - startCount,
+    deliveries: deliveries.map(({ channel, destination, ok, error }) => ({ channel, ok, ...(destination ? { destination } : {}), ...(error ? { error } : {}) })),
+  });
+  await deletePartials(env, userId, run.id, run.jobKeys);
   console.log("Done!");
-  return { alerts, slackResults, slackUrl: slackUrl ? "set" : "missing", subrequests: ctx.subrequestCount };
+  return { runId: run.id, alerts, slackResults, deliveries, slackUrl: slackUrl ? "set" : "missing", subrequests: ctx.subrequestCount };
 }
 
 // ─── DASHBOARD CACHE ─────────────────────────────────────────────────────────
 
-export async function buildDashboardCache(env, state, history, competitors, userId) {
+const DASHBOARD_MILESTONES = 8; // newest timeline entries shown per competitor
+
+export async function buildDashboardCache(env, state, history, competitors, userId, fxRates) {
+  const timelines = await Promise.all(competitors.map((comp) => loadTimeline(env, userId, comp.name)));
   const cache = {
     generatedAt: new Date().toISOString(),
-    competitors: competitors.map((comp) => {
+    competitors: competitors.map((comp, i) => {
       const cs = state.competitors[comp.name] || {};
       return {
         name: comp.name, website: comp.website,
         pricing: cs.pricing || null,
+        plans: normalizePricing(cs.pricing).map((p) => ({ ...p, monthlyUsd: monthlyUsd(p, fxRates) })),
         seo: cs.seo || {},
         pages: (comp.pages || []).map((p) => ({
           id: p.id, label: p.label, type: p.type, url: p.url,
           lastChecked: cs.pages?.[p.id]?.lastChecked || null,
           lastChanged: cs.pages?.[p.id]?.lastChanged || null,
+          checkInterval: p.checkInterval || null,
+          nextCheck: nextCheckAt(p, cs.pages?.[p.id]),
+          health: pageHealth(cs.pages?.[p.id]),
         })),
         blogRss: comp.blogRss,
+        releases: releaseCadence((comp.pages || []).flatMap((p) => p.type === "changelog" ? cs.pages?.[p.id]?.releases || [] : [])),
+        hiring: hiringSummary(openRoles((comp.pages || []).filter((p) => p.type === "careers").map((p) => cs.pages?.[p.id]))),
+        timeline: timelines[i].slice(0, DASHBOARD_MILESTONES).map(({ keys, ...m }) => m),
       };
     }),
     recentChanges: (history || []).slice(-50).reverse(),
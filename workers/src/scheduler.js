@@ -0,0 +1,152 @@
+// Scheduler — decides which scheduled scans are due on each hourly cron tick, and which
+// pages each scan actually fetches.
+// Each user gets up to their tier's scansPerDay slots ("HH:00" local times in their
+// timezone); without chosen times the slots are spread evenly from 09:00.
+
+import { TIERS, hasFeature } from "./config.js";
+
+export const DEFAULT_SCAN_HOUR = 9;
+const SLOT_RE = /^([01]\d|2[0-3]):00$/;
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false; // Expected: unknown IANA zone
+  }
+}
+
+// Local wall-clock hour (0–23) of `date` in `timezone`
+export function localHour(date, timezone) {
+  const h = new Intl.DateTimeFormat("en-US", { timeZone: timezone, hour: "numeric", hourCycle: "h23" }).format(date);
+  return parseInt(h, 10) % 24;
+}
+
+// Local calendar date ("YYYY-MM-DD") of `date` in `timezone`
+export function localDate(date, timezone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+// n slots spread evenly across the day, starting at 09:00
+export function defaultScanTimes(n) {
+  const times = [];
+  for (let i = 0; i < n; i++) times.push(pad((DEFAULT_SCAN_HOUR + Math.floor((i * 24) / n)) % 24) + ":00");
+  return times;
+}
+
+// Hosted users: the tier's scansPerDay. Self-hosted: up to Command's limit, default once a day.
+export function scanLimits(tier, hosted) {
+  if (!hosted) return { max: TIERS.command.scansPerDay, default: 1 };
+  const n = TIERS[tier]?.scansPerDay || 0;
+  return { max: n, default: n };
+}
+
+// Returns an error message, or null when the schedule is valid for `maxScans` slots a day.
+export function validateScanSchedule(schedule, maxScans) {
+  if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) return "scanSchedule must be an object with times and timezone";
+  if (schedule.timezone !== undefined && (typeof schedule.timezone !== "string" || !isValidTimezone(schedule.timezone))) return `Unknown timezone: ${schedule.timezone}`;
+  if (schedule.times !== undefined) {
+    if (!Array.isArray(schedule.times)) return "scanSchedule.times must be an array of \"HH:00\" times";
+    const bad = schedule.times.find((t) => typeof t !== "string" || !SLOT_RE.test(t));
+    if (bad !== undefined) return `Scan times must be on the hour, e.g. "09:00" (got ${JSON.stringify(bad)})`;
+    if (new Set(schedule.times).size !== schedule.times.length) return "Scan times must be distinct";
+    if (maxScans === 0 && schedule.times.length > 0) return "Your plan doesn't include scheduled scans";
+    if (schedule.times.length > maxScans) return `Your plan allows up to ${maxScans} scheduled scan${maxScans === 1 ? "" : "s"} a day`;
+  }
+  return null;
+}
+
+// Effective { times, timezone } for a user. Stored times beyond the limit (e.g. after a
+// downgrade) are dropped.
+export function resolveScanSchedule(settings, limits) {
+  const stored = settings?.scanSchedule || {};
+  const timezone = stored.timezone && isValidTimezone(stored.timezone) ? stored.timezone : "UTC";
+  const chosen = (stored.times || []).filter((t) => SLOT_RE.test(t)).slice(0, limits.max);
+  return { times: chosen.length > 0 ? chosen : defaultScanTimes(limits.default), timezone };
+}
+
+// Cron ticks land on the UTC hour, so users in half-hour zones scan at HH:30 local.
+export function isScanDue(schedule, now = new Date()) {
+  const hour = localHour(now, schedule.timezone);
+  return schedule.times.some((t) => parseInt(t, 10) === hour);
+}
+
+// Start of the next UTC hour at which one of the slots is due, or null if there are none
+export function nextScanAt(schedule, now = new Date()) {
+  if (schedule.times.length === 0) return null;
+  const t = new Date(now);
+  t.setUTCMinutes(0, 0, 0);
+  for (let i = 1; i <= 48; i++) {
+    t.setUTCHours(t.getUTCHours() + 1);
+    if (isScanDue(schedule, t)) return t.toISOString();
+  }
+  return null;
+}
+
+// Marks this cron hour as scanned; false if it already was (the trigger fired twice)
+export async function claimSlot(env, userId, now = new Date()) {
+  const key = (userId ? "user_state:" + userId + ":" : "") + "last_scheduled_slot";
+  const slot = now.toISOString().slice(0, 13);
+  if ((await env.STATE.get(key)) === slot) return false;
+  await env.STATE.put(key, slot);
+  return true;
+}
+
+// Priority-queue tiers scan first; otherwise keep the subscriber list order
+export function orderByPriority(users) {
+  const first = users.filter((u) => hasFeature(u.tier, "priority_scan_queue"));
+  return first.concat(users.filter((u) => !hasFeature(u.tier, "priority_scan_queue")));
+}
+
+// ─── PAGE CHECK INTERVALS ────────────────────────────────────────────────────
+// Pages without a checkInterval are fetched on every scheduled scan. Pages with one are
+// fetched when due: by the scheduled scans, and between them by page-only scans on the
+// hourly tick, so "hourly" (or a busy "adaptive" page) is checked more often than the
+// account's scan schedule. "adaptive" derives the interval from recent change times.
+
+export const CHECK_INTERVALS = { hourly: HOUR, daily: DAY, weekly: 7 * DAY };
+export const PAGE_CHECK_INTERVALS = [...Object.keys(CHECK_INTERVALS), "adaptive"];
+const CHANGE_LOG_MAX = 10;
+
+// Half the typical gap between recent changes, backing off by a quarter of the time
+// since the last change once a page goes quiet. Clamped to an hour … a week.
+export function adaptiveInterval(ps, now = Date.now()) {
+  const times = (ps?.changeTimes || []).map((t) => new Date(t).getTime());
+  const since = ps?.lastChanged || ps?.firstChecked;
+  const quiet = since ? (now - new Date(since).getTime()) / 4 : DAY;
+  const interval = times.length >= 2
+    ? Math.max((times[times.length - 1] - times[0]) / (times.length - 1) / 2, quiet)
+    : quiet;
+  return Math.min(CHECK_INTERVALS.weekly, Math.max(HOUR, interval));
+}
+
+export function pageInterval(page, ps, now = Date.now()) {
+  if (page.checkInterval === "adaptive") return adaptiveInterval(ps, now);
+  return CHECK_INTERVALS[page.checkInterval] || 0;
+}
+
+// Scans start on hourly ticks, so a page counts as due up to 10% (at most an hour) early.
+export function isPageDue(page, ps, now = Date.now()) {
+  const interval = pageInterval(page, ps, now);
+  if (!interval || !ps?.lastChecked) return true;
+  return now - new Date(ps.lastChecked).getTime() >= interval - Math.min(interval * 0.1, HOUR);
+}
+
+export function nextCheckAt(page, ps, now = Date.now()) {
+  const interval = pageInterval(page, ps, now);
+  if (!interval || !ps?.lastChecked) return null;
+  return new Date(new Date(ps.lastChecked).getTime() + interval).toISOString();
+}
+
+// Sets lastChanged and keeps the recent change times adaptive pages learn from
+export function recordChange(ps, date = new Date().toISOString()) {
+  ps.lastChanged = date;
+  ps.changeTimes = (ps.changeTimes || []).concat(date).slice(-CHANGE_LOG_MAX);
+}
@@ -0,0 +1,180 @@
+// Sitemap — finds each competitor's sitemaps (robots.txt `Sitemap:` lines, else
+// /sitemap.xml), follows sitemap indexes, and diffs the listed URLs between checks.
+// New URLs are classified with discovery's page patterns so new landing and integration
+// pages can alert without being configured. URL sets are stored per competitor, outside
+// monitor state, since a sitemap can list thousands of pages.
+
+import { fetchUrl } from "./utils.js";
+import { classifyPath } from "./discovery.js";
+
+export const SITEMAP_INTERVAL_HOURS = 24;
+const MAX_SITEMAP_FETCHES = 6; // robots.txt not included
+const MAX_URLS = 5000;
+const MAX_LISTED = 20;         // pages listed per alert and history event
+
+// Kinds a new page is alerted for, and kinds a removed page is alerted for
+export const ALERT_KINDS = { added: ["landing", "integration"], removed: ["product"] };
+
+// Page kinds only sitemaps look for; checked after blog, changelog and careers paths
+// so "/blog/new-integrations" stays a blog post
+const SITEMAP_PATTERNS = [
+  { match: ["integrations", "integration", "apps", "marketplace", "connectors", "plugins", "extensions"], type: "integration", label: "Integration" },
+  { match: ["lp", "landing", "use-cases", "use-case", "solutions", "industries", "compare", "vs", "alternatives", "alternative"], type: "landing", label: "Landing page" },
+];
+
+// Child sitemaps of posts and media are fetched last — they rarely hold new landing pages
+const LOW_PRIORITY_SITEMAP = /(post|blog|news|article|tag|categor|author|image|video)/i;
+
+function sitemapKey(userId, compName) {
+  return (userId ? "user_state:" + userId + ":" : "") + "sitemap:" + compName;
+}
+
+// ─── PARSING ─────────────────────────────────────────────────────────────────
+
+function decodeLoc(s) {
+  return s.replace(/^<!\[CDATA\[|\]\]>$/g, "").trim()
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+// { sitemaps, urls }: a sitemap index lists child sitemaps, a urlset lists pages
+export function parseSitemap(xml) {
+  const locs = [...(xml || "").matchAll(/<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/gi)].map((m) => decodeLoc(m[1])).filter(Boolean);
+  return /<(?:\w+:)?sitemapindex\b/i.test(xml || "") ? { sitemaps: locs, urls: [] } : { sitemaps: [], urls: locs };
+}
+
+export function sitemapsFromRobots(text) {
+  return [...(text || "").matchAll(/^\s*sitemap:\s*(\S+)/gim)].map((m) => m[1]);
+}
+
+// Scheme, "www.", query, fragment and trailing slash don't make a different page
+export function normalizePageUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.hostname.replace(/^www\./, "").toLowerCase() + (u.pathname.replace(/\/+$/, "") || "/");
+  } catch {
+    return null; // Expected: malformed <loc>
+  }
+}
+
+// ─── FETCHING ────────────────────────────────────────────────────────────────
+
+// { urls, complete } for the site's sitemaps, or null when it has none. `complete` is false
+// when a sitemap failed to load or a cap cut the list short — removals aren't trusted then.
+export async function fetchSitemapUrls(ctx, env, website) {
+  let base;
+  try {
+    base = new URL(website.startsWith("http") ? website : "https://" + website).origin;
+  } catch {
+    return null; // Expected: malformed competitor URL
+  }
+  const robots = await fetchUrl(ctx, base + "/robots.txt", env);
+  const queue = sitemapsFromRobots(robots);
+  if (queue.length === 0) queue.push(base + "/sitemap.xml");
+
+  const seen = new Set();
+  const urls = new Set();
+  let fetches = 0;
+  let complete = true;
+  while (queue.length > 0) {
+    const loc = queue.shift();
+    if (seen.has(loc)) continue;
+    seen.add(loc);
+    if (fetches >= MAX_SITEMAP_FETCHES || /\.gz$/i.test(loc)) {
+      complete = false;
+      continue;
+    }
+    fetches++;
+    const xml = await fetchUrl(ctx, loc, env);
+    if (!xml) {
+      complete = false;
+      continue;
+    }
+    const parsed = parseSitemap(xml);
+    const children = parsed.sitemaps.filter((s) => !seen.has(s));
+    queue.push(...children.filter((s) => !LOW_PRIORITY_SITEMAP.test(s)), ...children.filter((s) => LOW_PRIORITY_SITEMAP.test(s)));
+    for (const url of parsed.urls) {
+      const key = normalizePageUrl(url);
+      if (!key) continue;
+      if (urls.size >= MAX_URLS) {
+        complete = false;
+        break;
+      }
+      urls.add(key);
+    }
+  }
+  return urls.size > 0 ? { urls: [...urls], complete } : null;
+}
+
+// ─── CLASSIFYING ─────────────────────────────────────────────────────────────
+
+// { kind, label } for a page URL (normalized or not). Kinds: blog, changelog, careers,
+// integration, landing, pricing, product (discovery's Products and Features pages) or other.
+export function classifyPageUrl(url) {
+  const path = url.replace(/^(?:https?:\/\/)?[^/]*/i, "") || "/";
+  const page = classifyPath(path);
+  if (page && ["blog", "changelog", "careers"].includes(page.type)) return { kind: page.type, label: page.label };
+  const special = classifyPath(path, SITEMAP_PATTERNS);
+  if (special) return { kind: special.type, label: special.label };
+  if (page) return { kind: page.type === "general" ? "product" : page.type, label: page.label };
+  return { kind: "other", label: "Page" };
+}
+
+// URLs added and removed since the last check. Additions only count against a complete
+// previous list (else a child sitemap that failed last time looks brand new), removals
+// only when both lists are complete.
+export function diffSitemap(prev, current) {
+  const before = new Set(prev.urls);
+  const after = new Set(current.urls);
+  return {
+    added: prev.complete ? current.urls.filter((u) => !before.has(u)) : [],
+    removed: prev.complete && current.complete ? prev.urls.filter((u) => !after.has(u)) : [],
+  };
+}
+
+// The list to store for next time: an incomplete fetch keeps the URLs it missed
+export function nextBaseline(prev, current) {
+  if (current.complete || !prev) return current;
+  return { urls: [...new Set([...current.urls, ...prev.urls])].slice(0, MAX_URLS), complete: false };
+}
+
+// The added and removed pages worth an alert: [{ url, kind, label }] each
+export function notablePages({ added, removed }) {
+  const pick = (urls, kinds) => urls.map((url) => ({ url: "https://" + url, ...classifyPageUrl(url) }))
+    .filter((p) => kinds.includes(p.kind)).slice(0, MAX_LISTED);
+  return { newPages: pick(added, ALERT_KINDS.added), removedPages: pick(removed, ALERT_KINDS.removed) };
+}
+
+// "3 new landing pages, 1 product page removed"
+export function describeSitemapChange(newPages, removedPages) {
+  const count = (pages, kind, noun) => {
+    const n = pages.filter((p) => p.kind === kind).length;
+    return n ? `${n} ${noun}${n === 1 ? "" : "s"}` : null;
+  };
+  const parts = [
+    count(newPages, "landing", "new landing page"),
+    count(newPages, "integration", "new integration page"),
+    count(removedPages, "product", "product page"),
+  ];
+  if (parts[2]) parts[2] += " removed";
+  return parts.filter(Boolean).join(", ");
+}
+
+// ─── STORAGE ─────────────────────────────────────────────────────────────────
+
+export async function loadSitemap(env, userId, compName) {
+  try {
+    const raw = await env.STATE.get(sitemapKey(userId, compName));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadSitemap] Failed to parse sitemap for ${compName}: ${e.message}`);
+  }
+  return null;
+}
+
+export async function saveSitemap(env, userId, compName, sitemap) {
+  await env.STATE.put(sitemapKey(userId, compName), JSON.stringify({ ...sitemap, checkedAt: new Date().toISOString() }));
+}
+
+export function isSitemapDue(state, now = Date.now()) {
+  return !state?.checkedAt || now - Date.parse(state.checkedAt) >= SITEMAP_INTERVAL_HOURS * 3600000;
+}
@@ -1,16 +1,21 @@
 // Slack — formatting helpers and webhook delivery.
 
 import { trackSubrequest } from "./context.js";
+import { describeVisualChange } from "./visual.js";
+import { describeFetchError } from "./health.js";
+import { describeSitemapChange } from "./sitemap.js";
+import { renderWords, summarizeDiff } from "./diff.js";
 
 // ─── SLACK FORMATTING ────────────────────────────────────────────────────────
 
 export const PRIORITY_EMOJI = { high: "\u{1F534}", medium: "\u{1F7E1}", low: "\u{1F535}" };
 export const CATEGORY_EMOJI = {
   funding: "\u{1F4B0}", partnership: "\u{1F91D}", acquisition: "\u{1F3E2}",
-  events: "\u{1F4C5}", hiring: "\u{1F465}", product: "\u{1F680}", other: "\u{1F4F0}",
+  events: "\u{1F4C5}", leadership: "\u{1F454}", hiring: "\u{1F465}", product: "\u{1F680}", other: "\u{1F4F0}",
 };
 
-export function formatPageChangeAlert(compName, page, analysis, diff, pricingChanges) {
+// `eventUrl` links the alert to its event on the dashboard (null without a public URL).
+export function formatPageChangeAlert(compName, page, analysis, diff, pricingChanges, visual, vsOwnPlans, eventUrl = null) {
   const priority = analysis?.priority || "medium";
   const emoji = PRIORITY_EMOJI[priority] || "\u{1F7E1}";
   const lines = [`${emoji} *${priority.toUpperCase()}* | *${compName}* updated their ${page.label}`];
@@ -21,21 +26,68 @@ export function formatPageChangeAlert(compName, page, analysis, diff, pricingCha
     lines.push("\n_Pricing details:_");
     for (const c of pricingChanges) lines.push(`  \u2022 ${c}`);
   }
+  if (vsOwnPlans && vsOwnPlans.length > 0) {
+    lines.push("\n_Versus your pricing:_");
+    for (const c of vsOwnPlans) lines.push(`  \u2022 ${c}`);
+  }
+  if (diff?.structure?.length > 0) {
+    lines.push("\n_Structure:_");
+    for (const s of diff.structure.slice(0, 4)) lines.push(`  \u2022 ${s}`);
+  }
   if (!analysis?.analysis && diff) {
-    if (diff.beforeExcerpt) lines.push(`\n_Removed:_ ${diff.beforeExcerpt.slice(0, 300)}`);
-    if (diff.afterExcerpt) lines.push(`_Added:_ ${diff.afterExcerpt.slice(0, 300)}`);
+    // Edited sentences inline (~struck~ old words, *bold* new ones); whole chunks as excerpts
+    const edits = (diff.changes || []).filter((c) => c.type === "modified").slice(0, 3);
+    const chunks = edits.length > 0 ? summarizeDiff(diff.changes.filter((c) => c.type !== "modified"), diff.changeRatio) : diff;
+    if (chunks.beforeExcerpt) lines.push(`\n_Removed:_ ${chunks.beforeExcerpt.slice(0, 300)}`);
+    if (chunks.afterExcerpt) lines.push(`_Added:_ ${chunks.afterExcerpt.slice(0, 300)}`);
+    if (edits.length > 0) {
+      lines.push("\n_Edited:_");
+      for (const c of edits) lines.push(`  \u2022 ${renderWords(c.words, { del: (t) => `~${t}~`, add: (t) => `*${t}*` }).slice(0, 300)}`);
+    }
   }
+  if (visual?.changed) lines.push(`\n\u{1F5BC} _Visual change: ${describeVisualChange(visual)}_ \u2014 ${eventUrl ? `<${eventUrl}|before/after on your dashboard>` : "before/after on your dashboard"}`);
   lines.push(`\n<${page.url}|View page>`);
   return { text: lines.join("\n"), priority };
 }
 
+export function formatVisualChangeAlert(compName, page, visual, eventUrl = null) {
+  const lines = [
+    `\u{1F7E1} *MEDIUM* | *${compName}* changed the look of their ${page.label}`,
+    `\n*What changed:* Design-only update \u2014 ${describeVisualChange(visual)}`,
+    `_Text content is unchanged. Highlighted before/after screenshots are on your dashboard._`,
+    `\n<${page.url}|View page>` + (eventUrl ? ` \u00B7 <${eventUrl}|View before/after>` : ""),
+  ];
+  return { text: lines.join("\n"), priority: "medium" };
+}
+
+// kind: "degraded" | "recovered" | "moved" (see health.js)
+export function formatPageHealthAlert(compName, page, kind, health) {
+  if (kind === "recovered") {
+    return { text: `\u{1F535} *LOW* | Monitoring of *${compName}* ${page.label} is working again\n<${page.url}|View page>`, priority: "low" };
+  }
+  const lines = kind === "moved"
+    ? [
+      `\u{1F7E1} *MEDIUM* | *${compName}* moved their ${page.label}`,
+      `\n<${page.url}|${page.url}> now permanently redirects to <${health.movedTo}|${health.movedTo}>.`,
+      `_Update the page URL in setup so selectors and history follow the new page._`,
+    ]
+    : [
+      `\u{1F7E1} *MEDIUM* | Monitoring degraded for *${compName}* ${page.label}`,
+      `\nThe last ${health.consecutiveFailures} scans couldn't fetch this page (${describeFetchError(health.lastError)}), so changes aren't being tracked.`,
+      `_Check the URL still works, or update it in setup._`,
+      `\n<${page.url}|View page>`,
+    ];
+  return { text: lines.join("\n"), priority: "medium" };
+}
+
 export function formatBlogAlert(name, posts) {
   const lines = [`\u{1F535} *LOW* | *${name}* published new blog posts:`];
   for (const p of posts.slice(0, 5)) lines.push(`  \u2022 <${p.link}|${p.title}>`);
   return { text: lines.join("\n"), priority: "low" };
 }
 
-export function formatAnnouncementAlert(name, post, classification) {
+// `entities` (optional): what the post states, from announcements.extractEntities
+export function formatAnnouncementAlert(name, post, classification, entities = {}) {
   const priority = classification?.priority || "medium";
   const emoji = PRIORITY_EMOJI[priority] || "\u{1F7E1}";
   const catEmoji = CATEGORY_EMOJI[classification?.category] || "\u{1F4F0}";
@@ -45,10 +97,64 @@ export function formatAnnouncementAlert(name, post, classification) {
     `*"${post.title}"*`,
   ];
   if (classification?.summary && classification.summary !== post.title) lines.push(`_${classification.summary}_`);
+  const funding = [entities.fundingAmount, entities.fundingRound].filter(Boolean).join(" ");
+  if (funding || entities.investors) {
+    lines.push(`\u{1F4B0} *Funding:* ${funding || "undisclosed"}${entities.investors ? ` from ${entities.investors.join(", ")}` : ""}`);
+  }
+  if (entities.partners) lines.push(`\u{1F91D} *Partners:* ${entities.partners.join(", ")}`);
+  if (entities.acquiredCompany) lines.push(`\u{1F3E2} *Acquired:* ${entities.acquiredCompany}`);
+  if (entities.acquirer) lines.push(`\u{1F3E2} *Acquired by:* ${entities.acquirer}`);
+  for (const l of entities.leadership || []) lines.push(`\u{1F454} *Leadership:* ${l.name} ${l.change === "departed" ? "leaving as" : "appointed"} ${l.role}`);
+  if (entities.eventDate) lines.push(`\u{1F4C5} *Event date:* ${entities.eventDate}`);
+  const byline = [post.authors?.length ? "By " + post.authors.join(", ") : null, post.published ? post.published.slice(0, 10) : null].filter(Boolean);
+  if (byline.length > 0) lines.push(byline.join(" \u00B7 "));
   lines.push(`<${post.link}|Read post>`);
   return { text: lines.join("\n"), priority };
 }
 
+export function formatChangelogAlert(compName, page, entry, classification) {
+  const priority = classification?.priority || "medium";
+  const emoji = PRIORITY_EMOJI[priority] || "\u{1F7E1}";
+  const lines = [
+    `${emoji} *${priority.toUpperCase()}* | *${compName}* shipped ${entry.version ? "v" + entry.version.replace(/^v/i, "") : "an update"}`,
+    `\u{1F680} *"${entry.title}"*${entry.date ? ` (${entry.date})` : ""}`,
+  ];
+  if (classification?.summary && classification.summary !== entry.title) lines.push(`_${classification.summary}_`);
+  if (entry.body && entry.body !== entry.title) lines.push(entry.body.slice(0, 300));
+  lines.push(`<${entry.url || page.url}|View changelog>`);
+  return { text: lines.join("\n"), priority };
+}
+
+// `headline` from hiring.hiringHeadline; `summary` from hiring.hiringSummary
+export function formatHiringAlert(compName, page, opened, closed, summary, headline) {
+  const priority = headline.surge || opened.some((j) => j.seniority === "executive") ? "medium" : "low";
+  const emoji = PRIORITY_EMOJI[priority];
+  const lines = [`${emoji} *${priority.toUpperCase()}* | \u{1F465} *${headline.text}*`];
+  for (const j of opened.slice(0, 8)) {
+    const detail = [j.department, j.location, j.seniority !== "mid" ? j.seniority : null].filter(Boolean).join(" \u00B7 ");
+    lines.push(`  \u2022 ${j.url ? `<${j.url}|${j.title}>` : j.title} \u2014 ${detail}`);
+  }
+  if (opened.length > 8) lines.push(`  _…and ${opened.length - 8} more_`);
+  if (closed.length > 0) lines.push(`${closed.length} role${closed.length === 1 ? "" : "s"} closed: ${closed.slice(0, 3).map((j) => j.title).join(", ")}${closed.length > 3 ? ", …" : ""}`);
+  if (summary) {
+    const top = summary.departments.slice(0, 4).map((d) => `${d.department} ${d.open}`).join(", ");
+    lines.push(`_${summary.open} open roles (${top}) \u00B7 ${summary.openedThisMonth} opened this month_`);
+  }
+  lines.push(`<${page.url}|View ${page.label}>`);
+  return { text: lines.join("\n"), priority };
+}
+
+// New landing and integration pages and removed product pages found in the sitemap
+export function formatSitemapAlert(compName, website, newPages, removedPages) {
+  const lines = [`\u{1F7E1} *MEDIUM* | \u{1F5FA} *${compName}* sitemap: ${describeSitemapChange(newPages, removedPages)}`];
+  for (const p of newPages.slice(0, 8)) lines.push(`  \u2022 New ${p.label.toLowerCase()}: <${p.url}|${p.url.replace(/^https:\/\//, "")}>`);
+  if (newPages.length > 8) lines.push(`  _…and ${newPages.length - 8} more_`);
+  for (const p of removedPages.slice(0, 5)) lines.push(`  \u2022 Removed: ${p.url.replace(/^https:\/\//, "")}`);
+  if (removedPages.length > 5) lines.push(`  _…and ${removedPages.length - 5} more removed_`);
+  lines.push(`<${website}|View site>`);
+  return { text: lines.join("\n"), priority: "medium" };
+}
+
 export function formatSeoAlert(compName, pageLabel, pageUrl, changes) {
   const lines = [`\u{1F535} *LOW* | *${compName}* changed SEO on ${pageLabel}`];
   const fieldNames = { title: "Title", metaDescription: "Meta Desc", ogTitle: "OG Title", ogDescription: "OG Desc", h1: "H1" };
@@ -84,9 +190,63 @@ export function formatDigestHeader(alerts) {
   return `\u{1F43A} *ScopeHound Daily Report* \u2014 ${date}\n\n${alerts.length} change(s) detected: ${parts.join(", ")}`;
 }
 
+// ─── BLOCK KIT ───────────────────────────────────────────────────────────────
+
+const SECTION_TEXT_LIMIT = 3000;
+const MESSAGE_BLOCK_LIMIT = 50;
+
+export const TRIAGE_ACTIONS = {
+  sh_noise: "Mark as noise",
+  sh_snooze: "Snooze this page 7 days",
+  sh_escalate: "Escalate to high",
+  sh_watch: "Add to watchlist",
+};
+
+function sectionBlock(text) {
+  const t = text.length > SECTION_TEXT_LIMIT ? text.slice(0, SECTION_TEXT_LIMIT - 20) + "\n_(truncated)_" : text;
+  return { type: "section", text: { type: "mrkdwn", text: t } };
+}
+
+// One alert → section + triage buttons. Buttons need the alert's history ref and a
+// Slack app with interactivity pointed at /api/slack/interactions.
+export function formatAlertBlocks(alert, interactive) {
+  const blocks = [sectionBlock(alert.text)];
+  if (interactive && alert.ref?.eventId) {
+    const value = JSON.stringify({ e: alert.ref.eventId, c: alert.ref.competitor, p: alert.ref.pageId });
+    const buttons = Object.entries(TRIAGE_ACTIONS)
+      .filter(([id]) => !(id === "sh_escalate" && alert.priority === "high") && !(id === "sh_watch" && alert.watch))
+      .map(([id, label]) => ({
+        type: "button", action_id: id, value,
+        text: { type: "plain_text", text: label, emoji: true },
+        ...(id === "sh_escalate" ? { style: "danger" } : {}),
+      }));
+    blocks.push({ type: "actions", block_id: "triage:" + alert.ref.eventId, elements: buttons });
+  }
+  return blocks;
+}
+
+// Digest → Block Kit blocks, highest priority first. Alerts that don't fit in
+// Slack's 50-block limit are listed by headline only.
+export function formatDigestBlocks(digest) {
+  const blocks = [sectionBlock(digest.header + (digest.skipped > 0 ? ` _(${digest.skipped} lower-priority update${digest.skipped > 1 ? "s" : ""} filtered)_` : ""))];
+  const ordered = [...digest.high, ...digest.medium, ...digest.low];
+  const overflow = [];
+  for (const alert of ordered) {
+    const alertBlocks = formatAlertBlocks(alert, digest.interactive);
+    // Keep room for a divider and the overflow summary
+    if (overflow.length > 0 || blocks.length + alertBlocks.length + 2 > MESSAGE_BLOCK_LIMIT) { overflow.push(alert); continue; }
+    blocks.push({ type: "divider" }, ...alertBlocks);
+  }
+  if (overflow.length > 0) {
+    blocks.push({ type: "divider" });
+    blocks.push(sectionBlock(`_${overflow.length} more update${overflow.length > 1 ? "s" : ""} — view full details on your dashboard:_\n` + overflow.map((a) => "\u2022 " + a.text.split("\n")[0]).join("\n")));
+  }
+  return blocks;
+}
+
 // ─── SLACK WEBHOOK VALIDATION ───────────────────────────────────────────────
 
-function isValidSlackWebhook(urlStr) {
+export function isValidSlackWebhook(urlStr) {
   try {
     const u = new URL(urlStr);
     if (u.protocol !== "https:" || u.username || u.password) return false;
@@ -111,7 +271,8 @@ export async function sendSlack(ctx, webhookUrl, message) {
     const r = await fetch(webhookUrl, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text: message }),
+      // Plain mrkdwn string, or a Block Kit message ({ text, blocks })
+      body: JSON.stringify(typeof message === "string" ? { text: message } : message),
     });
     if (!r.ok) { console.log(`[SLACK ERROR] ${r.status}`); return { ok: false, error: `slack_http_${r.status}` }; }
     return { ok: true };
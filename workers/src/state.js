@@ -1,5 +1,7 @@
 // State — history management and state migration helpers.
 
+import { TIERS } from "./config.js";
+
 // ─── HISTORY ─────────────────────────────────────────────────────────────────
 
 export async function loadHistory(env, userId) {
@@ -22,6 +24,20 @@ export async function saveHistory(env, history, userId, historyDays) {
   await env.STATE.put(key, JSON.stringify(pruned));
 }
 
+// History/archive retention for this user's tier (self-hosted: 90 days, -1 = unlimited)
+export async function resolveHistoryDays(env, userId) {
+  let historyDays = 90;
+  if (userId) {
+    try {
+      const uRaw = await env.STATE.get("user:" + userId);
+      if (uRaw) { const u = JSON.parse(uRaw); const td = TIERS[u.tier]; if (td && td.historyDays > 0) historyDays = td.historyDays; else if (td && td.historyDays === -1) historyDays = 99999; }
+    } catch (e) {
+      console.log(`[resolveHistoryDays] Failed to read history retention for ${userId}: ${e.message}`);
+    }
+  }
+  return historyDays;
+}
+
 // ─── STATE MIGRATION (v1 → v2) ──────────────────────────────────────────────
 
 export async function migrateState(env, old, competitors, topics, userId) {
@@ -4,6 +4,27 @@
 
 export const FAVICON_LINK = '<link rel="icon" type="image/png" sizes="32x32" href="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAAAXNSR0IArs4c6QAAAERlWElmTU0AKgAAAAgAAYdpAAQAAAABAAAAGgAAAAAAA6ABAAMAAAABAAEAAKACAAQAAAABAAAAIKADAAQAAAABAAAAIAAAAACshmLzAAAECElEQVRYCe1WS28bVRT+7jxtz9iOSWM7hlQlpKItdMEWlecKiTViwZINK3b8BH5AIyGxQGIDG/aIJUKqxKYLqiiiVI1ISfNyEtvjmfG87oNzDZHYIF+g6oYcyxrNzLnn+853zj13gAv7vytg/wcBfATBpdD3g7IsOcUR/yYW+yeLgiDobVwP311q+e/U6s5NMLbCFJRU8jTPxNY4Kr/79UHybZIkQ9O4RgTW1zvtzkrj4363/lEQOgMlgYKXKCtKWil4rgPXdmHbDOms2j8a5p9Hp9nmw4ej6SIiRiV44erS+xtX25tFVTSTtARTFoFzMPoRPipNRFqIsxyOy1r9buPtLKvuH+wn9xYRcBY56PeNwMNsViJOCzR8H9mME5CFet0DFxKcV8gyeuYxTJOMVPljjUlsy8SJfHJKlkrOUPPcedYOyS6o9eJpCSUsWBaD77uwtC7kJxmIyWIzIiCEyqEYLApccYnxJEO7sAhYQgqF6bTA6VmKsqBSMHpOCnCuisXwIMIGpriVaF11ZpwI2HR966wGNeVUlhJh6GEyySEJ+byrRSVTg9BmBDJeTgVFJ1wIKXWn42t3hKMsw6AfYjBo07NyTo4EIAWUot6InhiBvLQjqmyh68xLSY2W48HjMxSloNpbGI9nuPlSn8qh7zUsKxWtMSFgtAvKuIqg3NRiVk3REOgs1bFE/xvXu/OyTIiAoH6YZVQemgU0m5JYrzEwox7Y2TmeUPwTrYC24UkCh4B+25tgd3dE9ynubR2BV3L+nCl2otcY4MNIAQpUUuI7sNS1RmhT0/k4OIyxvBxASr0LcoSBj7DlUiMKms3Wjl5jQsBIAR2o4uqu69h6xqDTqSFOirns1G+YRBnCpgNmK1LABu2Auybg2seYwOOh+CnJCGxaIaZJGMUVEVCUMTBNOWa5wiiqkKQS+8d84Qg+J3i+bc/v/+7qfPhe9/srfXWroDoLrubgh7MluA7DJW8Ml0az79NEpL26e4Qfv/hm5U1ge2EZDHtgw35+Ne21GxKu3naUZZIxDMIZEVCo03huNhgmiYTnWbjcVV0gNVLXkABQoyNgHCsstxjGiULgM/pLTFJF/WERuMAoBr0XqPmWbhUjM2IJtOWjocgJUIxjgXYDGCxLakiB1WVF2Qt0msDLVxgRkCJKBZ0DJI2BmfYAar32uq2ysFmrX7vxYuerNM9dTschHVFUBqq/51XbP48+4FX5i0Q9jYaR3ooLzeiDREfhaTGuUnGcRMX2YK3lrD0bvkGfYlRzG/1eC1HEP72/dfJZTj4F+S5E/tPBmMBfA+49iu48sxKurfaCV4K6j8OD2Zd3ftj7hHzoY+3pmXvr9cu3X33tuU2CdJ8e7AXShQJPWIHfAXwg+fjvUdswAAAAAElFTkSuQmCC">';
 
+// ─── SCAN RUN VIEW (shared by the user and admin dashboards) ─────────────────
+// Both pages define esc() and timeAgo(); each defines toggleRun() to re-render its tab.
+
+const RUN_VIEW_CSS = `.runs .run-row{cursor:pointer}
+.runs .run-row:hover td{background:#1a1f25}
+.run-ok,.run-complete{color:#7a8c52}
+.run-fail,.run-failed{color:#c23030}
+.run-skipped,.run-queued,.run-running,.run-finalizing{color:#c4a747}
+.run-detail{background:#0a0c0e;padding:12px 16px}
+.run-detail h4{font-size:11px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;margin:8px 0 4px}
+.run-detail td{font-size:12px;padding:6px 8px}`;
+
+const RUN_VIEW_JS = `let RUN_OPEN=null;
+const RUN_REASONS={budget:"Subrequest budget used up",ssrf_blocked:"Blocked (SSRF protection)",invalid_url:"Invalid URL",http_error:"HTTP error",challenge:"Bot challenge",timeout:"Timed out",network_error:"Network error",not_due:"Not due"};
+function runDuration(r){if(!r.finishedAt)return r.status==="failed"?"—":"…";const s=Math.round((new Date(r.finishedAt)-new Date(r.startedAt))/1000);return s<60?s+"s":Math.floor(s/60)+"m "+(s%60)+"s";}
+function runPages(p){let t=p.scanned+" ok";if(p.skipped)t+=" · "+p.skipped+" skipped";if(p.failed)t+=' · <span class="run-fail">'+p.failed+" failed</span>";if(p.retried)t+=" · "+p.retried+" retried";return t;}
+function runDeliveries(r){const d=r.deliveries||[];if(!d.length)return"—";return d.map(x=>'<span class="run-'+(x.ok?"ok":"fail")+'" title="'+esc(x.error||"")+'">'+esc(x.destination||x.channel)+(x.ok?" ✓":" ✗")+"</span>").join(" ");}
+function runPageDetail(p){if(p.status==="skipped")return"Not due"+(p.nextCheck?" — next check "+esc(new Date(p.nextCheck).toLocaleString()):"");if(p.status==="failed")return esc(RUN_REASONS[p.reason]||p.reason||"Failed")+(p.httpStatus?" "+p.httpStatus:"")+(p.error?": "+esc(p.error):"")+(p.attempt>1?" (attempt "+p.attempt+")":"");return esc(p.result||"fetched")+(p.via==="browser"?" · via browser rendering":"")+(p.attempt>1?" (attempt "+p.attempt+")":"");}
+function runDetail(r){let h='<div class="run-detail">';const pr=r.pageResults||[];if(pr.length){h+='<h4>Pages</h4><table><tbody>';for(const p of pr)h+='<tr><td>'+esc(p.competitor)+'</td><td><a href="'+esc(p.url)+'" target="_blank" rel="noopener">'+esc(p.label)+'</a></td><td class="run-'+(p.status==="ok"?"ok":p.status==="failed"?"fail":"skipped")+'">'+p.status+'</td><td>'+runPageDetail(p)+'</td></tr>';h+='</tbody></table>';}else h+='<div style="font-size:12px;color:#6b7280">No page results recorded for this run.</div>';if((r.errors||[]).length){h+='<h4>Errors</h4><table><tbody>';for(const e of r.errors)h+='<tr><td>'+esc(e.competitor||e.job)+'</td><td class="run-fail">'+esc(e.error)+'</td></tr>';h+='</tbody></table>';}if((r.deliveries||[]).some(d=>!d.ok)){h+='<h4>Delivery errors</h4><table><tbody>';for(const d of r.deliveries.filter(d=>!d.ok))h+='<tr><td>'+esc(d.destination||d.channel)+'</td><td class="run-fail">'+esc(d.error||"failed")+'</td></tr>';h+='</tbody></table>';}return h+'</div>';}
+function runTable(runs,showUser){const cols=showUser?9:8;let h='<table class="runs"><thead><tr><th>Started</th>'+(showUser?'<th>Account</th>':'')+'<th>Trigger</th><th>Status</th><th>Duration</th><th>Pages</th><th>Alerts</th><th>Subrequests</th><th>Delivery</th></tr></thead><tbody>';for(const r of runs){h+='<tr class="run-row" data-id="'+esc(r.id)+'" onclick="toggleRun(this.dataset.id)"><td title="'+esc(r.startedAt)+'">'+timeAgo(r.startedAt)+'</td>'+(showUser?'<td>'+esc(r.userId||"self-hosted")+'</td>':'')+'<td>'+esc(r.trigger)+'</td><td class="run-'+esc(r.status)+'">'+esc(r.status)+(r.jobs&&r.jobs.failed?" ("+r.jobs.failed+" job"+(r.jobs.failed===1?"":"s")+" failed)":"")+'</td><td>'+runDuration(r)+'</td><td>'+runPages(r.pages||{})+'</td><td>'+(r.alerts||0)+'</td><td>'+(r.subrequests||0)+'</td><td>'+runDeliveries(r)+'</td></tr>';if(RUN_OPEN===r.id)h+='<tr><td colspan="'+cols+'" style="padding:0">'+runDetail(r)+'</td></tr>';}return h+'</tbody></table>';}`;
+
 // ─── DASHBOARD HTML ──────────────────────────────────────────────────────────
 
 export const DASHBOARD_HTML = `<!DOCTYPE html>
@@ -37,6 +58,9 @@ main{max-width:1200px;margin:0 auto;padding:24px}
 .pill.changed{border-color:#c4a747;color:#c4a747}
 .pill.stable{border-color:#3d6b35;color:#3d6b35}
 .pill.new{border-color:#6b7280;color:#6b7280}
+.pill.failing{border-color:#c4a747;border-style:dashed;color:#c4a747}
+.pill.degraded{border-color:#c23030;color:#e88}
+.pill.moved{border-color:#5b7fa6;color:#8fb0d6}
 .legend{display:flex;gap:16px;justify-content:flex-end;font-size:11px;color:#6b7280;margin-top:12px}
 .legend span{display:flex;align-items:center;gap:4px}
 .legend .dot{width:8px;height:8px;border-radius:1px;border:1px solid}
@@ -53,6 +77,25 @@ main{max-width:1200px;margin:0 auto;padding:24px}
 .event .diff{font-size:12px;margin-top:8px;padding:8px;background:#0a0c0e;border-radius:2px;border:1px solid #2a3038}
 .diff .removed{color:#c23030}
 .diff .added{color:#3d6b35}
+.diff del{background:#c2303022;color:#e88;text-decoration:line-through}
+.diff ins{background:#3d6b3533;color:#9c6;text-decoration:none}
+.structure{margin:8px 0 0;padding-left:18px;font-size:12px;color:#9ca3af}
+.structure li{margin:2px 0}
+.timeline{margin:8px 0 4px;border-left:2px solid #374151;padding-left:10px;font-size:12px;color:#d1d5db}
+.timeline div{margin:3px 0}
+.timeline .when{color:#6b7280;margin-right:6px}
+.visual{display:grid;grid-template-columns:1fr 1fr;gap:8px;margin-top:8px}
+.visual figure{margin:0}
+.visual img{width:100%;border:1px solid #2a3038;border-radius:2px;display:block}
+.visual figcaption{font-size:11px;color:#6b7280;margin-bottom:4px;text-transform:uppercase;letter-spacing:0.5px}
+.archive-controls{display:flex;flex-wrap:wrap;gap:12px;align-items:flex-end;margin-bottom:16px}
+.archive-controls label{display:flex;flex-direction:column;gap:4px;font-size:11px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em}
+.archive-controls select{background:#12161a;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:6px 8px;font-size:13px}
+.arch-diff{background:#12161a;border:1px solid #2a3038;border-radius:2px;padding:16px;font-size:13px;line-height:1.7}
+.arch-diff.side{display:grid;grid-template-columns:1fr 1fr;gap:16px}
+.arch-col h4{font-size:11px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;margin-bottom:8px}
+.arch-diff del{background:#c2303022;color:#e88;text-decoration:line-through}
+.arch-diff ins{background:#3d6b3533;color:#9c6;text-decoration:none}
 table{width:100%;border-collapse:collapse}
 th,td{text-align:left;padding:10px 12px;border-bottom:1px solid #1a1f25;font-size:13px}
 th{color:#6b7280;font-weight:600;font-size:11px;text-transform:uppercase;letter-spacing:0.05em}
@@ -64,10 +107,30 @@ th{color:#6b7280;font-weight:600;font-size:11px;text-transform:uppercase;letter-
 .plan-name{font-weight:700;font-size:14px}
 .plan-price{color:#5c6b3c;font-size:13px}
 .plan-features{color:#6b7280;font-size:12px;margin-top:4px}
+.usd-eq{color:#6b7280;font-size:11px}
+.mini-btn{background:none;border:1px solid #2a3038;color:#d4d8de;cursor:pointer;border-radius:2px;padding:4px 10px;font-size:12px;text-decoration:none}
+.mini-btn:hover{border-color:#7a8c52;text-decoration:none}
+.route-rule{margin-bottom:12px}
+.route-rule input:not([type=checkbox]),.route-rule select,.route-rule textarea{background:#0a0c0e;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:6px 8px;font-size:13px;font-family:inherit;width:100%}
+.route-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:8px;margin-top:10px}
+.route-grid label,.route-dest{display:flex;flex-direction:column;gap:4px;font-size:11px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em}
+.route-dest{margin-top:10px}
+.route-types{display:flex;flex-wrap:wrap;gap:12px;margin-top:10px;font-size:12px;color:#b0b5bd}
+.noise-page{margin-top:14px;padding-top:10px;border-top:1px solid #1a1f25}
+.noise textarea{background:#0a0c0e;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:6px 8px;font-size:12px;font-family:ui-monospace,monospace;width:100%;margin:4px 0}
+.noise-chunk{display:flex;gap:8px;align-items:flex-start;font-size:12px;color:#b0b5bd;padding:4px 0}
+.noise-chunk span{flex:1}
+.price-history{margin-top:12px;padding-top:10px;border-top:1px solid #1a1f25}
+.price-history h4{font-size:11px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;margin-bottom:4px}
+.price-chart{width:100%;height:auto;display:block}
+.price-chart text{fill:#6b7280;font-size:10px}
+.chart-legend{display:flex;flex-wrap:wrap;gap:10px;font-size:11px;color:#6b7280;margin-top:4px}
+.chart-legend i{display:inline-block;width:8px;height:8px;margin-right:4px;border-radius:1px}
 .empty{text-align:center;padding:48px;color:#6b7280}
 .loading{text-align:center;padding:48px;color:#6b7280}
 .setup-banner{background:#1a1f25;border:1px solid #c4a747;padding:12px 24px;text-align:center;color:#c4a747;font-size:14px}
 .setup-banner a{color:#c4a747;text-decoration:underline}
+${RUN_VIEW_CSS}
 </style>
 </head>
 <body>
@@ -79,7 +142,12 @@ th{color:#6b7280;font-weight:600;font-size:11px;text-transform:uppercase;letter-
 <button class="active" data-tab="overview">Overview</button>
 <button data-tab="changes">Recent Changes</button>
 <button data-tab="pricing">Pricing</button>
+<button data-tab="hiring">Hiring</button>
 <button data-tab="seo">SEO Signals</button>
+<button data-tab="archive">Archive</button>
+<button data-tab="routing">Routing</button>
+<button data-tab="noise">Noise</button>
+<button data-tab="runs">Scan Runs</button>
 <div style="margin-left:auto;display:flex;align-items:center;gap:8px">
 <button id="scanBtn" onclick="triggerScan()" style="font-size:12px;padding:8px 16px;background:#5c6b3c;color:#d4d8de;border:none;border-radius:2px;cursor:pointer;font-weight:600;text-transform:uppercase;letter-spacing:0.05em;display:none">Scan Now</button>
 <span id="scanCooldown" style="font-size:11px;color:#6b7280;display:none"></span>
@@ -97,13 +165,56 @@ const content=$("content");
 function timeAgo(d){if(!d)return"awaiting scan";const s=Math.floor((Date.now()-new Date(d))/1000);if(s<60)return"just now";if(s<3600)return Math.floor(s/60)+"m ago";if(s<86400)return Math.floor(s/3600)+"h ago";const days=Math.floor(s/86400);return days===1?"yesterday":days+"d ago";}
 function esc(s){if(!s)return"";const d=document.createElement("div");d.textContent=s;return d.innerHTML.replace(/"/g,"&quot;").replace(/'/g,"&#39;")}
 function pageStatus(p){if(!p.lastChecked)return"new";if(!p.lastChanged)return"stable";const d=(Date.now()-new Date(p.lastChanged))/86400000;return d<7?"changed":"stable";}
-function renderOverview(){if(!DATA.competitors||DATA.competitors.length===0){content.innerHTML='<div class="empty">No competitors configured. <a href="./setup">Run setup</a> to get started.</div>';return;}let h='<div class="grid">';for(const c of DATA.competitors){h+='<div class="card"><h3><a href="'+esc(c.website)+'" target="_blank">'+esc(c.name)+'</a></h3><div class="url">'+esc(c.website)+'</div><div class="pages">';for(const p of c.pages){const s=pageStatus(p);h+='<span class="pill '+s+'">'+esc(p.label)+' · '+timeAgo(p.lastChecked)+'</span>';}if(c.blogRss)h+='<span class="pill stable">Blog RSS</span>';h+='</div>';if(c.pricing&&c.pricing.plans&&c.pricing.plans.length>0){h+='<div style="font-size:12px;color:#6b7280">Plans: '+c.pricing.plans.map(p=>esc(p.name)+' ('+esc(p.price)+')').join(' · ')+'</div>';}h+='</div>';}h+='</div>';h+='<div class="legend"><span><span class="dot" style="border-color:#3d6b35;background:#3d6b3522"></span>Stable</span><span><span class="dot" style="border-color:#c4a747;background:#c4a74722"></span>Changed recently</span><span><span class="dot" style="border-color:#6b7280;background:#6b728022"></span>Awaiting scan</span></div>';content.innerHTML=h;}
-function renderChanges(){if(!DATA.recentChanges||DATA.recentChanges.length===0){content.innerHTML='<div class="empty">No changes recorded yet. Run a scan to start tracking.</div>';return;}let h='<div class="feed">';for(const e of DATA.recentChanges){h+='<div class="event"><div class="event-header"><span class="badge '+(e.priority||"low")+'">'+(e.priority||"low")+'</span>';if(e.competitor)h+='<strong>'+esc(e.competitor)+'</strong>';if(e.pageLabel)h+=' · '+esc(e.pageLabel);h+='<span class="meta">'+timeAgo(e.date)+'</span></div><div class="summary">'+esc(e.summary)+'</div>';if(e.analysis)h+='<div class="detail">'+esc(e.analysis)+'</div>';if(e.recommendation)h+='<div class="detail"><strong>Action:</strong> '+esc(e.recommendation)+'</div>';if(e.diff&&(e.diff.before||e.diff.after)){h+='<div class="diff">';if(e.diff.before)h+='<div class="removed">- '+esc(e.diff.before.slice(0,200))+'</div>';if(e.diff.after)h+='<div class="added">+ '+esc(e.diff.after.slice(0,200))+'</div>';h+='</div>';}if(e.url)h+='<div style="margin-top:6px"><a href="'+esc(e.url)+'" target="_blank">View</a></div>';h+='</div>';}h+='</div>';content.innerHTML=h;}
-function renderPricing(){if(!DATA.competitors||DATA.competitors.length===0){content.innerHTML='<div class="empty">No competitors configured. <a href="./setup">Run setup</a> to get started.</div>';return;}let h='<div class="pricing-grid">';for(const c of DATA.competitors){h+='<div class="pricing-card"><h3>'+esc(c.name)+'</h3>';if(!c.pricing||!c.pricing.plans||c.pricing.plans.length===0){h+='<div class="empty" style="padding:12px 0;font-size:13px">No pricing data yet. Add a pricing page and run a scan.</div>';}else{for(const p of c.pricing.plans){h+='<div class="plan"><div class="plan-name">'+esc(p.name)+'</div><div class="plan-price">'+esc(p.price)+'</div>';if(p.features&&p.features.length)h+='<div class="plan-features">'+p.features.map(f=>esc(f)).join(' · ')+'</div>';h+='</div>';}if(c.pricing.notes&&c.pricing.notes!=="No pricing found")h+='<div style="font-size:12px;color:#6b7280;margin-top:8px">'+esc(c.pricing.notes)+'</div>';}h+='</div>';}h+='</div>';content.innerHTML=h;}
+function renderOverview(){if(!DATA.competitors||DATA.competitors.length===0){content.innerHTML='<div class="empty">No competitors configured. <a href="./setup">Run setup</a> to get started.</div>';return;}let h='<div class="grid">';for(const c of DATA.competitors){h+='<div class="card"><h3><a href="'+esc(c.website)+'" target="_blank">'+esc(c.name)+'</a></h3><div class="url">'+esc(c.website)+'</div><div class="pages">';for(const p of c.pages){const hs=p.health&&p.health.status!=="ok"?p.health:null;const notes=[];if(hs)notes.push(healthNote(hs));if(p.checkInterval)notes.push("Checked "+p.checkInterval+(p.nextCheck?" · next check "+new Date(p.nextCheck).toLocaleString():""));h+='<span class="pill '+(hs?hs.status:pageStatus(p))+'"'+(notes.length?' title="'+esc(notes.join(" — "))+'"':"")+'>'+(hs&&hs.status!=="moved"?"⚠ ":"")+esc(p.label)+' · '+(hs&&hs.status==="degraded"?"monitoring degraded":timeAgo(p.lastChecked))+'</span>';}if(c.blogRss)h+='<span class="pill stable">Blog RSS</span>';h+='</div>';if(c.releases){const r=c.releases,l=r.latest;h+='<div style="font-size:12px;color:#6b7280;margin-bottom:4px">Releases: '+r.last90Days+' in 90 days'+(r.medianDaysBetween!==null?' · every ~'+r.medianDaysBetween+' days':'')+' · latest '+(l.version?esc(l.version)+' ':'')+'"'+esc(l.title)+'" ('+timeAgo(l.date)+')</div>';}h+=timelineCard(c.timeline);if(c.pricing&&c.pricing.plans&&c.pricing.plans.length>0){h+='<div style="font-size:12px;color:#6b7280">Plans: '+c.pricing.plans.map(p=>esc(p.name)+' ('+esc(p.price)+')').join(' · ')+'</div>';}h+='</div>';}h+='</div>';h+='<div class="legend"><span><span class="dot" style="border-color:#3d6b35;background:#3d6b3522"></span>Stable</span><span><span class="dot" style="border-color:#c4a747;background:#c4a74722"></span>Changed recently</span><span><span class="dot" style="border-color:#6b7280;background:#6b728022"></span>Awaiting scan</span><span><span class="dot" style="border-color:#c23030;background:#c2303022"></span>Monitoring degraded</span><span><span class="dot" style="border-color:#5b7fa6;background:#5b7fa622"></span>Page moved</span></div>';content.innerHTML=h;}
+function healthNote(hs){const err=hs.lastError?(RUN_REASONS[hs.lastError.reason]||hs.lastError.reason)+(hs.lastError.status?" "+hs.lastError.status:""):"";if(hs.status==="moved")return"Moved — now redirects to "+hs.movedTo+". Update the URL in setup.";if(hs.status==="degraded")return"Monitoring degraded — "+hs.consecutiveFailures+" failed scans in a row (last error: "+err+")"+(hs.lastSuccess?", last success "+new Date(hs.lastSuccess).toLocaleString():"");return"Last scan failed ("+err+")";}
+function structureList(items){if(!items||!items.length)return"";return'<ul class="structure">'+items.map(t=>'<li>'+esc(t)+'</li>').join("")+'</ul>';}
+const MILESTONE_ICON={funding:"💰",acquisition:"🏢",partnership:"🤝",leadership:"👔"};
+function milestoneText(m){if(m.kind==="funding"&&(m.amount||m.round||(m.investors&&m.investors.length)))return"Raised "+esc([m.amount,m.round].filter(Boolean).join(" ")||"funding")+(m.investors&&m.investors.length?" from "+m.investors.map(esc).join(", "):"");if(m.kind==="acquisition"&&m.company)return(m.direction==="acquired_by"?"Acquired by ":"Acquired ")+esc(m.company);if(m.kind==="partnership"&&m.partner)return"Partnership with "+esc(m.partner);if(m.kind==="leadership"&&m.name)return esc(m.name)+(m.change==="departed"?" leaving as ":" appointed ")+esc(m.role||"");return esc(m.title);}
+function timelineCard(items){if(!items||!items.length)return"";return'<div style="font-size:12px;color:#6b7280;margin-top:6px">Corporate timeline</div><div class="timeline">'+items.map(m=>{const s=m.sources||[];const link=s.find(x=>x.url);return'<div><span class="when">'+esc(m.date||"")+'</span>'+(MILESTONE_ICON[m.kind]||"")+" "+(link?'<a href="'+esc(link.url)+'" target="_blank" title="'+esc(m.title)+'">'+milestoneText(m)+'</a>':milestoneText(m))+(s.length>1?' <span class="when">· '+s.length+' sources</span>':"")+'</div>';}).join("")+'</div>';}
+function entityLine(x){if(!x)return"";const f=[x.fundingAmount,x.fundingRound].filter(Boolean).join(" ");const parts=[];if(f||x.investors)parts.push("<strong>Funding:</strong> "+esc(f||"undisclosed")+(x.investors?" from "+x.investors.map(esc).join(", "):""));if(x.partners)parts.push("<strong>Partners:</strong> "+x.partners.map(esc).join(", "));if(x.acquiredCompany)parts.push("<strong>Acquired:</strong> "+esc(x.acquiredCompany));if(x.acquirer)parts.push("<strong>Acquired by:</strong> "+esc(x.acquirer));for(const l of x.leadership||[])parts.push("<strong>Leadership:</strong> "+esc(l.name)+(l.change==="departed"?" leaving as ":" appointed ")+esc(l.role));if(x.eventDate)parts.push("<strong>Event date:</strong> "+esc(x.eventDate));return parts.length?'<div class="detail">'+parts.join(" · ")+'</div>':"";}
+function renderChanges(){if(!DATA.recentChanges||DATA.recentChanges.length===0){content.innerHTML='<div class="empty">No changes recorded yet. Run a scan to start tracking.</div>';return;}let h='<div class="feed">';for(const e of DATA.recentChanges){const noise=e.triage&&e.triage.action==="noise";h+='<div class="event"'+(e.id?' id="event-'+esc(e.id)+'"':'')+(noise?' style="opacity:.55"':'')+'><div class="event-header"><span class="badge '+(e.priority||"low")+'">'+(e.priority||"low")+'</span>';if(e.competitor)h+='<strong>'+esc(e.competitor)+'</strong>';if(e.pageLabel)h+=' · '+esc(e.pageLabel);if(e.triage)h+=' <span class="mini-btn" style="cursor:default">'+(noise?"noise":"escalated")+'</span>';if(e.snoozed)h+=' <span class="mini-btn" style="cursor:default">snoozed</span>';h+='<span class="meta">'+timeAgo(e.date)+'</span></div><div class="summary">'+esc(e.summary)+'</div>';if(e.analysis)h+='<div class="detail">'+esc(e.analysis)+'</div>';if(e.recommendation)h+='<div class="detail"><strong>Action:</strong> '+esc(e.recommendation)+'</div>';h+=entityLine(e.entities);if(e.opened)h+=structureList(e.opened.slice(0,5).map(j=>j.title+" · "+j.department+(j.location?" · "+j.location:"")));if(e.newPages||e.removedPages)h+=structureList([...(e.newPages||[]).map(p=>"+ "+p.label+": "+p.url),...(e.removedPages||[]).map(p=>"− "+p.label+": "+p.url)].slice(0,8));if(e.excerpt)h+='<div class="detail">'+esc(e.excerpt)+'</div>';if(e.authors||e.categories)h+='<div class="detail">'+[e.authors?"By "+e.authors.map(esc).join(", "):"",(e.categories||[]).map(c=>'<span class="mini-btn" style="cursor:default">'+esc(c)+'</span>').join(" ")].filter(Boolean).join(" · ")+'</div>';h+=structureList(e.structure);if(e.diff&&e.diff.edits&&e.diff.edits.length){h+='<div class="diff">';for(const w of e.diff.edits)h+='<div class="edited">~ '+w.map(o=>o.op==="del"?'<del>'+esc(o.text)+'</del>':o.op==="add"?'<ins>'+esc(o.text)+'</ins>':esc(o.text)).join("")+'</div>';h+='</div>';}else if(e.diff&&(e.diff.before||e.diff.after)){h+='<div class="diff">';if(e.diff.before)h+='<div class="removed">- '+esc(e.diff.before.slice(0,200))+'</div>';if(e.diff.after)h+='<div class="added">+ '+esc(e.diff.after.slice(0,200))+'</div>';h+='</div>';}if(e.visual&&e.visual.id){const v=encodeURIComponent(e.visual.id);h+='<div class="visual"><figure><figcaption>Before</figcaption><img loading="lazy" src="./api/visual-diff?id='+v+'&side=before" alt="Before"></figure><figure><figcaption>After</figcaption><img loading="lazy" src="./api/visual-diff?id='+v+'&side=after" alt="After"></figure></div>';}if(e.url)h+='<div style="margin-top:6px"><a href="'+esc(e.url)+'" target="_blank">View</a></div>';h+='</div>';}h+='</div>';content.innerHTML=h;}
+function renderPricing(){if(!DATA.competitors||DATA.competitors.length===0){content.innerHTML='<div class="empty">No competitors configured. <a href="./setup">Run setup</a> to get started.</div>';return;}let h=pricingMatrix()+pricingCompare()+'<div class="pricing-grid">';for(const c of DATA.competitors){h+='<div class="pricing-card"><h3>'+esc(c.name)+'</h3>';if(!c.pricing||!c.pricing.plans||c.pricing.plans.length===0){h+='<div class="empty" style="padding:12px 0;font-size:13px">No pricing data yet. Add a pricing page and run a scan.</div>';}else{for(const p of c.pricing.plans){const n=(c.plans||[]).find(x=>x.name===p.name);h+='<div class="plan"><div class="plan-name">'+esc(p.name)+'</div><div class="plan-price">'+esc(p.price)+(n&&n.monthlyUsd&&(n.currency!=="USD"||n.period!=="month"||n.billedAnnually)?' <span class="usd-eq">≈ '+usdMo(n.monthlyUsd)+(n.perSeat?"/seat":"")+'</span>':"")+'</div>';if(p.features&&p.features.length)h+='<div class="plan-features">'+p.features.map(f=>esc(f)).join(' · ')+'</div>';h+='</div>';}if(c.pricing.notes&&c.pricing.notes!=="No pricing found")h+='<div style="font-size:12px;color:#6b7280;margin-top:8px">'+esc(c.pricing.notes)+'</div>';}const snaps=PRICE_HIST&&PRICE_HIST[c.name];if(snaps&&snaps.length>0)h+='<div class="price-history"><h4>Price history</h4>'+priceChart(snaps)+'</div>';h+='</div>';}h+='</div>';content.innerHTML=h;if(MATRIX===null)loadMatrix(false);if(PRICE_HIST===null){PRICE_HIST={};fetch("./api/pricing/history").then(r=>r.json()).then(d=>{PRICE_HIST=d.history||{};const a=document.querySelector("nav button.active");if(a&&a.dataset.tab==="pricing")renderPricing();}).catch(()=>{});}}
+function usdMo(v){if(v==null)return"Custom";if(v===0)return"Free";return"$"+(v%1===0?v.toLocaleString("en-US"):v.toFixed(2))+"/mo";}
+function pricingCompare(){const rows=(DATA.competitors||[]).filter(c=>c.plans&&c.plans.length>0);if(rows.length<2)return"";const sorted=rows.map(c=>({name:c.name,plans:c.plans.slice().sort((a,b)=>(a.monthlyUsd==null?Infinity:a.monthlyUsd)-(b.monthlyUsd==null?Infinity:b.monthlyUsd))}));const cols=Math.max(...sorted.map(r=>r.plans.length));let h='<div class="card" style="margin-bottom:16px;overflow-x:auto"><h3>Side-by-side</h3><div class="url">Monthly USD-equivalent (annual prices ÷ 12, converted with your FX table)</div><table><thead><tr><th>Competitor</th>';for(let i=0;i<cols;i++)h+='<th>Tier '+(i+1)+'</th>';h+='</tr></thead><tbody>';for(const r of sorted){h+='<tr><td><strong>'+esc(r.name)+'</strong></td>';for(let i=0;i<cols;i++){const p=r.plans[i];h+=p?'<td><div>'+esc(p.name)+'</div><div class="plan-price">'+usdMo(p.monthlyUsd)+(p.perSeat&&p.monthlyUsd?" /seat":"")+'</div></td>':'<td></td>';}h+='</tr>';}return h+'</tbody></table></div>';}
+let MATRIX=null,MATRIX_EDIT=false;
+function pricingActive(){const a=document.querySelector("nav button.active");return a&&a.dataset.tab==="pricing";}
+async function loadMatrix(notes){MATRIX=MATRIX||{rows:[]};try{if(notes){const n=await cfgFetch("/api/pricing/matrix/notes",{method:"POST"});if(!n.ok){const d=await n.json().catch(()=>({}));alert(d.error||"Couldn't generate positioning notes");}}const r=await fetch("./api/pricing/matrix");if(r.ok)MATRIX=await r.json();}catch(e){}if(pricingActive())renderPricing();}
+function pricingMatrix(){if(!MATRIX||!MATRIX.bands)return"";const own=MATRIX.ownPlans||[];let h='<div class="card" style="margin-bottom:16px;overflow-x:auto"><div style="display:flex;align-items:center;gap:12px;flex-wrap:wrap"><h3 style="margin:0">Versus your plans</h3><span style="margin-left:auto;display:flex;gap:8px"><button class="mini-btn" onclick="MATRIX_EDIT=!MATRIX_EDIT;renderPricing()">'+(own.length?"Edit your plans":"Add your plans")+'</button>';if(own.length)h+='<button class="mini-btn" onclick="this.disabled=true;this.textContent=\\'Thinking…\\';loadMatrix(true)">'+(MATRIX.notes?"Positioning notes ✓":"Generate positioning notes")+'</button><a class="mini-btn" href="./api/pricing/matrix?format=csv">Download CSV</a>';h+='</span></div>';if(MATRIX_EDIT){h+='<div style="margin-top:10px"><div class="url">One plan per line: Name | Price | feature, feature</div><textarea id="ownPlansInput" style="width:100%;min-height:90px;font-family:monospace;font-size:12px;background:#0a0c0e;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:6px">'+esc(own.map(p=>[p.name,p.price,(p.features||[]).join(", ")].join(" | ")).join("\\n"))+'</textarea><button class="mini-btn" onclick="saveOwnPlans()">Save</button> <span id="ownPlansMsg" class="url"></span></div>';}if(!own.length){if(!MATRIX_EDIT)h+='<div class="url" style="margin-top:8px">Add your own plans to line them up against every competitor by price band.</div>';return h+'</div>';}const comps=MATRIX.companies||[];h+=(MATRIX.notes&&MATRIX.notes.summary?'<div class="detail" style="margin:10px 0">'+esc(MATRIX.notes.summary)+'</div>':'')+'<table style="margin-top:10px"><thead><tr><th>Band</th>'+comps.map(c=>'<th>'+esc(c==="Us"?"You":c)+'</th>').join("")+'</tr></thead><tbody>';for(const b of MATRIX.bands){const rows=MATRIX.rows.filter(r=>r.band===b.id);if(!rows.length)continue;h+='<tr><td><strong>'+esc(b.label)+'</strong>'+(MATRIX.notes&&MATRIX.notes.bands&&MATRIX.notes.bands[b.id]?'<div class="plan-features" style="max-width:220px">'+esc(MATRIX.notes.bands[b.id])+'</div>':'')+'</td>';for(const c of comps){h+='<td>'+rows.filter(r=>r.company===c).map(r=>'<div class="plan" style="padding:4px 0"><div class="plan-name" style="font-size:13px">'+esc(r.plan)+'</div><div class="plan-price">'+usdMo(r.monthlyUsd)+(r.perSeat&&r.monthlyUsd?" /seat":"")+'</div>'+(r.features.length?'<div class="plan-features">'+r.features.slice(0,3).map(f=>esc(f)).join(" · ")+'</div>':'')+'</div>').join("")+'</td>';}h+='</tr>';}return h+'</tbody></table></div>';}
+async function saveOwnPlans(){const plans=$("ownPlansInput").value.split("\\n").map(l=>l.split("|").map(s=>s.trim())).filter(p=>p[0]).map(p=>({name:p[0],price:p[1]||"",features:p[2]?p[2].split(",").map(s=>s.trim()).filter(Boolean):[]}));const body=JSON.stringify({ownPlans:plans});let r=await fetch("/api/config/settings",{method:"POST",headers:{"Content-Type":"application/json"},body});if(r.status===401){const tok=prompt("Admin token (self-hosted)");if(!tok)return;r=await fetch("/api/config/settings",{method:"POST",headers:{"Content-Type":"application/json","X-Admin-Token":tok},body});}const d=await r.json().catch(()=>({}));if(!r.ok){$("ownPlansMsg").textContent=d.error||"Save failed";return;}MATRIX_EDIT=false;MATRIX=null;loadMatrix(false);}
+let PRICE_HIST=null;
+const CHART_COLORS=["#7a8c52","#c4a747","#5b8def","#c23030","#9c6ade","#3d9b8f"];
+function priceChart(snaps){const W=560,H=160,P=36,t0=new Date(snaps[0].date).getTime(),t1=Date.now();const lines={},seen={};let max=0;snaps.forEach((s,si)=>{const t=new Date(s.date).getTime();for(const p of s.plans){const usd=p.monthlyUsd!=null,v=usd?p.monthlyUsd:p.amount;if(v==null)continue;const k=p.name+(usd?"":p.period?" /"+p.period:"");(lines[k]=lines[k]||[]).push([t,v]);seen[k]=si;if(v>max)max=v;}});const keys=Object.keys(lines);if(keys.length===0||max===0)return'<div class="plan-features">No numeric prices to chart yet.</div>';const x=t=>P+(t1===t0?0:(t-t0)/(t1-t0))*(W-P-8),y=v=>H-20-(v/(max*1.1))*(H-30);let svg='<svg viewBox="0 0 '+W+' '+H+'" class="price-chart"><line x1="'+P+'" y1="'+(H-20)+'" x2="'+(W-8)+'" y2="'+(H-20)+'" stroke="#2a3038"/><text x="'+(P-4)+'" y="'+(y(max)+4)+'" text-anchor="end">$'+Math.round(max)+'</text><text x="'+(P-4)+'" y="'+(H-16)+'" text-anchor="end">0</text><text x="'+P+'" y="'+(H-4)+'">'+new Date(t0).toLocaleDateString()+'</text><text x="'+(W-8)+'" y="'+(H-4)+'" text-anchor="end">today</text>';let legend="";keys.forEach((k,i)=>{const c=CHART_COLORS[i%CHART_COLORS.length],pts=lines[k],end=seen[k]===snaps.length-1?t1:new Date(snaps[seen[k]+1].date).getTime();let d="M"+x(pts[0][0])+" "+y(pts[0][1]);for(let j=1;j<pts.length;j++)d+=" H"+x(pts[j][0])+" V"+y(pts[j][1]);d+=" H"+x(end);svg+='<path d="'+d+'" fill="none" stroke="'+c+'" stroke-width="2"/>';for(const pt of pts)svg+='<circle cx="'+x(pt[0])+'" cy="'+y(pt[1])+'" r="3" fill="'+c+'"><title>'+esc(k)+': '+pt[1]+' ('+new Date(pt[0]).toLocaleDateString()+')</title></circle>';legend+='<span><i style="background:'+c+'"></i>'+esc(k)+'</span>';});return svg+'</svg><div class="chart-legend">'+legend+'</div>';}
 function renderSeo(){let h='<table><thead><tr><th>Competitor</th><th>Page</th><th>Title</th><th>Meta Description</th><th>H1</th></tr></thead><tbody>';let any=false;for(const c of DATA.competitors){if(!c.seo||Object.keys(c.seo).length===0)continue;for(const p of c.pages){const s=c.seo[p.id];if(!s)continue;any=true;h+='<tr><td>'+esc(c.name)+'</td><td>'+esc(p.label)+'</td><td style="max-width:200px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">'+esc(s.title||"—")+'</td><td style="max-width:250px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">'+esc(s.metaDescription||"—")+'</td><td>'+esc((s.h1s||[]).join(", ")||"—")+'</td></tr>';}}if(!any)h+='<tr><td colspan="5" class="empty">No SEO data yet.</td></tr>';h+='</tbody></table>';content.innerHTML=h;}
-const tabs={overview:renderOverview,changes:renderChanges,pricing:renderPricing,seo:renderSeo};
+const ARCH={key:"",entries:[],from:"",to:"",mode:"side"};
+function renderArchive(){let opts='<option value="">Select a page…</option>';for(const c of DATA.competitors||[]){for(const p of c.pages||[]){const k=c.name+"|"+p.id;opts+='<option value="'+esc(k)+'"'+(k===ARCH.key?" selected":"")+'>'+esc(c.name)+' · '+esc(p.label)+'</option>';}}const dateOpts=sel=>ARCH.entries.map(e=>'<option value="'+e.hash+'"'+(e.hash===sel?" selected":"")+'>'+new Date(e.date).toLocaleString()+'</option>').join("");let h='<div class="archive-controls"><label>Page<select onchange="loadArchive(this.value)">'+opts+'</select></label>';if(ARCH.entries.length>0){h+='<label>From<select onchange="ARCH.from=this.value;loadArchiveDiff()">'+dateOpts(ARCH.from)+'</select></label><label>To<select onchange="ARCH.to=this.value;loadArchiveDiff()">'+dateOpts(ARCH.to)+'</select></label><label>View<select onchange="ARCH.mode=this.value;loadArchiveDiff()"><option value="side"'+(ARCH.mode==="side"?" selected":"")+'>Side by side</option><option value="inline"'+(ARCH.mode==="inline"?" selected":"")+'>Inline</option></select></label>';}h+='</div><div id="archDiff">';if(!ARCH.key)h+='<div class="empty">Pick a page to browse its archived snapshots.</div>';else if(ARCH.entries.length===0)h+='<div class="empty">No snapshots archived for this page yet. One is saved on the first scan and every time the page changes.</div>';h+='</div>';content.innerHTML=h;if(ARCH.entries.length>0)loadArchiveDiff();}
+function archParams(){const i=ARCH.key.indexOf("|");return"competitor="+encodeURIComponent(ARCH.key.slice(0,i))+"&page="+encodeURIComponent(ARCH.key.slice(i+1));}
+async function loadArchive(k){ARCH.key=k;ARCH.entries=[];if(!k){renderArchive();return;}try{const r=await fetch("./api/archive?"+archParams());const d=await r.json();ARCH.entries=d.entries||[];}catch(e){ARCH.entries=[];}ARCH.to=ARCH.entries[0]?ARCH.entries[0].hash:"";ARCH.from=ARCH.entries[1]?ARCH.entries[1].hash:ARCH.to;renderArchive();}
+async function loadArchiveDiff(){const el=$("archDiff");if(!el)return;el.innerHTML='<div class="loading">Loading snapshots…</div>';try{const r=await fetch("./api/archive/diff?"+archParams()+"&from="+ARCH.from+"&to="+ARCH.to);const d=await r.json();if(!r.ok){el.innerHTML='<div class="empty">'+esc(d.error||"Snapshot unavailable")+'</div>';return;}const span=o=>o.op==="del"?'<del>'+esc(o.text)+'</del> ':o.op==="add"?'<ins>'+esc(o.text)+'</ins> ':esc(o.text)+' ';const st=structureList(d.structure);if(ARCH.mode==="inline"){el.innerHTML=st+'<div class="arch-diff">'+d.ops.map(span).join("")+'</div>';}else{el.innerHTML=st+'<div class="arch-diff side"><div class="arch-col"><h4>'+new Date(d.from.date).toLocaleString()+'</h4>'+d.ops.filter(o=>o.op!=="add").map(span).join("")+'</div><div class="arch-col"><h4>'+new Date(d.to.date).toLocaleString()+'</h4>'+d.ops.filter(o=>o.op!=="del").map(span).join("")+'</div></div>';}}catch(e){el.innerHTML='<div class="empty">Failed to load snapshots.</div>';}}
+let ROUTING=null,ADMIN_TOK=null;
+async function cfgFetch(u,o){o=o||{};const h=Object.assign({"Content-Type":"application/json"},o.headers||{});if(ADMIN_TOK)h["X-Admin-Token"]=ADMIN_TOK;let r=await fetch(u,Object.assign({},o,{headers:h}));if(r.status===401&&!ADMIN_TOK){const t=prompt("Admin token (self-hosted)");if(!t)return r;ADMIN_TOK=t;h["X-Admin-Token"]=t;r=await fetch(u,Object.assign({},o,{headers:h}));}return r;}
+async function loadRouting(){content.innerHTML='<div class="loading">Loading routing rules…</div>';try{const r=await cfgFetch("/api/config/routing");const d=await r.json();if(!r.ok){content.innerHTML='<div class="empty">'+esc(d.error||"Could not load routing rules")+'</div>';return;}ROUTING=d;}catch(e){content.innerHTML='<div class="empty">Could not load routing rules</div>';return;}renderRouting();}
+function renderRouting(){if(!ROUTING){loadRouting();return;}const R=ROUTING.routing,list=a=>(a||[]).join(", ");let h='<div class="card" style="margin-bottom:16px"><h3 style="margin:0 0 6px">Alert routing</h3><div class="detail">Each alert goes to every destination whose rule matches — empty fields match anything — and each destination gets its own digest.</div><label style="display:flex;gap:6px;align-items:center;margin-top:8px;font-size:13px"><input type="checkbox" id="rtFallback"'+(R.fallback!==false?" checked":"")+'> Send alerts that match no rule to the default Slack/Teams channels</label></div>';R.rules.forEach((rule,i)=>{const m=rule.match||{};h+='<div class="card route-rule" data-i="'+i+'"><div style="display:flex;gap:8px;align-items:center"><input class="rt-name" placeholder="Rule name (e.g. Pricing → #product)" value="'+esc(rule.name||"")+'" style="flex:1"><label style="font-size:12px"><input type="checkbox" class="rt-enabled"'+(rule.enabled!==false?" checked":"")+'> Enabled</label><button class="mini-btn" onclick="removeRule('+i+')">Remove</button></div><div class="route-grid"><label>Competitors<input class="rt-competitors" placeholder="Any" value="'+esc(list(m.competitors))+'"></label><label>Page types<input class="rt-pageTypes" placeholder="Any (e.g. pricing, features)" value="'+esc(list(m.pageTypes))+'"></label><label>Keywords<input class="rt-keywords" placeholder="Any" value="'+esc(list(m.keywords))+'"></label><label>Min priority<select class="rt-minPriority"><option value="">Any</option>'+["low","medium","high"].map(p=>'<option'+(m.minPriority===p?" selected":"")+'>'+p+'</option>').join("")+'</select></label></div><div class="route-types">'+ROUTING.eventTypes.map(t=>'<label><input type="checkbox" class="rt-type" value="'+t+'"'+((m.eventTypes||[]).includes(t)?" checked":"")+'> '+t+'</label>').join("")+'</div><label class="route-dest">Destinations — one per line: <code>slack URL</code> or <code>teams URL</code><textarea class="rt-dest" rows="2">'+esc((rule.destinations||[]).map(d=>d.channel+" "+d.url).join("\\n"))+'</textarea></label></div>';});h+='<div style="display:flex;gap:8px;align-items:center"><button class="mini-btn" onclick="addRule()">+ Add rule</button><button class="mini-btn" onclick="saveRouting()">Save routing</button><span id="rtMsg" class="detail"></span></div>';content.innerHTML=h;}
+function readRouting(){const split=v=>v.split(",").map(s=>s.trim()).filter(Boolean);const rules=[...document.querySelectorAll(".route-rule")].map(el=>{const q=c=>el.querySelector(c),match={};const c=split(q(".rt-competitors").value),p=split(q(".rt-pageTypes").value),k=split(q(".rt-keywords").value),t=[...el.querySelectorAll(".rt-type:checked")].map(x=>x.value);if(c.length)match.competitors=c;if(p.length)match.pageTypes=p;if(k.length)match.keywords=k;if(t.length)match.eventTypes=t;if(q(".rt-minPriority").value)match.minPriority=q(".rt-minPriority").value;const destinations=q(".rt-dest").value.split("\\n").map(l=>l.trim()).filter(Boolean).map(l=>{const s=l.split(/ +/);return{channel:s[0].toLowerCase(),url:s[1]||""};});return{id:ROUTING.routing.rules[+el.dataset.i].id,name:q(".rt-name").value.trim(),enabled:q(".rt-enabled").checked,match,destinations};});return{fallback:$("rtFallback").checked,rules};}
+function addRule(){ROUTING.routing=readRouting();ROUTING.routing.rules.push({name:"",enabled:true,match:{},destinations:[]});renderRouting();}
+function removeRule(i){ROUTING.routing=readRouting();ROUTING.routing.rules.splice(i,1);renderRouting();}
+async function saveRouting(){const r=await cfgFetch("/api/config/routing",{method:"POST",body:JSON.stringify({routing:readRouting()})});const d=await r.json().catch(()=>({}));if(!r.ok){$("rtMsg").textContent=d.error||"Save failed";return;}ROUTING.routing=d.routing;renderRouting();$("rtMsg").textContent="Saved";}
+let NOISE=null;
+async function loadNoise(){content.innerHTML='<div class="loading">Loading noise rules…</div>';try{const r=await cfgFetch("/api/config/noise");const d=await r.json();if(!r.ok){content.innerHTML='<div class="empty">'+esc(d.error||"Could not load noise rules")+'</div>';return;}NOISE=d.competitors||[];}catch(e){content.innerHTML='<div class="empty">Could not load noise rules</div>';return;}renderNoise();}
+function renderNoise(){if(!NOISE){loadNoise();return;}if(NOISE.length===0){content.innerHTML='<div class="empty">No competitors configured. <a href="./setup">Run setup</a> to get started.</div>';return;}const box=(ci,pi,list)=>'<textarea id="nz-'+ci+'-'+pi+'" rows="2" placeholder="One per line: a phrase, or /regex/">'+esc(list.join("\\n"))+'</textarea><button class="mini-btn" onclick="saveNoise('+ci+','+pi+')">Save patterns</button> <span class="detail" id="nzMsg-'+ci+'-'+pi+'"></span>';let h='<div class="card" style="margin-bottom:16px"><h3 style="margin:0 0 6px">Noise suppression</h3><div class="detail">Changed text matching an ignore pattern never triggers an alert. Text that keeps flipping back and forth between scans (rotating testimonials, counters, promos) is learned automatically and listed under its page, along with changes marked as noise from Slack — un-ignore anything that matters.</div></div><div class="grid">';NOISE.forEach((c,ci)=>{h+='<div class="card noise"><h3>'+esc(c.name)+'</h3><div class="detail">Ignore on every page</div>'+box(ci,-1,c.ignorePatterns);c.pages.forEach((p,pi)=>{h+='<div class="noise-page"><strong style="font-size:13px">'+esc(p.label)+'</strong>'+box(ci,pi,p.ignorePatterns);if(p.volatile.length){h+='<div class="detail" style="margin-top:6px">Learned as volatile or marked as noise</div>';p.volatile.forEach((v,vi)=>{h+='<div class="noise-chunk"><span title="'+(v.marked?"Marked as noise ":"Since ")+esc(new Date(v.since).toLocaleString())+'">'+esc(v.text)+'</span><button class="mini-btn" onclick="unignore('+ci+','+pi+','+vi+')">Un-ignore</button></div>';});}h+='</div>';});h+='</div>';});content.innerHTML=h+'</div>';}
+async function saveNoise(ci,pi){const c=NOISE[ci],p=pi<0?null:c.pages[pi];const patterns=$("nz-"+ci+"-"+pi).value.split("\\n").map(s=>s.trim()).filter(Boolean);const r=await cfgFetch("/api/config/noise",{method:"POST",body:JSON.stringify({competitor:c.name,pageId:p?p.id:undefined,ignorePatterns:patterns})});const d=await r.json().catch(()=>({}));if(!r.ok){$("nzMsg-"+ci+"-"+pi).textContent=d.error||"Save failed";return;}(p||c).ignorePatterns=d.ignorePatterns;$("nzMsg-"+ci+"-"+pi).textContent="Saved";}
+async function unignore(ci,pi,vi){const c=NOISE[ci],p=c.pages[pi];const r=await cfgFetch("/api/config/noise/unignore",{method:"POST",body:JSON.stringify({competitor:c.name,pageId:p.id,text:p.volatile[vi].text})});if(r.ok||r.status===404){p.volatile.splice(vi,1);renderNoise();}}
+${RUN_VIEW_JS}
+let HIRING=null;
+async function loadHiring(){content.innerHTML='<div class="loading">Loading hiring data…</div>';try{const r=await fetch("./api/hiring");const d=await r.json();if(!r.ok){content.innerHTML='<div class="empty">'+esc(d.error||"Could not load hiring data")+'</div>';return;}HIRING=d.hiring||{};}catch(e){content.innerHTML='<div class="empty">Could not load hiring data</div>';return;}renderHiring();}
+function hiringChart(series){const W=560,H=160,P=36;if(series.length<2)return'<div class="plan-features">The chart starts once open roles change.</div>';const last=series[series.length-1].open;const depts=Object.keys(last).sort((a,b)=>last[b]-last[a]).slice(0,6);let max=0;for(const s of series)for(const d of depts)max=Math.max(max,s.open[d]||0);if(max===0)return"";const t0=new Date(series[0].date).getTime(),t1=Date.now();const x=t=>P+(t1===t0?0:(t-t0)/(t1-t0))*(W-P-8),y=v=>H-20-(v/(max*1.1))*(H-30);let svg='<svg viewBox="0 0 '+W+' '+H+'" class="price-chart"><line x1="'+P+'" y1="'+(H-20)+'" x2="'+(W-8)+'" y2="'+(H-20)+'" stroke="#2a3038"/><text x="'+(P-4)+'" y="'+(y(max)+4)+'" text-anchor="end">'+max+'</text><text x="'+(P-4)+'" y="'+(H-16)+'" text-anchor="end">0</text><text x="'+P+'" y="'+(H-4)+'">'+esc(series[0].date)+'</text><text x="'+(W-8)+'" y="'+(H-4)+'" text-anchor="end">today</text>';let legend="";depts.forEach((d,i)=>{const c=CHART_COLORS[i%CHART_COLORS.length];let path="";series.forEach((s,si)=>{const px=x(new Date(s.date).getTime()),py=y(s.open[d]||0);path+=si===0?"M"+px+" "+py:" H"+px+" V"+py;});path+=" H"+x(t1);svg+='<path d="'+path+'" fill="none" stroke="'+c+'" stroke-width="2"/>';legend+='<span><i style="background:'+c+'"></i>'+esc(d)+'</span>';});return svg+'</svg><div class="chart-legend">'+legend+'</div>';}
+function renderHiring(){if(!HIRING){loadHiring();return;}const names=Object.keys(HIRING).filter(n=>HIRING[n].summary||HIRING[n].history.length);if(names.length===0){content.innerHTML='<div class="empty">No job postings tracked yet. Add a careers page (or the ATS job board it links to) and run a scan.</div>';return;}let h='<div class="pricing-grid">';for(const n of names){const H=HIRING[n],s=H.summary;h+='<div class="pricing-card"><h3>'+esc(n)+'</h3>';if(s){h+='<div class="url">'+s.open+' open role'+(s.open===1?"":"s")+' · '+s.openedThisMonth+' opened this month</div><table><thead><tr><th>Department</th><th>Open</th><th>Opened this month</th></tr></thead><tbody>'+s.departments.map(d=>'<tr><td>'+esc(d.department)+'</td><td>'+d.open+'</td><td>'+(d.openedThisMonth||"")+'</td></tr>').join("")+'</tbody></table>';}h+='<div class="price-history"><h4>Open roles by department</h4>'+hiringChart(H.history)+'</div>';const recent=H.roles.filter(j=>j.firstSeen).sort((a,b)=>b.firstSeen.localeCompare(a.firstSeen)).slice(0,5);if(recent.length)h+='<ul class="structure">'+recent.map(j=>'<li>'+(j.url?'<a href="'+esc(j.url)+'" target="_blank">'+esc(j.title)+'</a>':esc(j.title))+' · '+esc(j.department)+(j.location?' · '+esc(j.location):"")+' <span style="color:#6b7280">'+esc(j.firstSeen)+'</span></li>').join("")+'</ul>';h+='</div>';}content.innerHTML=h+'</div>';}
+let RUNS=null;
+async function loadRuns(){content.innerHTML='<div class="loading">Loading scan runs…</div>';try{const r=await cfgFetch("/api/scan/runs");const d=await r.json();if(!r.ok){content.innerHTML='<div class="empty">'+esc(d.error||"Could not load scan runs")+'</div>';return;}RUNS=d.runs||[];}catch(e){content.innerHTML='<div class="empty">Could not load scan runs</div>';return;}renderRuns();}
+function renderRuns(){if(!RUNS){loadRuns();return;}if(RUNS.length===0){content.innerHTML='<div class="empty">No scans recorded yet. Run a scan to see its pages, errors and deliveries here.</div>';return;}content.innerHTML='<div style="display:flex;align-items:center;gap:12px;margin-bottom:12px"><span class="detail">Last '+RUNS.length+' scan'+(RUNS.length===1?"":"s")+' — click a run for page-by-page results.</span><button class="mini-btn" onclick="RUNS=null;renderRuns()">Refresh</button></div>'+runTable(RUNS,false);}
+function toggleRun(id){RUN_OPEN=RUN_OPEN===id?null:id;renderRuns();}
+const tabs={overview:renderOverview,changes:renderChanges,pricing:renderPricing,hiring:renderHiring,seo:renderSeo,archive:renderArchive,routing:renderRouting,noise:renderNoise,runs:renderRuns};
 document.querySelectorAll("nav button").forEach(btn=>{btn.addEventListener("click",()=>{document.querySelectorAll("nav button").forEach(b=>b.classList.remove("active"));btn.classList.add("active");if(DATA)tabs[btn.dataset.tab]();});});
-fetch("./api/dashboard-data").then(r=>r.json()).then(d=>{DATA=d;$("lastUpdated").textContent="Last scan: "+timeAgo(d.generatedAt);renderOverview();}).catch(()=>{content.innerHTML='<div class="empty">Failed to load data. <a href="./setup">Run setup</a> or hit /test first.</div>';});
+fetch("./api/dashboard-data").then(r=>r.json()).then(d=>{DATA=d;$("lastUpdated").textContent="Last scan: "+timeAgo(d.generatedAt);if(location.hash.indexOf("#event-")===0){document.querySelector('nav button[data-tab="changes"]').click();const el=document.getElementById(location.hash.slice(1));if(el)el.scrollIntoView();}else renderOverview();}).catch(()=>{content.innerHTML='<div class="empty">Failed to load data. <a href="./setup">Run setup</a> or hit /test first.</div>';});
 fetch("./api/user/profile").then(r=>r.ok?r.json():null).then(u=>{if(u&&u.email){$("userBar").innerHTML=esc(u.email)+' &middot; <a href="/auth/logout" style="color:#c23030;text-decoration:none">Sign out</a>';}}).catch(()=>{});
 fetch("./api/config").then(r=>r.ok?r.json():null).then(c=>{if(c&&!c.settings?.slackWebhookUrl){const b=$("slackBanner");b.innerHTML='Your Slack alerts are not connected. Scan results will not be delivered. <a href="/setup" style="color:#e8a0a0;text-decoration:underline">Connect Slack in Setup</a>';b.style.display="block";}}).catch(()=>{});
 // ── Scan Now button with cooldown ──
@@ -132,15 +243,34 @@ async function triggerScan(){
     const r=await fetch("./api/config/trigger-scan",{method:"POST"});
     const d=await r.json();
     if(d.cooldown){updateScanButton(d);return;}
+    if(d.busy){pollScanRun(d.runId);return;}
     if(d.error){btn.textContent="Error";setTimeout(()=>{checkScanStatus();},2000);return;}
-    btn.textContent=d.alertsDetected+" alert"+(d.alertsDetected===1?"":"s")+" found";
-    btn.style.opacity="1";
-    // Refresh dashboard data
-    fetch("./api/dashboard-data").then(r=>r.json()).then(d2=>{DATA=d2;$("lastUpdated").textContent="Last scan: just now";const active=document.querySelector("nav button.active");if(active&&tabs[active.dataset.tab])tabs[active.dataset.tab]();});
-    // Re-check cooldown status after scan
-    setTimeout(()=>{checkScanStatus();},3000);
+    if(d.queued){pollScanRun(d.runId);return;}
+    scanFinished(d.alertsDetected);
   }catch(e){btn.textContent="Scan failed";setTimeout(()=>{checkScanStatus();},3000);}
 }
+// Queued scans: follow the run record until the finalize job completes
+function pollScanRun(id){
+  const btn=$("scanBtn");
+  fetch("./api/scan/runs?id="+encodeURIComponent(id)).then(r=>r.ok?r.json():null).then(d=>{
+    const run=d&&d.run;
+    if(!run){btn.textContent="Scan failed";setTimeout(()=>{checkScanStatus();},3000);return;}
+    if(run.status==="complete"){scanFinished(run.alerts);return;}
+    if(run.status==="failed"){btn.textContent="Scan failed";setTimeout(()=>{checkScanStatus();},3000);return;}
+    btn.textContent="Scanning "+(run.jobs.done+run.jobs.failed)+"/"+run.jobs.total+"...";
+    setTimeout(()=>pollScanRun(id),5000);
+  }).catch(()=>setTimeout(()=>pollScanRun(id),5000));
+}
+function scanFinished(n){
+  const btn=$("scanBtn");
+  btn.textContent=n+" alert"+(n===1?"":"s")+" found";
+  btn.style.opacity="1";
+  RUNS=null;
+  // Refresh dashboard data
+  fetch("./api/dashboard-data").then(r=>r.json()).then(d2=>{DATA=d2;$("lastUpdated").textContent="Last scan: just now";const active=document.querySelector("nav button.active");if(active&&tabs[active.dataset.tab])tabs[active.dataset.tab]();}).catch(()=>{});
+  // Re-check cooldown status after scan
+  setTimeout(()=>{checkScanStatus();},3000);
+}
 checkScanStatus();
 </script>
 </body>
@@ -210,6 +340,15 @@ input:focus{border-color:#5c6b3c}
 <div class="field"><label>Slack Webhook URL <span style="font-weight:400;text-transform:none;letter-spacing:0;color:#6b7280">(optional)</span></label><input type="url" id="slackUrl" placeholder="https://hooks.slack.com/services/..."><p style="font-size:12px;color:#6b7280;margin-top:4px">Create one at <a href="https://api.slack.com/messaging/webhooks" target="_blank">api.slack.com/messaging/webhooks</a></p></div>
 <button class="btn btn-secondary btn-sm" onclick="testSlack()">Test Connection</button>
 <div id="slackMsg"></div>
+<div class="field" style="margin-top:16px"><label>Microsoft Teams Webhook URL <span style="font-weight:400;text-transform:none;letter-spacing:0;color:#6b7280">(optional)</span></label><input type="url" id="teamsUrl" placeholder="https://....webhook.office.com/... or a Workflows URL"><p style="font-size:12px;color:#6b7280;margin-top:4px">Add an Incoming Webhook or a "Post to a channel when a webhook request is received" workflow in Teams</p></div>
+<button class="btn btn-secondary btn-sm" onclick="testTeams()">Test Teams</button>
+<div id="teamsMsg"></div>
+<div class="field" style="margin-top:16px"><label>Outbound Webhook <span style="font-weight:400;text-transform:none;letter-spacing:0;color:#6b7280">(optional)</span></label><input type="url" id="webhookUrl" placeholder="https://tools.yourco.com/scopehound"><input type="text" id="webhookSecret" placeholder="Signing secret (generated if empty)" style="margin-top:6px"><p style="font-size:12px;color:#6b7280;margin-top:4px">Every change event is POSTed as JSON, signed in <code>X-ScopeHound-Signature</code> (v0 HMAC-SHA256, same scheme as Slack request signing)</p></div>
+<button class="btn btn-secondary btn-sm" onclick="testWebhook()">Send Test Event</button>
+<div id="webhookMsg"></div>
+<div id="webhookLog" style="font-size:12px;color:#6b7280;margin-top:6px"></div>
+<div class="field" style="margin-top:16px"><label>Email Digest Recipients <span style="font-weight:400;text-transform:none;letter-spacing:0;color:#6b7280">(optional)</span></label><textarea id="emailRecipients" rows="3" placeholder="ceo@yourco.com&#10;pm@yourco.com weekly" style="width:100%;font-family:inherit"></textarea><p style="font-size:12px;color:#6b7280;margin-top:4px">One address per line. Add <code>weekly</code> for a weekly digest instead of daily. Needs EMAIL_API_URL, EMAIL_API_KEY and EMAIL_FROM secrets.</p></div>
+<div class="field" style="margin-top:16px"><label>Scan Schedule <span style="font-weight:400;text-transform:none;letter-spacing:0;color:#6b7280">(optional)</span></label><input type="text" id="scanTimes" placeholder="09:00"><p style="font-size:12px;color:#6b7280;margin-top:4px">Up to 4 scans a day, on the hour (e.g. <code>09:00, 17:00</code>), in <span id="scanTz"></span> time. Blank means once a day at 09:00.</p></div>
 </div>
 <div class="actions"><div></div><div style="display:flex;gap:8px;align-items:center"><button type="button" onclick="goStep(1)" style="font-size:12px;color:#6b7280;cursor:pointer;background:none;border:none;padding:0;font-family:inherit">Skip Slack</button><button class="btn btn-primary" onclick="validateStep0()">Next</button></div></div>
 </div>
@@ -275,6 +414,9 @@ function addComp(data){
 
 function removeComp(i){comps.splice(i,1);renderComps();}
 
+const CHECK_INTERVALS=[["","Every scan"],["hourly","Hourly"],["daily","Daily"],["weekly","Weekly"],["adaptive","Adaptive"]];
+function intervalOptions(v){return CHECK_INTERVALS.map(o=>'<option value="'+o[0]+'"'+((v||"")===o[0]?" selected":"")+'>'+o[1]+'</option>').join("");}
+function setCheckInterval(p,v){if(v)p.checkInterval=v;else delete p.checkInterval;}
 function renderComps(){
   let h="";
   for(let i=0;i<comps.length;i++){
@@ -286,7 +428,7 @@ function renderComps(){
     h+='<div id="pageList'+i+'">';
     if(c.pages&&c.pages.length>0){
       c.pages.forEach(function(p,pi){
-        h+='<div style="display:flex;align-items:center;gap:6px;padding:4px 0;font-size:13px;border-bottom:1px solid #2a3038"><span style="color:#7a8c52;font-size:10px;text-transform:uppercase;background:#1a2010;padding:2px 6px;border-radius:3px;flex-shrink:0">'+escAttr(p.type)+'</span><span style="flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">'+escAttr(p.url)+'</span><button class="btn btn-secondary btn-sm" style="padding:2px 6px;font-size:10px;color:#c55;border-color:#553333" onclick="removePageSelf('+i+','+pi+')">x</button></div>';
+        h+='<div style="display:flex;align-items:center;gap:6px;padding:4px 0;font-size:13px;border-bottom:1px solid #2a3038"><span style="color:#7a8c52;font-size:10px;text-transform:uppercase;background:#1a2010;padding:2px 6px;border-radius:3px;flex-shrink:0">'+escAttr(p.type)+'</span><span style="flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">'+escAttr(p.url)+'</span><select title="How often to check this page — pages with an interval are also checked between scheduled scans when due" onchange="setCheckInterval(comps['+i+'].pages['+pi+'],this.value)" style="width:auto;margin:0;padding:2px 4px;font-size:11px">'+intervalOptions(p.checkInterval)+'</select><button class="btn btn-secondary btn-sm" style="padding:2px 6px;font-size:10px;color:#c55;border-color:#553333" onclick="removePageSelf('+i+','+pi+')">x</button></div>';
       });
     }
     h+='</div>';
@@ -315,6 +457,7 @@ function addPageSelf(i){
     const path=new URL(u).pathname.toLowerCase();
     if(/(pricing|plans|price)/.test(path)){type="pricing";label="Pricing";}
     else if(/(features|product|solutions)/.test(path)){type="features";label="Features";}
+    else if(/(changelog|release-notes|releases)/.test(path)){type="changelog";label="Changelog";}
     else if(/(blog|news|updates)/.test(path)){type="blog";label="Blog";}
     else if(/(careers|jobs)/.test(path)){type="careers";label="Careers";}
   }catch(e){} // Expected: URL parse for type detection
@@ -373,11 +516,62 @@ async function testSlack(){
   }catch(e){$("slackMsg").innerHTML='<div class="msg msg-err">'+esc(e.message)+'</div>';}
 }
 
+async function testTeams(){
+  const tok=$("adminToken").value;
+  const url=$("teamsUrl").value;
+  if(!tok||!url){$("teamsMsg").innerHTML='<div class="msg msg-err">Enter the admin token and Teams URL first</div>';return;}
+  try{
+    const r=await fetch(base+"/api/config/test-teams",{method:"POST",headers:{"Content-Type":"application/json","X-Admin-Token":tok},body:JSON.stringify({webhookUrl:url})});
+    const d=await r.json();
+    $("teamsMsg").innerHTML=d.success?'<div class="msg msg-ok">Connected! Check your Teams channel.</div>':'<div class="msg msg-err">'+esc(d.error||"Failed")+'</div>';
+  }catch(e){$("teamsMsg").innerHTML='<div class="msg msg-err">'+esc(e.message)+'</div>';}
+}
+
+function genSecret(){
+  return "whsec_"+Array.from(crypto.getRandomValues(new Uint8Array(24))).map(b=>b.toString(16).padStart(2,"0")).join("");
+}
+
+async function testWebhook(){
+  const tok=$("adminToken").value;
+  const url=$("webhookUrl").value;
+  if(!tok||!url){$("webhookMsg").innerHTML='<div class="msg msg-err">Enter the admin token and webhook URL first</div>';return;}
+  if(!$("webhookSecret").value)$("webhookSecret").value=genSecret();
+  try{
+    const r=await fetch(base+"/api/config/test-webhook",{method:"POST",headers:{"Content-Type":"application/json","X-Admin-Token":tok},body:JSON.stringify({url:url,secret:$("webhookSecret").value})});
+    const d=await r.json();
+    $("webhookMsg").innerHTML=d.success?'<div class="msg msg-ok">Delivered test event '+esc(d.eventId)+' (HTTP '+d.status+')</div>':'<div class="msg msg-err">'+esc(d.error||"Failed")+(d.attempts?' after '+d.attempts+' attempt(s)':'')+'</div>';
+    loadWebhookLog();
+  }catch(e){$("webhookMsg").innerHTML='<div class="msg msg-err">'+esc(e.message)+'</div>';}
+}
+
+async function loadWebhookLog(){
+  const tok=$("adminToken").value;
+  if(!tok)return;
+  try{
+    const r=await fetch(base+"/api/config/webhook-deliveries",{headers:{"X-Admin-Token":tok}});
+    if(!r.ok)return;
+    const d=await r.json();
+    if(!d.deliveries.length){$("webhookLog").innerHTML="";return;}
+    $("webhookLog").innerHTML='<strong>Recent deliveries</strong><br>'+d.deliveries.slice(0,8).map(x=>(x.ok?"\u2713":"\u2717")+" "+esc(x.date.slice(0,16).replace("T"," "))+" "+esc(x.type)+" \u2192 "+esc(x.url)+(x.ok?"":" ("+esc(x.error||"")+", "+x.attempts+" attempt"+(x.attempts===1?"":"s")+")")).join("<br>");
+  }catch(e){} // Expected: log is optional
+}
+
+let SCAN_TZ=Intl.DateTimeFormat().resolvedOptions().timeZone||"UTC";
+function readScanTimes(){return $("scanTimes").value.split(",").map(t=>t.trim()).filter(Boolean);}
+$("scanTz").textContent=SCAN_TZ;
+function readRecipients(){
+  return $("emailRecipients").value.split("\\n").map(l=>l.trim()).filter(Boolean).map(l=>{const p=l.split(/\\s+/);return{email:p[0],frequency:p[1]==="weekly"?"weekly":"daily"};});
+}
+
 function renderSummary(){
   let h='<div class="summary-item"><div class="summary-label">Competitors</div>'+comps.length+' configured</div>';
   h+='<div class="summary-item"><div class="summary-label">Slack</div>'+($("slackUrl").value?"Connected":"Not set")+'</div>';
+  h+='<div class="summary-item"><div class="summary-label">Teams</div>'+($("teamsUrl").value?"Connected":"Not set")+'</div>';
+  const rcpt=readRecipients();
+  h+='<div class="summary-item"><div class="summary-label">Email</div>'+(rcpt.length?rcpt.length+' recipient'+(rcpt.length>1?'s':''):"Not set")+'</div>';
   h+='<div class="summary-item"><div class="summary-label">Product Hunt</div>'+($("phTopicsSelf").value?$("phTopicsSelf").value:"Not configured")+'</div>';
-  h+='<div class="summary-item"><div class="summary-label">Schedule</div>Daily at 9am UTC</div>';
+  const times=readScanTimes();
+  h+='<div class="summary-item"><div class="summary-label">Schedule</div>'+(times.length?esc(times.join(", ")):"Daily at 09:00")+' '+esc(SCAN_TZ)+'</div>';
   $("summaryPanel").innerHTML=h;
 }
 
@@ -402,7 +596,7 @@ async function launch(){
     const competitors=buildCompetitors();
     const phTopicStr=$("phTopicsSelf").value;
     const topics=phTopicStr?phTopicStr.split(",").map(s=>s.trim()).filter(Boolean).map(s=>({slug:s,name:s.split("-").map(w=>w[0].toUpperCase()+w.slice(1)).join(" ")})):[];
-    const settings={slackWebhookUrl:$("slackUrl").value||null,productHuntTopics:topics};
+    const settings={slackWebhookUrl:$("slackUrl").value||null,teamsWebhookUrl:$("teamsUrl").value||null,emailRecipients:readRecipients(),webhooks:$("webhookUrl").value?[{url:$("webhookUrl").value,secret:$("webhookSecret").value||null}]:[],scanSchedule:{times:readScanTimes(),timezone:SCAN_TZ},productHuntTopics:topics};
     const h={"Content-Type":"application/json","X-Admin-Token":tok};
     const [r1,r2]=await Promise.all([fetch(base+"/api/config/competitors",{method:"POST",headers:h,body:JSON.stringify({competitors})}),fetch(base+"/api/config/settings",{method:"POST",headers:h,body:JSON.stringify(settings)})]);
     const d1=await r1.json(),d2=await r2.json();
@@ -434,7 +628,11 @@ async function launch(){
     }
     if(d.settings){
       if(d.settings.slackWebhookUrl)$("slackUrl").value=d.settings.slackWebhookUrl;
+      if(d.settings.teamsWebhookUrl)$("teamsUrl").value=d.settings.teamsWebhookUrl;
+      if(d.settings.webhooks&&d.settings.webhooks.length){$("webhookUrl").value=d.settings.webhooks[0].url;$("webhookSecret").value=d.settings.webhooks[0].secret;loadWebhookLog();}
+      if(d.settings.emailRecipients&&d.settings.emailRecipients.length)$("emailRecipients").value=d.settings.emailRecipients.filter(r=>r.frequency!=="off").map(r=>r.email+(r.frequency==="weekly"?" weekly":"")).join("\\n");
       if(d.settings.productHuntTopics&&d.settings.productHuntTopics.length)$("phTopicsSelf").value=d.settings.productHuntTopics.map(t=>t.slug).join(", ");
+      if(d.settings.scanSchedule){if(d.settings.scanSchedule.timezone)SCAN_TZ=d.settings.scanSchedule.timezone;$("scanTimes").value=(d.settings.scanSchedule.times||[]).join(", ");$("scanTz").textContent=SCAN_TZ;}
     }
   }catch(e){} // Expected: config fetch may fail
 })();
@@ -784,6 +982,7 @@ Add to Slack
 <h2>Review & Launch</h2>
 <p class="subtitle">Confirm your setup and launch your first scan.</p>
 <div id="reviewSummary"></div>
+<div id="scheduleField" style="display:none;margin-top:16px"><label style="font-size:12px;color:#6b7280">Scan times <span id="scheduleHint"></span></label><input type="text" id="scanTimes" placeholder="09:00, 21:00"></div>
 <div id="launchMsg"></div>
 <div class="nav-btns">
 <button class="btn btn-secondary" onclick="goStep(2)">Back</button>
@@ -796,7 +995,7 @@ function esc(s){if(!s)return"";const d=document.createElement("div");d.textConte
 let currentStep=1,slackVerified=false,slackSkipped=false,competitors=[];
 async function loadUserInfo(){
   try{const r=await fetch("/api/user/profile");if(r.ok){const u=await r.json();
-  const t=u.tier||"scout";const limits={scout:{c:3,p:6,ppc:4},recon:{c:3,p:6,ppc:4},operator:{c:15,p:60,ppc:4},command:{c:50,p:400,ppc:8},strategic:{c:50,p:400,ppc:8}};
+  const t=u.tier||"scout";const limits={scout:{c:3,p:6,ppc:4,s:0},recon:{c:3,p:6,ppc:4,s:0},operator:{c:15,p:60,ppc:4,s:2},command:{c:50,p:400,ppc:8,s:4},strategic:{c:50,p:400,ppc:8,s:4}};
   const l=limits[t]||limits.scout;
   document.getElementById("tierInfo").innerHTML="You can add up to <strong>"+l.c+" competitors</strong> on your "+t.charAt(0).toUpperCase()+t.slice(1)+" plan.";
   window._tierLimits=l;window._tier=t;
@@ -825,7 +1024,7 @@ async function loadUserInfo(){
     document.getElementById("slackStatus").textContent="Connected to Slack"+(ch?" (#"+ch+")":"")+"!";
   }
   if(c.competitors&&c.competitors.length>0){
-    competitors=c.competitors.map(comp=>({name:comp.name,website:comp.website,blogRss:comp.blogRss||null,pages:(comp.pages||[]).map(function(p){return{id:p.id||p.type+"-0",url:p.url,type:p.type,label:p.label,preview:p.preview||null};}),_discovered:[]
+    competitors=c.competitors.map(comp=>({name:comp.name,website:comp.website,blogRss:comp.blogRss||null,ignorePatterns:comp.ignorePatterns||[],pages:(comp.pages||[]).map(function(p){return{id:p.id||p.type+"-0",url:p.url,type:p.type,label:p.label,preview:p.preview||null,visual:!!p.visual,checkInterval:p.checkInterval||null,include:p.include||[],exclude:p.exclude||[],ignorePatterns:p.ignorePatterns||[]};}),_discovered:[]
     }));renderCompetitors();
   }
   if(c.settings&&c.settings.productHuntTopics&&c.settings.productHuntTopics.length>0){
@@ -1011,7 +1210,7 @@ function renderCompetitors(){
       +'<div id="pages'+i+'" class="pages-list">'
       +'<label style="color:#7a8c52;font-weight:700;margin:12px 0 4px;display:block;text-transform:none;letter-spacing:0">Pages to Monitor</label>'
       +'<p style="font-size:12px;color:#6b7280;margin-bottom:8px">Add the specific pages you want to track for changes.</p>'
-      +'<div style="display:flex;gap:6px;margin-bottom:10px;align-items:center"><input type="url" id="custom'+i+'" placeholder="https://competitor.com/pricing" style="flex:1;margin:0"><select id="customType'+i+'" style="font-size:12px;background:#12161a;color:#d4d8de;border:1px solid #2a3038;border-radius:4px;padding:6px 8px"><option value="general">General</option><option value="pricing">Pricing</option><option value="features">Features</option><option value="blog">Blog</option><option value="careers">Careers</option></select><button class="btn btn-primary btn-sm" onclick="addCustomPage('+i+')">Add Page</button></div>'
+      +'<div style="display:flex;gap:6px;margin-bottom:10px;align-items:center"><input type="url" id="custom'+i+'" placeholder="https://competitor.com/pricing" style="flex:1;margin:0"><select id="customType'+i+'" style="font-size:12px;background:#12161a;color:#d4d8de;border:1px solid #2a3038;border-radius:4px;padding:6px 8px"><option value="general">General</option><option value="pricing">Pricing</option><option value="features">Features</option><option value="blog">Blog</option><option value="changelog">Changelog</option><option value="careers">Careers</option></select><button class="btn btn-primary btn-sm" onclick="addCustomPage('+i+')">Add Page</button></div>'
       +'<div id="manualPages'+i+'">'+renderManualPages(i)+'</div>'
       +(c._discovered&&c._discovered.length?'<div style="margin-top:12px;padding-top:10px;border-top:1px solid #1a1f25"><label style="color:#6b7280;font-weight:600;margin-bottom:6px;display:block;text-transform:none;letter-spacing:0;font-size:11px">SUGGESTED PAGES <span style="font-weight:400">(from scan)</span></label>'+renderPageCheckboxes(i)+'</div>':'')
       +'</div>';
@@ -1032,10 +1231,57 @@ function renderManualPages(idx){
       +'<span style="font-size:10px;text-transform:uppercase;color:#7a8c52;background:#1a2010;padding:2px 6px;border-radius:3px;flex-shrink:0">'+esc(p.type)+'</span>'
       +'<span style="font-size:13px;flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="'+esc(p.url)+'">'+esc(p.label||p.url)+prev+'</span>'
       +'<span class="page-url" style="flex-shrink:0;max-width:200px;overflow:hidden;text-overflow:ellipsis">'+esc(p.url)+'</span>'
+      +'<label title="Screenshot this page each scan and flag layout/design changes" style="font-size:11px;color:#8a9199;flex-shrink:0;display:flex;align-items:center;gap:3px;cursor:pointer"><input type="checkbox" onchange="toggleVisual('+idx+','+i+',this.checked)"'+(p.visual?" checked":"")+'>Visual</label>'
+      +'<select title="How often to check this page — pages with an interval are also checked between scheduled scans when due; adaptive checks pages that change often more frequently" onchange="setCheckInterval(competitors['+idx+'].pages['+i+'],this.value)" style="font-size:11px;padding:1px 4px;flex-shrink:0;width:auto">'+intervalOptions(p.checkInterval)+'</select>'
+      +'<button onclick="toggleScope('+idx+','+i+')" title="Only watch (or ignore) parts of this page" style="background:none;border:1px solid #2a3038;color:'+((p.include&&p.include.length)||(p.exclude&&p.exclude.length)?"#7a8c52":"#8a9199")+';cursor:pointer;border-radius:3px;padding:1px 6px;font-size:11px;flex-shrink:0">Scope</button>'
       +'<button onclick="removeManualPage('+idx+','+i+')" style="background:none;border:1px solid #553333;color:#c55;cursor:pointer;border-radius:3px;padding:1px 6px;font-size:12px;flex-shrink:0">x</button>'
-      +'</div>';
+      +'</div>'+(p._scopeOpen?renderScopeEditor(idx,i):"");
   }).join("");
 }
+function renderScopeEditor(ci,pi){
+  const p=competitors[ci].pages[pi];const k=ci+"_"+pi;
+  const ta='style="flex:1;min-height:48px;font-size:12px;font-family:monospace;background:#12161a;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:4px"';
+  return '<div style="padding:6px 0 10px 12px;border-bottom:1px solid #1a1f25">'
+    +'<div style="display:flex;gap:8px">'
+    +'<textarea id="scopeInc'+k+'" '+ta+' onchange="readScope('+ci+','+pi+')" placeholder="Only watch, one CSS selector or XPath per line (e.g. .pricing-table)">'+esc((p.include||[]).join("\\n"))+'</textarea>'
+    +'<textarea id="scopeExc'+k+'" '+ta+' onchange="readScope('+ci+','+pi+')" placeholder="Ignore (e.g. #footer, .testimonials)">'+esc((p.exclude||[]).join("\\n"))+'</textarea>'
+    +'</div>'
+    +'<button onclick="testScope('+ci+','+pi+')" style="margin-top:6px;background:none;border:1px solid #2a3038;color:#d4d8de;cursor:pointer;border-radius:3px;padding:2px 8px;font-size:12px">Test selectors</button>'
+    +'<pre id="scopeOut'+k+'" style="display:none;margin-top:6px;max-height:200px;overflow:auto;white-space:pre-wrap;font-size:11px;background:#0a0c0e;border:1px solid #2a3038;border-radius:2px;padding:6px"></pre>'
+    +'</div>';
+}
+function readScope(ci,pi){
+  const p=competitors[ci].pages[pi];const k=ci+"_"+pi;
+  const lines=function(id){const el=document.getElementById(id);return el?el.value.split("\\n").map(function(s){return s.trim();}).filter(Boolean):[];};
+  p.include=lines("scopeInc"+k);p.exclude=lines("scopeExc"+k);
+  return p;
+}
+function toggleScope(ci,pi){
+  const p=competitors[ci].pages[pi];
+  if(p._scopeOpen)readScope(ci,pi);
+  p._scopeOpen=!p._scopeOpen;
+  const el=document.getElementById("manualPages"+ci);
+  if(el)el.innerHTML=renderManualPages(ci);
+}
+async function testScope(ci,pi){
+  const p=readScope(ci,pi);
+  const out=document.getElementById("scopeOut"+ci+"_"+pi);
+  out.style.display="block";out.textContent="Fetching page...";
+  try{
+    const r=await fetch("/api/config/preview-page",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({url:p.url,include:p.include,exclude:p.exclude})});
+    const d=await r.json();
+    if(!r.ok){out.textContent="Error: "+(d.error||r.status);return;}
+    if(!d.scope){out.textContent=(p.include.length||p.exclude.length)?"Could not fetch this page.":"No selectors set — the whole page is monitored.";return;}
+    if(!d.scope.matched){out.textContent="Include selectors matched nothing on this page.";return;}
+    out.textContent=d.scope.length.toLocaleString()+" characters will be monitored:\\n\\n"+d.scope.text+(d.scope.length>d.scope.text.length?" …":"");
+  }catch(e){out.textContent="Error: "+e.message;}
+}
+function toggleVisual(ci,pi,on){
+  competitors[ci].pages[pi].visual=on;
+}
+const CHECK_INTERVALS=[["","Every scan"],["hourly","Hourly"],["daily","Daily"],["weekly","Weekly"],["adaptive","Adaptive"]];
+function intervalOptions(v){return CHECK_INTERVALS.map(function(o){return'<option value="'+o[0]+'"'+((v||"")===o[0]?" selected":"")+'>'+o[1]+'</option>';}).join("");}
+function setCheckInterval(p,v){p.checkInterval=v||null;}
 function removeManualPage(ci,pi){
   competitors[ci].pages.splice(pi,1);
   const el=document.getElementById("manualPages"+ci);
@@ -1046,7 +1292,7 @@ function renderPageCheckboxes(idx){
   return c._discovered.map((p,pi)=>{
     const checked=c.pages.find(x=>x.url===p.url)?"checked":"";
     const sel='<select onchange="changePageType('+idx+','+pi+',this.value)" style="margin-left:6px;font-size:11px;background:#12161a;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:1px 4px">'
-      +['general','pricing','features','blog','careers'].map(function(t){return'<option value="'+t+'"'+(p.type===t?' selected':'')+'>'+t+'</option>';}).join("")
+      +['general','pricing','features','blog','changelog','careers'].map(function(t){return'<option value="'+t+'"'+(p.type===t?' selected':'')+'>'+t+'</option>';}).join("")
       +'</select>';
     let prev='';
     if(p.preview&&p.preview.products&&p.preview.products.length>0){
@@ -1071,7 +1317,7 @@ function toggleProducts(ev,ci,pi){
 }
 function changePageType(ci,pi,newType){
   competitors[ci]._discovered[pi].type=newType;
-  const labels={pricing:"Pricing",blog:"Blog",careers:"Careers",general:"Page"};
+  const labels={pricing:"Pricing",blog:"Blog",changelog:"Changelog",careers:"Careers",general:"Page"};
   competitors[ci]._discovered[pi].label=labels[newType]||"Page";
   const disc=competitors[ci]._discovered[pi];
   const existing=competitors[ci].pages.find(function(x){return x.url===disc.url;});
@@ -1117,7 +1363,8 @@ async function scanSite(idx){
 function detectPageType(u){
   let p;try{p=new URL(u).pathname.toLowerCase();}catch(e){return{type:"general",label:"Custom"};}
   if(/(pricing|plans|price|plans-pricing)/.test(p))return{type:"pricing",label:"Pricing"};
-  if(/(blog|news|updates|changelog|articles)/.test(p))return{type:"blog",label:"Blog"};
+  if(/(changelog|release-notes|releases|whats-new)/.test(p))return{type:"changelog",label:"Changelog"};
+  if(/(blog|news|updates|articles)/.test(p))return{type:"blog",label:"Blog"};
   if(/(careers|jobs|hiring|join)/.test(p))return{type:"careers",label:"Careers"};
   if(/(products|shop|store|catalog|collections)/.test(p))return{type:"general",label:"Products"};
   if(/(features|product|solutions)/.test(p))return{type:"general",label:"Features"};
@@ -1132,7 +1379,7 @@ async function addCustomPage(idx){
   const selType=typeSelect?typeSelect.value:"general";
   const detected=detectPageType(u);
   const type=selType!=="general"?selType:detected.type;
-  const labels={pricing:"Pricing",blog:"Blog",careers:"Careers"};
+  const labels={pricing:"Pricing",blog:"Blog",changelog:"Changelog",careers:"Careers"};
   const label=labels[type]||detected.label;
   const entry={id:"custom-"+competitors[idx].pages.length,url:u,type:type,label:label};
   competitors[idx].pages.push(entry);
@@ -1154,6 +1401,7 @@ async function addCustomPage(idx){
 function renderReview(){
   const ready=competitors.filter(c=>c.name&&c.website);
   const totalPages=ready.reduce((s,c)=>s+c.pages.length,0);
+  const spd=(window._tierLimits&&window._tierLimits.s)||0,tz=Intl.DateTimeFormat().resolvedOptions().timeZone||"UTC";
   document.getElementById("reviewSummary").innerHTML=
     '<div class="review-item"><span class="review-label">Slack</span><span>'+(slackVerified?"Connected":"<span style='color:#c4a747'>Skipped — configure later in Settings</span>")+'</span></div>'
     +'<div class="review-item"><span class="review-label">Competitors</span><span>'+ready.length+'</span></div>'
@@ -1161,8 +1409,11 @@ function renderReview(){
     +'<div class="review-item"><span class="review-label">Product Hunt</span><span>'+(window._phTopics.length>0?window._phTopics.map(t=>t.name).join(", "):"Not configured")+'</span></div>'
     +'<div class="review-item"><span class="review-label">Reddit Radar</span><span>'+(window._radarSubreddits.length>0?window._radarSubreddits.map(s=>"r/"+s).join(", "):"Not configured")+'</span></div>'
     +'<div class="review-item"><span class="review-label">Plan</span><span>'+(window._tier||"scout").charAt(0).toUpperCase()+(window._tier||"scout").slice(1)+'</span></div>'
-    +'<div class="review-item"><span class="review-label">Schedule</span><span>Daily at 9am UTC</span></div>';
+    +'<div class="review-item"><span class="review-label">Schedule</span><span>'+(spd?spd+"× daily ("+esc(tz)+")":"Manual scans only")+'</span></div>';
+  document.getElementById("scheduleField").style.display=spd?"block":"none";
+  document.getElementById("scheduleHint").textContent="(up to "+spd+" a day, on the hour, "+tz+" time — blank spreads them from 09:00)";
 }
+function readScanTimes(){return document.getElementById("scanTimes").value.split(",").map(t=>t.trim()).filter(Boolean);}
 // ── Product Hunt + Reddit Radar ──
 window._radarSubreddits=[];
 window._phTopics=[];
@@ -1303,7 +1554,7 @@ async function launch(){
   msgEl.innerHTML=scanProgress(steps);
   setScanStep(0,"active");
   try{
-    const comps=competitors.filter(c=>c.name&&c.website).map(c=>({name:c.name,website:c.website,blogRss:c.blogRss||null,pages:c.pages.map(p=>({id:p.id,url:p.url,type:p.type,label:p.label}))}));
+    const comps=competitors.filter(c=>c.name&&c.website).map(c=>({name:c.name,website:c.website,blogRss:c.blogRss||null,ignorePatterns:c.ignorePatterns||[],pages:c.pages.map(p=>({id:p.id,url:p.url,type:p.type,label:p.label,visual:!!p.visual,checkInterval:p.checkInterval||null,include:p.include||[],exclude:p.exclude||[],ignorePatterns:p.ignorePatterns||[]}))}));
     if(comps.length===0){throw new Error("Add at least one competitor with a name and URL");}
     let r=await fetch("/api/config/competitors",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({competitors:comps})});
     let d=await r.json();if(!r.ok){throw new Error(d.error||"Failed to save competitors");}
@@ -1313,6 +1564,7 @@ async function launch(){
     if(window._productMeta)settingsPayload._productMeta=window._productMeta;
     if(window._phTopics&&window._phTopics.length>0)settingsPayload.productHuntTopics=window._phTopics;
     if(window._radarSubreddits&&window._radarSubreddits.length>0)settingsPayload.radarSubreddits=window._radarSubreddits;
+    if(window._tierLimits&&window._tierLimits.s)settingsPayload.scanSchedule={times:readScanTimes(),timezone:Intl.DateTimeFormat().resolvedOptions().timeZone||"UTC"};
     r=await fetch("/api/config/settings",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(settingsPayload)});
     d=await r.json();if(!r.ok){throw new Error(d.error||"Failed to save settings");}
     setScanStep(1,"done");setScanStep(2,"active");
@@ -1564,6 +1816,7 @@ th{color:#6b7280;font-weight:600;font-size:10px;text-transform:uppercase;letter-
 .type-badge.trial{background:rgba(196,167,71,0.15);color:#c4a747;border:1px solid #c4a747}
 .contact-meta .website{color:#5c6b3c;font-size:12px;text-decoration:underline}
 .empty-state{text-align:center;padding:48px;color:#6b7280;font-size:13px}
+${RUN_VIEW_CSS}
 </style>
 </head>
 <body>
@@ -1573,7 +1826,7 @@ th{color:#6b7280;font-weight:600;font-size:10px;text-transform:uppercase;letter-
   <span class="admin-badge">Admin</span>
 </div>
 <div style="display:flex;align-items:center;gap:12px">
-  <button class="refresh-btn" onclick="currentTab==='contacts'?loadContacts():loadKPIs()">Refresh</button>
+  <button class="refresh-btn" onclick="currentTab==='contacts'?loadContacts():currentTab==='runs'?loadRuns():loadKPIs()">Refresh</button>
   <a href="/admin/logout" style="font-size:12px;color:#c23030">Sign Out</a>
 </div>
 </header>
@@ -1581,9 +1834,11 @@ th{color:#6b7280;font-weight:600;font-size:10px;text-transform:uppercase;letter-
 <div class="tabs">
   <button class="tab active" onclick="showTab('kpis')">KPIs</button>
   <button class="tab" onclick="showTab('contacts')">Messages <span class="badge" id="msgCount" style="display:none">0</span></button>
+  <button class="tab" onclick="showTab('runs')">Scan Runs</button>
 </div>
 <div id="kpis-tab"><div class="loading">Loading KPIs...</div></div>
 <div id="contacts-tab" style="display:none"><div class="loading">Loading messages...</div></div>
+<div id="runs-tab" style="display:none"><div class="loading">Loading scan runs...</div></div>
 </main>
 <script>
 function esc(s){if(!s)return"";const d=document.createElement("div");d.textContent=s;return d.innerHTML.replace(/"/g,"&quot;").replace(/'/g,"&#39;")}
@@ -1597,7 +1852,9 @@ function showTab(tab){
   document.querySelector('[onclick="showTab(\\''+tab+'\\')"]').classList.add('active');
   document.getElementById('kpis-tab').style.display=tab==='kpis'?'':'none';
   document.getElementById('contacts-tab').style.display=tab==='contacts'?'':'none';
+  document.getElementById('runs-tab').style.display=tab==='runs'?'':'none';
   if(tab==='contacts')loadContacts();
+  if(tab==='runs')loadRuns();
 }
 
 async function loadKPIs(){
@@ -1663,6 +1920,35 @@ function renderContacts(contacts){
   document.getElementById("contacts-tab").innerHTML=h;
 }
 
+${RUN_VIEW_JS}
+let RUNS=[];
+async function loadRuns(){
+  const el=document.getElementById("runs-tab");
+  el.innerHTML='<div class="loading">Loading scan runs...</div>';
+  try{
+    const user=document.getElementById("runUser")?document.getElementById("runUser").value.trim():"";
+    const r=await fetch("/api/admin/scan-runs"+(user?"?user="+encodeURIComponent(user):""));
+    if(r.status===401){window.location.href="/admin/login";return;}
+    if(!r.ok)throw new Error("Failed to load");
+    RUNS=(await r.json()).runs||[];
+    renderRuns(user);
+  }catch(e){
+    el.innerHTML='<div class="loading">Failed to load scan runs. '+esc(e.message)+'</div>';
+  }
+}
+
+function renderRuns(user){
+  let h='<div style="display:flex;gap:8px;align-items:center;margin-bottom:12px"><input id="runUser" placeholder="Filter by user ID" value="'+esc(user||"")+'" style="background:#12161a;color:#d4d8de;border:1px solid #2a3038;border-radius:2px;padding:6px 8px;font-size:12px"><button class="refresh-btn" onclick="loadRuns()">Filter</button></div>';
+  if(RUNS.length===0)h+='<div class="empty-state">No scan runs recorded.</div>';
+  else h+='<div class="table-wrap">'+runTable(RUNS,true)+'</div>';
+  document.getElementById("runs-tab").innerHTML=h;
+}
+
+function toggleRun(id){
+  RUN_OPEN=RUN_OPEN===id?null:id;
+  renderRuns(document.getElementById("runUser").value.trim());
+}
+
 function kpi(label,value,color){
   return '<div class="kpi"><div class="label">'+esc(label)+'</div><div class="value'+(color?" "+color:"")+'">'+esc(String(value))+'</div></div>';
 }
@@ -0,0 +1,113 @@
+// Timeline — each competitor's corporate milestones (funding rounds, acquisitions,
+// partnerships, leadership changes) gathered from announcement, blog, news-page and
+// changelog events. A milestone reported by several sources is kept once with every
+// source listed. Stored per competitor, outside change history, so it isn't pruned with it.
+
+export const TIMELINE_KINDS = ["funding", "acquisition", "partnership", "leadership"];
+const MAX_ITEMS = 100;
+const MAX_SOURCES = 5;
+
+function timelineKey(userId, compName) {
+  return (userId ? "user_state:" + userId + ":" : "") + "timeline:" + compName;
+}
+
+// ─── MILESTONES ──────────────────────────────────────────────────────────────
+
+const lower = (s) => s.toLowerCase().replace(/\s+/g, " ").trim();
+
+// Milestones a history event reports: one per funding round, acquisition, partner and
+// leadership change in its entities. An announcement classified into one of the kinds but
+// without entities still counts, keyed by its title. `keys` identify the milestone across sources.
+export function milestonesFrom(event) {
+  const x = event.entities || {};
+  const date = (event.published || event.releasedAt || event.date || "").slice(0, 10);
+  const title = event.title || event.summary || "";
+  const out = [];
+
+  if (x.fundingAmount || x.fundingRound || x.investors) {
+    const keys = [];
+    if (x.fundingRound) keys.push("round:" + lower(x.fundingRound));
+    if (x.fundingAmount) keys.push("amount:" + lower(x.fundingAmount));
+    if (keys.length === 0) keys.push("investors:" + x.investors.map(lower).sort().join(","));
+    out.push({ kind: "funding", keys, round: x.fundingRound || null, amount: x.fundingAmount || null, investors: x.investors || [] });
+  }
+  if (x.acquiredCompany) out.push({ kind: "acquisition", keys: ["acquired:" + lower(x.acquiredCompany)], company: x.acquiredCompany, direction: "acquired" });
+  if (x.acquirer) out.push({ kind: "acquisition", keys: ["acquired_by:" + lower(x.acquirer)], company: x.acquirer, direction: "acquired_by" });
+  for (const partner of x.partners || []) out.push({ kind: "partnership", keys: ["partner:" + lower(partner)], partner });
+  for (const l of x.leadership || []) {
+    out.push({ kind: "leadership", keys: [`person:${lower(l.name)}:${l.change}`], name: l.name, role: l.role, change: l.change });
+  }
+
+  if (out.length === 0 && TIMELINE_KINDS.includes(event.category) && event.type === "announcement" && title) {
+    out.push({ kind: event.category, keys: ["title:" + lower(title).slice(0, 120)] });
+  }
+  const source = { type: event.type, title: title.slice(0, 200), url: event.url || null, date };
+  return out.map((m) => ({ ...m, date, title: title.slice(0, 200), sources: [source] }));
+}
+
+// Folds `m` into an existing milestone: the earliest date wins, missing details are
+// filled in, and new sources are appended
+function mergeMilestone(item, m) {
+  if (m.date && (!item.date || m.date < item.date)) {
+    item.date = m.date;
+    item.title = m.title || item.title;
+  }
+  item.keys = [...new Set([...item.keys, ...m.keys])];
+  for (const field of ["round", "amount", "role"]) if (!item[field] && m[field]) item[field] = m[field];
+  if (m.investors?.length) {
+    item.investors = [...item.investors, ...m.investors.filter((n) => !item.investors.some((i) => lower(i) === lower(n)))];
+  }
+  for (const s of m.sources) {
+    const dup = item.sources.some((t) => (s.url && t.url === s.url) || (t.type === s.type && t.title === s.title));
+    if (!dup && item.sources.length < MAX_SOURCES) item.sources.push(s);
+  }
+}
+
+// Adds the events' milestones to `items` (newest first), merging duplicates. Returns how
+// many milestones were new.
+export function addMilestones(items, events) {
+  let added = 0;
+  for (const event of events) {
+    for (const m of milestonesFrom(event)) {
+      const same = items.find((i) => i.kind === m.kind && i.keys.some((k) => m.keys.includes(k)));
+      if (same) {
+        mergeMilestone(same, m);
+      } else {
+        items.push(m);
+        added++;
+      }
+    }
+  }
+  items.sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+  items.splice(MAX_ITEMS);
+  return added;
+}
+
+// ─── STORAGE ─────────────────────────────────────────────────────────────────
+
+export async function loadTimeline(env, userId, compName) {
+  try {
+    const raw = await env.STATE.get(timelineKey(userId, compName));
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadTimeline] Failed to parse timeline for ${compName}: ${e.message}`);
+  }
+  return [];
+}
+
+// Records a scan's history events on each competitor's timeline; competitors whose events
+// carry no milestones aren't touched
+export async function recordTimelines(env, userId, historyEvents) {
+  const byCompetitor = new Map();
+  for (const e of historyEvents) {
+    if (!e.competitor || milestonesFrom(e).length === 0) continue;
+    if (!byCompetitor.has(e.competitor)) byCompetitor.set(e.competitor, []);
+    byCompetitor.get(e.competitor).push(e);
+  }
+  for (const [name, events] of byCompetitor) {
+    const items = await loadTimeline(env, userId, name);
+    const added = addMilestones(items, events);
+    await env.STATE.put(timelineKey(userId, name), JSON.stringify(items));
+    console.log(`Timeline: ${name} +${added} milestone(s) from ${events.length} event(s)`);
+  }
+}
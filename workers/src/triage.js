@@ -0,0 +1,70 @@
+// Triage — applies alert actions from Slack buttons (noise, snooze, escalate, watchlist)
+// to monitor state and change history, then refreshes the dashboard cache.
+
+import { loadConfig } from "./config.js";
+import { loadHistory, saveHistory, resolveHistoryDays } from "./state.js";
+import { buildDashboardCache } from "./scanner.js";
+import { markNoise } from "./noise.js";
+
+export const SNOOZE_DAYS = 7;
+
+// The text a page_change event added and removed. Events recorded before chunks were kept
+// fall back to their excerpts.
+function changedChunks(event) {
+  const d = event.diff || {};
+  if (d.chunks) return [...d.chunks.added, ...d.chunks.removed];
+  return [d.before, d.after].flatMap((excerpt) => (excerpt || "").split("\n"));
+}
+
+// `ref` is the button value: { e: history event id, c: competitor, p: page id }.
+// Returns { ok, message } where message is Slack mrkdwn describing the outcome.
+export async function applyTriage(env, userId, actionId, ref, actor) {
+  const stateKey = userId ? "user_state:" + userId + ":monitor" : "monitor_state";
+  let state;
+  try {
+    state = JSON.parse((await env.STATE.get(stateKey)) || "null");
+  } catch (e) {
+    console.log(`[applyTriage] Failed to parse monitor state: ${e.message}`);
+  }
+  const ps = state?.competitors?.[ref.c]?.pages?.[ref.p];
+  if (!ps) return { ok: false, message: "That page is no longer monitored." };
+
+  const history = await loadHistory(env, userId);
+  const event = history.find((e) => e.id === ref.e);
+  const label = `*${ref.c}* · ${event?.pageLabel || ref.p}`;
+  const who = actor ? `<@${actor}>` : "Someone";
+  const stamp = { by: actor || null, at: new Date().toISOString() };
+  let message;
+
+  switch (actionId) {
+    case "sh_noise":
+      if (!event) return { ok: false, message: "That change has aged out of history." };
+      event.triage = { action: "noise", ...stamp };
+      markNoise(ps, changedChunks(event), stamp.at);
+      message = `${who} marked the change on ${label} as noise — the same text won't alert again.`;
+      break;
+    case "sh_snooze":
+      ps.snoozedUntil = new Date(Date.now() + SNOOZE_DAYS * 86400000).toISOString();
+      message = `${who} snoozed ${label} for ${SNOOZE_DAYS} days — changes are still recorded on the dashboard.`;
+      break;
+    case "sh_escalate":
+      if (!event) return { ok: false, message: "That change has aged out of history." };
+      event.priority = "high";
+      event.triage = { action: "escalated", ...stamp };
+      message = `${who} escalated the change on ${label} to *HIGH*.`;
+      break;
+    case "sh_watch":
+      ps.watch = true;
+      message = `${who} added ${label} to the watchlist — its changes will always be delivered.`;
+      break;
+    default:
+      return { ok: false, message: "Unknown action." };
+  }
+
+  await env.STATE.put(stateKey, JSON.stringify(state));
+  if (event) await saveHistory(env, history, userId, await resolveHistoryDays(env, userId));
+  const config = await loadConfig(env, userId);
+  await buildDashboardCache(env, state, history, config.competitors, userId, config.settings.fxRates);
+  console.log(`[applyTriage] ${actionId} ${ref.c}/${ref.p} (${userId || "self-hosted"})`);
+  return { ok: true, message };
+}
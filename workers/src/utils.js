@@ -2,6 +2,7 @@
 
 import { canSubrequest, trackSubrequest, SUBREQUEST_LIMIT } from "./context.js";
 import { isChallengeResponse, fetchWithBrowser, addBrowserDomain } from "./browser.js";
+import { diffSequences, splitChunks, toChanges, editRatio, summarizeDiff } from "./diff.js";
 
 // ─── HTML HELPERS ────────────────────────────────────────────────────────────
 
@@ -73,17 +74,22 @@ const FETCH_HEADERS = {
   "Accept-Language": "en-US,en;q=0.9",
 };
 
-export async function fetchUrl(ctx, url, env, _browserDomains) {
-  if (!canSubrequest(ctx)) { console.log(`  Skipped (subrequest budget: ${ctx.subrequestCount}/${SUBREQUEST_LIMIT})`); return null; }
-  if (!isUrlSafe(url)) { console.log(`  Blocked (SSRF protection): ${url}`); return null; }
+// `outcome` (optional) is filled in for scan run records and page health: { reason,
+// status?, error? } when the fetch fails; on success { via: "browser" } when browser
+// rendering produced the content, { redirectedTo, permanent } when redirects were followed.
+// `capture` (optional) is passed to fetchWithBrowser so a visual page rendered in the
+// browser gets its screenshot from the same session.
+export async function fetchUrl(ctx, url, env, _browserDomains, outcome = {}, capture = null) {
+  if (!canSubrequest(ctx)) { console.log(`  Skipped (subrequest budget: ${ctx.subrequestCount}/${SUBREQUEST_LIMIT})`); outcome.reason = "budget"; return null; }
+  if (!isUrlSafe(url)) { console.log(`  Blocked (SSRF protection): ${url}`); outcome.reason = "ssrf_blocked"; return null; }
 
   // Skip straight to browser rendering for known-blocked domains
   let domain;
-  try { domain = new URL(url).hostname; } catch { return null; } // Expected: malformed URL
+  try { domain = new URL(url).hostname; } catch { outcome.reason = "invalid_url"; return null; } // Expected: malformed URL
   if (_browserDomains && _browserDomains.has(domain) && env && env.BROWSER) {
     console.log(`  Known browser-required domain: ${domain}`);
-    const rendered = await fetchWithBrowser(ctx, env, url);
-    if (rendered) return rendered;
+    const rendered = await fetchWithBrowser(ctx, env, url, capture);
+    if (rendered) { outcome.via = "browser"; return rendered; }
     // Browser rendering failed (e.g. content too small) — domain may no longer need browser
     console.log(`  Browser rendering returned nothing for cached domain ${domain} — removing from cache`);
     _browserDomains.delete(domain);
@@ -95,11 +101,14 @@ export async function fetchUrl(ctx, url, env, _browserDomains) {
     trackSubrequest(ctx);
     let response = await fetch(url, { headers: FETCH_HEADERS, signal: controller.signal, redirect: "manual" });
     // Follow up to 3 redirects manually (saves subrequests vs automatic chains)
+    let finalUrl = url, permanent = true;
     for (let redir = 0; redir < 3 && [301, 302, 303, 307, 308].includes(response.status); redir++) {
       const loc = response.headers.get("location");
       if (!loc || !canSubrequest(ctx)) break;
       const redirectUrl = loc.startsWith("http") ? loc : new URL(loc, url).href;
       if (!isUrlSafe(redirectUrl)) break;
+      permanent = permanent && (response.status === 301 || response.status === 308);
+      finalUrl = redirectUrl;
       trackSubrequest(ctx);
       response = await fetch(redirectUrl, { headers: FETCH_HEADERS, signal: controller.signal, redirect: "manual" });
     }
@@ -107,43 +116,36 @@ export async function fetchUrl(ctx, url, env, _browserDomains) {
 
     if (!response.ok) {
       // Check for Cloudflare challenge — try browser rendering fallback
+      let challenged = isChallengeResponse(response.status, null);
       if (env && env.BROWSER) {
         let body = null;
         try { body = await response.text(); } catch {} // Expected: body read may fail
-        if (isChallengeResponse(response.status, body)) {
+        challenged = isChallengeResponse(response.status, body);
+        if (challenged) {
           console.log(`  Challenge detected (${response.status}) — trying browser rendering`);
-          const rendered = await fetchWithBrowser(ctx, env, url);
+          const rendered = await fetchWithBrowser(ctx, env, url, capture);
           if (rendered && _browserDomains) { await addBrowserDomain(env, domain, _browserDomains); }
-          if (rendered) return rendered;
+          if (rendered) { outcome.via = "browser"; return rendered; }
         }
       }
       console.log(`  Fetch error ${url}: ${response.status}`);
+      outcome.reason = challenged ? "challenge" : "http_error";
+      outcome.status = response.status;
       return null;
     }
+    if (finalUrl !== url) {
+      outcome.redirectedTo = finalUrl;
+      outcome.permanent = permanent;
+    }
     return await response.text();
   } catch (error) {
     console.log(`  Fetch error ${url}: ${error.message}`);
+    outcome.reason = error.name === "AbortError" ? "timeout" : "network_error";
+    outcome.error = error.message;
     return null;
   }
 }
 
-// ─── RSS PARSING ─────────────────────────────────────────────────────────────
-
-export function parseRssFeed(xml) {
-  const posts = [];
-  const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
-  let match;
-  while ((match = itemRegex.exec(xml)) !== null) {
-    const item = match[1];
-    const title = item.match(/<title>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/title>/i)?.[1] || "Untitled";
-    const link = item.match(/<link>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/link>/i)?.[1] || "";
-    const guid = item.match(/<guid[^>]*>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/guid>/i)?.[1] || link || title;
-    posts.push({ id: guid, title: title.trim(), link: link.trim() });
-    if (posts.length >= 10) break;
-  }
-  return posts;
-}
-
 // ─── SEO EXTRACTION ──────────────────────────────────────────────────────────
 
 export function extractSeoSignals(html) {
@@ -267,23 +269,165 @@ export function previewPageContent(html) {
   };
 }
 
+// ─── SELECTOR SCOPING ────────────────────────────────────────────────────────
+// Pages may set `include` / `exclude` selector lists (CSS, or an XPath subset
+// starting with "/"). Hashing, diffing and text extraction then only see the
+// included regions, minus anything excluded.
+
+const SCOPE_START = "<!--scopehound:start-->";
+const SCOPE_END = "<!--scopehound:end-->";
+const MAX_SELECTORS = 10;
+
+function findPredicateEnd(src, start) {
+  let quote = null;
+  for (let i = start + 1; i < src.length; i++) {
+    const ch = src[i];
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === "'" || ch === '"') quote = ch;
+    else if (ch === "]") return i;
+  }
+  return -1;
+}
+
+function xpathPredicateToCss(pred, xpath) {
+  const q = (v) => '"' + v.replace(/"/g, '\\"') + '"';
+  let m;
+  if (/^\d+$/.test(pred)) return `:nth-of-type(${pred})`;
+  if ((m = /^@([\w-]+)$/.exec(pred))) return `[${m[1]}]`;
+  if ((m = /^@([\w-]+)\s*=\s*(["'])(.*)\2$/.exec(pred))) return `[${m[1]}=${q(m[3])}]`;
+  if ((m = /^contains\(\s*@([\w-]+)\s*,\s*(["'])(.*)\2\s*\)$/.exec(pred))) return `[${m[1]}*=${q(m[3])}]`;
+  if ((m = /^starts-with\(\s*@([\w-]+)\s*,\s*(["'])(.*)\2\s*\)$/.exec(pred))) return `[${m[1]}^=${q(m[3])}]`;
+  throw new Error(`Unsupported XPath predicate [${pred}] in ${xpath}`);
+}
+
+// Covers the XPath people actually paste from devtools: //tag, /child, *, [@attr],
+// [@attr='v'], [contains(@attr,'v')], [starts-with(@attr,'v')] and [n].
+export function xpathToCss(xpath) {
+  const src = xpath.trim();
+  let css = "";
+  let i = 0;
+  while (i < src.length) {
+    let axis;
+    if (src.startsWith("//", i)) { axis = " "; i += 2; }
+    else if (src[i] === "/") { axis = " > "; i += 1; }
+    else throw new Error(`Unsupported XPath: ${xpath}`);
+    const m = /^(\*|[a-zA-Z][\w-]*)/.exec(src.slice(i));
+    if (!m) throw new Error(`Unsupported XPath: ${xpath}`);
+    let step = m[1].toLowerCase();
+    i += m[1].length;
+    while (src[i] === "[") {
+      const end = findPredicateEnd(src, i);
+      if (end === -1) throw new Error(`Unterminated predicate in XPath: ${xpath}`);
+      step += xpathPredicateToCss(src.slice(i + 1, end).trim(), xpath);
+      i = end + 1;
+    }
+    css += (css ? axis : "") + step;
+  }
+  if (!css) throw new Error("Empty XPath");
+  return css;
+}
+
+function toCssSelectors(list) {
+  const items = (Array.isArray(list) ? list : typeof list === "string" ? list.split("\n") : [])
+    .map((s) => String(s).trim()).filter(Boolean);
+  if (items.length > MAX_SELECTORS) throw new Error(`Maximum ${MAX_SELECTORS} selectors per list`);
+  return items.map((s) => (s.startsWith("/") ? xpathToCss(s) : s));
+}
+
+// Normalizes a page's selector config and checks every selector compiles.
+// Throws with a readable message on bad input; returns null when unscoped.
+export function compileScope(page) {
+  const include = toCssSelectors(page?.include);
+  const exclude = toCssSelectors(page?.exclude);
+  if (include.length === 0 && exclude.length === 0) return null;
+  for (const sel of [...include, ...exclude]) {
+    try {
+      new HTMLRewriter().on(sel, {});
+    } catch (e) {
+      throw new Error(`Invalid selector "${sel}": ${e.message}`);
+    }
+  }
+  return { include, exclude };
+}
+
+// Stable fingerprint of a page's scope — a change means the old baseline is stale.
+export function scopeSignature(page) {
+  const scope = compileScope(page);
+  return scope ? JSON.stringify(scope) : null;
+}
+
+// Returns the scoped HTML, the full HTML when the page is unscoped, or null
+// when include selectors are set but none of them matched.
+export async function scopeHtml(html, page) {
+  const scope = compileScope(page);
+  if (!scope) return html;
+  let rewriter = new HTMLRewriter();
+  for (const sel of scope.exclude) {
+    rewriter = rewriter.on(sel, { element(el) { el.remove(); } });
+  }
+  for (const sel of scope.include) {
+    rewriter = rewriter.on(sel, {
+      element(el) {
+        el.before(SCOPE_START, { html: true });
+        el.after(SCOPE_END, { html: true });
+      },
+    });
+  }
+  const out = await rewriter.transform(new Response(html, { headers: { "Content-Type": "text/html" } })).text();
+  if (scope.include.length === 0) return out;
+
+  // Keep only the outermost included regions (nested matches are already inside them)
+  const parts = [];
+  let depth = 0;
+  let from = 0;
+  const markerRe = /<!--scopehound:(start|end)-->/g;
+  let m;
+  while ((m = markerRe.exec(out)) !== null) {
+    if (m[1] === "start") {
+      if (depth === 0) from = markerRe.lastIndex;
+      depth++;
+    } else if (depth > 0) {
+      depth--;
+      if (depth === 0) parts.push(out.slice(from, m.index).replace(/<!--scopehound:(start|end)-->/g, ""));
+    }
+  }
+  return parts.length > 0 ? parts.join("\n") : null;
+}
+
 // ─── TEXT DIFF ───────────────────────────────────────────────────────────────
 
+// Ordered diff of two text snapshots: sentence/bullet chunks aligned with a sequence diff,
+// edited sentences carrying word-level diffs (see diff.js for the object's shape).
 export function computeTextDiff(oldText, newText) {
-  // Split on paragraph breaks, bullet markers, or sentence boundaries (not just .!?)
-  const toChunks = (t) => t.split(/\n{2,}|(?<=[.!?])\s+|(?=[-•·▸])\s*/)
-    .map(s => s.trim()).filter(s => s.length > 10);
-  const oldSet = new Set(toChunks(oldText));
-  const newSet = new Set(toChunks(newText));
-  const added = [...newSet].filter(s => !oldSet.has(s)).slice(0, 15);
-  const removed = [...oldSet].filter(s => !newSet.has(s)).slice(0, 15);
-  return {
-    added,
-    removed,
-    beforeExcerpt: removed.slice(0, 5).join("\n").slice(0, 800),
-    afterExcerpt: added.slice(0, 5).join("\n").slice(0, 800),
-    changeRatio: (added.length + removed.length) / Math.max(oldSet.size, 1),
-  };
+  const a = splitChunks(oldText);
+  const b = splitChunks(newText);
+  const changes = toChanges(diffSequences(a, b));
+  const wordCount = (chunks) => chunks.reduce((n, c) => n + c.split(/\s+/).length, 0);
+  return summarizeDiff(changes, editRatio(changes, wordCount(a), wordCount(b)));
+}
+
+// ─── DATES ───────────────────────────────────────────────────────────────────
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH = "(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+const DATE_PATTERNS = [
+  [/\b(20\d\d)-(\d\d)-(\d\d)\b/, (m) => [m[1], m[2], m[3]]],
+  [new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(20\\d\\d)\\b`, "i"), (m) => [m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, m[2]]],
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH},?\\s+(20\\d\\d)\\b`, "i"), (m) => [m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, m[1]]],
+];
+
+// First date written out in `text` ("2025-03-04", "March 4, 2025", "4th Mar 2025")
+// → [isoDate, matchedText], or null
+export function findDate(text) {
+  for (const [re, parts] of DATE_PATTERNS) {
+    const m = text.match(re);
+    if (!m) continue;
+    const [y, mo, d] = parts(m).map(Number);
+    if (mo >= 1 && mo <= 12 && d >= 1 && d <= 31) {
+      return [`${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`, m[0]];
+    }
+  }
+  return null;
 }
 
 // ─── URL VERIFICATION ────────────────────────────────────────────────────────
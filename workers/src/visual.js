@@ -0,0 +1,58 @@
+// Visual — screenshot baselines and before/after diff storage for "visual" pages.
+
+import { captureScreenshot } from "./browser.js";
+
+const VISUAL_CHANGE_THRESHOLD = 0.01; // share of diff cells that must change to count as a visual change
+const VISUAL_DIFF_TTL = 90 * 86400;
+
+function shotKey(userId, compName, pageId) {
+  return (userId ? "user_state:" + userId + ":" : "") + "visual:" + compName + ":" + pageId;
+}
+
+function diffKey(userId, id) {
+  return (userId ? "user_state:" + userId + ":" : "") + "visual_diff:" + id;
+}
+
+// ─── VISUAL CHECK ────────────────────────────────────────────────────────────
+
+export async function loadVisualBaseline(env, userId, compName, pageId) {
+  return env.STATE.get(shotKey(userId, compName, pageId));
+}
+
+// `capture` is the page fetch's { previousShot, shot?, diff? } — when the fetch went through
+// Browser Rendering the screenshot is already taken and no second session is launched.
+export async function checkVisualChange(ctx, env, compName, page, userId, capture = null) {
+  const key = shotKey(userId, compName, page.id);
+  const previous = capture ? capture.previousShot : await env.STATE.get(key);
+  const result = capture?.shot ? capture : await captureScreenshot(ctx, env, page.url, previous);
+  if (!result) return null;
+  await env.STATE.put(key, result.shot);
+  if (!previous) return { changed: false, firstRun: true };
+  const diff = result.diff;
+  if (!diff || diff.ratio < VISUAL_CHANGE_THRESHOLD) return { changed: false, firstRun: false };
+
+  const id = crypto.randomUUID();
+  const date = new Date().toISOString();
+  await env.STATE.put(diffKey(userId, id), JSON.stringify({
+    id, date, competitor: compName, pageId: page.id,
+    ratio: diff.ratio, region: diff.region, before: diff.before, after: diff.after,
+  }), { expirationTtl: VISUAL_DIFF_TTL });
+  return { changed: true, id, ratio: diff.ratio, region: diff.region };
+}
+
+export async function loadVisualDiff(env, userId, id) {
+  if (!id || !/^[0-9a-f-]{36}$/.test(id)) return null;
+  try {
+    const raw = await env.STATE.get(diffKey(userId, id));
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.log(`[loadVisualDiff] Failed to parse ${id}: ${e.message}`);
+    return null;
+  }
+}
+
+export function describeVisualChange(visual) {
+  const pct = (visual.ratio * 100).toFixed(1);
+  const r = visual.region;
+  return r ? `${pct}% of the page changed (${r.width}×${r.height}px region at ${r.x},${r.y})` : `${pct}% of the page changed`;
+}
@@ -0,0 +1,192 @@
+// Webhooks — outbound JSON events, signed like Slack's request signing (v0 HMAC-SHA256),
+// with retries and a per-user delivery log. Scans try each delivery once and leave
+// transient failures for the next run to retry; only test deliveries retry in place.
+
+import { canSubrequest, trackSubrequest } from "./context.js";
+import { isUrlSafe } from "./utils.js";
+
+export const WEBHOOK_EVENT_TYPES = ["page_change", "seo_change", "visual_change", "page_health", "changelog_entry", "hiring_change", "sitemap_change", "announcement", "blog_post", "producthunt", "radar"];
+const MAX_ATTEMPTS = 3;               // per event and endpoint, across runs
+const RETRY_DELAYS_MS = [500, 2000];  // test deliveries only
+const RETRY_MAX = 50;                 // failed deliveries kept for the next run
+const LOG_MAX = 100;
+const TIMEOUT_MS = 10000;
+
+function prefix(userId) {
+  return userId ? "user_state:" + userId + ":" : "";
+}
+
+// ─── SIGNING ─────────────────────────────────────────────────────────────────
+// signature = "v0=" + hex(HMAC-SHA256(secret, "v0:" + timestamp + ":" + body)).
+// Receivers verify exactly as we verify Slack's X-Slack-Signature.
+
+export async function computeSignature(secret, timestamp, body) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode("v0:" + timestamp + ":" + body));
+  return "v0=" + Array.from(new Uint8Array(mac)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Constant-time check of a v0 signature, rejecting timestamps older than 5 minutes.
+export async function verifySignature(secret, timestamp, body, signature) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > 300) return false;
+  const expected = await computeSignature(secret, timestamp, body);
+  if (expected.length !== signature.length) return false;
+  let mismatch = 0;
+  for (let i = 0; i < expected.length; i++) mismatch |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  return mismatch === 0;
+}
+
+export function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return "whsec_" + Array.from(bytes).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Webhook endpoints must be public HTTPS URLs
+export function isValidWebhookUrl(urlStr) {
+  try {
+    return new URL(urlStr).protocol === "https:" && isUrlSafe(urlStr);
+  } catch {
+    return false;
+  }
+}
+
+// ─── EVENTS ──────────────────────────────────────────────────────────────────
+
+export function buildEvent(type, data) {
+  return { id: "evt_" + crypto.randomUUID().replace(/-/g, ""), type, createdAt: new Date().toISOString(), data };
+}
+
+// History event → webhook event. The history entry is passed through unchanged.
+export function historyToEvent(historyEvent) {
+  return buildEvent(historyEvent.type, historyEvent);
+}
+
+// ─── DELIVERY ────────────────────────────────────────────────────────────────
+
+function wantsEvent(hook, type) {
+  if (hook.enabled === false) return false;
+  if (type === "test") return true;
+  return !hook.events || hook.events.length === 0 || hook.events.includes(type);
+}
+
+async function postOnce(hook, event, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = await computeSignature(hook.secret, timestamp, body);
+  return fetch(hook.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "ScopeHound-Webhooks/1.0",
+      "X-ScopeHound-Event": event.type,
+      "X-ScopeHound-Event-Id": event.id,
+      "X-ScopeHound-Request-Timestamp": timestamp,
+      "X-ScopeHound-Signature": signature,
+    },
+    body,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+}
+
+// Delivers one event to one endpoint in up to `maxAttempts` tries. Network errors, 429
+// and 5xx are retryable; other 4xx responses are final. Each attempt is re-signed with a
+// fresh timestamp; `delays` are the waits between attempts.
+export async function deliverWebhook(ctx, hook, event, maxAttempts = 1, delays = RETRY_DELAYS_MS) {
+  const body = JSON.stringify(event);
+  let status = null;
+  let error = null;
+  let retryable = true;
+  let attempts = 0;
+  while (attempts < maxAttempts) {
+    if (!canSubrequest(ctx)) { error = "subrequest_budget"; break; }
+    attempts++;
+    try {
+      trackSubrequest(ctx);
+      const r = await postOnce(hook, event, body);
+      status = r.status;
+      if (r.ok) return { ok: true, status, attempts };
+      error = `http_${r.status}`;
+      retryable = r.status === 429 || r.status >= 500;
+      if (!retryable) break;
+    } catch (e) {
+      status = null;
+      error = e.message;
+    }
+    if (attempts < maxAttempts) await new Promise((res) => setTimeout(res, delays[attempts - 1] || 0));
+  }
+  console.log(`[deliverWebhook] ${event.type} ${event.id} → ${hook.url} failed after ${attempts} attempt(s): ${error}`);
+  return { ok: false, status, attempts, error, retryable };
+}
+
+export async function loadDeliveryLog(env, userId) {
+  try {
+    const raw = await env.STATE.get(prefix(userId) + "webhook_log");
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadDeliveryLog] Failed to parse delivery log: ${e.message}`);
+  }
+  return [];
+}
+
+async function appendDeliveryLog(env, userId, entries) {
+  if (entries.length === 0) return;
+  const log = await loadDeliveryLog(env, userId);
+  await env.STATE.put(prefix(userId) + "webhook_log", JSON.stringify(log.concat(entries).slice(-LOG_MAX)));
+}
+
+// Deliveries that failed transiently: [{ event, webhookId, url, attempts }]
+export async function loadRetryQueue(env, userId) {
+  try {
+    const raw = await env.STATE.get(prefix(userId) + "webhook_retry");
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.log(`[loadRetryQueue] Failed to parse webhook retry queue: ${e.message}`);
+  }
+  return [];
+}
+
+// Sends each event to every subscribed endpoint and records the outcomes. Scans first
+// retry the deliveries earlier runs left queued, try each delivery once, and stop calling
+// an endpoint for the rest of the run once it fails; what's left is queued for the next
+// run until it has had MAX_ATTEMPTS tries. `interactive` (the test button) retries in place,
+// waiting `retryDelays` between tries.
+export async function dispatchEvents(ctx, env, settings, events, userId, { interactive = false, retryDelays = RETRY_DELAYS_MS } = {}) {
+  const hooks = (settings.webhooks || []).filter((h) => h.url && h.secret);
+  const queued = interactive ? [] : await loadRetryQueue(env, userId);
+  if (hooks.length === 0 && queued.length === 0) return [];
+
+  const hookFor = (item) => hooks.find((h) => (item.webhookId && h.id === item.webhookId) || h.url === item.url);
+  const work = queued.map((item) => ({ ...item, hook: hookFor(item) })).filter((item) => item.hook && wantsEvent(item.hook, item.event.type));
+  for (const event of events) {
+    for (const hook of hooks) {
+      if (wantsEvent(hook, event.type)) work.push({ event, hook, attempts: 0 });
+    }
+  }
+
+  const log = [];
+  const retry = [];
+  const down = new Set();
+  for (const { event, hook, attempts } of work) {
+    const queue = (n) => retry.push({ event, webhookId: hook.id || null, url: hook.url, attempts: n });
+    if (down.has(hook.url)) {
+      queue(attempts);
+      continue;
+    }
+    const { retryable, ...result } = await deliverWebhook(ctx, hook, event, interactive ? MAX_ATTEMPTS : 1, retryDelays);
+    const total = attempts + result.attempts;
+    const retrying = !interactive && !result.ok && retryable && total < MAX_ATTEMPTS;
+    if (!result.ok) down.add(hook.url);
+    if (retrying) queue(total);
+    // Nothing was sent once the subrequest budget ran out — just queue it
+    if (result.attempts > 0 || !retrying) {
+      log.push({ date: new Date().toISOString(), eventId: event.id, type: event.type, webhookId: hook.id, url: hook.url, ...result, attempts: total, ...(retrying ? { retrying } : {}) });
+    }
+  }
+  await appendDeliveryLog(env, userId, log);
+  if (!interactive && (queued.length > 0 || retry.length > 0)) {
+    if (retry.length > 0) await env.STATE.put(prefix(userId) + "webhook_retry", JSON.stringify(retry.slice(-RETRY_MAX)));
+    else await env.STATE.delete(prefix(userId) + "webhook_retry");
+  }
+  return log;
+}
@@ -1,4 +1,4 @@
-import { env, SELF } from "cloudflare:test";
+import { env, SELF, fetchMock, runInDurableObject } from "cloudflare:test";
 import { describe, it, expect, beforeAll } from "vitest";
 import {
   adminGet,
@@ -9,6 +9,32 @@ import {
   seedCompetitors,
   BASE,
 } from "./helpers.js";
+import { unsubscribeUrl, deliverEmailDigests } from "../src/emails.js";
+import { computeSignature, verifySignature, buildEvent, dispatchEvents, loadRetryQueue } from "../src/webhooks.js";
+import { buildDigest } from "../src/channels.js";
+import { routeAlerts, matchesRule } from "../src/routing.js";
+import { formatDigestBlocks } from "../src/slack.js";
+import { applyTriage } from "../src/triage.js";
+import { createContext, SUBREQUEST_LIMIT } from "../src/context.js";
+import { runMonitor } from "../src/scanner.js";
+import { createLocalQueue, loadRun, listRecentRuns } from "../src/queue.js";
+import { handleScanQueue } from "../src/routes/scan-queue.js";
+import { recordFailure, recordSuccess, pageHealth, DEGRADED_AFTER } from "../src/health.js";
+import { compileIgnorePatterns, learnVolatile, filterNoise, unignoreChunk } from "../src/noise.js";
+import { diffSequences, diffWords, summarizeDiff } from "../src/diff.js";
+import { computeTextDiff, scopeHtml, hashContent } from "../src/utils.js";
+import { diffSnapshots, archiveSnapshot, loadSnapshot, loadLatestOutline, loadArchiveIndex } from "../src/archive.js";
+import { extractOutline, compareOutlines, primaryCta } from "../src/outline.js";
+import { parseChangelog, trackEntries, releaseCadence } from "../src/changelog.js";
+import { parseFeed } from "../src/feeds.js";
+import { extractEntities, entityCategory, mergeEntities, mainText } from "../src/announcements.js";
+import { addMilestones, recordTimelines } from "../src/timeline.js";
+import { parseJobs, trackJobs, hiringSummary, hiringHeadline, recordHiringSnapshot } from "../src/hiring.js";
+import { formatHiringAlert, formatSitemapAlert, formatVisualChangeAlert, formatPageChangeAlert } from "../src/slack.js";
+import { parseSitemap, sitemapsFromRobots, normalizePageUrl, classifyPageUrl, diffSitemap, nextBaseline, notablePages, saveSitemap, loadSitemap, isSitemapDue } from "../src/sitemap.js";
+import { classifyPath } from "../src/discovery.js";
+import { normalizePlan, comparePlanPrices, monthlyUsd, isEquivalentPricing } from "../src/pricing.js";
+import { defaultScanTimes, resolveScanSchedule, scanLimits, isScanDue, nextScanAt, orderByPriority, adaptiveInterval, isPageDue } from "../src/scheduler.js";
 
 // ─── Group 1: Public Routes ──────────────────────────────────────────────────
 
@@ -133,6 +159,395 @@ describe("API Routes", () => {
     expect(data).toHaveProperty("competitors");
   });
 
+  it("GET /api/visual-diff with unknown id returns 404", async () => {
+    const res = await SELF.fetch(adminGet("/api/visual-diff?id=not-a-real-id&side=before"));
+    expect(res.status).toBe(404);
+  });
+
+  it("GET /api/visual-diff serves a stored crop as JPEG", async () => {
+    const id = "00000000-0000-4000-8000-000000000001";
+    await env.STATE.put("visual_diff:" + id, JSON.stringify({ id, before: btoa("before-bytes"), after: btoa("after-bytes") }));
+    const res = await SELF.fetch(adminGet("/api/visual-diff?id=" + id + "&side=after"));
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toBe("image/jpeg");
+    expect(await res.text()).toBe("after-bytes");
+  });
+
+  it("visual change alerts link to their event on the dashboard", () => {
+    const page = { id: "home", label: "Homepage", url: "https://acme.com" };
+    const visual = { changed: true, ratio: 0.05, region: null };
+    const url = "https://app.example.com/dashboard#event-abc";
+    expect(formatVisualChangeAlert("Acme", page, visual, url).text).toContain(`<${url}|View before/after>`);
+    expect(formatPageChangeAlert("Acme", page, { priority: "medium" }, null, [], visual, [], url).text).toContain(`<${url}|before/after on your dashboard>`);
+    expect(formatVisualChangeAlert("Acme", page, visual).text).not.toContain("#event-");
+  });
+
+  it("GET /api/archive without competitor/page returns 400", async () => {
+    const res = await SELF.fetch(adminGet("/api/archive"));
+    expect(res.status).toBe(400);
+  });
+
+  it("GET /api/archive/diff diffs two archived snapshots", async () => {
+    const a = "a".repeat(64);
+    const b = "b".repeat(64);
+    await env.STATE.put("archive:index:TestCo:pricing", JSON.stringify([
+      { date: "2026-03-01T09:00:00.000Z", hash: a, size: 40 },
+      { date: "2026-04-01T09:00:00.000Z", hash: b, size: 40 },
+    ]));
+    await env.STATE.put("archive:blob:" + a, "Starter is $10. Pro is $49.");
+    await env.STATE.put("archive:blob:" + b, "Starter is $10. Pro is $59.");
+
+    const list = await assertJson(await SELF.fetch(adminGet("/api/archive?competitor=TestCo&page=pricing")));
+    expect(list.entries[0].hash).toBe(b); // newest first
+
+    const res = await SELF.fetch(adminGet(`/api/archive/diff?competitor=TestCo&page=pricing&from=${a}&to=${b}`));
+    expect(res.status).toBe(200);
+    const data = await assertJson(res);
+    expect(data.ops).toEqual([
+      { op: "eq", text: "Starter is $10." },
+      { op: "del", text: "Pro is $49." },
+      { op: "add", text: "Pro is $59." },
+    ]);
+  });
+
+  it("the latest page outline is read back from the archive, and refreshed when only the outline changed", async () => {
+    const before = { headings: ["Pricing"] };
+    const after = { headings: ["Plans"] };
+    expect(await loadLatestOutline(env, null, "TestCo", "home")).toBeNull();
+    await archiveSnapshot(env, null, "TestCo", "home", "Starter is $10.", 90, null, before);
+    expect(await loadLatestOutline(env, null, "TestCo", "home")).toEqual(before);
+    // Same text, new structure: no new snapshot, but the outline baseline moves on
+    expect(await archiveSnapshot(env, null, "TestCo", "home", "Starter is $10.", 90, null, after)).toBe(false);
+    expect(await loadLatestOutline(env, null, "TestCo", "home")).toEqual(after);
+    expect(await loadArchiveIndex(env, null, "TestCo", "home")).toHaveLength(1);
+  });
+
+  it("the newest snapshot stays reachable past the history window while the page is unchanged", async () => {
+    const expirations = async () => Object.fromEntries((await env.STATE.list({ prefix: "archive:" })).keys.map((k) => [k.name.split(":")[1] + ":" + k.name.split(":").pop().slice(0, 4), k.expiration || null]));
+    // A page first archived 100 days ago on a 30-day plan, its blob stored with a TTL as before
+    await archiveSnapshot(env, null, "TestCo", "home", "Starter is $10.", 30, null, { headings: ["Plans"] });
+    const [entry] = await loadArchiveIndex(env, null, "TestCo", "home");
+    await env.STATE.put("archive:index:TestCo:home", JSON.stringify([{ ...entry, date: new Date(Date.now() - 100 * 86400000).toISOString() }]));
+    await env.STATE.put("archive:blob:" + entry.hash, "Starter is $10.", { expirationTtl: 30 * 86400 });
+
+    // Unchanged text: the baseline is re-put without a TTL and still loads
+    expect(await archiveSnapshot(env, null, "TestCo", "home", "Starter is $10.", 30, null, { headings: ["Plans"] })).toBe(false);
+    const h = entry.hash.slice(0, 4);
+    expect(await expirations()).toMatchObject({ ["blob:" + h]: null, ["outline:" + h]: null });
+    expect((await loadSnapshot(env, null, "TestCo", "home", entry.hash)).text).toBe("Starter is $10.");
+    expect(await loadLatestOutline(env, null, "TestCo", "home")).toEqual({ headings: ["Plans"] });
+
+    // A change makes the old baseline history: it expires (already past its window); the new one doesn't
+    await archiveSnapshot(env, null, "TestCo", "home", "Starter is $12.", 30, null, { headings: ["Plans"] });
+    const [latest] = await loadArchiveIndex(env, null, "TestCo", "home"); // the old entry is pruned
+    const after = await expirations();
+    expect(after["blob:" + h]).toBeLessThan(Date.now() / 1000 + 120);
+    expect(after["blob:" + latest.hash.slice(0, 4)]).toBeNull();
+  });
+
+  it("diffSnapshots keeps large pages in order instead of falling back to a set diff", () => {
+    const lines = Array.from({ length: 3000 }, (_, i) => `Feature ${i} is included.`);
+    const before = lines.join(" ");
+    const after = [...lines.slice(0, 1500), "Feature 1500 is now in beta.", ...lines.slice(1501), "Feature 0 is included."].join(" ");
+    const ops = diffSnapshots(before, after);
+    expect(ops.map((o) => o.op)).toEqual(["eq", "del", "add", "eq", "add"]);
+    expect(ops[1].text).toBe("Feature 1500 is included.");
+    expect(ops[2].text).toBe("Feature 1500 is now in beta.");
+    expect(ops[4].text).toBe("Feature 0 is included.");
+  });
+
+  it("GET /api/pricing/history returns the stored plan time series", async () => {
+    const snapshot = {
+      date: "2026-05-01T09:00:00.000Z",
+      plans: [{ name: "Pro", price: "$49/mo per user", amount: 49, currency: "USD", period: "month", perSeat: true, custom: false }],
+    };
+    await env.STATE.put("pricing_history:TestCo", JSON.stringify([snapshot]));
+    const res = await SELF.fetch(adminGet("/api/pricing/history?competitor=TestCo"));
+    expect(res.status).toBe(200);
+    const data = await assertJson(res);
+    expect(data.history.TestCo).toEqual([
+      { ...snapshot, plans: [{ ...snapshot.plans[0], monthlyUsd: 49 }] },
+    ]);
+  });
+
+  it("GET /api/pricing/matrix lines our plans up against competitors", async () => {
+    await seedCompetitors(env);
+    const saved = await SELF.fetch(jsonPost("/api/config/settings", {
+      ownPlans: [{ name: "Growth", price: "$39/mo", features: ["SSO"] }],
+    }));
+    expect(saved.status).toBe(200);
+    const config = await assertJson(await SELF.fetch(adminGet("/api/config")));
+    const comp = config.competitors[0].name;
+    await env.STATE.put("monitor_state", JSON.stringify({
+      _version: 2,
+      competitors: { [comp]: { pricing: { plans: [{ name: "Team", price: "$45/mo", features: [] }] } } },
+    }));
+
+    const data = await assertJson(await SELF.fetch(adminGet("/api/pricing/matrix")));
+    const mid = data.rows.filter((r) => r.band === "mid").map((r) => r.company);
+    expect(mid).toEqual(["Us", comp]);
+
+    const csv = await SELF.fetch(adminGet("/api/pricing/matrix?format=csv"));
+    expect(csv.headers.get("content-type")).toContain("text/csv");
+    expect(await csv.text()).toContain("Growth,$39/mo,39.00");
+  });
+
+  it("positioning notes are generated by an authenticated POST; the GET serves cached notes only", async () => {
+    await seedCompetitors(env);
+    await SELF.fetch(jsonPost("/api/config/settings", { ownPlans: [{ name: "Growth", price: "$39/mo", features: [] }] }));
+
+    const viaGet = await assertJson(await SELF.fetch(adminGet("/api/pricing/matrix?notes=1")));
+    expect(viaGet.notes).toBeNull();
+    expect(await env.STATE.get("pricing_notes")).toBeNull();
+
+    const anon = await SELF.fetch(jsonPost("/api/pricing/matrix/notes", {}, false));
+    expect(anon.status).toBe(401);
+    // No ANTHROPIC_API_KEY in tests, so nothing can be generated
+    const failed = await SELF.fetch(jsonPost("/api/pricing/matrix/notes", {}));
+    expect(failed.status).toBe(502);
+
+    const notes = { summary: "Us sits at market.", bands: {} };
+    await env.STATE.put("pricing_notes", JSON.stringify({ sig: JSON.stringify(viaGet.rows), notes }));
+    expect((await assertJson(await SELF.fetch(jsonPost("/api/pricing/matrix/notes", {})))).notes).toEqual(notes);
+    expect((await assertJson(await SELF.fetch(adminGet("/api/pricing/matrix")))).notes).toEqual(notes);
+  });
+
+  it("POST /api/config/settings rejects malformed FX rates", async () => {
+    const res = await SELF.fetch(jsonPost("/api/config/settings", { fxRates: { EUR: -1 } }));
+    expect(res.status).toBe(400);
+  });
+
+  it("POST /api/config/settings rejects a non-Teams webhook URL", async () => {
+    const res = await SELF.fetch(jsonPost("/api/config/settings", { teamsWebhookUrl: "https://evil.example.com/hook" }));
+    expect(res.status).toBe(400);
+    const ok = await SELF.fetch(jsonPost("/api/config/settings", { teamsWebhookUrl: "https://acme.webhook.office.com/webhookb2/abc" }));
+    expect(ok.status).toBe(200);
+    const cfg = await assertJson(await SELF.fetch(adminGet("/api/config")));
+    expect(cfg.settings.teamsWebhookUrl).toBe("https://acme.webhook.office.com/webhookb2/abc");
+  });
+
+  it("POST /api/config/test-teams requires a Teams webhook URL", async () => {
+    const missing = await SELF.fetch(jsonPost("/api/config/test-teams", {}));
+    expect(missing.status).toBe(400);
+    const wrongHost = await SELF.fetch(jsonPost("/api/config/test-teams", { webhookUrl: "https://hooks.slack.com/services/x" }));
+    expect(wrongHost.status).toBe(400);
+  });
+
+  it("POST /api/config/settings rejects an invalid email recipient", async () => {
+    const res = await SELF.fetch(jsonPost("/api/config/settings", { emailRecipients: [{ email: "not-an-email" }] }));
+    expect(res.status).toBe(400);
+    const bad = await SELF.fetch(jsonPost("/api/config/settings", { emailRecipients: [{ email: "a@b.co", frequency: "hourly" }] }));
+    expect(bad.status).toBe(400);
+  });
+
+  it("POST /api/config/test-email renders a digest through the stub transport", async () => {
+    const res = await SELF.fetch(jsonPost("/api/config/test-email", { email: "pm@test.com" }));
+    expect(res.status).toBe(200);
+    const outbox = JSON.parse(await env.STATE.get("email_outbox"));
+    const msg = outbox[outbox.length - 1];
+    expect(msg.to).toBe("pm@test.com");
+    expect(msg.html).toContain("<strong>ScopeHound</strong>");
+    expect(msg.html).toContain("http://localhost/dashboard");
+    expect(msg.headers["List-Unsubscribe"]).toContain("http://localhost/unsubscribe?");
+  });
+
+  it("GET/POST /unsubscribe verifies the signed link and stops the digest", async () => {
+    await SELF.fetch(jsonPost("/api/config/settings", { emailRecipients: [{ email: "pm@test.com", frequency: "weekly" }] }));
+    const forged = await SELF.fetch(BASE + "/unsubscribe?e=pm%40test.com&t=" + "0".repeat(64));
+    expect(forged.status).toBe(400);
+
+    const link = await unsubscribeUrl(env, null, "pm@test.com");
+    const confirm = await SELF.fetch(link);
+    expect(confirm.status).toBe(200);
+    expect(await confirm.text()).toContain("<form");
+    const done = await SELF.fetch(new Request(link, { method: "POST" }));
+    expect(done.status).toBe(200);
+    const cfg = await assertJson(await SELF.fetch(adminGet("/api/config")));
+    expect(cfg.settings.emailRecipients[0].frequency).toBe("off");
+
+    // Re-saving the list from setup doesn't resubscribe them
+    await SELF.fetch(jsonPost("/api/config/settings", { emailRecipients: [{ email: "pm@test.com", frequency: "daily" }] }));
+    const after = await assertJson(await SELF.fetch(adminGet("/api/config")));
+    expect(after.settings.emailRecipients[0].frequency).toBe("off");
+  });
+
+  it("daily recipients get one digest per calendar day however many scans run", async () => {
+    const settings = { emailRecipients: [{ email: "daily@test.com", frequency: "daily" }] };
+    const alert = (text) => ({ priority: "high", text, meta: { competitor: "Acme", type: "page_change" } });
+    const first = await deliverEmailDigests(createContext(), env, settings, [alert("*Acme* raised prices")], null);
+    expect(first).toHaveLength(1);
+    const second = await deliverEmailDigests(createContext(), env, settings, [alert("*Acme* changed its homepage")], null);
+    expect(second).toHaveLength(0);
+    const queued = JSON.parse(await env.STATE.get("email_daily"));
+    expect(queued.alerts).toHaveLength(1);
+
+    // The next day's first scan sends what the later scans queued
+    await env.STATE.put("email_daily", JSON.stringify({ ...queued, lastSent: "2000-01-01" }));
+    const next = await deliverEmailDigests(createContext(), env, settings, [], null);
+    expect(next).toHaveLength(1);
+    const outbox = JSON.parse(await env.STATE.get("email_outbox"));
+    expect(outbox.filter((m) => m.to === "daily@test.com")).toHaveLength(2);
+    expect(outbox[outbox.length - 1].html).toContain("changed its homepage");
+  });
+
+  it("a digest that failed to send stays queued for the next scan", async () => {
+    const settings = { emailRecipients: [{ email: "daily@test.com", frequency: "daily" }, { email: "weekly@test.com", frequency: "weekly" }] };
+    await env.STATE.put("email_weekly", JSON.stringify({ since: "2000-01-01T00:00:00.000Z", alerts: [] }));
+    const spent = createContext();
+    spent.subrequestCount = SUBREQUEST_LIMIT;
+    const failed = await deliverEmailDigests(spent, env, settings, [{ priority: "high", text: "*Acme* raised prices", meta: { competitor: "Acme", type: "page_change" } }], null);
+    expect(failed.map((r) => [r.frequency, r.ok, r.error])).toEqual([["daily", false, "subrequest_budget"], ["weekly", false, "subrequest_budget"]]);
+    expect(JSON.parse(await env.STATE.get("email_daily"))).toMatchObject({ lastSent: null, alerts: [{ text: "*Acme* raised prices" }] });
+    expect(JSON.parse(await env.STATE.get("email_weekly"))).toMatchObject({ since: "2000-01-01T00:00:00.000Z", alerts: [{ text: "*Acme* raised prices" }] });
+
+    const retried = await deliverEmailDigests(createContext(), env, settings, [], null);
+    expect(retried.every((r) => r.ok)).toBe(true);
+    expect(retried).toHaveLength(2);
+    expect(JSON.parse(await env.STATE.get("email_daily")).alerts).toEqual([]);
+    expect(JSON.parse(await env.STATE.get("email_weekly")).alerts).toEqual([]);
+  });
+
+  it("POST /api/config/settings validates webhooks and generates a signing secret", async () => {
+    const insecure = await SELF.fetch(jsonPost("/api/config/settings", { webhooks: [{ url: "http://tools.test.com/hook" }] }));
+    expect(insecure.status).toBe(400);
+    const internal = await SELF.fetch(jsonPost("/api/config/settings", { webhooks: [{ url: "https://169.254.169.254/hook" }] }));
+    expect(internal.status).toBe(400);
+    const ok = await SELF.fetch(jsonPost("/api/config/settings", { webhooks: [{ url: "https://tools.test.com/hook", events: ["page_change"] }] }));
+    expect(ok.status).toBe(200);
+    const cfg = await assertJson(await SELF.fetch(adminGet("/api/config")));
+    expect(cfg.settings.webhooks[0].secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+  });
+
+  it("POST /api/config/test-webhook logs a rejected delivery", async () => {
+    const missing = await SELF.fetch(jsonPost("/api/config/test-webhook", {}));
+    expect(missing.status).toBe(400);
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+    try {
+      fetchMock.get("https://hooks.test.com").intercept({ path: "/hook", method: "POST" }).reply(410, "gone");
+      const res = await SELF.fetch(jsonPost("/api/config/test-webhook", { url: "https://hooks.test.com/hook", secret: "s".repeat(32) }));
+      expect(res.status).toBe(502);
+      expect(await assertJson(res)).toMatchObject({ error: "http_410", attempts: 1 });
+    } finally {
+      fetchMock.deactivate();
+    }
+    const log = await assertJson(await SELF.fetch(adminGet("/api/config/webhook-deliveries")));
+    expect(log.deliveries[0]).toMatchObject({ type: "test", ok: false, status: 410, attempts: 1 });
+  });
+
+  it("test deliveries retry transient failures in place", async () => {
+    const settings = { webhooks: [{ url: "https://hooks.test.com/hook", secret: "s".repeat(32) }] };
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+    try {
+      const hook = fetchMock.get("https://hooks.test.com");
+      hook.intercept({ path: "/hook", method: "POST" }).reply(503, "busy").times(2);
+      hook.intercept({ path: "/hook", method: "POST" }).reply(200, "ok");
+      const [ok] = await dispatchEvents(createContext(), env, settings, [buildEvent("test", {})], null, { interactive: true, retryDelays: [0, 0] });
+      expect(ok).toMatchObject({ ok: true, status: 200, attempts: 3 });
+
+      hook.intercept({ path: "/hook", method: "POST" }).reply(503, "busy").times(3);
+      const [failed] = await dispatchEvents(createContext(), env, settings, [buildEvent("test", {})], null, { interactive: true, retryDelays: [0, 0] });
+      expect(failed).toMatchObject({ ok: false, status: 503, attempts: 3 });
+      expect(failed.retrying).toBeUndefined();
+    } finally {
+      fetchMock.deactivate();
+    }
+  });
+
+  it("scan webhook deliveries try once and leave transient failures for the next run", async () => {
+    const settings = { webhooks: [{ id: "wh_1", url: "https://hooks.test.com/hook", secret: "s".repeat(32) }] };
+    const events = [buildEvent("page_change", { n: 1 }), buildEvent("page_change", { n: 2 })];
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+    try {
+      fetchMock.get("https://hooks.test.com").intercept({ path: "/hook", method: "POST" }).reply(503, "down").times(3);
+      // The endpoint is down: one attempt, and the second event isn't sent this run
+      const first = await dispatchEvents(createContext(), env, settings, events, null);
+      expect(first).toHaveLength(1);
+      expect(first[0]).toMatchObject({ eventId: events[0].id, ok: false, attempts: 1, retrying: true });
+      expect((await loadRetryQueue(env, null)).map((r) => [r.event.id, r.attempts])).toEqual([[events[0].id, 1], [events[1].id, 0]]);
+
+      await dispatchEvents(createContext(), env, settings, [], null);
+      const third = await dispatchEvents(createContext(), env, settings, [], null);
+      expect(third[0]).toMatchObject({ eventId: events[0].id, attempts: 3 });
+      expect(third[0].retrying).toBeUndefined();
+      expect((await loadRetryQueue(env, null)).map((r) => r.event.id)).toEqual([events[1].id]);
+    } finally {
+      fetchMock.deactivate();
+    }
+  });
+
+  it("webhook signatures use the Slack v0 scheme", async () => {
+    const ts = String(Math.floor(Date.now() / 1000));
+    const body = JSON.stringify({ id: "evt_1", type: "page_change" });
+    const sig = await computeSignature("secret-secret-123", ts, body);
+    expect(sig).toMatch(/^v0=[0-9a-f]{64}$/);
+    expect(await verifySignature("secret-secret-123", ts, body, sig)).toBe(true);
+    expect(await verifySignature("secret-secret-123", ts, body + " ", sig)).toBe(false);
+    expect(await verifySignature("secret-secret-123", String(Number(ts) - 600), body, sig)).toBe(false);
+  });
+
+  it("POST /api/config/routing validates rules and round-trips", async () => {
+    const badChannel = await SELF.fetch(jsonPost("/api/config/routing", { rules: [{ match: {}, destinations: [{ channel: "fax", url: "https://x.test" }] }] }));
+    expect(badChannel.status).toBe(400);
+    const badUrl = await SELF.fetch(jsonPost("/api/config/routing", { rules: [{ match: {}, destinations: [{ channel: "teams", url: "https://hooks.slack.com/services/x" }] }] }));
+    expect(badUrl.status).toBe(400);
+    const rule = { name: "Pricing", match: { pageTypes: ["pricing"], minPriority: "medium" }, destinations: [{ channel: "slack", url: "https://hooks.slack.com/services/T0/B0/pricing" }] };
+    const ok = await SELF.fetch(jsonPost("/api/config/routing", { routing: { rules: [rule], fallback: false } }));
+    expect(ok.status).toBe(200);
+    const data = await assertJson(await SELF.fetch(adminGet("/api/config/routing")));
+    expect(data.routing.fallback).toBe(false);
+    expect(data.routing.rules[0]).toMatchObject({ name: "Pricing", enabled: true, match: rule.match });
+    expect(data.routing.rules[0].id).toBeTruthy();
+    expect(data.channels).toContain("teams");
+  });
+
+  it("routeAlerts groups alerts by matching destination", () => {
+    const pricing = { text: "Acme raised prices", priority: "high", meta: { competitor: "Acme", pageType: "pricing", type: "page_change" } };
+    const blog = { text: "Acme launches SSO", priority: "low", meta: { competitor: "Acme", type: "blog_post" } };
+    const other = { text: "Globex homepage", priority: "medium", meta: { competitor: "Globex", pageType: "homepage", type: "page_change" } };
+    const routing = {
+      rules: [
+        { name: "Pricing", match: { pageTypes: ["pricing"] }, destinations: [{ channel: "slack", url: "https://hooks.slack.com/services/a" }] },
+        { name: "Acme", match: { competitors: ["acme"], keywords: ["sso", "prices"] }, destinations: [{ channel: "slack", url: "https://hooks.slack.com/services/a" }, { channel: "teams", url: "https://acme.webhook.office.com/x" }] },
+        { name: "Off", enabled: false, match: {}, destinations: [{ channel: "slack", url: "https://hooks.slack.com/services/off" }] },
+      ],
+    };
+    const { routes, unrouted } = routeAlerts([pricing, blog, other], routing);
+    expect(routes).toHaveLength(2);
+    expect(routes[0].alerts).toEqual([pricing, blog]);
+    expect(routes[1]).toMatchObject({ channel: "teams", alerts: [pricing, blog] });
+    expect(unrouted).toEqual([other]);
+    expect(matchesRule(blog, { minPriority: "medium" })).toBe(false);
+    expect(matchesRule(blog, { eventTypes: ["blog_post"] })).toBe(true);
+  });
+
+  it("POST /api/config/preview-page rejects an invalid selector", async () => {
+    const res = await SELF.fetch(
+      jsonPost("/api/config/preview-page", { url: "https://test.com", include: ["div[["] })
+    );
+    expect(res.status).toBe(400);
+    const data = await assertJson(res);
+    expect(data.error).toContain("Invalid selector");
+  });
+
+  it("POST /api/config/competitors rejects unsupported XPath", async () => {
+    const competitors = [
+      {
+        name: "TestCo",
+        website: "https://test.com",
+        pages: [
+          { id: "home", url: "https://test.com", type: "general", label: "Homepage", include: ["//div[text()='Plans']"] },
+        ],
+      },
+    ];
+    const res = await SELF.fetch(jsonPost("/api/config/competitors", { competitors }));
+    expect(res.status).toBe(400);
+    const data = await assertJson(res);
+    expect(data.error).toContain("XPath");
+  });
+
   it("GET /api/config without auth returns 401", async () => {
     const res = await SELF.fetch(BASE + "/api/config");
     expect(res.status).toBe(401);
@@ -178,6 +593,40 @@ describe("Scan with Seeded Config", () => {
     // State should be parseable JSON (may be empty {} if KV isolation)
     expect(() => JSON.parse(text)).not.toThrow();
   });
+
+  it("include and exclude selectors narrow the hashed content", async () => {
+    const page = (nav, ad, plans) => `<html><body><nav>${nav}</nav><main><h1>Plans</h1><p>${plans}</p><div class="ad">${ad}</div></main></body></html>`;
+    const scope = { include: ["main"], exclude: [".ad"] };
+    const base = page("Home", "Buy now", "Pro is $49.");
+    const scoped = await scopeHtml(base, scope);
+    expect(scoped).toContain("Pro is $49.");
+    expect(scoped).not.toContain("Home");
+    expect(scoped).not.toContain("Buy now");
+
+    // Changes outside the scope don't change the hash; changes inside it do
+    const hash = async (html) => hashContent(await scopeHtml(html, scope));
+    expect(await hash(page("About", "Sale!", "Pro is $49."))).toBe(await hash(base));
+    expect(await hash(page("Home", "Buy now", "Pro is $59."))).not.toBe(await hash(base));
+    expect(await scopeHtml(base, {})).toBe(base);
+  });
+
+  it("the scanner skips a page whose include selectors match nothing", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages[0].include = ["#pricing-table"];
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+    fetchMock.activate();
+    try {
+      fetchMock.get(competitors[0].pages[0].url.replace(/\/$/, "")).intercept({ path: "/" }).reply(200, "<html><body><main>No table here</main></body></html>");
+      const result = await runMonitor(createContext(), env, null, null, { force: true });
+      const run = await loadRun(env, null, result.runId);
+      expect(run.pageResults.find((r) => r.pageId === "home")).toMatchObject({ status: "ok", result: "no_match" });
+      const state = JSON.parse(await env.STATE.get("monitor_state"));
+      expect(state.competitors.TestCorp.pages.home.hash).toBeNull();
+    } finally {
+      fetchMock.deactivate();
+    }
+  });
 });
 
 // ─── Group 5: Slack Slash Commands ──────────────────────────────────────────
@@ -208,6 +657,765 @@ describe("Slack Slash Commands", () => {
   });
 });
 
+describe("Scan Queue", () => {
+  it("GET /test records an inline scan run", async () => {
+    await seedCompetitors(env);
+    const res = await SELF.fetch(adminGet("/test"));
+    expect(res.status).toBe(200);
+    const data = await assertJson(await SELF.fetch(adminGet("/api/scan/runs")));
+    expect(data.runs[0]).toMatchObject({ mode: "inline", status: "complete", trigger: "manual", pending: [] });
+    expect(data.runs[0].jobs).toMatchObject({ total: 1, done: 1 });
+    const one = await SELF.fetch(adminGet("/api/scan/runs?id=nope"));
+    expect(one.status).toBe(404);
+  });
+
+  it("queued scans run one job per competitor and finalize once", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors.push({ name: "OtherCorp", website: "https://example.org", pages: [] });
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+
+    const queue = createLocalQueue();
+    const queueEnv = { ...env, SCAN_QUEUE: queue };
+    const started = await runMonitor(createContext(), queueEnv);
+    expect(started.queued).toBe(true);
+    expect(queue.messages.map((m) => m.key)).toEqual(["c0", "c1"]);
+
+    // Redeliveries of a finished job are dropped rather than counted twice
+    const first = queue.messages[0];
+    let acks = 0;
+    const deliver = (body) => handleScanQueue({ messages: [{ body, attempts: 1, ack: () => acks++, retry: () => {} }] }, queueEnv);
+    for (let i = 0; i < 10 && queue.messages.length > 0; i++) {
+      const body = queue.messages.shift();
+      await deliver(body);
+      if (body === first) await deliver(first);
+    }
+    expect(queue.messages).toHaveLength(0);
+    const run = await loadRun(env, null, started.runId);
+    expect(run).toMatchObject({ mode: "queue", status: "complete", pending: [] });
+    expect(run.jobs).toEqual({ total: 2, done: 2, failed: 0 });
+    expect(run.finishedAt).toBeTruthy();
+    expect(acks).toBeGreaterThanOrEqual(4);
+    const state = JSON.parse(await env.STATE.get("monitor_state"));
+    expect(Object.keys(state.competitors)).toEqual(["TestCorp", "OtherCorp"]);
+  });
+
+  it("refuses a second run while one is pending and keeps triage made during the run", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages[0].checkInterval = "weekly";
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+    const home = { hash: "h", textSnapshot: "x", lastChecked: new Date().toISOString(), lastChanged: null, volatile: [{ text: "Rotating quote", since: "2026-01-01T00:00:00.000Z" }] };
+    await env.STATE.put("monitor_state", JSON.stringify({ _version: 2, competitors: { TestCorp: { pages: { home }, blog: { postIds: [] }, seo: {}, pricing: null } }, productHunt: {} }));
+
+    const queue = createLocalQueue();
+    const queueEnv = { ...env, SCAN_QUEUE: queue };
+    const started = await runMonitor(createContext(), queueEnv, null, null, { trigger: "scheduled" });
+    const deliver = (body) => handleScanQueue({ messages: [{ body, attempts: 1, ack: () => {}, retry: () => {} }] }, queueEnv);
+    await deliver(queue.messages.shift());
+
+    // A manual scan while the scheduled one is pending would alert on the same changes again
+    const second = await runMonitor(createContext(), queueEnv, null, null, { force: true });
+    expect(second).toMatchObject({ busy: true, runId: started.runId });
+    const refused = await SELF.fetch(jsonPost("/api/config/trigger-scan", {}));
+    expect(refused.status).toBe(409);
+
+    // Triage and un-ignores between the job and finalize survive the merge
+    await applyTriage(env, null, "sh_snooze", { e: "none", c: "TestCorp", p: "home" }, "U1");
+    expect(await unignoreChunk(env, null, "TestCorp", "home", "Rotating quote")).toBe(true);
+    await deliver(queue.messages.shift());
+    expect((await loadRun(env, null, started.runId)).status).toBe("complete");
+    const ps = JSON.parse(await env.STATE.get("monitor_state")).competitors.TestCorp.pages.home;
+    expect(ps.snoozedUntil).toBeTruthy();
+    expect(ps.volatile).toBeUndefined();
+    expect(ps.noiseAllow).toEqual(["rotating quote"]);
+
+    const next = await runMonitor(createContext(), queueEnv, null, null, { force: true });
+    expect(next.queued).toBe(true);
+  });
+
+  it("a run left unfinished for an hour is replaced, and its late jobs are dropped", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages = [{ id: "internal", url: "http://127.0.0.1/admin", type: "general", label: "Internal" }];
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+    const queue = createLocalQueue();
+    const queueEnv = { ...env, SCAN_QUEUE: queue };
+    const old = await runMonitor(createContext(), queueEnv);
+    const oldJob = queue.messages.shift();
+    // The backlog held the old run's job past the hour
+    const store = env.SCAN_RUNS.get(env.SCAN_RUNS.idFromName("self-hosted"));
+    await runInDurableObject(store, async (_, state) => {
+      const current = await state.storage.get("current");
+      await state.storage.put("current", { ...current, startedAt: new Date(Date.now() - 2 * 3600000).toISOString() });
+    });
+
+    const next = await runMonitor(createContext(), queueEnv);
+    expect(next.queued).toBe(true);
+    const replaced = await loadRun(env, null, old.runId);
+    expect(replaced.status).toBe("failed");
+    expect(replaced.errors[0].error).toContain(next.runId);
+
+    let acks = 0;
+    const deliver = (body) => handleScanQueue({ messages: [{ body, attempts: 1, ack: () => acks++, retry: () => {} }] }, queueEnv);
+    await deliver(oldJob);
+    await deliver({ kind: "finalize", key: "finalize", runId: old.runId, userId: null, attempt: 1 });
+    expect(queue.messages.map((m) => m.runId)).toEqual([next.runId]);
+    // A duplicate delivery of the new run's job counts once
+    const job = queue.messages.shift();
+    await deliver(job);
+    await deliver(job);
+    expect(queue.messages.map((m) => m.kind)).toEqual(["finalize"]);
+    await deliver(queue.messages.shift());
+    expect(await loadRun(env, null, next.runId)).toMatchObject({ status: "complete", jobs: { total: 1, done: 1, failed: 0 } });
+    expect((await loadRun(env, null, old.runId)).status).toBe("failed");
+    expect(acks).toBe(5);
+  });
+
+  it("queued runs retry pages that failed transiently, and only those", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages = [
+      { id: "down", url: "https://unreachable.invalid/pricing", type: "pricing", label: "Pricing" },
+      { id: "internal", url: "http://127.0.0.1/admin", type: "general", label: "Internal" },
+    ];
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+    const queue = createLocalQueue();
+    const queueEnv = { ...env, SCAN_QUEUE: queue };
+    const started = await runMonitor(createContext(), queueEnv);
+    await handleScanQueue({ messages: [{ body: queue.messages.shift(), attempts: 1, ack: () => {}, retry: () => {} }] }, queueEnv);
+    expect(queue.messages[0]).toMatchObject({ kind: "competitor", pageIds: ["down"], attempt: 2 });
+    const run = await loadRun(env, null, started.runId);
+    expect(run.pages).toMatchObject({ failed: 1, retried: 1 });
+  });
+
+  it("run records keep each page's outcome and failure reason", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages = [{ id: "internal", url: "http://127.0.0.1/admin", type: "general", label: "Internal" }];
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+
+    const result = await runMonitor(createContext(), env);
+    const run = await loadRun(env, null, result.runId);
+    // A blocked URL fails the same way every time, so it isn't retried
+    expect(run.pageResults).toHaveLength(1);
+    expect(run.pageResults[0]).toMatchObject({ competitor: "TestCorp", pageId: "internal", status: "failed", reason: "ssrf_blocked", attempt: 1 });
+    expect(run.pages).toMatchObject({ scanned: 0, failed: 1, retried: 0 });
+    expect((await listRecentRuns(env))[0].id).toBe(run.id);
+
+    const admin = await SELF.fetch(new Request("http://localhost/api/admin/scan-runs"));
+    expect(admin.status).toBe(401);
+  });
+});
+
+describe("Pricing Normalization", () => {
+  it("parses amounts, currencies, periods and the month-to-month option", () => {
+    expect(normalizePlan({ name: "Pro", price: "$24/mo billed annually ($29 month-to-month)" }))
+      .toMatchObject({ amount: 29, currency: "USD", period: "month", billedAnnually: false });
+    expect(normalizePlan({ name: "Pro", price: "$29/mo or $290/yr" })).toMatchObject({ amount: 29, period: "month" });
+    expect(normalizePlan({ name: "Scale", price: "€1.000/mo" })).toMatchObject({ amount: 1000, currency: "EUR" });
+    expect(normalizePlan({ name: "Scale", price: "1.299,99 € per month" }).amount).toBe(1299.99);
+    expect(normalizePlan({ name: "Scale", price: "$1,299.99/mo" }).amount).toBe(1299.99);
+    expect(normalizePlan({ name: "Team", price: "$12 per user/month" })).toMatchObject({ amount: 12, perSeat: true });
+    expect(normalizePlan({ name: "Enterprise", price: "Contact sales" })).toMatchObject({ amount: null, custom: true });
+    expect(normalizePlan({ name: "Hobby", price: "Free" }).amount).toBe(0);
+    expect(normalizePlan({ name: "Pro", price: "S$39/mo" }).currency).toBe("SGD");
+    expect(normalizePlan({ name: "Pro", price: "HK$230/mo" }).currency).toBe("HKD");
+    expect(normalizePlan({ name: "Pro", price: "MX$499/mo" }).currency).toBe("MXN");
+    expect(normalizePlan({ name: "Pro", price: "US$29/mo" }).currency).toBe("USD");
+  });
+
+  it("leaves \"kr\" prices unconverted unless they name the currency", () => {
+    const kr = normalizePlan({ name: "Pro", price: "299 kr/mo" });
+    expect(kr).toMatchObject({ amount: 299, currency: null, unknownCurrency: true });
+    expect(monthlyUsd(kr)).toBeNull();
+    expect(normalizePlan({ name: "Pro", price: "299 kr/mo (NOK)" })).toMatchObject({ currency: "NOK" });
+    expect(normalizePlan({ name: "Pro", price: "299 NOK" }).unknownCurrency).toBeUndefined();
+    expect(monthlyUsd(normalizePlan({ name: "Pro", price: "S$100/mo" }))).toBe(74);
+  });
+
+  it("converts plans to monthly USD", () => {
+    expect(monthlyUsd(normalizePlan({ name: "Pro", price: "$290/yr" }))).toBe(24.17);
+    expect(monthlyUsd(normalizePlan({ name: "Pro", price: "€25/mo" }))).toBe(27);
+    expect(monthlyUsd(normalizePlan({ name: "Pro", price: "£10/week" }))).toBe(55.03);
+    expect(monthlyUsd(normalizePlan({ name: "Enterprise", price: "Custom" }))).toBeNull();
+    expect(monthlyUsd(normalizePlan({ name: "Pro", price: "$99 one-time" }))).toBeNull();
+  });
+
+  it("tells billing toggles and localized prices from real price changes", () => {
+    const cmp = (a, b) => comparePlanPrices({ name: "Pro", price: a }, { name: "Pro", price: b });
+    expect(cmp("$29/mo", "$290/yr")).toEqual({ changed: false, reason: "billing_toggle" });
+    expect(cmp("€25/mo", "$27/mo")).toEqual({ changed: false, reason: "currency" });
+    expect(cmp("$12 per user/month", "$12/seat/mo")).toEqual({ changed: false, reason: "equivalent" });
+    expect(cmp("$12 per user/month", "$12/mo")).toEqual({ changed: true, pct: null });
+    expect(cmp("Contact sales", "Custom pricing")).toEqual({ changed: false, reason: "custom" });
+    expect(cmp("Contact sales", "$499/mo")).toEqual({ changed: true, pct: null });
+    expect(cmp("$29/mo", "$35/mo")).toEqual({ changed: true, pct: 21 });
+    // An annual price above the monthly one isn't a discount toggle
+    expect(cmp("$29/mo", "$420/yr").changed).toBe(true);
+
+    const plans = (pro, enterprise = "Contact sales") => ({ plans: [
+      { name: "Pro", price: pro, features: ["SSO"] }, { name: "Enterprise", price: enterprise, features: ["SLA"] },
+    ] });
+    expect(isEquivalentPricing(plans("$29/mo"), plans("$290/yr"))).toBe(true);
+    expect(isEquivalentPricing(plans("$29/mo"), plans("€27/mo"))).toBe(true);
+    expect(isEquivalentPricing(plans("$29/mo"), plans("$35/mo"))).toBe(false);
+    expect(isEquivalentPricing(plans("$29/mo"), plans("$29/mo", "$999/mo"))).toBe(false);
+    expect(isEquivalentPricing(plans("$29/mo"), { plans: [{ name: "Pro", price: "$29/mo", features: ["SSO", "Audit log"] }, plans("$29/mo").plans[1]] })).toBe(false);
+  });
+});
+
+describe("Page Health", () => {
+  it("tracks consecutive failures, recovery and permanent moves", () => {
+    const ps = {};
+    // Retried attempts and budget skips don't count toward the streak
+    expect(recordFailure(ps, { reason: "timeout" }, { lastAttempt: false })).toBeNull();
+    expect(recordFailure(ps, { reason: "budget" })).toBeNull();
+    expect(ps.health.consecutiveFailures).toBe(0);
+    for (let i = 1; i < DEGRADED_AFTER; i++) expect(recordFailure(ps, { reason: "http_error", status: 404 })).toBeNull();
+    expect(recordFailure(ps, { reason: "http_error", status: 404 })).toBe("degraded");
+    expect(recordFailure(ps, { reason: "http_error", status: 404 })).toBeNull();
+    expect(pageHealth(ps)).toMatchObject({ status: "degraded", consecutiveFailures: DEGRADED_AFTER + 1, lastError: { reason: "http_error", status: 404 } });
+
+    expect(recordSuccess(ps, "https://example.com/pricing", {})).toEqual(["recovered"]);
+    expect(pageHealth(ps).status).toBe("ok");
+    // www/https/trailing-slash redirects and temporary redirects aren't moves
+    expect(recordSuccess(ps, "http://example.com/pricing", { redirectedTo: "https://www.example.com/pricing/", permanent: true })).toEqual([]);
+    expect(recordSuccess(ps, "https://example.com/pricing", { redirectedTo: "https://example.com/plans", permanent: false })).toEqual([]);
+    expect(recordSuccess(ps, "https://example.com/pricing", { redirectedTo: "https://example.com/plans", permanent: true })).toEqual(["moved"]);
+    expect(recordSuccess(ps, "https://example.com/pricing", { redirectedTo: "https://example.com/plans", permanent: true })).toEqual([]);
+    expect(pageHealth(ps)).toMatchObject({ status: "moved", movedTo: "https://example.com/plans" });
+  });
+
+  it("alerts once when a page keeps failing and badges it on the dashboard", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages = [{ id: "internal", url: "http://127.0.0.1/admin", type: "general", label: "Internal" }];
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+
+    for (let i = 0; i < DEGRADED_AFTER + 1; i++) await runMonitor(createContext(), env);
+    const history = JSON.parse(await env.STATE.get("change_history"));
+    const health = history.filter((e) => e.type === "page_health");
+    expect(health).toHaveLength(1);
+    expect(health[0]).toMatchObject({ health: "degraded", pageId: "internal", priority: "medium" });
+    expect(health[0].summary).toContain("blocked by SSRF protection");
+    const dash = await assertJson(await SELF.fetch(adminGet("/api/dashboard-data")));
+    expect(dash.competitors[0].pages[0].health).toMatchObject({ status: "degraded", consecutiveFailures: DEGRADED_AFTER + 1 });
+  });
+});
+
+describe("Noise Suppression", () => {
+  const addedDiff = (texts, changeRatio) => summarizeDiff(texts.map((text) => ({ type: "added", text })), changeRatio);
+
+  it("drops ignore-pattern matches and learns chunks that flip back and forth", () => {
+    const matchers = compileIgnorePatterns({ ignorePatterns: ["trusted by"] }, { ignorePatterns: ["/\\d+ seats left/"] });
+    const diff = addedDiff(["Trusted by 4,000 teams worldwide", "Only 12 seats left for the summit", "New: SSO on every plan"], 0.3);
+    const filtered = filterNoise(diff, matchers, []);
+    expect(filtered.suppressed).toBe(2);
+    expect(filtered.diff.added).toEqual(["New: SSO on every plan"]);
+    expect(filtered.diff.afterExcerpt).toBe("New: SSO on every plan");
+
+    // A testimonial rotating in, out and back in is learned on its second flip
+    const ps = {};
+    const quote = "Acme changed how our team ships features";
+    expect(learnVolatile(ps, { added: [quote], removed: [] })).toEqual([]);
+    expect(learnVolatile(ps, { added: [], removed: [quote] })).toEqual([]);
+    expect(learnVolatile(ps, { added: [quote], removed: [] }).map((v) => v.text)).toEqual([quote]);
+    expect(filterNoise(addedDiff([quote], 0.1), [], ps.volatile).diff.added).toEqual([]);
+    // Un-ignored chunks aren't learned again
+    const allowed = { noiseAllow: [quote.toLowerCase()] };
+    for (const dir of ["added", "removed", "added"]) learnVolatile(allowed, { added: dir === "added" ? [quote] : [], removed: dir === "removed" ? [quote] : [] });
+    expect(allowed.volatile).toBeUndefined();
+  });
+
+  it("saves ignore patterns and un-ignores learned chunks", async () => {
+    await seedCompetitors(env);
+    const bad = await SELF.fetch(jsonPost("/api/config/noise", { competitor: "TestCorp", ignorePatterns: ["/([a-z/"] }));
+    expect(bad.status).toBe(400);
+    const saved = await SELF.fetch(jsonPost("/api/config/noise", { competitor: "TestCorp", pageId: "home", ignorePatterns: ["  cookie banner  ", ""] }));
+    expect((await assertJson(saved)).ignorePatterns).toEqual(["cookie banner"]);
+    expect(JSON.parse(await env.STATE.get("config:competitors"))[0].pages[0].ignorePatterns).toEqual(["cookie banner"]);
+
+    const ps = { hash: "h", volatile: [{ text: "Rotating promo of the day", since: new Date().toISOString(), flips: 2 }] };
+    await env.STATE.put("monitor_state", JSON.stringify({ _version: 2, competitors: { TestCorp: { pages: { home: ps }, blog: { postIds: [] }, seo: {}, pricing: null } }, productHunt: {} }));
+    const listed = await assertJson(await SELF.fetch(adminGet("/api/config/noise")));
+    expect(listed.competitors[0].pages[0].volatile).toHaveLength(1);
+    const res = await SELF.fetch(jsonPost("/api/config/noise/unignore", { competitor: "TestCorp", pageId: "home", text: "Rotating promo of the day" }));
+    expect(res.status).toBe(200);
+    const state = JSON.parse(await env.STATE.get("monitor_state"));
+    expect(state.competitors.TestCorp.pages.home.volatile).toEqual([]);
+    expect(state.competitors.TestCorp.pages.home.noiseAllow).toEqual(["rotating promo of the day"]);
+  });
+});
+
+describe("Text Diff", () => {
+  it("aligns chunks in order and finds the shortest edit script", () => {
+    const ops = diffSequences(["a", "b", "c", "a", "b", "b", "a"], ["c", "b", "a", "b", "a", "c"]);
+    expect(ops.filter((o) => o.op === "eq")).toHaveLength(4);
+    expect(ops.filter((o) => o.op !== "add").map((o) => o.item)).toEqual(["a", "b", "c", "a", "b", "b", "a"]);
+    expect(ops.filter((o) => o.op !== "del").map((o) => o.item)).toEqual(["c", "b", "a", "b", "a", "c"]);
+    expect(diffWords("Pro costs $29 per month.", "Pro costs $39 per month.")).toEqual([
+      { op: "eq", text: "Pro costs " }, { op: "del", text: "$29" }, { op: "add", text: "$39" }, { op: "eq", text: " per month." },
+    ]);
+  });
+
+  it("reports edited sentences word by word, moves, and repeated chunks", () => {
+    const before = "Plans for every team. Pro costs $29 per month. Talk to sales for Enterprise. Trusted by 4,000 teams.";
+    const edited = computeTextDiff(before, before.replace("$29", "$39"));
+    expect(edited.changes).toEqual([{
+      type: "modified", before: "Pro costs $29 per month.", after: "Pro costs $39 per month.",
+      words: [{ op: "eq", text: "Pro costs " }, { op: "del", text: "$29" }, { op: "add", text: "$39" }, { op: "eq", text: " per month." }],
+    }]);
+    expect(edited.removed).toEqual(["Pro costs $29 per month."]);
+    expect(edited.changeRatio).toBeGreaterThan(0);
+    expect(edited.changeRatio).toBeLessThan(0.1);
+
+    // Reordering sections is a move, not an add plus a remove
+    const moved = computeTextDiff(before, "Trusted by 4,000 teams. Plans for every team. Pro costs $29 per month. Talk to sales for Enterprise.");
+    expect(moved.changes).toEqual([{ type: "moved", text: "Trusted by 4,000 teams." }]);
+    expect(moved.added).toEqual([]);
+    // A sentence that appears a second time is an addition even though it already existed
+    expect(computeTextDiff(before, before + " Talk to sales for Enterprise.").added).toEqual(["Talk to sales for Enterprise."]);
+    expect(computeTextDiff(before, "Completely different copy here.").changeRatio).toBe(1);
+  });
+});
+
+describe("Page Outline", () => {
+  const page = (hero, sections) => `<header><nav><a href="/login">Log in</a><a class="btn btn-sm" href="/signup">Sign up</a></nav></header>
+    <main><h1>Ship faster</h1>${hero}${sections}</main><footer><button>Subscribe</button></footer>`;
+  const features = (items) => `<h2>Features</h2><ul>${items.map((i) => `<li>${i}</li>`).join("")}</ul>`;
+  const plans = (sso) => `<h2>Compare plans</h2><table><tr><th>Feature</th><th>Pro</th></tr><tr><td>SSO</td><td>${sso}</td></tr></table>`;
+
+  it("keeps headings, bullets, tables and CTAs, and describes what changed", () => {
+    const before = extractOutline(page(`<a class="btn-primary" href="/trial?ref=hero">Start free trial</a>`, features(["Fast builds", "Preview deploys"]) + plans("No")));
+    expect(before.sections.map((s) => [s.level, s.heading])).toEqual([[1, "Ship faster"], [2, "Features"], [2, "Compare plans"]]);
+    expect(before.sections[2].tables[0].rows).toEqual([["Feature", "Pro"], ["SSO", "No"]]);
+    expect(primaryCta(before)).toEqual({ text: "Start free trial", href: "/trial?ref=hero", chrome: false });
+    expect(before.links).toEqual([{ text: "Log in", href: "/login" }]);
+
+    const ai = `<h2>AI Assistant</h2><ul><li>Write code</li><li>Review PRs</li><li>Fix bugs</li><li>Explain errors</li></ul>`;
+    const after = extractOutline(page(`<a class="btn-primary" href="/demo">Book a demo</a>`, features(["Fast builds", "Preview deploys", "Analytics"]) + ai + plans("Yes")));
+    expect(compareOutlines(before, after)).toEqual([
+      'Primary CTA changed from "Start free trial" to "Book a demo"',
+      '"Features" section: 1 bullet point added ("Analytics")',
+      'New H2 "AI Assistant" section added with 4 bullet points',
+      '"Compare plans" table: row "SSO" changed',
+    ]);
+    // Tracking parameters on the same target aren't a change; no outline yet means nothing to compare
+    const retagged = extractOutline(page(`<a class="btn-primary" href="/trial?ref=nav">Start free trial</a>`, features(["Fast builds", "Preview deploys"]) + plans("No")));
+    expect(compareOutlines(before, retagged)).toEqual([]);
+    expect(compareOutlines(null, after)).toEqual([]);
+  });
+});
+
+describe("Changelog", () => {
+  it("parses entries from heading and article layouts", () => {
+    const headings = `<main><h1>Changelog</h1>
+      <h2>v2.4.0 — AI Assistant</h2><p>March 4, 2025</p><p>Write code with the new assistant.</p>
+      <h2>Version 2.3</h2><time datetime="2025-02-10T09:00:00Z">Feb 10</time><p>SSO for teams. Available on Pro.</p>
+      <h2>Subscribe</h2><p>Get updates by email</p></main>`;
+    expect(parseChangelog(headings, "https://acme.com/changelog")).toEqual([
+      { id: "v:2.4.0", date: "2025-03-04", version: "2.4.0", title: "AI Assistant", body: "Write code with the new assistant.", url: null },
+      { id: "v:2.3", date: "2025-02-10", version: "2.3", title: "SSO for teams.", body: "SSO for teams. Available on Pro.", url: null },
+    ]);
+    const articles = `<article id="sso"><h3>SSO for everyone</h3><time datetime="2025-04-01">Apr 1</time><p>All plans now.</p></article>
+      <article><h3><a href="/changelog/dark-mode">Dark mode</a></h3><span>15th Mar 2025</span></article>`;
+    expect(parseChangelog(articles, "https://acme.com/changelog").map((e) => [e.title, e.date, e.url])).toEqual([
+      ["SSO for everyone", "2025-04-01", "https://acme.com/changelog#sso"],
+      ["Dark mode", "2025-03-15", "https://acme.com/changelog/dark-mode"],
+    ]);
+    expect(parseChangelog("<h2>About us</h2><p>We build tools.</p>", "https://acme.com/changelog")).toEqual([]);
+  });
+
+  it("reports only entries it hasn't seen and summarizes release cadence", () => {
+    const ps = {};
+    const entry = (id, date) => ({ id, date, version: null, title: id, body: "", url: null });
+    expect(trackEntries(ps, [entry("b", "2025-03-01"), entry("a", "2025-02-01")])).toEqual([]);
+    const fresh = trackEntries(ps, [entry("c", null), entry("b", "2025-03-01"), entry("a", "2025-02-01")], "2025-03-11");
+    expect(fresh.map((e) => e.id)).toEqual(["c"]);
+    expect(ps.releases.map((r) => [r.id, r.date])).toEqual([["c", "2025-03-11"], ["b", "2025-03-01"], ["a", "2025-02-01"]]);
+    expect(releaseCadence(ps.releases, Date.parse("2025-03-20"))).toEqual({
+      latest: { date: "2025-03-11", version: null, title: "c" }, last90Days: 3, medianDaysBetween: 28,
+    });
+  });
+});
+
+describe("Feed Parsing", () => {
+  it("reads RSS 2.0, RDF, Atom and JSON Feed into one post shape", () => {
+    const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Acme</title>
+      <item><title>Older &amp; wiser</title><link>/blog/older</link><pubDate>Mon, 03 Feb 2025 10:00:00 GMT</pubDate><author>jane@acme.com (Jane)</author></item>
+      <item><title><![CDATA[Acme raises $20M Series B]]></title><link>https://acme.com/blog/series-b</link><guid isPermaLink="false">post-42</guid>
+        <pubDate>Tue, 04 Mar 2025 10:00:00 GMT</pubDate><dc:creator>Jane Doe</dc:creator><category>Funding</category>
+        <description>We&amp;apos;re growing &amp;amp; hiring.</description><content:encoded><![CDATA[<p>Today we <b>announce</b> funding.</p>]]></content:encoded></item>
+    </channel></rss>`;
+    const posts = parseFeed(rss, { baseUrl: "https://acme.com/feed" });
+    expect(posts[0]).toEqual({
+      id: "post-42", title: "Acme raises $20M Series B", link: "https://acme.com/blog/series-b",
+      published: "2025-03-04T10:00:00.000Z", updated: null, authors: ["Jane Doe"], categories: ["Funding"],
+      summary: "We're growing & hiring.", content: "Today we announce funding.",
+    });
+    expect(posts[1]).toMatchObject({ title: "Older & wiser", link: "https://acme.com/blog/older", authors: ["Jane"] });
+    expect(parseFeed(rss, { limit: 1 })).toHaveLength(1);
+
+    const atom = `<feed xmlns="http://www.w3.org/2005/Atom"><link rel="self" href="https://acme.com/atom.xml"/>
+      <entry><id>tag:acme.com,2025:1</id><title type="html">Launch &lt;em&gt;week&lt;/em&gt;</title>
+        <link rel="replies" href="https://acme.com/c"/><link href="https://acme.com/launch"/>
+        <published>2025-03-05T00:00:00Z</published><author><name>Bob</name></author><category term="product"/>
+        <summary>Big week</summary></entry></feed>`;
+    expect(parseFeed(atom)[0]).toMatchObject({ id: "tag:acme.com,2025:1", title: "Launch week", link: "https://acme.com/launch", authors: ["Bob"], categories: ["product"], summary: "Big week" });
+
+    const rdf = `<rdf:RDF xmlns="http://purl.org/rss/1.0/"><item rdf:about="https://acme.com/p1"><title>P1</title><dc:date>2025-01-01T00:00:00Z</dc:date></item></rdf:RDF>`;
+    expect(parseFeed(rdf)[0]).toMatchObject({ id: "https://acme.com/p1", link: "https://acme.com/p1", published: "2025-01-01T00:00:00.000Z" });
+
+    const json = JSON.stringify({ version: "https://jsonfeed.org/version/1.1", home_page_url: "https://acme.com",
+      items: [{ id: 7, url: "/p7", title: "Partnering with Globex", content_html: "<p>Hi</p>", authors: [{ name: "Al" }], tags: ["partnership"] }] });
+    expect(parseFeed(json)[0]).toMatchObject({ id: "7", link: "https://acme.com/p7", title: "Partnering with Globex", authors: ["Al"], categories: ["partnership"], summary: "Hi" });
+    expect(parseFeed("<html><body>Not a feed</body></html>")).toEqual([]);
+  });
+
+  it("validates the feed window setting", async () => {
+    const res = await SELF.fetch(jsonPost("/api/config/settings", { feedWindow: 500 }));
+    expect(res.status).toBe(400);
+    await assertJson(await SELF.fetch(jsonPost("/api/config/settings", { feedWindow: 40 })));
+    expect(JSON.parse(await env.STATE.get("config:settings")).feedWindow).toBe(40);
+  });
+});
+
+describe("Announcements", () => {
+  it("finds the announcement in the post body when the title is vague", () => {
+    const html = `<html><nav>Blog · Pricing</nav><main><article><h1>A big week for us</h1>
+      <p>We're thrilled to share that Acme has raised $20 million in Series B funding led by Accel,
+      with participation from Index Ventures, Y Combinator and existing investors.</p></article></main></html>`;
+    const body = mainText(html);
+    expect(body).not.toContain("Pricing");
+    const entities = extractEntities("A big week for us. " + body);
+    expect(entities).toEqual({ fundingAmount: "$20M", fundingRound: "Series B", investors: ["Accel", "Index Ventures", "Y Combinator"] });
+    expect(entityCategory(entities)).toBe("funding");
+
+    expect(extractEntities("Acme acquires Beta Labs to expand into analytics.")).toEqual({ acquiredCompany: "Beta Labs" });
+    expect(extractEntities("Today we announce a partnership with Stripe and HubSpot.")).toEqual({ partners: ["Stripe", "HubSpot"] });
+    expect(extractEntities("Join us at our summit on March 12, 2026 in Austin.")).toEqual({ eventDate: "2026-03-12" });
+    expect(extractEntities("We acquired new customers. Plans start at $20/month.")).toEqual({});
+  });
+
+  it("only lets LLM entities fill gaps, in the expected shape", () => {
+    const merged = mergeEntities({ fundingAmount: "$20M" }, { fundingAmount: "$30M", investors: ["Accel", "", 4], eventDate: "next week", acquirer: "null" });
+    expect(merged).toEqual({ fundingAmount: "$20M", investors: ["Accel"] });
+  });
+
+  it("reads leadership changes", () => {
+    expect(extractEntities("Acme appoints Jane Doe as its new Chief Financial Officer.").leadership)
+      .toEqual([{ name: "Jane Doe", role: "Chief Financial Officer", change: "appointed" }]);
+    expect(extractEntities("Bob Smith, our co-founder, is stepping down as CEO.").leadership)
+      .toEqual([{ name: "Bob Smith", role: "CEO", change: "departed" }]);
+  });
+});
+
+describe("Corporate Timeline", () => {
+  const blog = {
+    date: "2026-03-05T08:00:00.000Z", competitor: "TestCo", type: "announcement", category: "funding",
+    summary: "TestCo raised a Series B", title: "A big week for us", published: "2026-03-04T10:00:00.000Z", url: "https://testco.com/blog/big-week",
+    entities: { fundingAmount: "$20M", fundingRound: "Series B", investors: ["Accel"], leadership: [{ name: "Jane Doe", role: "CFO", change: "appointed" }] },
+  };
+  const news = {
+    date: "2026-03-06T08:00:00.000Z", competitor: "TestCo", type: "page_change", summary: "Press page updated",
+    url: "https://testco.com/press", entities: { fundingAmount: "$20M", investors: ["Accel", "Index Ventures"], partners: ["Stripe"] },
+  };
+
+  it("merges the same milestone reported by different sources", () => {
+    const items = [];
+    expect(addMilestones(items, [blog, news])).toBe(3);
+    expect(addMilestones(items, [news])).toBe(0);
+    const funding = items.find((m) => m.kind === "funding");
+    expect(funding).toMatchObject({ date: "2026-03-04", round: "Series B", amount: "$20M", investors: ["Accel", "Index Ventures"] });
+    expect(funding.sources.map((s) => s.type)).toEqual(["announcement", "page_change"]);
+    expect(items.map((m) => m.kind).sort()).toEqual(["funding", "leadership", "partnership"]);
+  });
+
+  it("GET /api/timeline returns milestones, optionally by kind", async () => {
+    await seedCompetitors(env);
+    await recordTimelines(env, null, [blog, news, { ...news, competitor: "Other", entities: {} }]);
+    const res = await SELF.fetch(adminGet("/api/timeline?competitor=TestCo&kind=funding"));
+    const data = await assertJson(res);
+    expect(data.timeline.TestCo).toHaveLength(1);
+    expect(data.timeline.TestCo[0]).toMatchObject({ kind: "funding", amount: "$20M" });
+    expect(data.timeline.TestCo[0].keys).toBeUndefined();
+    expect((await SELF.fetch(adminGet("/api/timeline?kind=rumour"))).status).toBe(400);
+  });
+});
+
+describe("Hiring", () => {
+  const greenhouse = (extra = "") => `<section class="level-0"><h3>Engineering</h3>
+    <div class="opening"><a href="/acme/jobs/1">Senior Backend Engineer</a><span class="location">Remote - US</span></div>
+    <div class="opening"><a href="/acme/jobs/2">Machine Learning Engineer</a><span class="location">London, UK</span></div>${extra}</section>
+    <section class="level-0"><h3>Sales</h3><div class="opening"><a href="/acme/jobs/3">Account Executive</a><span class="location">NYC</span></div></section>`;
+
+  it("parses job boards and careers pages into structured roles", () => {
+    const jobs = parseJobs(greenhouse(), "https://boards.greenhouse.io/acme");
+    expect(jobs[0]).toEqual({
+      id: "https://boards.greenhouse.io/acme/jobs/1", title: "Senior Backend Engineer", department: "Engineering",
+      listedDepartment: "Engineering", location: "Remote - US", seniority: "senior", url: "https://boards.greenhouse.io/acme/jobs/1",
+    });
+    expect(jobs.map((j) => j.department)).toEqual(["Engineering", "ML/AI", "Sales"]);
+
+    const lever = `<div class="posting-category-title">Marketing</div><div class="posting"><a class="posting-title" href="https://jobs.lever.co/acme/x">
+      <h5 data-qa="posting-name">VP of Marketing</h5><span class="location">Remote</span></a></div>`;
+    expect(parseJobs(lever, "https://jobs.lever.co/acme")).toMatchObject([{ title: "VP of Marketing", department: "Marketing", seniority: "executive", location: "Remote" }]);
+
+    const careers = `<nav><a href="/careers/benefits">Benefits</a></nav><h3>Design</h3>
+      <a href="/careers/product-designer"><span>Product Designer</span><span>Hybrid, Berlin</span></a>`;
+    expect(parseJobs(careers, "https://acme.com/careers")).toMatchObject([{ title: "Product Designer", department: "Design", url: "https://acme.com/careers/product-designer" }]);
+    expect(parseJobs("<p>No openings right now</p>", "https://acme.com/careers")).toEqual([]);
+  });
+
+  it("tracks openings and headlines a department's hiring surge", () => {
+    const ps = {};
+    expect(trackJobs(ps, parseJobs(greenhouse(), "https://x.io"))).toEqual({ opened: [], closed: [] });
+    const ml = ["ML Researcher", "Applied Scientist, LLMs", "Senior ML Engineer"]
+      .map((t, i) => `<div class="opening"><a href="/acme/jobs/ml${i}">${t}</a></div>`).join("");
+    const { opened, closed } = trackJobs(ps, parseJobs(greenhouse(ml).replace(/<section class="level-0"><h3>Sales[\s\S]*$/, ""), "https://x.io"));
+    expect(opened.map((j) => j.department)).toEqual(["ML/AI", "ML/AI", "ML/AI"]);
+    expect(closed.map((j) => j.title)).toEqual(["Account Executive"]);
+
+    const summary = hiringSummary(ps.jobs);
+    expect(summary).toMatchObject({ open: 5, openedThisMonth: 3 });
+    expect(summary.departments[0]).toEqual({ department: "ML/AI", open: 4, openedThisMonth: 3 });
+    const headline = hiringHeadline("Acme", opened, summary);
+    expect(headline).toEqual({ text: "Acme opened 3 ML/AI roles this month", surge: true });
+    const alert = formatHiringAlert("Acme", { label: "Careers", url: "https://x.io" }, opened, closed, summary, headline);
+    expect(alert.priority).toBe("medium");
+    expect(alert.text).toContain("1 role closed: Account Executive");
+  });
+
+  it("GET /api/hiring returns open roles and the daily series", async () => {
+    await env.STATE.put("config:competitors", JSON.stringify([{ name: "HireCo", website: "https://hire.co", pages: [{ id: "jobs", url: "https://hire.co/careers", type: "careers", label: "Careers" }] }]));
+    const ps = {};
+    trackJobs(ps, parseJobs(greenhouse(), "https://hire.co"));
+    await env.STATE.put("monitor_state", JSON.stringify({ _version: 2, competitors: { HireCo: { pages: { jobs: ps } } } }));
+    await recordHiringSnapshot(env, null, "HireCo", ps.jobs, [], [], 90);
+    const data = await assertJson(await SELF.fetch(adminGet("/api/hiring?department=Sales")));
+    expect(data.hiring.HireCo.summary.open).toBe(3);
+    expect(data.hiring.HireCo.roles.map((j) => j.title)).toEqual(["Account Executive"]);
+    expect(data.hiring.HireCo.history[0].open).toEqual({ Engineering: 1, "ML/AI": 1, Sales: 1 });
+  });
+});
+
+describe("Sitemap Monitoring", () => {
+  it("parses sitemaps, indexes and robots.txt, and classifies URLs like page discovery", () => {
+    const index = `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <sitemap><loc>https://acme.io/sitemap-pages.xml</loc></sitemap><sitemap><loc><![CDATA[https://acme.io/sitemap-posts.xml]]></loc></sitemap></sitemapindex>`;
+    expect(parseSitemap(index)).toEqual({ sitemaps: ["https://acme.io/sitemap-pages.xml", "https://acme.io/sitemap-posts.xml"], urls: [] });
+    const urlset = `<urlset><url><loc>https://www.acme.io/pricing/</loc></url><url><loc>https://acme.io/search?q=a&amp;b=1</loc></url></urlset>`;
+    expect(parseSitemap(urlset).urls).toEqual(["https://www.acme.io/pricing/", "https://acme.io/search?q=a&b=1"]);
+    expect(sitemapsFromRobots("User-agent: *\nDisallow: /admin\nSitemap: https://acme.io/sitemap_index.xml\n")).toEqual(["https://acme.io/sitemap_index.xml"]);
+    expect(normalizePageUrl("https://www.Acme.io/pricing/?ref=nav#plans")).toBe("acme.io/pricing");
+
+    expect(classifyPath("/pricing-plans")).toMatchObject({ type: "pricing" });
+    expect(classifyPageUrl("acme.io/integrations/salesforce")).toEqual({ kind: "integration", label: "Integration" });
+    expect(classifyPageUrl("acme.io/lp/crm-for-startups").kind).toBe("landing");
+    expect(classifyPageUrl("acme.io/acme-vs-rival").kind).toBe("landing");
+    expect(classifyPageUrl("acme.io/products/widget-pro").kind).toBe("product");
+    expect(classifyPageUrl("acme.io/blog/new-integrations-roundup").kind).toBe("blog");
+    expect(classifyPageUrl("acme.io/about").kind).toBe("other");
+  });
+
+  it("a sitemap fetch that missed a child sitemap doesn't make its pages look new next time", () => {
+    const full = { urls: ["acme.io/", "acme.io/lp/crm", "acme.io/integrations/slack"], complete: true };
+    // The child sitemap listing the landing and integration pages failed to load
+    const partial = { urls: ["acme.io/"], complete: false };
+    expect(diffSitemap(full, partial)).toEqual({ added: [], removed: [] });
+    const baseline = nextBaseline(full, partial);
+    expect(baseline).toEqual({ urls: ["acme.io/", "acme.io/lp/crm", "acme.io/integrations/slack"], complete: false });
+
+    // Next check loads everything: nothing is reported as added, and the complete list becomes the baseline
+    const next = { urls: [...full.urls, "acme.io/lp/new"], complete: true };
+    expect(diffSitemap(baseline, next).added).toEqual([]);
+    expect(nextBaseline(baseline, next)).toBe(next);
+    expect(diffSitemap(next, { urls: [...next.urls, "acme.io/vs/rival"], complete: true }).added).toEqual(["acme.io/vs/rival"]);
+    // A first check that was incomplete is stored as is
+    expect(nextBaseline(null, partial)).toBe(partial);
+  });
+
+  it("alerts on new landing and integration pages and removed product pages", async () => {
+    const prev = { urls: ["acme.io/", "acme.io/products/widget", "acme.io/products/gadget"], complete: true };
+    const current = { urls: ["acme.io/", "acme.io/products/widget", "acme.io/integrations/hubspot", "acme.io/blog/hello", "acme.io/use-cases/sales"], complete: true };
+    const diff = diffSitemap(prev, current);
+    expect(diff.added).toHaveLength(3);
+    expect(diff.removed).toEqual(["acme.io/products/gadget"]);
+    // A partial fetch can't tell a removed page from one it didn't reach
+    expect(diffSitemap(prev, { ...current, complete: false }).removed).toEqual([]);
+
+    const { newPages, removedPages } = notablePages(diff);
+    expect(newPages.map((p) => p.kind)).toEqual(["integration", "landing"]);
+    expect(removedPages).toEqual([{ url: "https://acme.io/products/gadget", kind: "product", label: "Products" }]);
+    const alert = formatSitemapAlert("Acme", "https://acme.io", newPages, removedPages);
+    expect(alert.priority).toBe("medium");
+    expect(alert.text).toContain("1 new landing page, 1 new integration page, 1 product page removed");
+    expect(alert.text).toContain("Removed: acme.io/products/gadget");
+
+    await saveSitemap(env, "u1", "Acme", current);
+    const saved = await loadSitemap(env, "u1", "Acme");
+    expect(saved.urls).toEqual(current.urls);
+    expect(await env.STATE.get("user_state:u1:sitemap:Acme")).toBeTruthy();
+    expect(isSitemapDue({ checkedAt: saved.checkedAt })).toBe(false);
+    expect(isSitemapDue({ checkedAt: new Date(Date.now() - 25 * 3600000).toISOString() })).toBe(true);
+  });
+});
+
+describe("Scan Scheduling", () => {
+  it("spreads each tier's scans across the day in the user's timezone", () => {
+    expect(defaultScanTimes(2)).toEqual(["09:00", "21:00"]);
+    expect(defaultScanTimes(4)).toEqual(["09:00", "15:00", "21:00", "03:00"]);
+    const command = resolveScanSchedule({ scanSchedule: { timezone: "America/New_York" } }, scanLimits("command", true));
+    expect(command.times).toHaveLength(4);
+    // 13:00 UTC in July is 09:00 in New York (EDT)
+    expect(isScanDue(command, new Date("2026-07-01T13:00:00Z"))).toBe(true);
+    expect(isScanDue(command, new Date("2026-07-01T09:00:00Z"))).toBe(false);
+    expect(nextScanAt(command, new Date("2026-07-01T13:05:00Z"))).toBe("2026-07-01T19:00:00.000Z");
+    // Chosen times beyond the plan's limit are dropped after a downgrade
+    const operator = resolveScanSchedule({ scanSchedule: { times: ["06:00", "12:00", "18:00"] } }, scanLimits("operator", true));
+    expect(operator).toEqual({ times: ["06:00", "12:00"], timezone: "UTC" });
+    expect(resolveScanSchedule({}, scanLimits("command", false)).times).toEqual(["09:00"]);
+    expect(orderByPriority([{ tier: "operator" }, { tier: "command" }]).map((u) => u.tier)).toEqual(["command", "operator"]);
+  });
+
+  it("check intervals skip pages until due; adaptive follows change history", () => {
+    const now = Date.parse("2026-07-10T12:00:00Z");
+    const hoursAgo = (h) => new Date(now - h * 3600000).toISOString();
+    expect(isPageDue({}, { lastChecked: hoursAgo(1) }, now)).toBe(true);
+    expect(isPageDue({ checkInterval: "daily" }, { lastChecked: hoursAgo(12) }, now)).toBe(false);
+    expect(isPageDue({ checkInterval: "daily" }, { lastChecked: hoursAgo(23.5) }, now)).toBe(true);
+    expect(isPageDue({ checkInterval: "weekly" }, null, now)).toBe(true);
+    // Changed every ~6h → checked every ~3h; quiet for five weeks → backs off to the weekly cap
+    const volatile = { lastChanged: hoursAgo(2), changeTimes: [hoursAgo(20), hoursAgo(14), hoursAgo(8), hoursAgo(2)] };
+    expect(adaptiveInterval(volatile, now)).toBe(3 * 3600000);
+    expect(adaptiveInterval({ firstChecked: hoursAgo(840) }, now)).toBe(7 * 24 * 3600000);
+    expect(adaptiveInterval({ lastChanged: hoursAgo(1) }, now)).toBe(3600000);
+  });
+
+  it("scheduled scans skip pages that aren't due; manual scans force them", async () => {
+    await seedCompetitors(env);
+    const competitors = JSON.parse(await env.STATE.get("config:competitors"));
+    competitors[0].pages[0].checkInterval = "weekly";
+    await env.STATE.put("config:competitors", JSON.stringify(competitors));
+    const ps = { hash: "h", textSnapshot: "x", lastChecked: new Date().toISOString(), lastChanged: null };
+    await env.STATE.put("monitor_state", JSON.stringify({ _version: 2, competitors: { TestCorp: { pages: { home: ps }, blog: { postIds: [] }, seo: {}, pricing: null } }, productHunt: {} }));
+    const scheduled = await runMonitor(createContext(), env, null, null, { trigger: "scheduled" });
+    const run = await loadRun(env, null, scheduled.runId);
+    expect(run.pages).toMatchObject({ scanned: 0, skipped: 1 });
+    expect(scheduled.subrequests).toBeLessThan(5);
+    const forced = await runMonitor(createContext(), env, null, null, { force: true });
+    expect((await loadRun(env, null, forced.runId)).pages.skipped).toBe(0);
+
+    const bad = await SELF.fetch(jsonPost("/api/config/competitors", { competitors: [{ ...competitors[0], pages: [{ ...competitors[0].pages[0], checkInterval: "monthly" }] }] }));
+    expect(bad.status).toBe(400);
+    const hourly = await SELF.fetch(jsonPost("/api/config/competitors", { competitors: [{ ...competitors[0], pages: [{ ...competitors[0].pages[0], checkInterval: "hourly" }] }] }));
+    expect(hourly.status).toBe(200);
+    expect(JSON.parse(await env.STATE.get("config:competitors"))[0].pages[0].checkInterval).toBe("hourly");
+  });
+
+  it("page-only scans between scheduled scans fetch just the due interval pages", async () => {
+    const page = (id, checkInterval) => ({ id, url: "http://127.0.0.1/" + id, type: "general", label: id, ...(checkInterval ? { checkInterval } : {}) });
+    await env.STATE.put("config:competitors", JSON.stringify([{ name: "TestCorp", website: "https://example.com", pages: [page("home"), page("pricing", "hourly"), page("docs", "daily")] }]));
+    const checked = (h) => ({ hash: "h", textSnapshot: "x", lastChecked: new Date(Date.now() - h * 3600000).toISOString(), lastChanged: null });
+    await env.STATE.put("monitor_state", JSON.stringify({ _version: 2, competitors: { TestCorp: { pages: { home: checked(1), pricing: checked(2), docs: checked(2) }, blog: { postIds: [] }, seo: {}, pricing: null } }, productHunt: {} }));
+
+    const result = await runMonitor(createContext(), env, null, null, { trigger: "interval", pagesOnly: true });
+    const run = await loadRun(env, null, result.runId);
+    expect(run).toMatchObject({ trigger: "interval", status: "complete" });
+    expect(run.pageResults.map((r) => r.pageId)).toEqual(["pricing"]);
+
+    // Nothing due: no run is started
+    const state = JSON.parse(await env.STATE.get("monitor_state"));
+    state.competitors.TestCorp.pages.pricing.lastChecked = new Date().toISOString();
+    await env.STATE.put("monitor_state", JSON.stringify(state));
+    const idle = await runMonitor(createContext(), env, null, null, { trigger: "interval", pagesOnly: true });
+    expect(idle).toMatchObject({ idle: true });
+    expect(idle.runId).toBeUndefined();
+  });
+
+  it("POST /api/config/settings validates scanSchedule", async () => {
+    const offHour = await SELF.fetch(jsonPost("/api/config/settings", { scanSchedule: { times: ["09:30"] } }));
+    expect(offHour.status).toBe(400);
+    const tooMany = await SELF.fetch(jsonPost("/api/config/settings", { scanSchedule: { times: ["01:00", "05:00", "09:00", "13:00", "17:00"] } }));
+    expect(tooMany.status).toBe(400);
+    const badZone = await SELF.fetch(jsonPost("/api/config/settings", { scanSchedule: { timezone: "Mars/Olympus" } }));
+    expect(badZone.status).toBe(400);
+    const ok = await SELF.fetch(jsonPost("/api/config/settings", { scanSchedule: { times: ["08:00", "20:00"], timezone: "Europe/Berlin" } }));
+    expect(ok.status).toBe(200);
+    const cfg = await assertJson(await SELF.fetch(adminGet("/api/config")));
+    expect(cfg.settings.scanSchedule).toEqual({ times: ["08:00", "20:00"], timezone: "Europe/Berlin" });
+  });
+});
+
+describe("Slack Interactivity", () => {
+  it("POST /api/slack/interactions without signing secret is rejected, not 500", async () => {
+    const res = await SELF.fetch(formPost("/api/slack/interactions", { payload: "{}" }));
+    expect(res.status).toBe(501);
+  });
+
+  it("digest blocks carry triage buttons for page alerts", () => {
+    const alert = { text: "🟡 *MEDIUM* | *TestCorp* updated their Pricing", priority: "medium", ref: { eventId: "ev1", competitor: "TestCorp", pageId: "pricing" } };
+    const blocks = formatDigestBlocks(buildDigest([alert], { interactive: true }));
+    const actions = blocks.find((b) => b.type === "actions");
+    expect(actions.elements.map((e) => e.action_id)).toEqual(["sh_noise", "sh_snooze", "sh_escalate", "sh_watch"]);
+    expect(JSON.parse(actions.elements[0].value)).toEqual({ e: "ev1", c: "TestCorp", p: "pricing" });
+    const plain = formatDigestBlocks(buildDigest([alert]));
+    expect(plain.some((b) => b.type === "actions")).toBe(false);
+  });
+
+  it("triage actions update monitor state and history", async () => {
+    await seedCompetitors(env);
+    await env.STATE.put("monitor_state", JSON.stringify({
+      _version: 2, productHunt: {},
+      competitors: { TestCorp: { pages: { pricing: { hash: "h", lastChecked: null } }, blog: { postIds: [] }, seo: {}, pricing: null } },
+    }));
+    await env.STATE.put("change_history", JSON.stringify([
+      { id: "ev1", date: new Date().toISOString(), competitor: "TestCorp", pageId: "pricing", pageLabel: "Pricing", type: "page_change", priority: "low", summary: "x" },
+    ]));
+    const ref = { e: "ev1", c: "TestCorp", p: "pricing" };
+
+    expect((await applyTriage(env, null, "sh_escalate", ref, "U1")).ok).toBe(true);
+    await applyTriage(env, null, "sh_snooze", ref, "U1");
+    await applyTriage(env, null, "sh_watch", ref, "U1");
+
+    const history = JSON.parse(await env.STATE.get("change_history"));
+    expect(history[0]).toMatchObject({ priority: "high", triage: { action: "escalated", by: "U1" } });
+    const ps = JSON.parse(await env.STATE.get("monitor_state")).competitors.TestCorp.pages.pricing;
+    expect(new Date(ps.snoozedUntil).getTime()).toBeGreaterThan(Date.now() + 6 * 86400000);
+    expect(ps.watch).toBe(true);
+    const missing = await applyTriage(env, null, "sh_noise", { ...ref, p: "gone" }, "U1");
+    expect(missing.ok).toBe(false);
+  });
+
+  it("marking a change as noise suppresses its text on the next diff", async () => {
+    await seedCompetitors(env);
+    await env.STATE.put("monitor_state", JSON.stringify({
+      _version: 2, productHunt: {},
+      competitors: { TestCorp: { pages: { home: { hash: "h", lastChecked: null, noiseAllow: ["spring sale: 20% off everything"] } }, blog: { postIds: [] }, seo: {}, pricing: null } },
+    }));
+    const before = "Acme helps teams ship faster.\n\nWinter sale: 10% off everything";
+    const after = "Acme helps teams ship faster.\n\nSpring sale: 20% off everything";
+    const rawDiff = computeTextDiff(before, after);
+    await env.STATE.put("change_history", JSON.stringify([{
+      id: "ev2", date: new Date().toISOString(), competitor: "TestCorp", pageId: "home", pageLabel: "Home", type: "page_change", priority: "medium", summary: "Promo changed",
+      diff: { chunks: { added: rawDiff.added, removed: rawDiff.removed } },
+    }]));
+    const res = await applyTriage(env, null, "sh_noise", { e: "ev2", c: "TestCorp", p: "home" }, "U1");
+    expect(res.ok).toBe(true);
+
+    const ps = JSON.parse(await env.STATE.get("monitor_state")).competitors.TestCorp.pages.home;
+    expect(ps.volatile.map((v) => v.marked)).toEqual([true, true]);
+    // An explicit mark overrides an earlier un-ignore of the same text
+    expect(ps.noiseAllow).toEqual([]);
+    const { diff, suppressed } = filterNoise(computeTextDiff(before, after), [], ps.volatile);
+    expect(suppressed).toBe(rawDiff.changes.length);
+    expect(diff.changes).toHaveLength(0);
+    // Other changes on the page still alert
+    expect(filterNoise(computeTextDiff(before, after + "\n\nNew: SSO on every plan"), [], ps.volatile).diff.changes).toHaveLength(1);
+  });
+});
+
 // ─── Group 6: Stripe Webhook ────────────────────────────────────────────────
 
 describe("Stripe Webhook", () => {
@@ -10,6 +10,8 @@ export default defineWorkersConfig({
           bindings: {
             ADMIN_TOKEN: "test-admin-token",
             SLACK_WEBHOOK_URL: "https://hooks.slack.com/test",
+            EMAIL_TRANSPORT: "stub",
+            PUBLIC_URL: "http://localhost",
           },
         },
       },